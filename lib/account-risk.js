@@ -0,0 +1,100 @@
+// ============================================
+// ACCOUNT RISK - cross-margin liquidation model
+// ============================================
+// liquidationPx on a cross position assumes every other position in the account
+// stays where it is. The account is really liquidated when its cross account value
+// drops below total maintenance margin, so this module works at account level:
+//   marginRatio              = maintenance margin / cross account value (1.0 = liquidation)
+//   accountDistanceToLiq     = adverse move applied to every cross position at once that
+//                              eats the whole margin buffer
+// Maintenance margin comes from the `meta` universe: half the initial margin at max
+// leverage, tiered by notional when the asset has a margin table.
+
+const DEFAULT_MAX_LEVERAGE = 20; // for coins missing from meta (new listings before the next refresh)
+
+// meta: raw { universe: [{ name, maxLeverage, marginTableId }], marginTables: [[id, { marginTiers }]] }
+// Returns Map(coin -> [{ lowerBound, rate, deduction }]) with tiers sorted by lowerBound.
+function buildMarginTable(meta) {
+  const tables = new Map((meta?.marginTables || []).map(([id, table]) => [id, table.marginTiers || []]));
+  const result = new Map();
+
+  for (const asset of meta?.universe || []) {
+    const tiers = tables.get(asset.marginTableId);
+    const raw = tiers && tiers.length > 0
+      ? tiers.map(t => ({ lowerBound: parseFloat(t.lowerBound) || 0, maxLeverage: t.maxLeverage }))
+      : [{ lowerBound: 0, maxLeverage: asset.maxLeverage || DEFAULT_MAX_LEVERAGE }];
+    raw.sort((a, b) => a.lowerBound - b.lowerBound);
+
+    // Deduction keeps maintenance margin continuous across tier boundaries
+    let deduction = 0, prevRate = null;
+    result.set(asset.name, raw.map(t => {
+      const rate = 1 / (2 * t.maxLeverage);
+      if (prevRate !== null) deduction += t.lowerBound * (rate - prevRate);
+      prevRate = rate;
+      return { lowerBound: t.lowerBound, rate, deduction };
+    }));
+  }
+  return result;
+}
+
+function maintenanceTier(marginTable, coin, notional) {
+  const tiers = marginTable.get(coin) || [{ lowerBound: 0, rate: 1 / (2 * DEFAULT_MAX_LEVERAGE), deduction: 0 }];
+  let tier = tiers[0];
+  for (const t of tiers) if (notional >= t.lowerBound) tier = t;
+  return tier;
+}
+
+function maintenanceMargin(marginTable, coin, notional) {
+  const tier = maintenanceTier(marginTable, coin, notional);
+  return Math.max(0, notional * tier.rate - tier.deduction);
+}
+
+// state: clearinghouseState, mids: { coin: price }
+function assessAccount(state, mids, marginTable) {
+  if (!state) return null;
+  const accountValue = parseFloat(state.crossMarginSummary?.accountValue ?? state.marginSummary?.accountValue) || 0;
+
+  const crossPositions = [];
+  let isolatedCount = 0;
+  for (const ap of state.assetPositions || []) {
+    const p = ap.position;
+    const size = parseFloat(p.szi);
+    if (!size) continue;
+    if (p.leverage?.type === 'isolated') { isolatedCount++; continue; }
+    const markPrice = parseFloat(mids[p.coin]) || parseFloat(p.positionValue) / Math.abs(size) || 0;
+    const notional = Math.abs(size) * markPrice;
+    const tier = maintenanceTier(marginTable, p.coin, notional);
+    crossPositions.push({ coin: p.coin, size, notional, rate: tier.rate, maintenance: maintenanceMargin(marginTable, p.coin, notional) });
+  }
+
+  const computedMaintenance = crossPositions.reduce((s, p) => s + p.maintenance, 0);
+  // The exchange reports the authoritative figure; our own is the fallback
+  const maintenance = parseFloat(state.crossMaintenanceMarginUsed) || computedMaintenance;
+  const totalNotional = crossPositions.reduce((s, p) => s + p.notional, 0);
+
+  if (crossPositions.length === 0 || accountValue <= 0) {
+    return { accountValue, maintenanceMargin: maintenance, marginRatio: null, marginBuffer: accountValue - maintenance, accountDistanceToLiq: null, crossNotional: 0, crossPositionCount: 0, isolatedCount, accountLeverage: null };
+  }
+
+  // Uniform adverse move x: equity falls by x * notional, maintenance scales with the
+  // new notional (longs shrink, shorts grow). Solve AV - x*N = MM + x * sum(s_i * rate_i * N_i).
+  // Per-position rates are rescaled so they add up to the reported maintenance figure.
+  const scale = maintenance / (computedMaintenance || maintenance);
+  const mmDrift = crossPositions.reduce((s, p) => s + (p.size > 0 ? -1 : 1) * p.rate * p.notional * scale, 0);
+  const buffer = accountValue - maintenance;
+  const accountDistanceToLiq = buffer > 0 ? buffer / (totalNotional + mmDrift) : 0;
+
+  return {
+    accountValue,
+    maintenanceMargin: maintenance,
+    marginRatio: maintenance / accountValue,
+    marginBuffer: buffer,
+    accountDistanceToLiq,
+    crossNotional: totalNotional,
+    crossPositionCount: crossPositions.length,
+    isolatedCount,
+    accountLeverage: totalNotional / accountValue
+  };
+}
+
+module.exports = { buildMarginTable, maintenanceMargin, assessAccount };
@@ -0,0 +1,361 @@
+// ============================================
+// ADDRESS LABELS - who is behind a wallet
+// ============================================
+// Label: { address, label, entity, tags: [], source, updatedAt }
+//   label  - name of this wallet ("Fund X hedge account")
+//   entity - who owns it ("Fund X", "HLP", "Binance"); wallets of one entity share it
+//   source - manual | import | builtin | leaderboard; a source never overwrites a higher-ranked one
+//
+// Links tie wallets that are probably controlled together, from three heuristics:
+//   subaccount - master / sub-account pair (certain)
+//   funding    - USDC sent between the two (internal transfers, sends, sub-account transfers)
+//   lockstep   - both took the same side of the same coin within seconds, again and again
+// Linked wallets form a cluster; an unlabelled wallet in a cluster with a labelled one is
+// shown as that entity (source 'cluster'). Pairs can be linked by hand or dismissed.
+// Exchanges, bridges and other hubs send USDC to thousands of unrelated wallets: funding links
+// of a wallet tagged `exchange` or with more than maxFundingLinks of them don't join clusters.
+// Kept in memory and written through to address_labels / address_links when a database is attached.
+
+const csv = require('./csv');
+const { normalizeAddress } = require('./watchlists');
+
+const SOURCE_RANK = { manual: 3, import: 3, builtin: 2, leaderboard: 1 };
+const LINK_REASONS = ['subaccount', 'funding', 'lockstep', 'manual', 'dismissed'];
+const MAX_TEXT_LENGTH = 64;
+const MAX_TAGS = 10;
+const CSV_COLUMNS = ['address', 'label', 'entity', 'tags'];
+
+// Known protocol accounts; they trade against everyone, so they never join a cluster
+const BUILTIN_LABELS = [
+  { address: '0x2e3f42c178ee5a23a3e1e853e8de02e0a6e5c6c1', label: 'HLP Liquidator', entity: 'HLP', tags: ['protocol'] },
+  { address: '0xdfc24b077bc1425ad1dea75bcb6f8158e10df303', label: 'HLP Vault', entity: 'HLP', tags: ['protocol'] }
+];
+
+function normalizeText(value) {
+  return value === null || value === undefined ? null : String(value).trim().slice(0, MAX_TEXT_LENGTH) || null;
+}
+
+// "fund; otc" or ['fund', 'otc'] -> ['fund', 'otc']
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(/[;|]/);
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))].slice(0, MAX_TAGS);
+}
+
+function pairKey(a, b) {
+  return a < b ? a + '|' + b : b + '|' + a;
+}
+
+// lockstepWindow: ms between two takers' trades; lockstepMatches: separate minutes with such a match before linking
+function createAddressLabels({ fundingMinUSD = 10000, lockstepWindow = 2000, lockstepMatches = 5, maxFundingLinks = 10, log = console } = {}) {
+  let db = null;
+  const labels = new Map();      // address -> label
+  const links = new Map();       // 'a|b' -> Map(reason -> { evidence, usd, firstSeen, lastSeen })
+  const recentTakers = new Map(); // coin -> [{ address, direction, time, hash }]
+  const lockstepPairs = new Map(); // 'a|b' -> { matches, lastAt }
+  let clusters = null;           // address -> cluster, rebuilt after link changes
+
+  for (const builtin of BUILTIN_LABELS) labels.set(builtin.address, { ...builtin, source: 'builtin', updatedAt: 0 });
+
+  async function persist(query, params) {
+    if (!db) return;
+    try {
+      await db.query(query, params);
+    } catch (err) {
+      log.error('Address label persistence error:', err.message);
+    }
+  }
+
+  async function attachDb(client) {
+    db = client;
+    try {
+      const [labelRows, linkRows] = await Promise.all([
+        db.query('SELECT * FROM address_labels'),
+        db.query('SELECT * FROM address_links')
+      ]);
+      for (const row of labelRows.rows) {
+        labels.set(row.address, { address: row.address, label: row.label, entity: row.entity, tags: row.tags || [], source: row.source, updatedAt: parseInt(row.updated_at) });
+      }
+      for (const row of linkRows.rows) {
+        linkEvidence(row.address_a, row.address_b).set(row.reason, {
+          evidence: row.evidence, usd: parseFloat(row.usd) || 0, firstSeen: parseInt(row.first_seen), lastSeen: parseInt(row.last_seen)
+        });
+      }
+      clusters = null;
+      if (labelRows.rows.length + linkRows.rows.length > 0) log.log('✅ Loaded ' + labelRows.rows.length + ' address labels, ' + linkRows.rows.length + ' links');
+    } catch (err) {
+      log.error('Address label load error:', err.message);
+    }
+  }
+
+  // ---- labels ----
+  // Returns false when a higher-ranked source already labelled the address
+  function setLabel(address, { label, entity, tags }, source = 'manual') {
+    const addr = normalizeAddress(address);
+    const existing = labels.get(addr);
+    if (existing && SOURCE_RANK[existing.source] > SOURCE_RANK[source]) return false;
+
+    const next = {
+      address: addr,
+      label: label !== undefined ? normalizeText(label) : existing?.label ?? null,
+      entity: entity !== undefined ? normalizeText(entity) : existing?.entity ?? null,
+      tags: tags !== undefined ? normalizeTags(tags) : existing?.tags ?? [],
+      source,
+      updatedAt: Date.now()
+    };
+    if (!next.label && !next.entity) throw new Error('label or entity is required');
+    if (existing && existing.label === next.label && existing.entity === next.entity &&
+        existing.source === source && existing.tags.join() === next.tags.join()) return true;
+
+    labels.set(addr, next);
+    if (Boolean(existing?.tags.includes('exchange')) !== next.tags.includes('exchange')) clusters = null;
+    persist(`
+      INSERT INTO address_labels (address, label, entity, tags, source, updated_at) VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (address) DO UPDATE SET label = $2, entity = $3, tags = $4, source = $5, updated_at = $6
+    `, [addr, next.label, next.entity, next.tags, source, next.updatedAt]);
+    return true;
+  }
+
+  function removeLabel(address) {
+    const addr = String(address || '').toLowerCase();
+    const existing = labels.get(addr);
+    if (!existing || existing.source === 'builtin') throw Object.assign(new Error('No label for this address'), { status: 404 });
+    labels.delete(addr);
+    if (existing.tags.includes('exchange')) clusters = null;
+    persist('DELETE FROM address_labels WHERE address = $1', [addr]);
+    const builtin = BUILTIN_LABELS.find(b => b.address === addr);
+    if (builtin) labels.set(addr, { ...builtin, source: 'builtin', updatedAt: 0 });
+  }
+
+  // entries: [{ address, label?, entity?, tags? }]; invalid rows are reported, the rest imported
+  function importLabels(entries) {
+    const errors = [];
+    let imported = 0;
+    entries.forEach((entry, i) => {
+      try {
+        setLabel(entry.address, { label: entry.label || undefined, entity: entry.entity || undefined, tags: entry.tags || undefined }, 'import');
+        imported++;
+      } catch (err) {
+        errors.push('row ' + (i + 1) + ': ' + err.message);
+      }
+    });
+    return { imported, errors };
+  }
+
+  function isProtocol(address) {
+    return Boolean(labels.get(address)?.tags.includes('protocol'));
+  }
+
+  // ---- links ----
+  function linkEvidence(a, b) {
+    const key = pairKey(a, b);
+    if (!links.has(key)) links.set(key, new Map());
+    return links.get(key);
+  }
+
+  function addLink(a, b, reason, { evidence = 1, usd = 0, time = Date.now() } = {}) {
+    const [first, second] = [String(a).toLowerCase(), String(b).toLowerCase()].sort();
+    if (first === second || !LINK_REASONS.includes(reason)) return false;
+    if (reason !== 'manual' && reason !== 'dismissed' && (isProtocol(first) || isProtocol(second))) return false;
+
+    const reasons = linkEvidence(first, second);
+    // Linking by hand overrides an earlier dismissal
+    if (reason === 'manual' && reasons.delete('dismissed')) {
+      persist('DELETE FROM address_links WHERE address_a = $1 AND address_b = $2 AND reason = $3', [first, second, 'dismissed']);
+      clusters = null;
+    }
+    const current = reasons.get(reason);
+    // A ledger is read again on every check; transfers up to lastSeen are already counted
+    if (current && reason === 'funding' && time <= current.lastSeen) return false;
+    const next = current
+      ? { ...current, evidence: reason === 'lockstep' ? evidence : current.evidence + evidence, usd: current.usd + usd, lastSeen: Math.max(current.lastSeen, time) }
+      : { evidence, usd, firstSeen: time, lastSeen: time };
+    reasons.set(reason, next);
+    if (!current || reason === 'dismissed') clusters = null;
+    persist(`
+      INSERT INTO address_links (address_a, address_b, reason, evidence, usd, first_seen, last_seen) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (address_a, address_b, reason) DO UPDATE SET evidence = $4, usd = $5, last_seen = $7
+    `, [first, second, reason, next.evidence, next.usd, next.firstSeen, next.lastSeen]);
+    return !current;
+  }
+
+  // Dismissing keeps a 'dismissed' row so the heuristics don't bring the link back
+  function dismissLink(a, b) {
+    const reasons = links.get(pairKey(String(a).toLowerCase(), String(b).toLowerCase()));
+    if (!reasons || reasons.size === 0) throw Object.assign(new Error('These addresses are not linked'), { status: 404 });
+    addLink(a, b, 'dismissed');
+  }
+
+  // USDC moved between two wallets; small amounts (gas money, tips) are not evidence
+  function recordTransfer(from, to, usd, time) {
+    if (!(Math.abs(usd) >= fundingMinUSD)) return false;
+    return addLink(from, to, 'funding', { usd: Math.abs(usd), time });
+  }
+
+  // Takers only: one order that sweeps several makers makes them look like they moved together.
+  // Every trade of the same order shares a hash, so those are not matches either.
+  function observeTrade({ coin, address, direction, time, hash }) {
+    const addr = String(address).toLowerCase();
+    if (isProtocol(addr)) return;
+    const recent = (recentTakers.get(coin) || []).filter(t => time - t.time <= lockstepWindow);
+    for (const other of recent) {
+      if (other.address === addr || other.direction !== direction || (hash && other.hash === hash)) continue;
+      const key = pairKey(addr, other.address);
+      const pair = lockstepPairs.get(key) || { matches: 0, lastAt: 0 };
+      if (time - pair.lastAt < 60000) continue; // one match per minute: a burst of fills is one decision
+      pair.matches++;
+      pair.lastAt = time;
+      lockstepPairs.set(key, pair);
+      if (pair.matches >= lockstepMatches) addLink(addr, other.address, 'lockstep', { evidence: pair.matches, time });
+    }
+    recent.push({ address: addr, direction, time, hash });
+    recentTakers.set(coin, recent);
+  }
+
+  // Pairs that stopped matching start over
+  function prune(maxAge = 24 * 60 * 60 * 1000) {
+    const cutoff = Date.now() - maxAge;
+    for (const [key, pair] of lockstepPairs) if (pair.lastAt < cutoff) lockstepPairs.delete(key);
+  }
+
+  function activeReasons(reasons) {
+    return reasons.has('dismissed') ? [] : [...reasons.keys()];
+  }
+
+  // ---- clusters ----
+  function fundingHubs(active) {
+    const degree = new Map();
+    for (const [key, reasons] of active) {
+      if (!reasons.includes('funding')) continue;
+      for (const address of key.split('|')) degree.set(address, (degree.get(address) || 0) + 1);
+    }
+    const hubs = new Set([...degree].filter(([, count]) => count > maxFundingLinks).map(([address]) => address));
+    for (const [address, label] of labels) if (label.tags.includes('exchange')) hubs.add(address);
+    return hubs;
+  }
+
+  function buildClusters() {
+    const active = [...links].map(([key, reasons]) => [key, activeReasons(reasons)]).filter(([, reasons]) => reasons.length > 0);
+    const hubs = fundingHubs(active);
+    const parent = new Map();
+    const find = a => {
+      while (parent.get(a) !== a) {
+        parent.set(a, parent.get(parent.get(a)));
+        a = parent.get(a);
+      }
+      return a;
+    };
+    for (const [key, reasons] of active) {
+      const [a, b] = key.split('|');
+      // Funding alone is no evidence when one side is a hub
+      if (reasons.every(reason => reason === 'funding') && (hubs.has(a) || hubs.has(b))) continue;
+      if (!parent.has(a)) parent.set(a, a);
+      if (!parent.has(b)) parent.set(b, b);
+      parent.set(find(a), find(b));
+    }
+
+    const groups = new Map();
+    for (const address of parent.keys()) {
+      const root = find(address);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(address);
+    }
+    const result = new Map();
+    for (const members of groups.values()) {
+      members.sort();
+      const cluster = { id: 'cl-' + members[0].slice(2, 10), members };
+      for (const address of members) result.set(address, cluster);
+    }
+    return result;
+  }
+
+  function clusterOf(address) {
+    if (!clusters) clusters = buildClusters();
+    return clusters.get(String(address || '').toLowerCase()) || null;
+  }
+
+  // The entity of a cluster: the best-ranked labelled member
+  function clusterLabel(cluster) {
+    const labelled = cluster.members.map(a => labels.get(a)).filter(l => l && (l.entity || l.label));
+    labelled.sort((x, y) => SOURCE_RANK[y.source] - SOURCE_RANK[x.source]);
+    return labelled[0] || null;
+  }
+
+  // What the dashboard and alerts show for an address, or null
+  // { label, entity, tags, source, cluster: { id, size } | null, linkedTo? }
+  function lookup(address) {
+    const addr = String(address || '').toLowerCase();
+    const own = labels.get(addr);
+    const cluster = clusterOf(addr);
+    const clusterInfo = cluster ? { id: cluster.id, size: cluster.members.length } : null;
+    if (own) return { label: own.label, entity: own.entity, tags: own.tags, source: own.source, cluster: clusterInfo };
+    if (!cluster) return null;
+    const known = clusterLabel(cluster);
+    return {
+      label: null,
+      entity: known ? known.entity || known.label : null,
+      tags: [],
+      source: 'cluster',
+      cluster: clusterInfo,
+      linkedTo: known ? known.address : null
+    };
+  }
+
+  // Full picture of one address: its label, cluster members and the evidence for each link
+  function describe(address) {
+    const addr = normalizeAddress(address);
+    const cluster = clusterOf(addr);
+    const linksOf = [...links]
+      .filter(([key]) => key.split('|').includes(addr))
+      .map(([key, reasons]) => ({
+        address: key.split('|').find(a => a !== addr),
+        dismissed: reasons.has('dismissed'),
+        reasons: Object.fromEntries([...reasons].filter(([reason]) => reason !== 'dismissed'))
+      }));
+    return {
+      address: addr,
+      ...(lookup(addr) || { label: null, entity: null, tags: [], source: null, cluster: null }),
+      links: linksOf,
+      members: cluster ? cluster.members.map(member => ({ address: member, ...(labels.get(member) ? { label: labels.get(member).label, entity: labels.get(member).entity } : {}) })) : []
+    };
+  }
+
+  // Entities with their labelled wallets and the unlabelled wallets linked to them
+  function entities() {
+    const byEntity = new Map();
+    const add = (entity, address, via) => {
+      if (!byEntity.has(entity)) byEntity.set(entity, { entity, addresses: [] });
+      const group = byEntity.get(entity);
+      if (!group.addresses.some(a => a.address === address)) group.addresses.push({ address, via });
+    };
+    for (const label of labels.values()) {
+      const entity = label.entity || label.label;
+      add(entity, label.address, label.source);
+      for (const member of clusterOf(label.address)?.members || []) {
+        if (!labels.has(member) && clusterLabel(clusterOf(member))?.address === label.address) add(entity, member, 'cluster');
+      }
+    }
+    return [...byEntity.values()].sort((a, b) => b.addresses.length - a.addresses.length);
+  }
+
+  return {
+    attachDb,
+    setLabel,
+    removeLabel,
+    importLabels,
+    addLink,
+    dismissLink,
+    recordTransfer,
+    observeTrade,
+    prune,
+    lookup,
+    describe,
+    entities,
+    list: () => [...labels.values()],
+    getStats: () => ({ labels: labels.size, links: [...links.values()].filter(r => activeReasons(r).length > 0).length, lockstepCandidates: lockstepPairs.size })
+  };
+}
+
+const parseCsv = text => csv.parseCsv(text, CSV_COLUMNS);
+const toCsv = list => csv.toCsv(CSV_COLUMNS, list.map(l => ({ ...l, tags: l.tags.join(';') })));
+
+module.exports = { createAddressLabels, parseCsv, toCsv, LINK_REASONS };
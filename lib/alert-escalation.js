@@ -0,0 +1,117 @@
+// ============================================
+// ALERT ESCALATION - follow a danger alert down to liquidation or escape
+// ============================================
+// One state per position (user-coin). Distance tiers (e.g. 10, 5, 2, 1 %) are crossed
+// from the outside in; each newly crossed tier is an escalation. The first alert opens
+// a thread (message id per channel) and follow-ups reply to it, ending with a
+// LIQUIDATED or ESCAPED resolution.
+//
+// Hysteresis: a crossed tier only re-arms once distance recovers `hysteresis` percentage
+// points above it, and the position only counts as escaped once it is that far outside
+// the outermost tier - so a price hovering around 5% does not alert on every scan.
+
+const STALE_AFTER = 24 * 60 * 60 * 1000; // positions we stopped seeing (address no longer scanned)
+
+function createEscalation({ tiers = [10, 5, 2, 1], hysteresis = 1 } = {}) {
+  tiers = [...tiers].sort((a, b) => b - a); // outermost first
+  const states = new Map();
+
+  // Index of the deepest tier `distance` is inside, -1 when outside all of them
+  function tierIndex(distance) {
+    let idx = -1;
+    tiers.forEach((t, i) => { if (distance <= t) idx = i; });
+    return idx;
+  }
+
+  // Returns { kind: 'escalated', tier, previousTier, state } | { kind: 'escaped', state } | null.
+  // silent: record the tier without reporting it (startup baseline)
+  function observe(key, distancePercent, { silent = false } = {}) {
+    if (!Number.isFinite(distancePercent)) return null;
+    let state = states.get(key);
+    const idx = tierIndex(distancePercent);
+
+    if (!state) {
+      if (idx < 0) return null;
+      state = {
+        id: key + '-' + Date.now().toString(36),
+        key,
+        tier: -1,
+        thread: null,          // { channelName: messageId } once the first alert went out
+        openedAt: Date.now(),
+        firstDistance: distancePercent,
+        closestDistance: distancePercent,
+        lastDistance: distancePercent,
+        lastSeen: Date.now(),
+        escapeReason: null     // set by lifecycle events (margin added, reduced) for the ESCAPED message
+      };
+      states.set(key, state);
+    }
+
+    state.lastDistance = distancePercent;
+    state.lastSeen = Date.now();
+    state.closestDistance = Math.min(state.closestDistance, distancePercent);
+
+    if (idx > state.tier) {
+      const previousTier = state.tier >= 0 ? tiers[state.tier] : null;
+      state.tier = idx;
+      return silent ? null : { kind: 'escalated', tier: tiers[idx], previousTier, state };
+    }
+
+    // Re-arm crossed tiers only after a clear recovery
+    while (state.tier >= 0 && distancePercent > tiers[state.tier] + hysteresis) state.tier--;
+    if (state.tier < 0) {
+      states.delete(key);
+      return silent || !state.thread ? null : { kind: 'escaped', state };
+    }
+    return null;
+  }
+
+  // Position is gone (closed, liquidated, flipped): the state ends here
+  function resolve(key) {
+    const state = states.get(key);
+    if (!state) return null;
+    states.delete(key);
+    return state;
+  }
+
+  function noteEscapeReason(key, reason) {
+    const state = states.get(key);
+    if (state) state.escapeReason = reason;
+  }
+
+  // queued: notifier.notify() results. A channel joins the thread as soon as its message is
+  // queued and gets the message id once delivered; if its first message is dead-lettered it leaves again.
+  function setThread(key, queued) {
+    const state = states.get(key);
+    if (!state || queued.length === 0) return;
+    const thread = state.thread = state.thread || {};
+    for (const q of queued) {
+      const joined = !(q.channel in thread);
+      if (joined) thread[q.channel] = null;
+      q.delivered.then(n => {
+        // Chain follow-ups: the next message replies to the latest one per channel
+        if (n) thread[q.channel] = n.messageId;
+        else if (joined && thread[q.channel] === null) delete thread[q.channel];
+      });
+    }
+  }
+
+  function prune() {
+    const cutoff = Date.now() - STALE_AFTER;
+    for (const [key, state] of states) if (state.lastSeen < cutoff) states.delete(key);
+  }
+
+  return {
+    tiers,
+    observe,
+    resolve,
+    noteEscapeReason,
+    setThread,
+    prune,
+    has: key => states.has(key),
+    get: key => states.get(key) || null,
+    list: () => [...states.values()]
+  };
+}
+
+module.exports = { createEscalation };
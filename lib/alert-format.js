@@ -0,0 +1,530 @@
+// ============================================
+// ALERT FORMATTING
+// ============================================
+// Turns alert data into channel-neutral messages for lib/notifier.js:
+//   { title, text, short, url, color, record }
+// text   - long form, Telegram-flavoured Markdown (*bold*, _italic_, `code`, [link](url));
+//          Discord and Slack adapters convert it
+// short  - plain text that fits in a tweet
+// record - fields stored with the sent notification (coin, direction, size, distance, address, user;
+//          optionally a more specific type)
+
+const TOP_COINS = ['BTC', 'ETH', 'SOL', 'BNB', 'XRP', 'DOGE', 'ADA', 'AVAX', 'DOT', 'MATIC', 'LINK', 'NEAR'];
+function isShitcoin(coin) { return !TOP_COINS.includes(coin.toUpperCase()); }
+
+const COLORS = { red: 0xef4444, yellow: 0xf59e0b, green: 0x10b981, blue: 0x3b82f6 };
+
+function formatPriceCompact(price) {
+  if (!price) return '?';
+  if (price >= 10000) return price.toFixed(0);
+  if (price >= 100) return price.toFixed(1);
+  if (price >= 1) return price.toFixed(2);
+  if (price >= 0.01) return price.toFixed(4);
+  return price.toFixed(6);
+}
+
+function formatWalletAge(days) {
+  if (days === null || days === undefined) return 'Unknown';
+  if (days === 0) return 'Brand New (<1 day)';
+  if (days < 7) return days + ' days old';
+  if (days < 30) return Math.floor(days / 7) + ' weeks old';
+  if (days < 365) return Math.floor(days / 30) + ' months old';
+  return (days / 365).toFixed(1) + ' years old';
+}
+
+function formatUSDCompact(value) {
+  const abs = Math.abs(value);
+  return abs >= 1000000 ? '$' + (abs / 1000000).toFixed(2) + 'M' : '$' + (abs / 1000).toFixed(0) + 'K';
+}
+
+function formatHours(hours) {
+  return hours >= 48 ? (hours / 24).toFixed(1) + 'd' : hours.toFixed(1) + 'h';
+}
+
+function formatPnl(value, decimals) {
+  const abs = Math.abs(value);
+  return abs >= 1000000 ? '$' + (abs / 1000000).toFixed(decimals) + 'M' : '$' + (abs / 1000).toFixed(0) + 'K';
+}
+
+function getHypurrscanUrl(address) {
+  return 'https://hypurrscan.io/address/' + address;
+}
+
+function shortAddress(address) {
+  return address.slice(0, 6) + '...' + address.slice(-4);
+}
+
+// User-supplied text (labels, entities) in legacy Markdown: Telegram rejects the whole message
+// with a 400 on an unbalanced marker, and escapes only work outside entities
+function escapeMarkdown(text) {
+  return String(text).replace(/([_*`\[])/g, '\\$1');
+}
+
+// Address label from lib/address-labels.js (data.label): "HLP Vault (HLP)", "Fund X (linked)"
+function labelName(info) {
+  if (!info) return null;
+  const name = info.label && info.entity && info.label !== info.entity ? info.label + ' (' + info.entity + ')' : info.label || info.entity;
+  if (!name) return null;
+  return info.source === 'cluster' ? name + ' (linked)' : name;
+}
+
+function labelLine(info) {
+  const name = labelName(info);
+  return name ? '🏷️ ' + escapeMarkdown(name) : null;
+}
+
+// Smart money score from the trader profile (see lib/trader-profile.js), when known
+function scoreLine(item) {
+  if (item.smartScore === null || item.smartScore === undefined) return null;
+  return '🧠 Smart Money Score: *' + item.smartScore + '/100* (' + String(item.traderTier || '').replace('_', ' ') + ')';
+}
+
+// Anomaly score with its strongest reasons (see lib/anomaly-score.js); only worth a line above NORMAL
+function anomalyLine(item) {
+  const anomaly = item.anomaly;
+  if (!anomaly || anomaly.level === 'NORMAL') return null;
+  return '🕵️ Anomaly: *' + anomaly.score + '/100* · ' + anomaly.signals.slice(0, 2).map(s => s.detail).join(' · ');
+}
+
+// Only worth a line when funding drags the liq price toward mark; receiving funding pushes it away
+function describeFundingDrift(position) {
+  const f = position.funding;
+  if (!f || f.distance24hPercent === null || f.distance24hPercent >= parseFloat(position.distancePercent)) return null;
+  const paid = f.accountHourlyCost ?? f.hourlyCost; // cross: the whole account's funding drains shared margin
+  const cost = paid >= 1000 ? formatUSDCompact(paid) : '$' + paid.toFixed(0);
+  let line = '💸 Funding: pays `' + cost + '/h`, liq → `$' + formatPriceCompact(f.liqPrice24h) + '` in 24h';
+  if (f.hoursToLiquidation !== null) line += ' (liq in ' + formatHours(f.hoursToLiquidation) + ' with no price move)';
+  return line;
+}
+
+function positionRecord(position) {
+  return {
+    coin: position.coin,
+    direction: position.direction,
+    size: position.positionUSD,
+    distance: position.distancePercent,
+    address: position.userShort || shortAddress(position.user),
+    user: position.user
+  };
+}
+
+// Position close to liquidation
+function formatDanger(position) {
+  const isLong = position.direction === 'LONG';
+  const isCritical = position.dangerLevel === 'CRITICAL';
+  const ageDays = position.walletAgeDays;
+  const isBrandNew = ageDays !== null && ageDays === 0;
+  const isNewWallet = ageDays !== null && ageDays < 7;
+  const isShitcoinBet = isShitcoin(position.coin) && position.positionUSD >= 2000000;
+  const isPotentialVaultAttack = isShitcoin(position.coin) && position.positionUSD >= 10000000;
+  const url = position.hypurrscanUrl || getHypurrscanUrl(position.user);
+  const dirIcon = isLong ? '🟢' : '🔴';
+  const dangerIcon = isCritical ? '💀' : '⚠️';
+
+  const lines = [];
+  if (isPotentialVaultAttack) {
+    lines.push('🚨🚨🚨 *HYPERVAULT ATTACK ALERT* 🚨🚨🚨');
+    lines.push('');
+  } else if (isShitcoinBet) {
+    lines.push('🎰 *DEGEN WHALE SPOTTED* 🎰');
+    lines.push('');
+  } else if (isBrandNew) {
+    lines.push('👶🔥 *FRESH WALLET ALERT* 🔥👶');
+    lines.push('⚠️ _Possible insider or exploit activity_');
+    lines.push('');
+  }
+
+  lines.push(dangerIcon + ' *' + position.coin + ' ' + position.direction + '* ' + dangerIcon);
+  lines.push('━━━━━━━━━━━━━━━━');
+  if (labelLine(position.label)) lines.push(labelLine(position.label));
+  if (scoreLine(position)) lines.push(scoreLine(position));
+
+  if (position.allTimePnl !== null && position.allTimePnl !== undefined) {
+    const pnlStr = formatPnl(position.allTimePnl, 2);
+    if (position.isProfitableWhale) {
+      lines.push('👑 *HISTORICALLY WINNER WHALE*');
+      lines.push('📈 All-Time: *+' + pnlStr + '*');
+    } else {
+      lines.push('🎲 *HISTORICALLY LOSER WHALE*');
+      lines.push('📉 All-Time: *-' + pnlStr + '*');
+    }
+    lines.push('');
+  }
+
+  lines.push('💎 Size: *$' + (position.positionUSD / 1000000).toFixed(2) + 'M*');
+  lines.push('⚡ Leverage: *' + position.leverage + 'x*');
+  lines.push('🎯 Distance to Liq: *' + position.distancePercent + '%*');
+  lines.push('');
+
+  lines.push('📊 Entry: `$' + formatPriceCompact(position.entryPrice) + '`');
+  lines.push('💀 Liquidation: `$' + formatPriceCompact(position.liqPrice) + '`');
+  const fundingLine = describeFundingDrift(position);
+  if (fundingLine) lines.push(fundingLine);
+  lines.push('');
+
+  if (isBrandNew) {
+    lines.push('🆕 Wallet Age: *BRAND NEW* (<1 day)');
+  } else if (isNewWallet) {
+    lines.push('👶 Wallet Age: *' + ageDays + ' days*');
+  } else if (ageDays !== null && ageDays !== undefined) {
+    lines.push('🕐 Wallet Age: ' + formatWalletAge(ageDays));
+  }
+
+  lines.push('');
+  lines.push('🔗 [View Position on Hypurrscan](' + url + ')');
+  lines.push('');
+  lines.push('#Hyperliquid #' + position.coin + ' #WhaleAlert');
+
+  // Tweet
+  const tweet = [];
+  if (isPotentialVaultAttack) tweet.push('🚨 VAULT ATTACK ALERT 🚨');
+  else if (isShitcoinBet) tweet.push('🎰 DEGEN WHALE 🎰');
+  else if (isBrandNew) tweet.push('👶🔥 FRESH WALLET');
+
+  tweet.push(dangerIcon + ' ' + position.coin + ' ' + position.direction);
+  if (labelName(position.label)) tweet.push('🏷️ ' + labelName(position.label));
+  tweet.push('');
+  if (position.allTimePnl !== null && position.allTimePnl !== undefined) {
+    const pnlStr = formatPnl(position.allTimePnl, 1);
+    tweet.push(position.isProfitableWhale ? '👑 Winner Whale (+' + pnlStr + ')' : '🎲 Loser Whale (-' + pnlStr + ')');
+  }
+  tweet.push(dirIcon + ' $' + (position.positionUSD / 1000000).toFixed(1) + 'M @ ' + position.leverage + 'x');
+  tweet.push('📊 Entry: $' + formatPriceCompact(position.entryPrice));
+  tweet.push('💀 Liq: $' + formatPriceCompact(position.liqPrice));
+  tweet.push('🎯 ' + position.distancePercent + '% away');
+  if (position.funding?.hoursToLiquidation && position.funding.hoursToLiquidation <= 7 * 24) {
+    tweet.push('⏳ Funding alone liqs in ' + formatHours(position.funding.hoursToLiquidation));
+  }
+  tweet.push('');
+  tweet.push(url);
+  tweet.push('');
+  tweet.push('#Hyperliquid #' + position.coin);
+
+  return {
+    title: position.coin + ' ' + position.direction + ' ' + position.distancePercent + '% from liquidation',
+    text: lines.join('\n'),
+    short: tweet.join('\n').slice(0, 280),
+    url,
+    color: isCritical ? COLORS.red : COLORS.yellow,
+    record: positionRecord(position)
+  };
+}
+
+// Whale opened a new position
+function formatNewPosition(position) {
+  const isLong = position.direction === 'LONG';
+  const ageDays = position.walletAgeDays;
+  const isBrandNew = ageDays !== null && ageDays === 0;
+  const isShitcoinBet = isShitcoin(position.coin) && position.positionUSD >= 1000000;
+  const url = position.hypurrscanUrl || getHypurrscanUrl(position.user);
+  const dirIcon = isLong ? '🟢' : '🔴';
+
+  const lines = [];
+  lines.push('🆕 *NEW WHALE POSITION OPENED* 🐋');
+  if (isBrandNew) lines.push('👶 _Brand New Wallet!_');
+  if (isShitcoinBet) lines.push('🎰 _Degen Shitcoin Bet!_');
+  lines.push('');
+
+  lines.push(dirIcon + ' *' + position.coin + ' ' + position.direction + '* ' + dirIcon);
+  lines.push('━━━━━━━━━━━━━━━━');
+  if (labelLine(position.label)) lines.push(labelLine(position.label));
+  if (scoreLine(position)) lines.push(scoreLine(position));
+
+  if (position.allTimePnl !== null && position.allTimePnl !== undefined) {
+    const pnlStr = formatPnl(position.allTimePnl, 2);
+    lines.push(position.isProfitableWhale ? '👑 Winner Whale · +' + pnlStr : '🎲 Loser Whale · -' + pnlStr);
+    lines.push('');
+  }
+
+  lines.push('💎 Size: *$' + (position.positionUSD / 1000000).toFixed(2) + 'M*');
+  lines.push('⚡ Leverage: *' + position.leverage + 'x*');
+  lines.push('📊 Entry: `$' + formatPriceCompact(position.entryPrice) + '`');
+  lines.push('🎯 Distance to Liq: *' + position.distancePercent + '%*');
+  if (position.dangerLevel === 'CRITICAL') {
+    lines.push('⚠️ _Already at CRITICAL distance!_');
+  } else if (position.dangerLevel === 'WARNING') {
+    lines.push('⚠️ _Already at WARNING distance!_');
+  }
+  lines.push('');
+
+  if (isBrandNew) {
+    lines.push('🆕 Wallet: *BRAND NEW* (<1 day)');
+  } else if (ageDays !== null && ageDays !== undefined) {
+    lines.push('🕐 Wallet: ' + formatWalletAge(ageDays));
+  }
+
+  if (anomalyLine(position)) lines.push(anomalyLine(position));
+
+  lines.push('');
+  lines.push('🔗 [View on Hypurrscan](' + url + ')');
+  lines.push('');
+  lines.push('#NewPosition #Hyperliquid #' + position.coin);
+
+  const tweet = [];
+  tweet.push('🆕 NEW WHALE POSITION');
+  if (isBrandNew) tweet.push('👶 Brand New Wallet!');
+  if (isShitcoinBet) tweet.push('🎰 Degen Shitcoin!');
+  tweet.push('');
+  tweet.push(dirIcon + ' ' + position.coin + ' ' + position.direction);
+  if (labelName(position.label)) tweet.push('🏷️ ' + labelName(position.label));
+  if (position.allTimePnl !== null && position.allTimePnl !== undefined) {
+    const pnlStr = formatPnl(position.allTimePnl, 1);
+    tweet.push(position.isProfitableWhale ? '👑 Winner (+' + pnlStr + ')' : '🎲 Loser (-' + pnlStr + ')');
+  }
+  tweet.push('');
+  tweet.push(dirIcon + ' $' + (position.positionUSD / 1000000).toFixed(1) + 'M @ ' + position.leverage + 'x');
+  tweet.push('📊 Entry: $' + formatPriceCompact(position.entryPrice));
+  tweet.push('🎯 ' + position.distancePercent + '% to liq');
+  tweet.push('');
+  tweet.push(url);
+  tweet.push('');
+  tweet.push('#NewPosition #Hyperliquid #' + position.coin);
+
+  return {
+    title: 'New ' + position.coin + ' ' + position.direction + ' ' + formatUSDCompact(position.positionUSD),
+    text: lines.join('\n'),
+    short: tweet.join('\n').slice(0, 280),
+    url,
+    color: COLORS.blue,
+    record: positionRecord(position)
+  };
+}
+
+// New position that scored as insider-like: the reasons are the message
+function formatAnomaly(position) {
+  const anomaly = position.anomaly;
+  const url = position.hypurrscanUrl || getHypurrscanUrl(position.user);
+  const dirIcon = position.direction === 'LONG' ? '🟢' : '🔴';
+  const raised = anomaly.signals.some(s => s.id === 'ahead_of_move');
+
+  const lines = [];
+  lines.push('🕵️ *SUSPICIOUS POSITION* · ' + position.coin + ' ' + position.direction);
+  lines.push('━━━━━━━━━━━━━━━━');
+  if (labelLine(position.label)) lines.push(labelLine(position.label));
+  lines.push('Anomaly score: *' + anomaly.score + '/100* (' + anomaly.level + ')' + (raised ? ' _- raised after the move_' : ''));
+  anomaly.signals.forEach(s => lines.push('• ' + s.detail + ' `+' + s.points + '`'));
+  lines.push('');
+  lines.push(dirIcon + ' Size: *' + formatUSDCompact(position.positionUSD) + '* @ ' + position.leverage + 'x');
+  lines.push('📊 Entry: `$' + formatPriceCompact(position.entryPrice) + '` · Liq: `$' + formatPriceCompact(position.liqPrice) + '`');
+  if (scoreLine(position)) lines.push(scoreLine(position));
+  lines.push('');
+  lines.push('🔗 [View on Hypurrscan](' + url + ')');
+  lines.push('');
+  lines.push('#Hyperliquid #InsiderAlert #' + position.coin);
+
+  const tweet = [];
+  tweet.push('🕵️ SUSPICIOUS ' + position.coin + ' ' + position.direction + ' · ' + anomaly.score + '/100');
+  tweet.push('');
+  anomaly.signals.slice(0, 3).forEach(s => tweet.push('• ' + s.detail));
+  tweet.push('');
+  tweet.push(dirIcon + ' ' + formatUSDCompact(position.positionUSD) + ' @ ' + position.leverage + 'x');
+  tweet.push(url);
+
+  return {
+    title: 'Suspicious ' + position.coin + ' ' + position.direction + ' ' + formatUSDCompact(position.positionUSD) + ' (anomaly ' + anomaly.score + ')',
+    text: lines.join('\n'),
+    short: tweet.join('\n').slice(0, 280),
+    url,
+    color: anomaly.level === 'HIGH' ? COLORS.red : COLORS.yellow,
+    record: positionRecord(position)
+  };
+}
+
+// Lifecycle alerts - "whale ADDED $3M to their ETH short, liq moved from $4,120 to $4,310"
+function describeLifecycleEvent(event) {
+  const whale = labelName(event.label) || 'whale';
+  const side = event.coin + ' ' + event.direction.toLowerCase();
+  const liqMove = event.previousLiqPrice && event.liqPrice
+    ? 'liq moved from $' + formatPriceCompact(event.previousLiqPrice) + ' to $' + formatPriceCompact(event.liqPrice)
+    : null;
+
+  switch (event.type) {
+    case 'OPENED':
+      return { icon: '🆕', text: whale + ' OPENED a ' + formatUSDCompact(event.notional) + ' ' + side, detail: event.liqPrice ? 'liq price $' + formatPriceCompact(event.liqPrice) : null };
+    case 'INCREASED':
+      return { icon: '📈', text: whale + ' ADDED ' + formatUSDCompact(event.notionalDelta) + ' to their ' + side, detail: liqMove };
+    case 'REDUCED':
+      return { icon: '📉', text: whale + ' CUT ' + formatUSDCompact(event.notionalDelta) + ' from their ' + side, detail: liqMove };
+    case 'FLIPPED':
+      return { icon: '🔄', text: whale + ' FLIPPED ' + event.coin + ' from ' + event.previousDirection + ' to ' + event.direction + ' (' + formatUSDCompact(event.notional) + ')', detail: null };
+    case 'CLOSED':
+      return { icon: '✅', text: whale + ' CLOSED their ' + formatUSDCompact(event.previousSize * event.markPrice) + ' ' + side, detail: null };
+    case 'LIQUIDATED':
+      return { icon: '💀', text: whale + ' LIQUIDATED: ' + formatUSDCompact(event.previousSize * event.markPrice) + ' ' + side, detail: 'liq price was $' + formatPriceCompact(event.previousLiqPrice) };
+    case 'MARGIN_ADDED':
+      return { icon: '🛡️', text: whale + ' ADDED MARGIN to their ' + formatUSDCompact(event.notional) + ' ' + side, detail: liqMove };
+    default:
+      return null;
+  }
+}
+
+// Size that matters: the change for INCREASED/REDUCED, the whole position otherwise
+function lifecycleRelevantUSD(event) {
+  return (event.type === 'INCREASED' || event.type === 'REDUCED')
+    ? Math.abs(event.notionalDelta)
+    : Math.abs(event.notional || event.previousSize * event.markPrice);
+}
+
+function formatLifecycle(event) {
+  const description = describeLifecycleEvent(event);
+  if (!description) return null;
+  const url = getHypurrscanUrl(event.address);
+  const sentence = description.text.charAt(0).toUpperCase() + description.text.slice(1);
+
+  const lines = [];
+  lines.push(description.icon + ' *' + event.type.replace('_', ' ') + '* · ' + event.coin);
+  lines.push('━━━━━━━━━━━━━━━━');
+  lines.push(escapeMarkdown(sentence));
+  if (description.detail) lines.push(description.detail);
+  lines.push('');
+  lines.push('🔗 [View on Hypurrscan](' + url + ')');
+  lines.push('');
+  lines.push('#Hyperliquid #' + event.coin + ' #' + event.type.replace('_', ''));
+
+  return {
+    title: event.type.replace('_', ' ') + ' · ' + event.coin,
+    text: lines.join('\n'),
+    short: (description.icon + ' ' + sentence + (description.detail ? '\n' + description.detail : '') + '\n\n' + url).slice(0, 280),
+    url,
+    color: event.type === 'LIQUIDATED' ? COLORS.red : event.type === 'MARGIN_ADDED' || event.type === 'CLOSED' ? COLORS.green : COLORS.yellow,
+    record: {
+      type: 'lifecycle_' + event.type.toLowerCase(),
+      coin: event.coin,
+      direction: event.direction,
+      size: lifecycleRelevantUSD(event),
+      distance: null,
+      address: shortAddress(event.address),
+      user: event.address
+    }
+  };
+}
+
+// Liquidation detected on the trade stream / fills (see LIQUIDATIONS in server.js)
+function formatLiquidation(liq) {
+  const url = liq.liquidatedUser ? getHypurrscanUrl(liq.liquidatedUser) : null;
+  const confirmed = liq.confidence === 'CONFIRMED';
+  const sentence = formatUSDCompact(liq.value) + ' ' + liq.coin + ' ' + liq.side.toLowerCase() + ' liquidated @ $' + formatPriceCompact(liq.price);
+
+  const lines = [];
+  lines.push('💀 *LIQUIDATION* · ' + liq.coin + (confirmed ? '' : ' _(probable)_'));
+  lines.push('━━━━━━━━━━━━━━━━');
+  lines.push(sentence);
+  if (labelLine(liq.label)) lines.push(labelLine(liq.label));
+  if (liq.predicted?.liqPrice) {
+    lines.push('🎯 Tracked liq price: `$' + formatPriceCompact(liq.predicted.liqPrice) + '` (' + liq.predicted.distancePercent + '% away when last seen)');
+  }
+  if (liq.liquidatedUser) {
+    lines.push('');
+    lines.push('🔗 [View on Hypurrscan](' + url + ')');
+  }
+  lines.push('');
+  lines.push('#Hyperliquid #' + liq.coin + ' #Liquidation');
+
+  return {
+    title: 'Liquidation · ' + liq.coin + ' ' + liq.side + ' ' + formatUSDCompact(liq.value),
+    text: lines.join('\n'),
+    short: ('💀 ' + sentence + (confirmed ? '' : ' (probable)') + (url ? '\n\n' + url : '') + '\n\n#Hyperliquid #' + liq.coin).slice(0, 280),
+    url,
+    color: COLORS.red,
+    record: {
+      coin: liq.coin,
+      direction: liq.side,
+      size: liq.value,
+      distance: null,
+      address: liq.liquidatedUser ? shortAddress(liq.liquidatedUser) : null,
+      user: liq.liquidatedUser || null
+    }
+  };
+}
+
+// Follow-up in a danger alert thread: the position crossed a deeper distance tier.
+// data: the processed position plus { tier, previousTier, firstDistance }
+function formatEscalation(data) {
+  const url = data.hypurrscanUrl || getHypurrscanUrl(data.user);
+  const icon = data.tier <= 2 ? '💀' : '⚠️';
+
+  const lines = [];
+  lines.push(icon + ' *' + data.coin + ' ' + data.direction + '* now *' + data.distancePercent + '%* from liquidation');
+  lines.push('━━━━━━━━━━━━━━━━');
+  if (labelLine(data.label)) lines.push(labelLine(data.label));
+  lines.push('Crossed the ' + data.tier + '% line' + (data.firstDistance ? ' (was ' + data.firstDistance.toFixed(2) + '% at first alert)' : ''));
+  lines.push('💎 Size: *$' + (data.positionUSD / 1000000).toFixed(2) + 'M* · ⚡ ' + data.leverage + 'x');
+  lines.push('📊 Mark: `$' + formatPriceCompact(data.markPrice) + '` · 💀 Liq: `$' + formatPriceCompact(data.liqPrice) + '`');
+  lines.push('');
+  lines.push('🔗 [View Position on Hypurrscan](' + url + ')');
+
+  return {
+    title: data.coin + ' ' + data.direction + ' crossed ' + data.tier + '% (' + data.distancePercent + '% from liquidation)',
+    text: lines.join('\n'),
+    short: (icon + ' ' + data.coin + ' ' + data.direction + ' $' + (data.positionUSD / 1000000).toFixed(1) + 'M now ' + data.distancePercent + '% from liq\n💀 Liq: $' + formatPriceCompact(data.liqPrice) + '\n\n#Hyperliquid #' + data.coin).slice(0, 280),
+    url,
+    color: data.tier <= 2 ? COLORS.red : COLORS.yellow,
+    record: { ...positionRecord(data), type: 'danger_escalation' }
+  };
+}
+
+// Last message of a danger alert thread.
+// data: { outcome: 'LIQUIDATED' | 'ESCAPED', reason, user, coin, direction, positionUSD, liqPrice, markPrice, closestDistance, openedAt }
+function formatResolution(data) {
+  const url = getHypurrscanUrl(data.user);
+  const liquidated = data.outcome === 'LIQUIDATED';
+  const icon = liquidated ? '💀' : '✅';
+  const hours = (Date.now() - data.openedAt) / (60 * 60 * 1000);
+  const size = data.positionUSD ? ' ' + formatUSDCompact(data.positionUSD) : '';
+  const headline = data.coin + ' ' + data.direction + size + (liquidated ? ' LIQUIDATED' : ' ESCAPED (' + data.reason + ')');
+
+  const lines = [];
+  lines.push(icon + ' *' + data.outcome + '* · ' + data.coin + ' ' + data.direction);
+  lines.push('━━━━━━━━━━━━━━━━');
+  lines.push(headline);
+  if (labelLine(data.label)) lines.push(labelLine(data.label));
+  if (data.closestDistance !== null && data.closestDistance !== undefined) {
+    lines.push('🎯 Closest: ' + data.closestDistance.toFixed(2) + '% from liquidation · tracked ' + formatHours(hours));
+  }
+  if (liquidated && data.liqPrice) lines.push('💀 Liq price: `$' + formatPriceCompact(data.liqPrice) + '`');
+  lines.push('');
+  lines.push('🔗 [View on Hypurrscan](' + url + ')');
+
+  return {
+    title: headline,
+    text: lines.join('\n'),
+    short: (icon + ' ' + headline + '\n\n#Hyperliquid #' + data.coin).slice(0, 280),
+    url,
+    color: liquidated ? COLORS.red : COLORS.green,
+    record: {
+      type: 'danger_' + data.outcome.toLowerCase(),
+      coin: data.coin,
+      direction: data.direction,
+      size: data.positionUSD || null,
+      distance: data.closestDistance ?? null,
+      address: shortAddress(data.user),
+      user: data.user
+    }
+  };
+}
+
+// Keyed by notification type, as passed to notifier.notify(type, data)
+const formatters = {
+  danger: formatDanger,
+  new_position: formatNewPosition,
+  anomaly: formatAnomaly,
+  lifecycle: formatLifecycle,
+  liquidation: formatLiquidation,
+  escalation: formatEscalation,
+  resolution: formatResolution
+};
+
+module.exports = {
+  formatters,
+  isShitcoin,
+  formatPriceCompact,
+  formatWalletAge,
+  formatUSDCompact,
+  formatHours,
+  getHypurrscanUrl,
+  shortAddress,
+  labelName,
+  escapeMarkdown,
+  describeLifecycleEvent,
+  lifecycleRelevantUSD
+};
@@ -0,0 +1,218 @@
+// ============================================
+// ALERT RULES - which events become notifications
+// ============================================
+// A rule = event type + filters + destination channels. Every event the server (or
+// live-bot) produces is turned into a flat set of facts and checked against all
+// enabled rules of that event type; the notification goes to the union of the
+// matching rules' channels. Rules live in the alert_rules table, DEFAULT_RULES
+// reproduce the old hard-coded thresholds when there is no database.
+//
+// Rule: { id, name, event, enabled, channels: [names] | null (= all), cooldownMinutes | null,
+//         filters: { coins, direction, minNotionalUSD, maxDistancePercent, minLeverage, maxLeverage,
+//                    minWalletAgeDays, maxWalletAgeDays, pnlSign, whaleTypes, minSmartScore, maxSmartScore,
+//                    minAnomalyScore, shitcoin, lifecycleTypes } }
+
+const { isShitcoin, lifecycleRelevantUSD } = require('./alert-format');
+
+const EVENT_TYPES = ['danger', 'new_position', 'anomaly', 'liquidation', 'lifecycle'];
+const LIFECYCLE_TYPES = ['INCREASED', 'REDUCED', 'FLIPPED', 'CLOSED', 'LIQUIDATED', 'MARGIN_ADDED'];
+const WHALE_TYPES = ['PROFITABLE', 'LOSING', 'UNKNOWN'];
+
+// filter name -> { kind, fact, test(factValue, filterValue) }
+const FILTERS = {
+  coins:            { kind: 'list',   fact: 'coin',            test: (v, f) => f.includes(v.toUpperCase()) },
+  direction:        { kind: 'enum',   fact: 'direction',       test: (v, f) => v === f, values: ['LONG', 'SHORT'] },
+  minNotionalUSD:   { kind: 'number', fact: 'notionalUSD',     test: (v, f) => v >= f },
+  maxDistancePercent: { kind: 'number', fact: 'distancePercent', test: (v, f) => v <= f },
+  minLeverage:      { kind: 'number', fact: 'leverage',        test: (v, f) => v >= f },
+  maxLeverage:      { kind: 'number', fact: 'leverage',        test: (v, f) => v <= f },
+  minWalletAgeDays: { kind: 'number', fact: 'walletAgeDays',   test: (v, f) => v >= f },
+  maxWalletAgeDays: { kind: 'number', fact: 'walletAgeDays',   test: (v, f) => v <= f },
+  pnlSign:          { kind: 'enum',   fact: 'allTimePnl',      test: (v, f) => (f === 'positive' ? v > 0 : v < 0), values: ['positive', 'negative'] },
+  whaleTypes:       { kind: 'list',   fact: 'whaleType',       test: (v, f) => f.includes(v), values: WHALE_TYPES },
+  minSmartScore:    { kind: 'number', fact: 'smartScore',      test: (v, f) => v >= f },
+  maxSmartScore:    { kind: 'number', fact: 'smartScore',      test: (v, f) => v <= f },
+  minAnomalyScore:  { kind: 'number', fact: 'anomalyScore',    test: (v, f) => v >= f },
+  shitcoin:         { kind: 'boolean', fact: 'isShitcoin',     test: (v, f) => v === f },
+  lifecycleTypes:   { kind: 'list',   fact: 'lifecycleType',   test: (v, f) => f.includes(v), values: LIFECYCLE_TYPES }
+};
+
+// Old behaviour: danger ≤10% and ≥$2M, new positions ≥$500K, lifecycle ≥ LIFECYCLE_ALERT_MIN_USD.
+// Liquidation alerts did not exist, so that rule ships disabled. Anomalies: new positions scoring ≥60.
+function defaultRules({ lifecycleMinUSD = 1000000 } = {}) {
+  return [
+    { id: 'default-danger', name: 'Whale near liquidation', event: 'danger', filters: { maxDistancePercent: 10, minNotionalUSD: 2000000 } },
+    { id: 'default-new-position', name: 'New whale position', event: 'new_position', filters: { minNotionalUSD: 500000 } },
+    { id: 'default-anomaly', name: 'Suspicious new position', event: 'anomaly', filters: { minAnomalyScore: 60 } },
+    { id: 'default-lifecycle', name: 'Whale position change', event: 'lifecycle', filters: { minNotionalUSD: lifecycleMinUSD } },
+    { id: 'default-liquidation', name: 'Whale liquidated', event: 'liquidation', enabled: false, filters: { minNotionalUSD: 1000000 } }
+  ].map(rule => ({ enabled: true, channels: null, cooldownMinutes: null, ...rule }));
+}
+
+function toNumber(value) {
+  const n = typeof value === 'string' ? parseFloat(value) : value;
+  return Number.isFinite(n) ? n : null;
+}
+
+// Flat facts for one event; missing values stay null and only fail filters that need them
+function eventFacts(type, data) {
+  if (type === 'liquidation') {
+    return {
+      coin: data.coin,
+      direction: data.side,
+      notionalUSD: toNumber(data.value),
+      distancePercent: toNumber(data.predicted?.distancePercent),
+      leverage: toNumber(data.predicted?.leverage?.value ?? data.predicted?.leverage),
+      walletAgeDays: toNumber(data.walletAgeDays),
+      allTimePnl: toNumber(data.allTimePnl),
+      whaleType: data.whaleType || null,
+      smartScore: toNumber(data.smartScore),
+      anomalyScore: null,
+      isShitcoin: isShitcoin(data.coin),
+      lifecycleType: null
+    };
+  }
+  if (type === 'lifecycle') {
+    const distance = data.liqPrice && data.markPrice
+      ? ((data.direction === 'LONG' ? data.markPrice - data.liqPrice : data.liqPrice - data.markPrice) / data.markPrice) * 100
+      : null;
+    return {
+      coin: data.coin,
+      direction: data.direction,
+      notionalUSD: lifecycleRelevantUSD(data),
+      distancePercent: distance,
+      leverage: toNumber(data.leverage),
+      walletAgeDays: toNumber(data.walletAgeDays),
+      allTimePnl: toNumber(data.allTimePnl),
+      whaleType: data.whaleType || null,
+      smartScore: toNumber(data.smartScore),
+      anomalyScore: null,
+      isShitcoin: isShitcoin(data.coin),
+      lifecycleType: data.type
+    };
+  }
+  // danger / new_position / anomaly: a processed position
+  return {
+    coin: data.coin,
+    direction: data.direction,
+    notionalUSD: toNumber(data.positionUSD),
+    distancePercent: toNumber(data.distancePercent),
+    leverage: toNumber(data.leverage?.value ?? data.leverage),
+    walletAgeDays: toNumber(data.walletAgeDays),
+    allTimePnl: toNumber(data.allTimePnl),
+    whaleType: data.whaleType || null,
+    smartScore: toNumber(data.smartScore),
+    anomalyScore: toNumber(data.anomaly?.score),
+    isShitcoin: isShitcoin(data.coin),
+    lifecycleType: null
+  };
+}
+
+// partial: filters whose fact is still unknown pass (live-bot checks before fetching wallet info)
+function matchRule(rule, type, facts, { partial = false } = {}) {
+  if (!rule.enabled || rule.event !== type) return false;
+  for (const [name, value] of Object.entries(rule.filters || {})) {
+    const filter = FILTERS[name];
+    if (!filter || value === null || value === undefined) continue;
+    const fact = facts[filter.fact];
+    if (fact === null || fact === undefined) {
+      if (partial) continue;
+      return false;
+    }
+    if (!filter.test(fact, value)) return false;
+  }
+  return true;
+}
+
+function matchingRules(rules, type, data, options) {
+  const facts = eventFacts(type, data);
+  return rules.filter(rule => matchRule(rule, type, facts, options));
+}
+
+// Where and how often to send when `matches` fired: a rule without channels means every channel
+function routeFor(matches, defaultCooldown) {
+  if (matches.length === 0) return null;
+  const channels = matches.some(r => !r.channels || r.channels.length === 0)
+    ? null
+    : [...new Set(matches.flatMap(r => r.channels))];
+  const cooldowns = matches.map(r => r.cooldownMinutes).filter(m => m !== null && m !== undefined);
+  const cooldown = cooldowns.length > 0 ? Math.min(...cooldowns) * 60 * 1000 : defaultCooldown;
+  return { channels, cooldown, rules: matches.map(r => r.id) };
+}
+
+// Validates API input. Throws with a user-facing message; `existing` is merged for partial updates.
+function normalizeRule(input, existing = null) {
+  const merged = { ...existing, ...input, filters: { ...existing?.filters, ...input?.filters } };
+  const errors = [];
+
+  if (!EVENT_TYPES.includes(merged.event)) errors.push('event must be one of ' + EVENT_TYPES.join(', '));
+  if (!merged.name || typeof merged.name !== 'string') errors.push('name is required');
+
+  const filters = {};
+  for (const [name, raw] of Object.entries(merged.filters)) {
+    const filter = FILTERS[name];
+    if (!filter) { errors.push('unknown filter: ' + name); continue; }
+    if (raw === null || raw === undefined || raw === '' || (Array.isArray(raw) && raw.length === 0)) continue;
+
+    if (filter.kind === 'number') {
+      const n = toNumber(raw);
+      if (n === null) errors.push(name + ' must be a number');
+      else filters[name] = n;
+    } else if (filter.kind === 'boolean') {
+      if (typeof raw !== 'boolean') errors.push(name + ' must be true or false');
+      else filters[name] = raw;
+    } else if (filter.kind === 'enum') {
+      if (!filter.values.includes(raw)) errors.push(name + ' must be one of ' + filter.values.join(', '));
+      else filters[name] = raw;
+    } else {
+      const list = (Array.isArray(raw) ? raw : String(raw).split(',')).map(v => String(v).trim().toUpperCase()).filter(Boolean);
+      const invalid = filter.values ? list.filter(v => !filter.values.includes(v)) : [];
+      if (invalid.length > 0) errors.push(name + ': unknown value(s) ' + invalid.join(', '));
+      else filters[name] = list;
+    }
+  }
+  if (filters.lifecycleTypes && merged.event !== 'lifecycle') errors.push('lifecycleTypes only applies to lifecycle rules');
+
+  const channels = merged.channels === null || merged.channels === undefined ? null
+    : (Array.isArray(merged.channels) ? merged.channels : String(merged.channels).split(',')).map(c => String(c).trim()).filter(Boolean);
+  const cooldownMinutes = merged.cooldownMinutes === null || merged.cooldownMinutes === undefined || merged.cooldownMinutes === ''
+    ? null : toNumber(merged.cooldownMinutes);
+  if (cooldownMinutes !== null && cooldownMinutes < 0) errors.push('cooldownMinutes must be ≥ 0');
+
+  if (errors.length > 0) throw new Error(errors.join('; '));
+
+  return {
+    id: merged.id || 'rule-' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+    name: merged.name.trim(),
+    event: merged.event,
+    enabled: merged.enabled !== false,
+    channels: channels && channels.length > 0 ? channels : null,
+    cooldownMinutes,
+    filters
+  };
+}
+
+function rowToRule(row) {
+  return {
+    id: row.id, name: row.name, event: row.event_type, enabled: row.enabled,
+    channels: row.channels, cooldownMinutes: row.cooldown_minutes, filters: row.filters || {}
+  };
+}
+
+// Null when the table is empty, so callers can fall back to (and seed) the defaults
+async function loadRulesFromDb(db) {
+  const result = await db.query('SELECT * FROM alert_rules ORDER BY created_at ASC');
+  return result.rows.length > 0 ? result.rows.map(rowToRule) : null;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  FILTERS,
+  defaultRules,
+  eventFacts,
+  matchRule,
+  matchingRules,
+  routeFor,
+  normalizeRule,
+  loadRulesFromDb
+};
@@ -0,0 +1,120 @@
+// ============================================
+// ANOMALY SCORE - how insider-like a new position looks
+// ============================================
+// Every new position gets a 0-100 score built from independent signals, each worth a
+// fixed number of points and carrying a human-readable reason, so an alert can say *why*
+// a position looks suspicious. Signals known when the position opens:
+//   wallet_age      fresh wallet
+//   oi_share        size relative to the asset's open interest
+//   volume_share    size relative to the asset's 24h notional volume
+//   leverage        leverage close to the asset's maximum
+//   fresh_funding   USDC arrived shortly before the position was opened
+//   illiquid        thin asset (low 24h volume), worse if it is most of the account's exposure
+//   quiet_market    big bet while price is flat (not chasing a move)
+// and one that can only be seen afterwards (addPriceMove):
+//   ahead_of_move   price moved hard in the position's favour right after it opened
+
+const LEVELS = [
+  { level: 'HIGH', min: 60 },
+  { level: 'ELEVATED', min: 35 },
+  { level: 'NORMAL', min: 0 }
+];
+
+const ILLIQUID_VOLUME_USD = 10000000;
+const MOVE_WINDOW = 4 * 60 * 60 * 1000; // ahead_of_move only counts this soon after opening
+
+function levelFor(score) {
+  return LEVELS.find(l => score >= l.min).level;
+}
+
+function percent(value) {
+  return (value * 100).toFixed(value < 0.1 ? 1 : 0) + '%';
+}
+
+function usd(value) {
+  const abs = Math.abs(value);
+  return abs >= 1000000 ? '$' + (abs / 1000000).toFixed(1) + 'M' : '$' + (abs / 1000).toFixed(0) + 'K';
+}
+
+// First matching tier wins: [[threshold, points], ...] ordered from the strongest
+function tier(value, tiers) {
+  const match = tiers.find(([threshold]) => value >= threshold);
+  return match ? match[1] : 0;
+}
+
+function finish(signals, extra = {}) {
+  const score = Math.min(100, signals.reduce((sum, s) => sum + s.points, 0));
+  return { score, level: levelFor(score), signals: [...signals].sort((a, b) => b.points - a.points), ...extra };
+}
+
+// position: processed position (positionUSD, leverage, direction, markPrice, timestamp).
+// context: { walletAgeDays, openInterestUSD, dayVolumeUSD, maxLeverage, priceChange24h,
+//            funding: { amountUSD, minutesBeforeOpen, inflowUSD } | null, accountValue, accountNotionalUSD }
+// Missing context values just don't produce their signal.
+function scoreAnomaly(position, context = {}) {
+  const signals = [];
+  const add = (id, points, detail) => { if (points > 0) signals.push({ id, points, detail }); };
+  const size = position.positionUSD;
+
+  const age = context.walletAgeDays;
+  if (age !== null && age !== undefined) {
+    add('wallet_age', age === 0 ? 25 : age < 7 ? 15 : age < 30 ? 5 : 0,
+      age === 0 ? 'Brand-new wallet (<1 day)' : 'Wallet only ' + age + ' days old');
+  }
+
+  if (context.openInterestUSD > 0) {
+    const share = size / context.openInterestUSD;
+    add('oi_share', tier(share, [[0.1, 25], [0.05, 18], [0.02, 10], [0.01, 5]]), percent(share) + ' of ' + position.coin + ' open interest');
+  }
+
+  if (context.dayVolumeUSD > 0) {
+    const share = size / context.dayVolumeUSD;
+    add('volume_share', tier(share, [[0.5, 20], [0.2, 12], [0.05, 6]]), percent(share) + ' of 24h volume');
+  }
+
+  const leverage = parseFloat(position.leverage?.value ?? position.leverage) || 0;
+  if (context.maxLeverage > 0 && leverage / context.maxLeverage >= 0.9) {
+    add('leverage', 10, leverage + 'x, the asset maximum is ' + context.maxLeverage + 'x');
+  } else if (leverage >= 20) {
+    add('leverage', 6, leverage + 'x leverage');
+  }
+
+  const funding = context.funding;
+  if (funding && funding.amountUSD > 0) {
+    const minutes = funding.minutesBeforeOpen;
+    add('fresh_funding', minutes <= 60 ? 20 : minutes <= 24 * 60 ? 10 : 0,
+      usd(funding.amountUSD) + ' arrived ' + (minutes < 60 ? Math.max(1, Math.round(minutes)) + 'm' : (minutes / 60).toFixed(1) + 'h') + ' before opening');
+    // Most of the account is money that just came in
+    if (context.accountValue > 0 && funding.inflowUSD >= context.accountValue * 0.8) {
+      add('fresh_funding', 5, percent(Math.min(1, funding.inflowUSD / context.accountValue)) + ' of the account deposited in the last 7 days');
+    }
+  }
+
+  if (context.dayVolumeUSD > 0 && context.dayVolumeUSD < ILLIQUID_VOLUME_USD) {
+    add('illiquid', 10, 'Illiquid asset (' + usd(context.dayVolumeUSD) + ' 24h volume)');
+    if (context.accountNotionalUSD > 0 && size / context.accountNotionalUSD >= 0.75) {
+      add('illiquid', 8, percent(size / context.accountNotionalUSD) + ' of the account\'s exposure in this asset');
+    }
+  }
+
+  const change = context.priceChange24h;
+  if (change !== null && change !== undefined && Math.abs(change) < 0.02 && signals.some(s => s.id === 'oi_share' || s.id === 'volume_share')) {
+    add('quiet_market', 5, 'Opened while price was flat (' + (change >= 0 ? '+' : '') + (change * 100).toFixed(1) + '% 24h)');
+  }
+
+  return finish(signals, { detectedAt: Date.now() });
+}
+
+// Re-scores once price has moved `move` (signed, positive = in the position's favour) since
+// opening. Returns the new anomaly, or null when nothing changed.
+function addPriceMove(anomaly, move, openedAt, now = Date.now()) {
+  if (!anomaly || now - openedAt > MOVE_WINDOW) return null;
+  const points = tier(move, [[0.1, 30], [0.05, 20]]);
+  const current = anomaly.signals.find(s => s.id === 'ahead_of_move');
+  if (points === 0 || (current && current.points >= points)) return null;
+  const hours = Math.max(0.1, (now - openedAt) / 3600000);
+  const signal = { id: 'ahead_of_move', points, detail: 'Price moved ' + percent(move) + ' in its favour within ' + hours.toFixed(1) + 'h' };
+  return finish([...anomaly.signals.filter(s => s.id !== 'ahead_of_move'), signal], { detectedAt: anomaly.detectedAt, updatedAt: now });
+}
+
+module.exports = { scoreAnomaly, addPriceMove, levelFor, LEVELS, MOVE_WINDOW, ILLIQUID_VOLUME_USD };
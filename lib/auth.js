@@ -0,0 +1,324 @@
+// ============================================
+// AUTH - admin sessions, API keys, roles and rate limits
+// ============================================
+// Two roles: `read` (GET endpoints, the live stream) and `admin` (everything that changes
+// state or posts to the public channels). A request is authenticated by
+//   - the dashboard session cookie, set by POST /api/auth/login with ADMIN_PASSWORD(_HASH), or
+//   - an API key (Authorization: Bearer / X-API-Key / ?apiKey= for EventSource).
+// Sessions are stateless signed cookies; API keys are stored as SHA-256 hashes in api_keys
+// and only shown once, at creation. Every caller gets a per-minute token bucket: per key,
+// or per IP for anonymous / session requests.
+//
+// CLI: node lib/auth.js hash <password>           ->  value for ADMIN_PASSWORD_HASH
+//      node lib/auth.js key <name> [read|admin]    ->  stores a key in DATABASE_URL and prints it
+//                                                     (admin by default: the first key without a password)
+
+const crypto = require('crypto');
+
+const ROLES = ['read', 'admin'];
+const SESSION_COOKIE = 'hl_session';
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000;
+const KEY_PREFIX = 'hlk_';
+const LOGIN_ATTEMPTS_PER_MINUTE = 5;
+
+// scrypt$<salt>$<hash>, hex encoded
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return 'scrypt$' + salt.toString('hex') + '$' + crypto.scryptSync(password, salt, 32).toString('hex');
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx > 0) cookies[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+  }
+  return cookies;
+}
+
+// Plaintext is returned once; only the hash is kept
+function newKey({ name, role = 'read', ratePerMinute = null }) {
+  if (!name || !String(name).trim()) throw new Error('name is required');
+  if (!ROLES.includes(role)) throw new Error('role must be one of ' + ROLES.join(', '));
+  const rate = ratePerMinute === null || ratePerMinute === undefined || ratePerMinute === '' ? null : parseInt(ratePerMinute);
+  if (rate !== null && !(rate > 0)) throw new Error('ratePerMinute must be a positive number');
+
+  const id = crypto.randomBytes(6).toString('hex');
+  const plaintext = KEY_PREFIX + id + '_' + crypto.randomBytes(24).toString('base64url');
+  const key = { id, name: String(name).trim(), role, prefix: plaintext.slice(0, KEY_PREFIX.length + id.length + 5), hash: sha256(plaintext), ratePerMinute: rate, createdAt: Date.now(), lastUsedAt: null, revokedAt: null };
+  return { key, plaintext };
+}
+
+const INSERT_KEY = `INSERT INTO api_keys (id, name, role, prefix, key_hash, rate_per_minute, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7)`;
+
+function keyParams(key) {
+  return [key.id, key.name, key.role, key.prefix, key.hash, key.ratePerMinute, key.createdAt];
+}
+
+function rowToKey(row) {
+  return {
+    id: row.id, name: row.name, role: row.role, prefix: row.prefix, hash: row.key_hash,
+    ratePerMinute: row.rate_per_minute, createdAt: parseInt(row.created_at),
+    lastUsedAt: row.last_used_at ? parseInt(row.last_used_at) : null, revokedAt: row.revoked_at ? parseInt(row.revoked_at) : null
+  };
+}
+
+// disabled: every request is admin (local development)
+function createAuth({ adminPassword = null, adminPasswordHash = null, sessionSecret = null, publicRead = true,
+                      readRatePerMinute = 120, adminRatePerMinute = 600, anonymousRatePerMinute = 60, disabled = false, log = console }) {
+  let db = null;
+  const keys = new Map();     // id -> key (with hash)
+  const buckets = new Map();  // caller -> { tokens, updatedAt }
+  const passwordHash = adminPasswordHash || (adminPassword ? hashPassword(adminPassword) : null);
+  // Without a configured secret sessions do not survive a restart
+  const secret = sessionSecret || crypto.randomBytes(32).toString('hex');
+
+  if (disabled) log.log('⚠️ AUTH_DISABLED: every request has admin access');
+  else if (!passwordHash) log.log('⚠️ No ADMIN_PASSWORD set: dashboard login is disabled, admin access only with an admin API key');
+
+  async function persist(query, params) {
+    if (!db) return;
+    try {
+      await db.query(query, params);
+    } catch (err) {
+      log.error('API key persistence error:', err.message);
+    }
+  }
+
+  async function attachDb(client) {
+    db = client;
+    try {
+      const result = await db.query('SELECT * FROM api_keys WHERE revoked_at IS NULL');
+      for (const row of result.rows) keys.set(row.id, rowToKey(row));
+      if (keys.size > 0) log.log('✅ Loaded ' + keys.size + ' API keys');
+    } catch (err) {
+      log.error('API key load error:', err.message);
+    }
+  }
+
+  // ---- sessions ----
+  function sign(payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+  }
+
+  function createSession(role) {
+    const payload = Buffer.from(JSON.stringify({ role, exp: Date.now() + SESSION_TTL })).toString('base64url');
+    return payload + '.' + sign(payload);
+  }
+
+  function readSession(token) {
+    const [payload, signature] = String(token || '').split('.');
+    if (!payload || !signature || !safeEqual(signature, sign(payload))) return null;
+    try {
+      const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+      return session.exp > Date.now() && ROLES.includes(session.role) ? session : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function sessionCookie(req, token, maxAge) {
+    return SESSION_COOKIE + '=' + token + '; Path=/; HttpOnly; SameSite=Strict; Max-Age=' + Math.floor(maxAge / 1000) + (req.secure ? '; Secure' : '');
+  }
+
+  // ---- API keys ----
+  function createKey(options) {
+    const { key, plaintext } = newKey(options);
+    keys.set(key.id, key);
+    persist(INSERT_KEY, keyParams(key));
+    return { key: publicKey(key), plaintext };
+  }
+
+  function revokeKey(id) {
+    const key = keys.get(id);
+    if (!key) return false;
+    keys.delete(id);
+    persist('UPDATE api_keys SET revoked_at = $2 WHERE id = $1', [id, Date.now()]);
+    return true;
+  }
+
+  function findKey(plaintext) {
+    const match = new RegExp('^' + KEY_PREFIX + '([0-9a-f]{12})_').exec(String(plaintext || ''));
+    const key = match && keys.get(match[1]);
+    if (!key || !safeEqual(sha256(plaintext), key.hash)) return null;
+    // last_used_at at most once a minute per key
+    if (!key.lastUsedAt || Date.now() - key.lastUsedAt > 60000) {
+      key.lastUsedAt = Date.now();
+      persist('UPDATE api_keys SET last_used_at = $2 WHERE id = $1', [key.id, key.lastUsedAt]);
+    }
+    return key;
+  }
+
+  function publicKey({ hash, ...key }) {
+    return key;
+  }
+
+  // ---- rate limiting ----
+  function takeToken(caller, perMinute) {
+    const now = Date.now();
+    const bucket = buckets.get(caller) || { tokens: perMinute, updatedAt: now };
+    bucket.tokens = Math.min(perMinute, bucket.tokens + ((now - bucket.updatedAt) / 60000) * perMinute);
+    bucket.updatedAt = now;
+    buckets.set(caller, bucket);
+    if (bucket.tokens < 1) return Math.ceil(((1 - bucket.tokens) / perMinute) * 60); // seconds until the next token
+    bucket.tokens -= 1;
+    return 0;
+  }
+
+  // Idle buckets are full again anyway
+  setInterval(() => {
+    const cutoff = Date.now() - 10 * 60 * 1000;
+    for (const [caller, bucket] of buckets) if (bucket.updatedAt < cutoff) buckets.delete(caller);
+  }, 10 * 60 * 1000).unref();
+
+  // ---- middleware ----
+  function keyFromRequest(req) {
+    const header = req.get('authorization');
+    if (header && /^bearer /i.test(header)) return header.slice(7).trim();
+    return req.get('x-api-key') || req.query.apiKey || null;
+  }
+
+  // Sets req.auth = { role, via: 'key' | 'session' | 'anonymous' | 'disabled', key? } and applies the rate limit
+  function authenticate(req, res, next) {
+    if (disabled) {
+      req.auth = { role: 'admin', via: 'disabled' };
+      return next();
+    }
+
+    const presented = keyFromRequest(req);
+    if (presented) {
+      const key = findKey(presented);
+      if (!key) return res.status(401).json({ error: 'Invalid or revoked API key' });
+      req.auth = { role: key.role, via: 'key', key: publicKey(key) };
+    } else {
+      const session = readSession(parseCookies(req.get('cookie'))[SESSION_COOKIE]);
+      req.auth = session ? { role: session.role, via: 'session' } : { role: publicRead ? 'read' : null, via: 'anonymous' };
+    }
+
+    const perMinute = req.auth.key?.ratePerMinute ||
+      (req.auth.via === 'anonymous' ? anonymousRatePerMinute : req.auth.role === 'admin' ? adminRatePerMinute : readRatePerMinute);
+    const wait = takeToken(req.auth.key ? 'key:' + req.auth.key.id : req.auth.via + ':' + req.ip, perMinute);
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({ error: 'Rate limit exceeded (' + perMinute + ' requests per minute)' });
+    }
+    next();
+  }
+
+  // Route guard; `read` is satisfied by admin too
+  function requireRole(role) {
+    return (req, res, next) => {
+      const have = req.auth?.role;
+      if (have === 'admin' || (role === 'read' && have === 'read')) return next();
+      res.status(have ? 403 : 401).json({ error: role === 'admin' ? 'Admin access required' : 'Authentication required' });
+    };
+  }
+
+  // POST /api/auth/login { password }
+  function login(req, res) {
+    if (disabled) return res.json({ role: 'admin' });
+    if (!passwordHash) return res.status(503).json({ error: 'Dashboard login is not configured (ADMIN_PASSWORD)' });
+    const wait = takeToken('login:' + req.ip, LOGIN_ATTEMPTS_PER_MINUTE);
+    if (wait > 0) {
+      res.set('Retry-After', String(wait));
+      return res.status(429).json({ error: 'Too many login attempts' });
+    }
+    if (!verifyPassword(req.body?.password || '', passwordHash)) return res.status(401).json({ error: 'Wrong password' });
+    res.set('Set-Cookie', sessionCookie(req, createSession('admin'), SESSION_TTL));
+    res.json({ role: 'admin' });
+  }
+
+  function logout(req, res) {
+    res.set('Set-Cookie', sessionCookie(req, '', 0));
+    res.json({ success: true });
+  }
+
+  return {
+    authenticate,
+    requireRole,
+    login,
+    logout,
+    attachDb,
+    createKey,
+    revokeKey,
+    listKeys: () => [...keys.values()].map(publicKey),
+    getStats: () => ({ disabled, publicRead, loginConfigured: Boolean(passwordHash), apiKeys: keys.size })
+  };
+}
+
+// TRUST_PROXY -> Express 'trust proxy': a hop count, true/false, or unset = one hop on Railway
+// (its edge proxy sets X-Forwarded-For) and none elsewhere, where the header can be forged
+function trustProxySetting(value, env = process.env) {
+  const setting = String(value ?? '').trim();
+  if (/^\d+$/.test(setting)) return parseInt(setting);
+  if (setting === 'true' || setting === 'false') return setting === 'true';
+  return env.RAILWAY_ENVIRONMENT || env.RAILWAY_PROJECT_ID ? 1 : false;
+}
+
+// CORS_ORIGINS -> options for the cors middleware; no list means same-origin only
+function corsOptions(origins) {
+  const list = String(origins || '').split(',').map(o => o.trim().replace(/\/$/, '')).filter(Boolean);
+  if (list.includes('*')) return { origin: true };
+  return { origin: list.length > 0 ? list : false, credentials: true };
+}
+
+module.exports = { createAuth, corsOptions, trustProxySetting, hashPassword, verifyPassword, ROLES };
+
+// Creates the tables first, so a key can be issued before the server has ever started
+async function createKeyInDatabase(connectionString, options) {
+  const { Client } = require('pg');
+  const { runMigrations } = require('./migrate');
+  const client = new Client({ connectionString, ssl: { rejectUnauthorized: false } });
+  await client.connect();
+  try {
+    await runMigrations(client);
+    const { key, plaintext } = newKey(options);
+    await client.query(INSERT_KEY, keyParams(key));
+    return { key, plaintext };
+  } finally {
+    await client.end();
+  }
+}
+
+if (require.main === module) {
+  const [command, arg, role = 'admin'] = process.argv.slice(2);
+  if (command === 'hash' && arg) {
+    console.log(hashPassword(arg));
+  } else if (command === 'key' && arg) {
+    require('dotenv').config();
+    if (!process.env.DATABASE_URL) {
+      console.error('❌ DATABASE_URL is not set');
+      process.exit(1);
+    }
+    createKeyInDatabase(process.env.DATABASE_URL, { name: arg, role })
+      .then(({ key, plaintext }) => {
+        console.log('✅ Created ' + key.role + ' key "' + key.name + '" (' + key.prefix + '...). It is not shown again:');
+        console.log(plaintext);
+      })
+      .catch(err => {
+        console.error('❌ ' + err.message);
+        process.exitCode = 1;
+      });
+  } else {
+    console.error('Usage: node lib/auth.js hash <password>\n       node lib/auth.js key <name> [read|admin]');
+    process.exitCode = 1;
+  }
+}
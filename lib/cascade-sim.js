@@ -0,0 +1,167 @@
+// ============================================
+// CASCADE SIMULATOR - "what if COIN moves X%?"
+// ============================================
+// Walks the known liquidation levels of one coin in the direction of a hypothetical
+// move. Each forced close can push price further (order-book impact model), which
+// may reach the next cluster. Cross-margin accounts share equity across coins, so a
+// liquidated account loses all its cross positions, and surviving accounts get their
+// other liq prices re-evaluated against the PnL of the simulated move.
+
+const MAX_STEPS = 10000; // hard stop for pathological inputs
+
+// Notional needed to move price 1%, from one side of an l2Book snapshot.
+// levels: [{ px, sz }] best first. Returns null if the book is too thin to measure.
+function depthPerPercent(levels, mid) {
+  if (!levels || levels.length === 0 || !mid) return null;
+  let notional = 0;
+  for (const level of levels) notional += parseFloat(level.px) * parseFloat(level.sz);
+  const spanPercent = Math.abs(parseFloat(levels[levels.length - 1].px) - mid) / mid * 100;
+  return spanPercent > 0 ? notional / spanPercent : null;
+}
+
+// positions: [{ user, coin, direction, size, positionUSD, liqPrice, markPrice, leverageType }]
+// across all coins (needed for cross-margin re-evaluation).
+// depthUSDPerPercent: enables the impact model; every liquidated USD moves price by 1/depth %.
+function simulateCascade(positions, { coin, mid, movePercent, depthUSDPerPercent = null }) {
+  const isDown = movePercent < 0;
+  const victimSide = isDown ? 'LONG' : 'SHORT'; // a drop liquidates longs, a pump liquidates shorts
+  const sign = isDown ? -1 : 1;
+  const targetPrice = mid * (1 + movePercent / 100);
+
+  // A liquidation at `price` is "reached" once the walk has moved at least that far
+  const reached = (price, limit) => (isDown ? price >= limit : price <= limit);
+
+  const candidates = positions
+    .filter(p => p.coin === coin && p.direction === victimSide && p.liqPrice > 0)
+    .sort((a, b) => (isDown ? b.liqPrice - a.liqPrice : a.liqPrice - b.liqPrice));
+
+  const liquidatedAccounts = new Set();
+  const liquidations = [];
+  let cumulativeUSD = 0;
+  let impactPercent = 0;
+  let limit = targetPrice; // how far price gets: the move itself plus accumulated impact
+
+  for (let i = 0; i < candidates.length && i < MAX_STEPS; i++) {
+    const p = candidates[i];
+    if (!reached(p.liqPrice, limit)) break;
+
+    const key = p.user.toLowerCase();
+    if (liquidatedAccounts.has(key) && p.leverageType !== 'isolated') continue; // already closed with its account
+
+    // Force-sold at the liq price, so the notional is size * liqPrice rather than size * mark
+    const notional = Math.abs(p.size || p.positionUSD / (p.markPrice || mid)) * p.liqPrice;
+    cumulativeUSD += notional;
+
+    if (depthUSDPerPercent) {
+      impactPercent += notional / depthUSDPerPercent;
+      limit = targetPrice * (1 + sign * impactPercent / 100);
+    }
+
+    liquidations.push({
+      user: p.user,
+      coin: p.coin,
+      direction: p.direction,
+      positionUSD: notional,
+      liqPrice: p.liqPrice,
+      leverageType: p.leverageType || 'cross',
+      cause: reached(p.liqPrice, targetPrice) ? 'price_move' : 'cascade',
+      distancePercent: +(((p.liqPrice - mid) / mid) * 100).toFixed(2),
+      cumulativeUSD,
+      priceAfter: depthUSDPerPercent ? targetPrice * (1 + sign * impactPercent / 100) : targetPrice
+    });
+
+    if (p.leverageType !== 'isolated') {
+      liquidatedAccounts.add(key);
+      // Account-level liquidation: every other cross position of the account goes with it
+      for (const other of positions) {
+        if (other.user.toLowerCase() !== key || other.coin === coin || other.leverageType === 'isolated') continue;
+        liquidations.push({
+          user: other.user,
+          coin: other.coin,
+          direction: other.direction,
+          positionUSD: other.positionUSD,
+          liqPrice: other.liqPrice,
+          leverageType: 'cross',
+          cause: 'cross_account',
+          triggeredBy: p.coin
+        });
+      }
+    }
+  }
+
+  const finalPrice = depthUSDPerPercent ? targetPrice * (1 + sign * impactPercent / 100) : targetPrice;
+
+  return {
+    coin,
+    mid,
+    movePercent,
+    targetPrice,
+    finalPrice,
+    finalMovePercent: +(((finalPrice - mid) / mid) * 100).toFixed(2),
+    impactPercent: +impactPercent.toFixed(2),
+    depthUSDPerPercent,
+    liquidations,
+    liquidatedCount: liquidations.length,
+    liquidatedUSD: cumulativeUSD,
+    crossAccountUSD: liquidations.filter(l => l.cause === 'cross_account').reduce((s, l) => s + l.positionUSD, 0),
+    nextCluster: findNextCluster(candidates, liquidations, finalPrice, isDown, mid),
+    crossImpacts: reevaluateCrossAccounts(positions, coin, finalPrice, liquidatedAccounts)
+  };
+}
+
+// First not-yet-liquidated level beyond the final price: "how much further until the next wave"
+function findNextCluster(candidates, liquidations, finalPrice, isDown, mid) {
+  const hit = new Set(liquidations.map(l => l.user.toLowerCase() + '-' + l.coin));
+  const next = candidates.find(p => !hit.has(p.user.toLowerCase() + '-' + p.coin));
+  if (!next) return null;
+  return {
+    liqPrice: next.liqPrice,
+    positionUSD: next.positionUSD,
+    percentFromFinal: +(((next.liqPrice - finalPrice) / finalPrice) * 100).toFixed(2),
+    percentFromMid: +(((next.liqPrice - mid) / mid) * 100).toFixed(2),
+    direction: isDown ? 'LONG' : 'SHORT'
+  };
+}
+
+// Cross accounts that survive still lose (or gain) equity from their position in the
+// simulated coin, which shifts the liq price of everything else they hold cross.
+function reevaluateCrossAccounts(positions, coin, finalPrice, liquidatedAccounts) {
+  const accounts = new Map();
+  for (const p of positions) {
+    if (p.leverageType === 'isolated') continue;
+    const key = p.user.toLowerCase();
+    if (liquidatedAccounts.has(key)) continue;
+    if (!accounts.has(key)) accounts.set(key, []);
+    accounts.get(key).push(p);
+  }
+
+  const impacts = [];
+  for (const held of accounts.values()) {
+    const moved = held.find(p => p.coin === coin);
+    const others = held.filter(p => p.coin !== coin);
+    if (!moved || others.length === 0 || !moved.size || !moved.markPrice) continue;
+
+    const pnl = moved.size * (finalPrice - moved.markPrice);
+    for (const other of others) {
+      if (!other.size || !other.liqPrice) continue;
+      // Equity change of `pnl` moves the liq price of `other` by -pnl / size
+      const newLiqPrice = other.liqPrice - pnl / other.size;
+      const breached = other.size > 0 ? newLiqPrice >= other.markPrice : newLiqPrice <= other.markPrice;
+      impacts.push({
+        user: moved.user,
+        coin: other.coin,
+        direction: other.direction,
+        positionUSD: other.positionUSD,
+        accountPnl: pnl,
+        liqPrice: other.liqPrice,
+        newLiqPrice: newLiqPrice > 0 ? newLiqPrice : null,
+        distancePercent: +(((other.markPrice - other.liqPrice) / other.markPrice) * 100 * Math.sign(other.size)).toFixed(2),
+        newDistancePercent: newLiqPrice > 0 ? +(((other.markPrice - newLiqPrice) / other.markPrice) * 100 * Math.sign(other.size)).toFixed(2) : null,
+        breached
+      });
+    }
+  }
+  return impacts.sort((a, b) => (a.newDistancePercent ?? Infinity) - (b.newDistancePercent ?? Infinity));
+}
+
+module.exports = { simulateCascade, depthPerPercent };
@@ -0,0 +1,30 @@
+// Discord incoming webhook, one embed per alert
+const axios = require('axios');
+
+// Telegram *bold* -> Discord **bold**; _italic_, `code` and [links](url) already match
+function toDiscordMarkdown(text) {
+  return text.replace(/\*([^*\n]+)\*/g, '**$1**');
+}
+
+function createDiscordChannel({ webhookUrl, username = 'HL Liquidation Hunter' }) {
+  if (!webhookUrl) throw new Error('discord channel needs webhookUrl');
+
+  return {
+    platform: 'Discord',
+    async send(message) {
+      await axios.post(webhookUrl, {
+        username,
+        embeds: [{
+          title: message.title,
+          url: message.url,
+          description: toDiscordMarkdown(message.text).slice(0, 4096),
+          color: message.color,
+          timestamp: new Date().toISOString()
+        }]
+      });
+      return {};
+    }
+  };
+}
+
+module.exports = createDiscordChannel;
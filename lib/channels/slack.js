@@ -0,0 +1,22 @@
+// Slack incoming webhook with mrkdwn text
+const axios = require('axios');
+
+// *bold*, _italic_ and `code` match Telegram; links are <url|text> in Slack, which has no
+// backslash escapes
+function toSlackMarkdown(text) {
+  return text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<$2|$1>').replace(/\\([_*`[])/g, '$1');
+}
+
+function createSlackChannel({ webhookUrl }) {
+  if (!webhookUrl) throw new Error('slack channel needs webhookUrl');
+
+  return {
+    platform: 'Slack',
+    async send(message) {
+      await axios.post(webhookUrl, { text: toSlackMarkdown(message.text), unfurl_links: false });
+      return {};
+    }
+  };
+}
+
+module.exports = createSlackChannel;
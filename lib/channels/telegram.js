@@ -0,0 +1,24 @@
+// Telegram Bot API: sendMessage with legacy Markdown (the format lib/alert-format.js writes).
+// Follow-ups of an escalating alert are sent as replies to the previous message.
+const axios = require('axios');
+
+function createTelegramChannel({ botToken, chatId }) {
+  if (!botToken || !chatId) throw new Error('telegram channel needs botToken and chatId');
+
+  return {
+    platform: 'Telegram',
+    chatId: String(chatId),
+    async send(message, { replyTo = null } = {}) {
+      const response = await axios.post('https://api.telegram.org/bot' + botToken + '/sendMessage', {
+        chat_id: chatId,
+        text: message.text,
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true,
+        ...(replyTo ? { reply_to_message_id: replyTo, allow_sending_without_reply: true } : {})
+      });
+      return { messageId: response.data?.result?.message_id };
+    }
+  };
+}
+
+module.exports = createTelegramChannel;
@@ -0,0 +1,33 @@
+// Twitter/X API v2 tweets, signed with OAuth 1.0a user context.
+// Follow-ups of an escalating alert reply to the previous tweet, forming a thread.
+const axios = require('axios');
+const crypto = require('crypto');
+
+const TWEET_URL = 'https://api.twitter.com/2/tweets';
+
+function createTwitterChannel({ apiKey, apiSecret, accessToken, accessSecret }) {
+  if (!apiKey || !accessToken) throw new Error('twitter channel needs apiKey and accessToken');
+  const OAuth = require('oauth-1.0a'); // optional dependency: only required when a Twitter channel is configured
+
+  const oauth = OAuth({
+    consumer: { key: apiKey, secret: apiSecret },
+    signature_method: 'HMAC-SHA1',
+    hash_function(baseString, key) { return crypto.createHmac('sha1', key).update(baseString).digest('base64'); }
+  });
+  const token = { key: accessToken, secret: accessSecret };
+
+  return {
+    platform: 'Twitter',
+    async send(message, { replyTo = null } = {}) {
+      const text = (message.short || message.text.replace(/[*_`]/g, '')).slice(0, 280);
+      const authHeader = oauth.toHeader(oauth.authorize({ url: TWEET_URL, method: 'POST' }, token));
+      const body = replyTo ? { text, reply: { in_reply_to_tweet_id: String(replyTo) } } : { text };
+      const response = await axios.post(TWEET_URL, body, {
+        headers: { 'Authorization': authHeader['Authorization'], 'Content-Type': 'application/json' }
+      });
+      return { messageId: response.data?.data?.id };
+    }
+  };
+}
+
+module.exports = createTwitterChannel;
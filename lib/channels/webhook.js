@@ -0,0 +1,38 @@
+// Generic HTTP webhook: JSON payload signed with HMAC-SHA256.
+// Receivers verify: hex(hmac_sha256(secret, X-Signature-Timestamp + '.' + rawBody)) === X-Signature (minus 'sha256=')
+const axios = require('axios');
+const crypto = require('crypto');
+
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(timestamp + '.' + body).digest('hex');
+}
+
+function createWebhookChannel({ url, secret, headers = {} }) {
+  if (!url) throw new Error('webhook channel needs url');
+  // Unsigned payloads could be forged by anyone who learns the receiver's URL
+  if (!secret) throw new Error('webhook channel needs secret');
+
+  return {
+    platform: 'Webhook',
+    async send(message, { type, data, threadId = null }) {
+      const timestamp = String(Date.now());
+      const body = JSON.stringify({
+        type,
+        timestamp: Number(timestamp),
+        threadId, // shared by an alert and its escalation / resolution follow-ups
+        title: message.title,
+        text: message.short || message.text,
+        url: message.url,
+        record: message.record,
+        data
+      });
+      const signatureHeaders = { 'X-Signature': sign(secret, timestamp, body), 'X-Signature-Timestamp': timestamp };
+      // Send the exact string that was signed
+      await axios.post(url, body, { headers: { ...headers, ...signatureHeaders, 'Content-Type': 'application/json' } });
+      return {};
+    }
+  };
+}
+
+module.exports = createWebhookChannel;
+module.exports.sign = sign;
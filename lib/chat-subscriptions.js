@@ -0,0 +1,86 @@
+// ============================================
+// CHAT SUBSCRIPTIONS - per-chat state of the Telegram bot
+// ============================================
+// Each chat that talks to the bot can watch wallets (DMs for their position changes and
+// danger alerts) and mute coins (no alerts about that coin in that chat). Kept in memory
+// and written through to the chat_subscriptions table when a database is attached.
+
+const MAX_WATCHED_PER_CHAT = 50;
+
+function createChatSubscriptions({ log = console } = {}) {
+  let db = null;
+  const chats = new Map(); // chatId -> { wallets: Set, mutedCoins: Set }
+
+  function chat(chatId) {
+    const id = String(chatId);
+    if (!chats.has(id)) chats.set(id, { wallets: new Set(), mutedCoins: new Set() });
+    return chats.get(id);
+  }
+
+  async function persist(query, params) {
+    if (!db) return;
+    try {
+      await db.query(query, params);
+    } catch (err) {
+      log.error('Chat subscription persistence error:', err.message);
+    }
+  }
+
+  async function attachDb(client) {
+    db = client;
+    try {
+      const result = await db.query('SELECT chat_id, kind, value FROM chat_subscriptions');
+      for (const row of result.rows) {
+        const entry = chat(row.chat_id);
+        (row.kind === 'wallet' ? entry.wallets : entry.mutedCoins).add(row.value);
+      }
+      if (result.rows.length > 0) log.log('✅ Loaded ' + result.rows.length + ' chat subscriptions (' + chats.size + ' chats)');
+    } catch (err) {
+      log.error('Chat subscription load error:', err.message);
+    }
+  }
+
+  function add(chatId, kind, value) {
+    const set = kind === 'wallet' ? chat(chatId).wallets : chat(chatId).mutedCoins;
+    if (set.has(value)) return false;
+    if (kind === 'wallet' && set.size >= MAX_WATCHED_PER_CHAT) throw new Error('a chat can watch at most ' + MAX_WATCHED_PER_CHAT + ' wallets');
+    set.add(value);
+    persist(`INSERT INTO chat_subscriptions (chat_id, kind, value, created_at) VALUES ($1, $2, $3, $4)
+             ON CONFLICT (chat_id, kind, value) DO NOTHING`, [String(chatId), kind, value, Date.now()]);
+    return true;
+  }
+
+  function remove(chatId, kind, value) {
+    const entry = chats.get(String(chatId));
+    const set = entry && (kind === 'wallet' ? entry.wallets : entry.mutedCoins);
+    if (!set || !set.delete(value)) return false;
+    persist('DELETE FROM chat_subscriptions WHERE chat_id = $1 AND kind = $2 AND value = $3', [String(chatId), kind, value]);
+    return true;
+  }
+
+  // Chats watching `address`
+  function watchersOf(address) {
+    const addrLower = (address || '').toLowerCase();
+    return [...chats].filter(([, entry]) => entry.wallets.has(addrLower)).map(([chatId]) => chatId);
+  }
+
+  function watchedAddresses() {
+    return new Set([...chats.values()].flatMap(entry => [...entry.wallets]));
+  }
+
+  return {
+    attachDb,
+    watch: (chatId, address) => add(chatId, 'wallet', address.toLowerCase()),
+    unwatch: (chatId, address) => remove(chatId, 'wallet', address.toLowerCase()),
+    mute: (chatId, coin) => add(chatId, 'mute', coin.toUpperCase()),
+    unmute: (chatId, coin) => remove(chatId, 'mute', coin.toUpperCase()),
+    watchedBy: chatId => [...(chats.get(String(chatId))?.wallets || [])],
+    mutedBy: chatId => [...(chats.get(String(chatId))?.mutedCoins || [])],
+    isMuted: (chatId, coin) => Boolean(coin && chats.get(String(chatId))?.mutedCoins.has(coin.toUpperCase())),
+    watchersOf,
+    watchedAddresses,
+    chatIds: () => [...chats.keys()].filter(id => chats.get(id).wallets.size > 0 || chats.get(id).mutedCoins.size > 0)
+  };
+}
+
+module.exports = { createChatSubscriptions, MAX_WATCHED_PER_CHAT };
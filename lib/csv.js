@@ -0,0 +1,30 @@
+// ============================================
+// CSV - small reader/writer for the import/export endpoints
+// ============================================
+// One record per line (no newlines inside fields), quoted fields with "" escapes.
+
+// Rows as objects keyed by `columns`, in that order; a header line starting with columns[0] is skipped
+function parseCsv(text, columns) {
+  const rows = String(text || '').split(/\r?\n/).filter(line => line.trim()).map(line => {
+    const fields = [];
+    let current = '', quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const c = line[i];
+      if (quoted && c === '"' && line[i + 1] === '"') { current += '"'; i++; }
+      else if (c === '"') quoted = !quoted;
+      else if (c === ',' && !quoted) { fields.push(current); current = ''; }
+      else current += c;
+    }
+    fields.push(current);
+    return fields.map(f => f.trim());
+  });
+  if (rows[0] && rows[0][0].toLowerCase() === columns[0]) rows.shift();
+  return rows.map(fields => Object.fromEntries(columns.map((name, i) => [name, fields[i]])));
+}
+
+function toCsv(columns, records) {
+  const field = v => (v === null || v === undefined ? '' : /[",\n]/.test(v) ? '"' + String(v).replace(/"/g, '""') + '"' : String(v));
+  return [columns.join(','), ...records.map(r => columns.map(name => field(r[name])).join(','))].join('\n') + '\n';
+}
+
+module.exports = { parseCsv, toCsv };
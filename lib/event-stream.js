@@ -0,0 +1,115 @@
+// ============================================
+// LIVE EVENT STREAM (Server-Sent Events)
+// ============================================
+// Every state change the server makes is published here as a typed event.
+// Dashboards subscribe with GET /api/stream and receive only the events that
+// match their filters. Events are numbered and kept in a ring buffer so a
+// client reconnecting with Last-Event-ID gets everything it missed.
+// Numbering starts at the boot time in ms, so an id a client kept from before a restart
+// falls outside this run's range and gets a resync instead of a silent gap.
+
+const BUFFER_SIZE = 1000;
+const HEARTBEAT_INTERVAL = 25000;
+
+const firstEventId = Date.now();
+let nextEventId = firstEventId;
+const eventBuffer = [];
+const clients = new Set();
+
+function parseList(value) {
+  if (!value) return null;
+  const list = String(value).split(',').map(v => v.trim().toUpperCase()).filter(Boolean);
+  return list.length > 0 ? list : null;
+}
+
+// Filters come from the query string: ?types=liquidation,position&coins=BTC,ETH&levels=CRITICAL
+// Coin and level filters only apply to events that carry a coin / dangerLevel.
+function parseFilters(query) {
+  return {
+    types: parseList(query.types)?.map(t => t.toLowerCase()) || null,
+    coins: parseList(query.coins),
+    levels: parseList(query.levels)
+  };
+}
+
+function matchesFilters(event, filters) {
+  if (filters.types && !filters.types.includes(event.type)) return false;
+  if (filters.coins && event.coin && !filters.coins.includes(event.coin.toUpperCase())) return false;
+  if (filters.levels && event.dangerLevel && !filters.levels.includes(event.dangerLevel)) return false;
+  return true;
+}
+
+function writeEvent(res, event) {
+  res.write('id: ' + event.id + '\n');
+  res.write('event: ' + event.type + '\n');
+  res.write('data: ' + JSON.stringify(event) + '\n\n');
+}
+
+function publish(type, data, meta = {}) {
+  const event = {
+    id: nextEventId++,
+    type,
+    coin: meta.coin || data?.coin || null,
+    dangerLevel: meta.dangerLevel || data?.dangerLevel || null,
+    timestamp: Date.now(),
+    data
+  };
+
+  eventBuffer.push(event);
+  if (eventBuffer.length > BUFFER_SIZE) eventBuffer.shift();
+
+  for (const client of clients) {
+    if (matchesFilters(event, client.filters)) writeEvent(client.res, event);
+  }
+  return event;
+}
+
+// Express handler for GET /api/stream
+function handleStream(req, res) {
+  const filters = parseFilters(req.query);
+  const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  // Replay what the client missed. If it is older than the buffer or from before a restart,
+  // ask it to do a full reload.
+  if (lastEventId > 0) {
+    const oldest = eventBuffer.length > 0 ? eventBuffer[0].id : nextEventId;
+    const reason = lastEventId < firstEventId - 1 || lastEventId >= nextEventId ? 'restart'
+      : lastEventId < oldest - 1 ? 'buffer_overflow' : null;
+    if (reason) {
+      writeEvent(res, { id: nextEventId - 1, type: 'resync', coin: null, dangerLevel: null, timestamp: Date.now(), data: { reason } });
+    } else {
+      for (const event of eventBuffer) {
+        if (event.id > lastEventId && matchesFilters(event, filters)) writeEvent(res, event);
+      }
+    }
+  }
+
+  const client = { res, filters, connectedAt: Date.now() };
+  clients.add(client);
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+}
+
+function getStreamStats() {
+  return {
+    clients: clients.size,
+    lastEventId: nextEventId - 1,
+    bufferedEvents: eventBuffer.length
+  };
+}
+
+module.exports = { publish, handleStream, getStreamStats };
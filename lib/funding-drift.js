@@ -0,0 +1,72 @@
+// ============================================
+// FUNDING DRIFT - liq price movement from funding alone
+// ============================================
+// Funding is settled hourly against margin, so a position paying funding has its
+// liquidation price creep toward mark even if price never moves. Cross positions
+// share equity, so every cross position's funding moves every cross liq price.
+// Rates are Hyperliquid's hourly `funding` from metaAndAssetCtxs (positive: longs pay).
+
+// Signed hourly payment of one position: positive = pays, negative = receives
+function hourlyFunding(size, markPrice, rate) {
+  return size * markPrice * rate;
+}
+
+// Funding paid by the whole cross side of the account, per hour
+function accountHourlyFunding(accountData, mids, fundingRates) {
+  let total = 0;
+  for (const ap of accountData?.assetPositions || []) {
+    const p = ap.position;
+    const size = parseFloat(p.szi);
+    if (!size || p.leverage?.type === 'isolated') continue;
+    total += hourlyFunding(size, parseFloat(mids[p.coin]) || 0, fundingRates[p.coin] || 0);
+  }
+  return total;
+}
+
+// position: raw clearinghouseState position. Returns null when there is no funding rate or liq price.
+function projectFunding(position, markPrice, fundingRates, { accountData = null, mids = {} } = {}) {
+  const rate = fundingRates[position.coin];
+  const size = parseFloat(position.szi);
+  const liqPrice = parseFloat(position.liquidationPx);
+  if (rate === undefined || !size || !markPrice) return null;
+
+  const hourlyCost = hourlyFunding(size, markPrice, rate);
+  const isCross = position.leverage?.type !== 'isolated';
+  // Isolated: only this position's funding touches its margin. Cross: the whole account's does.
+  const marginDrain = isCross && accountData ? accountHourlyFunding(accountData, mids, fundingRates) : hourlyCost;
+
+  const result = {
+    rate,
+    annualizedPercent: +(rate * 24 * 365 * 100).toFixed(2),
+    hourlyCost,
+    dailyCost: hourlyCost * 24,
+    accountHourlyCost: isCross && accountData ? marginDrain : null,
+    liqDriftPerHour: null,
+    liqPrice24h: null,
+    liqPrice7d: null,
+    distance24hPercent: null,
+    distance7dPercent: null,
+    hoursToLiquidation: null
+  };
+  if (!liqPrice) return result;
+
+  // Losing `marginDrain` of equity moves the liq price by marginDrain / size
+  // (up for longs, down for shorts when paying)
+  const drift = marginDrain / size;
+  const isLong = size > 0;
+  const distanceAt = (liq) => ((isLong ? markPrice - liq : liq - markPrice) / markPrice) * 100;
+
+  result.liqDriftPerHour = drift;
+  result.liqPrice24h = liqPrice + drift * 24;
+  result.liqPrice7d = liqPrice + drift * 24 * 7;
+  result.distance24hPercent = +distanceAt(result.liqPrice24h).toFixed(2);
+  result.distance7dPercent = +distanceAt(result.liqPrice7d).toFixed(2);
+
+  // Only meaningful when funding pushes the liq price toward mark
+  const towardMark = isLong ? drift > 0 : drift < 0;
+  if (towardMark) result.hoursToLiquidation = +(Math.abs(markPrice - liqPrice) / Math.abs(drift)).toFixed(1);
+
+  return result;
+}
+
+module.exports = { projectFunding, hourlyFunding };
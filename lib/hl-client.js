@@ -0,0 +1,208 @@
+// ============================================
+// HYPERLIQUID CLIENT - one request budget for every /info call
+// ============================================
+// Hyperliquid limits REST traffic per IP to a weight budget (1200 per minute): light
+// requests (clearinghouseState, allMids, l2Book...) cost 2, most others 20, and the ones
+// returning history cost one more per 20 items returned. Every call goes through a token
+// bucket sized to that budget, in one of three priority lanes:
+//   high     watched wallets, trade-triggered checks
+//   normal   the regular position scan, dashboard requests
+//   low      background scans, link checks
+// Lower lanes keep a share of the bucket free for the higher ones, so a long background
+// scan can't starve a watched wallet. 429s pause the whole client (the limit is per IP),
+// 429 / 5xx / network errors are retried with backoff, anything else fails right away.
+// The lane is usually set once for a whole job with withPriority(); nested calls inherit it.
+
+const axios = require('axios');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const DEFAULT_URL = 'https://api.hyperliquid.xyz/info';
+const WEIGHT_PER_MINUTE = 1200;
+const DEFAULT_WEIGHT = 20;
+const LIGHT_TYPES = ['l2Book', 'allMids', 'clearinghouseState', 'orderStatus', 'spotClearinghouseState', 'exchangeStatus'];
+const HEAVY_TYPES = { userRole: 60 };
+// Extra weight per N items returned
+const PER_ITEMS = {
+  recentTrades: 20, historicalOrders: 20, userFills: 20, userFillsByTime: 20, fundingHistory: 20,
+  userFunding: 20, userNonFundingLedgerUpdates: 20, userTwapSliceFills: 20, candleSnapshot: 60
+};
+
+const LANES = ['high', 'normal', 'low'];
+// Share of the bucket each lane must leave untouched
+const LANE_RESERVE = { high: 0, normal: 0.1, low: 0.3 };
+
+const MAX_RETRIES = 3;
+const BACKOFF_BASE_MS = 1000;
+const RATE_LIMIT_PAUSE_MS = 10000;
+
+function weightFor(body) {
+  if (LIGHT_TYPES.includes(body.type)) return 2;
+  return HEAVY_TYPES[body.type] || DEFAULT_WEIGHT;
+}
+
+function extraWeight(type, data) {
+  const per = PER_ITEMS[type];
+  return per && Array.isArray(data) ? Math.floor(data.length / per) : 0;
+}
+
+// Timeouts and connection errors have no response
+function isRetryable(err) {
+  const status = err.response?.status;
+  return !status || status === 429 || status >= 500;
+}
+
+function retryAfterMs(err) {
+  const seconds = parseFloat(err.response?.headers?.['retry-after']);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+function createHlClient({ url = DEFAULT_URL, weightPerMinute = WEIGHT_PER_MINUTE, maxInFlight = 8, maxRetries = MAX_RETRIES, timeout = 15000, log = console } = {}) {
+  const lane = new AsyncLocalStorage();
+  const queues = Object.fromEntries(LANES.map(l => [l, []]));
+  const charges = [];            // { time, weight } of the last minute
+  const byType = new Map();      // type -> { requests, weight, errors }
+  let tokens = weightPerMinute;
+  let refilledAt = Date.now();
+  let inFlight = 0;
+  let pausedUntil = 0;
+  let timer = null;
+  const totals = { requests: 0, retries: 0, rateLimited: 0, errors: 0, waited: 0, waitMs: 0 };
+  let lastError = null;
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(weightPerMinute, tokens + ((now - refilledAt) * weightPerMinute) / 60000);
+    refilledAt = now;
+  }
+
+  function pruneCharges() {
+    const cutoff = Date.now() - 60000;
+    while (charges.length > 0 && charges[0].time < cutoff) charges.shift();
+  }
+
+  function charge(type, weight) {
+    tokens -= weight;
+    charges.push({ time: Date.now(), weight });
+    pruneCharges();
+    const stats = byType.get(type) || { requests: 0, weight: 0, errors: 0 };
+    stats.weight += weight;
+    byType.set(type, stats);
+  }
+
+  function schedule(ms) {
+    if (timer) return;
+    timer = setTimeout(() => {
+      timer = null;
+      pump();
+    }, Math.max(10, ms));
+  }
+
+  function pump() {
+    refill();
+    while (inFlight < maxInFlight) {
+      const now = Date.now();
+      if (now < pausedUntil) return schedule(pausedUntil - now);
+      // Highest non-empty lane; when it can't afford its request, lower lanes (bigger reserve) can't either
+      const name = LANES.find(l => queues[l].length > 0);
+      if (!name) return;
+      const job = queues[name][0];
+      // Capped at a full bucket, or a heavy job (or a small budget) could never be admitted
+      const needed = Math.min(weightPerMinute, job.weight + weightPerMinute * LANE_RESERVE[name]);
+      const missing = needed - tokens;
+      if (missing > 0) return schedule((missing * 60000) / weightPerMinute);
+      queues[name].shift();
+      charge(job.body.type, job.weight);
+      run(job);
+    }
+  }
+
+  async function run(job) {
+    inFlight++;
+    totals.requests++;
+    if (job.attempts === 0) {
+      totals.waited++;
+      totals.waitMs += Date.now() - job.queuedAt;
+    }
+    byType.get(job.body.type).requests++;
+    try {
+      const response = await axios.post(url, job.body, { timeout });
+      const extra = extraWeight(job.body.type, response.data);
+      if (extra > 0) charge(job.body.type, extra);
+      job.resolve(response.data);
+    } catch (err) {
+      retryOrFail(job, err);
+    } finally {
+      inFlight--;
+      pump();
+    }
+  }
+
+  function retryOrFail(job, err) {
+    const status = err.response?.status || null;
+    if (isRetryable(err) && job.attempts < maxRetries) {
+      job.attempts++;
+      totals.retries++;
+      let delay = BACKOFF_BASE_MS * 2 ** (job.attempts - 1) + Math.random() * 250;
+      if (status === 429) {
+        // Our estimate of the budget was off (or another process shares the IP): stop everything
+        totals.rateLimited++;
+        delay = retryAfterMs(err) ?? RATE_LIMIT_PAUSE_MS * job.attempts;
+        if (Date.now() + delay > pausedUntil) log.warn('⏳ Hyperliquid rate limit hit, pausing requests for ' + Math.round(delay / 1000) + 's');
+        pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+        tokens = 0;
+      }
+      setTimeout(() => {
+        queues[job.lane].unshift(job);
+        pump();
+      }, delay);
+      return;
+    }
+
+    totals.errors++;
+    byType.get(job.body.type).errors++;
+    lastError = { type: job.body.type, status, message: err.message, at: Date.now() };
+    job.reject(Object.assign(new Error('Hyperliquid ' + job.body.type + ' request failed: ' + err.message), { status: status || 502, type: job.body.type }));
+  }
+
+  // Resolves with the response body; rejects once retries are exhausted.
+  // options.priority overrides the lane inherited from withPriority()
+  function info(body, { priority } = {}) {
+    const name = priority || lane.getStore() || 'normal';
+    if (!LANES.includes(name)) return Promise.reject(new Error('Unknown priority lane: ' + name));
+    return new Promise((resolve, reject) => {
+      queues[name].push({ body, lane: name, weight: weightFor(body), attempts: 0, queuedAt: Date.now(), resolve, reject });
+      pump();
+    });
+  }
+
+  // Every request made while fn runs (including awaited helpers) uses this lane
+  function withPriority(priority, fn) {
+    return lane.run(priority, fn);
+  }
+
+  function getStats() {
+    refill();
+    pruneCharges();
+    const usedLastMinute = charges.reduce((sum, c) => sum + c.weight, 0);
+    return {
+      weightPerMinute,
+      usedLastMinute,
+      utilization: +(usedLastMinute / weightPerMinute).toFixed(3),
+      tokens: Math.floor(tokens),
+      inFlight,
+      queued: Object.fromEntries(LANES.map(l => [l, queues[l].length])),
+      pausedUntil: pausedUntil > Date.now() ? pausedUntil : null,
+      requests: totals.requests,
+      retries: totals.retries,
+      rateLimited: totals.rateLimited,
+      errors: totals.errors,
+      avgWaitMs: totals.waited > 0 ? Math.round(totals.waitMs / totals.waited) : 0,
+      byType: Object.fromEntries([...byType].sort((a, b) => b[1].weight - a[1].weight)),
+      lastError
+    };
+  }
+
+  return { info, withPriority, getStats };
+}
+
+module.exports = { createHlClient, weightFor, LANES, WEIGHT_PER_MINUTE };
@@ -0,0 +1,80 @@
+// ============================================
+// LIQUIDATION MAP - liquidation levels bucketed into price bands
+// ============================================
+// A size-weighted average liq price hides where the clusters are; this buckets
+// every known position's liquidationPx into fixed-width price bands so you can
+// see "$40M of longs liquidate between 92k and 93k".
+
+const DEFAULT_BUCKET_PERCENT = 0.5; // band width as % of mid when no explicit width is given
+const DEFAULT_RANGE_PERCENT = 20;   // only bands within ±20% of mid
+
+// Round a raw width to 1/2/2.5/5 x 10^n so band edges are readable prices
+function niceWidth(raw) {
+  const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+  const normalized = raw / magnitude;
+  const step = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 2.5 ? 2.5 : normalized <= 5 ? 5 : 10;
+  return step * magnitude;
+}
+
+// positions: [{ direction, positionUSD, liqPrice }]
+function buildLiqMap(positions, mid, { bucketWidth, bucketPercent, rangePercent } = {}) {
+  const range = (rangePercent || DEFAULT_RANGE_PERCENT) / 100;
+  const width = bucketWidth || niceWidth(mid * (bucketPercent || DEFAULT_BUCKET_PERCENT) / 100);
+  const low = mid * (1 - range);
+  const high = mid * (1 + range);
+
+  const bands = new Map(); // band start price -> band
+  let outOfRangeLongUSD = 0, outOfRangeShortUSD = 0;
+
+  for (const p of positions) {
+    if (!p.liqPrice || p.liqPrice <= 0) continue;
+    const isLong = p.direction === 'LONG';
+    if (p.liqPrice < low || p.liqPrice > high) {
+      if (isLong) outOfRangeLongUSD += p.positionUSD;
+      else outOfRangeShortUSD += p.positionUSD;
+      continue;
+    }
+
+    const start = +(Math.floor(p.liqPrice / width) * width).toPrecision(12); // strip float noise on small widths
+    if (!bands.has(start)) {
+      bands.set(start, { priceFrom: start, priceTo: +(start + width).toPrecision(12), longUSD: 0, shortUSD: 0, longCount: 0, shortCount: 0 });
+    }
+    const band = bands.get(start);
+    if (isLong) { band.longUSD += p.positionUSD; band.longCount++; }
+    else { band.shortUSD += p.positionUSD; band.shortCount++; }
+  }
+
+  const sorted = [...bands.values()].sort((a, b) => b.priceFrom - a.priceFrom);
+  for (const band of sorted) {
+    const bandMid = (band.priceFrom + band.priceTo) / 2;
+    band.distancePercent = +(((bandMid - mid) / mid) * 100).toFixed(2);
+  }
+
+  // Cumulative notional liquidated as price walks away from mid (longs downward, shorts upward)
+  let cumulativeLong = 0;
+  for (const band of sorted.filter(b => b.priceTo <= mid)) {
+    cumulativeLong += band.longUSD;
+    band.cumulativeLongUSD = cumulativeLong;
+  }
+  let cumulativeShort = 0;
+  for (const band of [...sorted].reverse().filter(b => b.priceFrom >= mid)) {
+    cumulativeShort += band.shortUSD;
+    band.cumulativeShortUSD = cumulativeShort;
+  }
+
+  const maxBandUSD = sorted.reduce((max, b) => Math.max(max, b.longUSD, b.shortUSD), 0);
+
+  return {
+    mid,
+    bucketWidth: width,
+    rangePercent: range * 100,
+    bands: sorted,
+    maxBandUSD,
+    totalLongUSD: sorted.reduce((s, b) => s + b.longUSD, 0),
+    totalShortUSD: sorted.reduce((s, b) => s + b.shortUSD, 0),
+    outOfRangeLongUSD,
+    outOfRangeShortUSD
+  };
+}
+
+module.exports = { buildLiqMap };
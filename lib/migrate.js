@@ -0,0 +1,163 @@
+// ============================================
+// DATABASE MIGRATIONS
+// ============================================
+// Numbered migration files live in /migrations (001_initial_schema.js, ...).
+// Each exports { up, down } as an array of SQL statements or an async (client) => {} function.
+// Applied versions are recorded in schema_migrations. server.js and live-bot both
+// run pending migrations on boot; a Postgres advisory lock keeps them from racing.
+//
+// CLI:
+//   node lib/migrate.js up            apply all pending migrations
+//   node lib/migrate.js down [steps]  roll back the last N migrations (default 1)
+//   node lib/migrate.js status        list applied / pending migrations
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_LOCK_ID = 4815162342; // arbitrary key shared by every process using this schema
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = file.match(/^(\d+)_(.+)\.js$/);
+      if (!match) return null;
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      return { version: parseInt(match[1]), name: match[2], id: match[1] + '_' + match[2], up: migration.up, down: migration.down };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+}
+
+// Accepts either a pg Pool (checks out a dedicated client) or an already-connected Client
+async function withClient(db, fn) {
+  const isPool = 'totalCount' in db;
+  const client = isPool ? await db.connect() : db;
+  try {
+    return await fn(client);
+  } finally {
+    if (isPool) client.release();
+  }
+}
+
+async function withLock(client, fn) {
+  await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+  try {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `);
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+  }
+}
+
+async function getAppliedVersions(client) {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(result.rows.map(r => r.version));
+}
+
+async function applyStep(client, step) {
+  if (typeof step === 'function') {
+    await step(client);
+    return;
+  }
+  for (const statement of step) {
+    await client.query(statement);
+  }
+}
+
+async function runMigrations(db, { log = console.log } = {}) {
+  const migrations = loadMigrations();
+  return withClient(db, client => withLock(client, async () => {
+    const applied = await getAppliedVersions(client);
+    const pending = migrations.filter(m => !applied.has(m.version));
+
+    for (const migration of pending) {
+      try {
+        await client.query('BEGIN');
+        await applyStep(client, migration.up);
+        await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        await client.query('COMMIT');
+        log(`✅ Migration ${migration.id} applied`);
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${migration.id} failed: ${err.message}`);
+      }
+    }
+    return pending.map(m => m.version);
+  }));
+}
+
+async function rollbackMigrations(db, steps = 1, { log = console.log } = {}) {
+  const migrations = loadMigrations();
+  return withClient(db, client => withLock(client, async () => {
+    const applied = await getAppliedVersions(client);
+    const toRollback = migrations.filter(m => applied.has(m.version)).reverse().slice(0, steps);
+
+    for (const migration of toRollback) {
+      if (!migration.down) throw new Error(`Migration ${migration.id} has no down step`);
+      try {
+        await client.query('BEGIN');
+        await applyStep(client, migration.down);
+        await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        await client.query('COMMIT');
+        log(`↩️ Migration ${migration.id} rolled back`);
+      } catch (err) {
+        await client.query('ROLLBACK');
+        throw new Error(`Rollback of ${migration.id} failed: ${err.message}`);
+      }
+    }
+    return toRollback.map(m => m.version);
+  }));
+}
+
+async function getMigrationStatus(db) {
+  const migrations = loadMigrations();
+  return withClient(db, client => withLock(client, async () => {
+    const applied = await getAppliedVersions(client);
+    return migrations.map(m => ({ version: m.version, id: m.id, applied: applied.has(m.version) }));
+  }));
+}
+
+module.exports = { runMigrations, rollbackMigrations, getMigrationStatus };
+
+if (require.main === module) {
+  require('dotenv').config();
+  const { Client } = require('pg');
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  if (!process.env.DATABASE_URL) {
+    console.error('❌ DATABASE_URL is not set');
+    process.exit(1);
+  }
+
+  const client = new Client({ connectionString: process.env.DATABASE_URL, ssl: { rejectUnauthorized: false } });
+
+  (async () => {
+    await client.connect();
+    if (command === 'up') {
+      const applied = await runMigrations(client);
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Database is up to date');
+    } else if (command === 'down') {
+      const rolledBack = await rollbackMigrations(client, parseInt(arg) || 1);
+      console.log(`↩️ Rolled back ${rolledBack.length} migration(s)`);
+    } else if (command === 'status') {
+      for (const m of await getMigrationStatus(client)) {
+        console.log((m.applied ? '✅ ' : '⏳ ') + m.id);
+      }
+    } else {
+      console.error('Usage: node lib/migrate.js <up|down [steps]|status>');
+      process.exitCode = 1;
+    }
+  })()
+    .catch(err => {
+      console.error('❌ ' + err.message);
+      process.exitCode = 1;
+    })
+    .finally(() => client.end());
+}
@@ -0,0 +1,63 @@
+// ============================================
+// MULTI-DEX ACCOUNTS - builder-deployed perp dexes and spot balances
+// ============================================
+// Besides the default perp dex, Hyperliquid hosts builder-deployed (HIP-3) perp dexes, each
+// with its own clearinghouse: `clearinghouseState` / `meta` / `allMids` take a `dex` name and
+// their coins are prefixed with it ("xyz:TSLA"). Spot tokens live in `spotClearinghouseState`.
+// mergeAccount() folds all of them into one clearinghouseState-shaped view of a wallet:
+//   assetPositions      every dex, each position tagged with `dex` ('' = default)
+//   marginSummary       still the default dex (margin is per dex, see dexStates)
+//   dexStates           dex -> its own clearinghouseState, for per-dex account risk
+//   spotBalances        non-zero token balances valued at the spot mid
+//   totalAccountValue   perp account value on every dex + spot holdings
+
+const DEFAULT_DEX = '';
+const USDC_TOKEN = 0;
+
+// `perpDexs` lists the default dex as null
+function dexNames(perpDexs) {
+  return [DEFAULT_DEX, ...(perpDexs || []).filter(Boolean).map(dex => dex.name)];
+}
+
+function dexOf(coin) {
+  const i = coin.indexOf(':');
+  return i > 0 ? coin.slice(0, i) : DEFAULT_DEX;
+}
+
+// token index -> allMids key of its USDC pair ("PURR/USDC", "@107")
+function spotPairsByToken(spotMeta) {
+  const pairs = new Map();
+  for (const pair of spotMeta?.universe || []) {
+    const [base, quote] = pair.tokens || [];
+    if (quote === USDC_TOKEN && !pairs.has(base)) pairs.set(base, pair.name);
+  }
+  return pairs;
+}
+
+function spotHoldings(spotState, mids, spotPairs) {
+  return (spotState?.balances || [])
+    .map(balance => {
+      const total = parseFloat(balance.total) || 0;
+      const price = balance.token === USDC_TOKEN ? 1 : parseFloat(mids[spotPairs.get(balance.token)]) || 0;
+      return { coin: balance.coin, token: balance.token, total, usd: total * price, entryUSD: parseFloat(balance.entryNtl) || 0 };
+    })
+    .filter(balance => balance.total > 0)
+    .sort((a, b) => b.usd - a.usd);
+}
+
+function hasExposure(state) {
+  return (state?.assetPositions || []).length > 0 || parseFloat(state?.marginSummary?.accountValue) > 0;
+}
+
+// state: default dex clearinghouseState; dexStates: builder dex -> clearinghouseState
+function mergeAccount(state, { dexStates = {}, spot = null } = {}, { mids = {}, spotPairs = new Map() } = {}) {
+  const perDex = { [DEFAULT_DEX]: state, ...dexStates };
+  const assetPositions = Object.entries(perDex).flatMap(([dex, dexState]) =>
+    (dexState?.assetPositions || []).map(ap => ({ ...ap, position: { ...ap.position, dex } })));
+  const perpValue = Object.values(perDex).reduce((sum, s) => sum + (parseFloat(s?.marginSummary?.accountValue) || 0), 0);
+  const spotBalances = spotHoldings(spot, mids, spotPairs);
+  const spotUSD = spotBalances.reduce((sum, b) => sum + b.usd, 0);
+  return { ...state, assetPositions, dexStates: perDex, spotBalances, spotUSD, totalAccountValue: perpValue + spotUSD };
+}
+
+module.exports = { dexNames, dexOf, spotPairsByToken, spotHoldings, hasExposure, mergeAccount, DEFAULT_DEX, USDC_TOKEN };
@@ -0,0 +1,204 @@
+// ============================================
+// NOTIFIER - format → send → record
+// ============================================
+// Every alert goes through notify(type, data): the formatter for `type` builds one
+// channel-neutral message (lib/alert-format.js), one job per enabled channel goes into
+// the outbox (lib/outbox.js), the channel adapter sends it (lib/channels/*), and every
+// delivered notification is handed to onRecord.
+// Channels come from env (channelsFromEnv) and the notification_channels table
+// (channelsFromDb); adding a channel type means adding an adapter to ADAPTERS.
+
+const { createOutbox } = require('./outbox');
+
+const ADAPTERS = {
+  telegram: require('./channels/telegram'),
+  twitter: require('./channels/twitter'),
+  discord: require('./channels/discord'),
+  slack: require('./channels/slack'),
+  webhook: require('./channels/webhook')
+};
+
+// Messages per minute unless the channel config sets ratePerMinute
+const RATE_LIMITS = { telegram: 20, twitter: 5, discord: 30, slack: 60, webhook: 120 };
+
+// Channel config: { name, type, types?: [alert types], enabled?, ratePerMinute?, direct?, ...adapter options }
+// direct: only receives notifications addressed to it by name (per-chat DMs of the Telegram bot)
+function createChannel(config) {
+  const adapter = ADAPTERS[config.type];
+  if (!adapter) throw new Error('Unknown channel type: ' + config.type);
+  return {
+    ...adapter(config),
+    name: config.name || config.type,
+    type: config.type,
+    types: config.types && config.types.length > 0 ? config.types : null,
+    enabled: config.enabled !== false,
+    direct: config.direct === true,
+    ratePerMinute: parseFloat(config.ratePerMinute) || RATE_LIMITS[config.type],
+    sentCount: 0,
+    errorCount: 0,
+    lastError: null
+  };
+}
+
+// Built-in env vars. NOTIFY_CHANNELS can add any number of extra channels as a JSON array.
+function channelsFromEnv(env = process.env) {
+  const configs = [];
+  const telegramChat = env.TELEGRAM_CHANNEL_ID || env.TELEGRAM_CHAT_ID;
+  if (env.TELEGRAM_BOT_TOKEN && telegramChat) {
+    configs.push({ name: 'telegram', type: 'telegram', botToken: env.TELEGRAM_BOT_TOKEN, chatId: telegramChat });
+  }
+  if (env.TWITTER_API_KEY && env.TWITTER_ACCESS_TOKEN) {
+    configs.push({
+      name: 'twitter', type: 'twitter',
+      apiKey: env.TWITTER_API_KEY, apiSecret: env.TWITTER_API_SECRET,
+      accessToken: env.TWITTER_ACCESS_TOKEN, accessSecret: env.TWITTER_ACCESS_SECRET,
+      types: ['danger', 'new_position'] // keep the timeline to the headline alerts
+    });
+  }
+  if (env.DISCORD_WEBHOOK_URL) configs.push({ name: 'discord', type: 'discord', webhookUrl: env.DISCORD_WEBHOOK_URL });
+  if (env.SLACK_WEBHOOK_URL) configs.push({ name: 'slack', type: 'slack', webhookUrl: env.SLACK_WEBHOOK_URL });
+  if (env.WEBHOOK_URL) configs.push({ name: 'webhook', type: 'webhook', url: env.WEBHOOK_URL, secret: env.WEBHOOK_SECRET });
+
+  if (env.NOTIFY_CHANNELS) {
+    try {
+      configs.push(...JSON.parse(env.NOTIFY_CHANNELS));
+    } catch (err) {
+      console.error('⚠️ NOTIFY_CHANNELS is not valid JSON:', err.message);
+    }
+  }
+  return configs;
+}
+
+async function channelsFromDb(db) {
+  const result = await db.query('SELECT name, type, config, alert_types, enabled FROM notification_channels');
+  return result.rows.map(row => ({ ...row.config, name: row.name, type: row.type, types: row.alert_types, enabled: row.enabled }));
+}
+
+// source: which process owns the queued jobs and cooldowns ('server', 'live-bot')
+// accepts(channel, type, data): last say per channel, e.g. a chat that muted the coin
+function createNotifier({ formatters, onRecord = () => {}, accepts = () => true, log = console, source = 'server' }) {
+  const channels = new Map();
+  const lastSent = new Map(); // channel:key -> timestamp
+  let db = null;
+
+  const outbox = createOutbox({
+    source,
+    log,
+    rateLimit: name => channels.get(name)?.ratePerMinute,
+    deliver(job) {
+      const channel = channels.get(job.channel);
+      if (!channel) throw Object.assign(new Error('channel ' + job.channel + ' is no longer configured'), { permanent: true });
+      return channel.send(job.message, { type: job.type, data: job.data, threadId: job.thread?.id || null, replyTo: job.thread?.replyTo?.[job.channel] || null });
+    },
+    onDelivered(job, result) {
+      const channel = channels.get(job.channel);
+      channel.sentCount++;
+      const notification = {
+        id: job.id,
+        platform: channel.platform,
+        channel: channel.name,
+        type: job.type,
+        ...job.message.record,
+        messageId: result?.messageId || null,
+        threadId: job.thread?.id || null,
+        timestamp: Date.now()
+      };
+      onRecord(notification);
+      return notification;
+    },
+    onDead(job) {
+      const channel = channels.get(job.channel);
+      if (channel) {
+        channel.errorCount++;
+        channel.lastError = job.lastError;
+      }
+      // Nothing went out, so don't hold back the next alert for this key
+      if (job.key) setCooldown(job.channel, job.key, null);
+    }
+  });
+
+  function setCooldown(channelName, key, timestamp) {
+    const id = channelName + ':' + key;
+    if (timestamp) lastSent.set(id, timestamp);
+    else lastSent.delete(id);
+    if (!db) return;
+    const query = timestamp
+      ? db.query(`INSERT INTO notification_cooldowns (source, channel, key, sent_at) VALUES ($1, $2, $3, $4)
+                  ON CONFLICT (source, channel, key) DO UPDATE SET sent_at = $4`, [source, channelName, key, timestamp])
+      : db.query('DELETE FROM notification_cooldowns WHERE source = $1 AND channel = $2 AND key = $3', [source, channelName, key]);
+    query.catch(err => log.error('Cooldown persistence error:', err.message));
+  }
+
+  // Restores cooldowns and pending deliveries from before a restart
+  async function attachDb(client, { maxCooldown = 24 * 60 * 60 * 1000 } = {}) {
+    db = client;
+    try {
+      const result = await db.query('SELECT channel, key, sent_at FROM notification_cooldowns WHERE source = $1 AND sent_at > $2', [source, Date.now() - maxCooldown]);
+      for (const row of result.rows) lastSent.set(row.channel + ':' + row.key, parseInt(row.sent_at));
+    } catch (err) {
+      log.error('Cooldown load error:', err.message);
+    }
+    await outbox.attachDb(client);
+  }
+
+  // Later configs with the same name replace earlier ones (DB overrides env)
+  function configure(configs) {
+    for (const config of configs) {
+      try {
+        const channel = createChannel(config);
+        channels.set(channel.name, channel);
+        if (!channel.direct) log.log('✅ Notification channel: ' + channel.name + ' (' + channel.platform + ')');
+      } catch (err) {
+        log.log('⚠️ Notification channel ' + (config.name || config.type) + ' disabled: ' + err.message);
+      }
+    }
+  }
+
+  function isCoolingDown(channelName, key, cooldown) {
+    const last = lastSent.get(channelName + ':' + key);
+    return Boolean(last && Date.now() - last < cooldown);
+  }
+
+  // options.key + options.cooldown: skip a channel that already sent (or queued) this key recently
+  // options.channels: only these channel names; options.ignoreTypes: skip the per-channel type filter (test sends, follow-ups)
+  // options.thread: { id, replyTo: { channelName: messageId } } - follow-up to an earlier alert
+  // options.maxAttempts: delivery attempts before the dead-letter queue (test sends use 1)
+  // Resolves as soon as the jobs are in the outbox, with { id, channel, platform, delivered } per channel;
+  // `delivered` resolves with the sent notification (messageId etc.), or null if it was dead-lettered.
+  async function notify(type, data, { key = null, cooldown = 0, channels: only = null, ignoreTypes = false, thread = null, maxAttempts } = {}) {
+    const formatter = formatters[type];
+    if (!formatter) throw new Error('No formatter for notification type: ' + type);
+
+    const targets = [...channels.values()].filter(c =>
+      c.enabled && (ignoreTypes || !c.types || c.types.includes(type)) && (only ? only.includes(c.name) : !c.direct) &&
+      !(key && cooldown && isCoolingDown(c.name, key, cooldown)) && accepts(c, type, data));
+    if (targets.length === 0) return [];
+
+    const message = formatter(data);
+    if (!message) return [];
+
+    return Promise.all(targets.map(async channel => {
+      // Reserved at enqueue time so a queued alert is not queued again
+      if (key) setCooldown(channel.name, key, Date.now());
+      const queued = await outbox.enqueue({ channel: channel.name, type, key, message, data, thread, maxAttempts });
+      return { ...queued, platform: channel.platform };
+    }));
+  }
+
+  // True only when every channel that would receive `type` is still cooling down for `key`
+  function allCoolingDown(type, key, cooldown) {
+    const targets = [...channels.values()].filter(c => c.enabled && !c.direct && (!c.types || c.types.includes(type)));
+    return targets.length > 0 && targets.every(c => isCoolingDown(c.name, key, cooldown));
+  }
+
+  function getChannels() {
+    return [...channels.values()].map(c => ({
+      name: c.name, type: c.type, platform: c.platform, types: c.types, enabled: c.enabled, direct: c.direct, ratePerMinute: c.ratePerMinute,
+      sentCount: c.sentCount, errorCount: c.errorCount, lastError: c.lastError, pending: outbox.pendingFor(c.name)
+    }));
+  }
+
+  return { configure, attachDb, notify, allCoolingDown, getChannels, hasChannel: name => channels.has(name), outbox };
+}
+
+module.exports = { createNotifier, channelsFromEnv, channelsFromDb, ADAPTERS };
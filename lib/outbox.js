@@ -0,0 +1,230 @@
+// ============================================
+// OUTBOX - durable, rate-limited delivery for lib/notifier.js
+// ============================================
+// notify() enqueues one job per channel; a worker delivers them while honoring a
+// per-channel token bucket and the platform's retry_after on 429. Other failures are
+// retried with exponential backoff, then moved to the dead-letter table, as is a job still
+// rate limited RATE_LIMIT_MAX_AGE_MS after it was queued. Jobs are kept
+// in memory and written through to Postgres when a database is attached, so pending
+// deliveries survive a restart (each process only reloads its own `source`).
+
+const TICK_MS = 1000;
+const MAX_ATTEMPTS = 8;
+const BACKOFF_BASE_MS = 5000;
+const BACKOFF_MAX_MS = 10 * 60 * 1000;
+const RATE_LIMIT_MAX_AGE_MS = 30 * 60 * 1000;
+const MAX_DEAD_IN_MEMORY = 100;
+
+// Milliseconds the platform asked us to wait, or null when this is not a rate limit response
+function retryAfterMs(err) {
+  const res = err.response;
+  if (!res || res.status !== 429) return null;
+  const body = res.data || {};
+  const seconds = body.parameters?.retry_after ?? body.retry_after ?? parseFloat(res.headers?.['retry-after']); // Telegram, Discord, Slack
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const reset = parseInt(res.headers?.['x-rate-limit-reset']); // Twitter: epoch seconds
+  if (reset) return Math.max(1000, reset * 1000 - Date.now());
+  return 60000;
+}
+
+// Client errors other than timeouts / rate limits will not succeed on retry
+function isPermanent(err) {
+  const status = err.response?.status;
+  return status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+function backoffMs(attempts) {
+  return Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** (attempts - 1));
+}
+
+function rowToJob(row) {
+  return {
+    id: row.id, source: row.source, channel: row.channel, type: row.type, key: row.key,
+    message: row.message, data: row.data, thread: row.thread,
+    attempts: row.attempts, maxAttempts: row.max_attempts, nextAttemptAt: parseInt(row.next_attempt_at),
+    lastError: row.last_error, createdAt: parseInt(row.created_at)
+  };
+}
+
+// deliver(job) -> send result; rateLimit(channelName) -> messages per minute;
+// onDelivered(job, result) / onDead(job) are called once per job
+function createOutbox({ source, deliver, rateLimit, onDelivered, onDead, log = console }) {
+  let db = null;
+  const pending = [];
+  const dead = [];                // in-memory dead letters (the database keeps all of them)
+  const waiters = new Map();      // job id -> resolve; jobs reloaded after a restart have none
+  const buckets = new Map();      // channel -> { tokens, updatedAt }
+  const pausedUntil = new Map();  // channel -> timestamp from retry_after
+  let delivered = 0;
+
+  async function persist(query, params) {
+    if (!db) return;
+    try {
+      await db.query(query, params);
+    } catch (err) {
+      log.error('Outbox persistence error:', err.message);
+    }
+  }
+
+  function saveJob(job) {
+    return persist(`
+      INSERT INTO notification_outbox (id, source, channel, type, key, message, data, thread, attempts, max_attempts, next_attempt_at, last_error, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      ON CONFLICT (id) DO UPDATE SET attempts = $9, next_attempt_at = $11, last_error = $12
+    `, [job.id, source, job.channel, job.type, job.key, job.message, job.data, job.thread, job.attempts, job.maxAttempts, job.nextAttemptAt, job.lastError, job.createdAt]);
+  }
+
+  // Resolves once the job is stored; `delivered` resolves with onDelivered's result, or null when dead-lettered
+  async function enqueue({ channel, type, key = null, message, data, thread = null, maxAttempts = MAX_ATTEMPTS }) {
+    const job = {
+      id: Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+      source, channel, type, key, message, data, thread,
+      attempts: 0, maxAttempts, nextAttemptAt: Date.now(), lastError: null, createdAt: Date.now()
+    };
+    const delivered = new Promise(resolve => waiters.set(job.id, resolve));
+    pending.push(job);
+    await saveJob(job);
+    return { id: job.id, channel, delivered };
+  }
+
+  function finish(job, result) {
+    pending.splice(pending.indexOf(job), 1);
+    const resolve = waiters.get(job.id);
+    waiters.delete(job.id);
+    if (resolve) resolve(result);
+  }
+
+  function takeToken(channel) {
+    const perMinute = rateLimit(channel) || 60;
+    const capacity = Math.max(1, Math.ceil(perMinute / 6)); // allow ~10s worth of burst
+    const now = Date.now();
+    const bucket = buckets.get(channel) || { tokens: capacity, updatedAt: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 60000) * perMinute);
+    bucket.updatedAt = now;
+    buckets.set(channel, bucket);
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  async function attempt(job) {
+    job.sending = true;
+    try {
+      const result = await deliver(job);
+      delivered++;
+      persist('DELETE FROM notification_outbox WHERE id = $1', [job.id]);
+      finish(job, onDelivered(job, result));
+    } catch (err) {
+      const wait = retryAfterMs(err);
+      job.lastError = String(err.response?.data?.description || err.response?.data?.detail || err.response?.data?.message || err.response?.status || err.message);
+      if (wait !== null) {
+        // Rate limited: pause the whole channel, this is not the job's fault, but don't wait forever
+        pausedUntil.set(job.channel, Date.now() + wait);
+        if (Date.now() + wait - job.createdAt > RATE_LIMIT_MAX_AGE_MS) return markDead(job);
+        job.nextAttemptAt = Date.now() + wait;
+        log.log('⏳ ' + job.channel + ' rate limited, retrying in ' + Math.ceil(wait / 1000) + 's');
+        saveJob(job);
+      } else {
+        job.attempts++;
+        if (isPermanent(err) || job.attempts >= job.maxAttempts || err.permanent) {
+          markDead(job);
+        } else {
+          job.nextAttemptAt = Date.now() + backoffMs(job.attempts);
+          log.error(job.channel + ' ' + job.type + ' failed (attempt ' + job.attempts + '/' + job.maxAttempts + '):', job.lastError);
+          saveJob(job);
+        }
+      }
+    } finally {
+      job.sending = false;
+    }
+  }
+
+  function markDead(job) {
+    log.error('☠️ ' + job.channel + ' ' + job.type + ' moved to dead letters: ' + job.lastError);
+    const { sending, ...record } = job;
+    record.failedAt = Date.now();
+    dead.unshift(record);
+    if (dead.length > MAX_DEAD_IN_MEMORY) dead.pop();
+    persist('DELETE FROM notification_outbox WHERE id = $1', [job.id]);
+    persist(`
+      INSERT INTO notification_dead_letters (id, source, channel, type, key, message, data, thread, attempts, last_error, created_at, failed_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      ON CONFLICT (id) DO NOTHING
+    `, [job.id, source, job.channel, job.type, job.key, job.message, job.data, job.thread, job.attempts, job.lastError, job.createdAt, record.failedAt]);
+    onDead(job);
+    finish(job, null);
+  }
+
+  function tick() {
+    const now = Date.now();
+    const blocked = new Set(); // channels out of tokens this tick keep their order
+    for (const job of [...pending]) {
+      if (job.sending || job.nextAttemptAt > now || blocked.has(job.channel)) continue;
+      if ((pausedUntil.get(job.channel) || 0) > now || !takeToken(job.channel)) {
+        blocked.add(job.channel);
+        continue;
+      }
+      attempt(job);
+    }
+  }
+
+  const timer = setInterval(tick, TICK_MS);
+  timer.unref();
+
+  // Pending jobs of this process from before a restart
+  async function attachDb(client) {
+    db = client;
+    try {
+      const result = await db.query('SELECT * FROM notification_outbox WHERE source = $1 ORDER BY created_at ASC', [source]);
+      const known = new Set(pending.map(j => j.id));
+      const restored = result.rows.map(rowToJob).filter(j => !known.has(j.id));
+      pending.push(...restored);
+      pending.forEach(j => { if (!restored.includes(j)) saveJob(j); }); // queued before the database was ready
+      if (restored.length > 0) log.log('📬 Outbox: restored ' + restored.length + ' pending notifications');
+    } catch (err) {
+      log.error('Outbox load error:', err.message);
+    }
+  }
+
+  // Dead letter back into the queue with a fresh attempt budget
+  async function retryDead(id) {
+    let job = dead.find(j => j.id === id);
+    if (!job && db) {
+      const result = await db.query('SELECT * FROM notification_dead_letters WHERE id = $1 AND source = $2', [id, source]);
+      job = result.rows[0] ? { ...rowToJob(result.rows[0]), maxAttempts: MAX_ATTEMPTS } : null;
+    }
+    if (!job) return false;
+    if (dead.includes(job)) dead.splice(dead.indexOf(job), 1);
+    await persist('DELETE FROM notification_dead_letters WHERE id = $1', [id]);
+    const requeued = { ...job, attempts: 0, maxAttempts: job.maxAttempts || MAX_ATTEMPTS, nextAttemptAt: Date.now(), lastError: null, createdAt: Date.now() };
+    delete requeued.failedAt;
+    pending.push(requeued);
+    saveJob(requeued);
+    return true;
+  }
+
+  async function listDead(limit = 50) {
+    if (!db) return dead.slice(0, limit);
+    const result = await db.query('SELECT * FROM notification_dead_letters WHERE source = $1 ORDER BY failed_at DESC LIMIT $2', [source, limit]);
+    return result.rows.map(row => ({ ...rowToJob(row), failedAt: parseInt(row.failed_at) }));
+  }
+
+  function listPending() {
+    return pending.map(({ sending, ...job }) => ({ ...job, sending: Boolean(sending) }));
+  }
+
+  function getStats() {
+    const now = Date.now();
+    return {
+      pending: pending.length,
+      retrying: pending.filter(j => j.attempts > 0).length,
+      delivered,
+      deadInMemory: dead.length,
+      pausedChannels: Object.fromEntries([...pausedUntil].filter(([, until]) => until > now))
+    };
+  }
+
+  return { enqueue, attachDb, retryDead, listDead, listPending, getStats, pendingFor: channel => pending.filter(j => j.channel === channel).length };
+}
+
+module.exports = { createOutbox, retryAfterMs };
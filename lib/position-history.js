@@ -0,0 +1,134 @@
+// ============================================
+// POSITION HISTORY - snapshots & trend analysis
+// ============================================
+// Every scan records a snapshot per (address, coin) so we can answer
+// "how fast is this position approaching liquidation" and "did they add margin".
+// Snapshots are throttled: one per SNAPSHOT_INTERVAL unless size or margin changed.
+
+const SNAPSHOT_INTERVAL = parseInt(process.env.SNAPSHOT_INTERVAL) || 5 * 60 * 1000;
+const MAX_POINTS_PER_POSITION = 500;
+const MATERIAL_CHANGE = 0.01; // 1% change in size or margin always gets a snapshot
+const STALE_AFTER = 24 * 60 * 60 * 1000; // no snapshot for a day: closed, shrunk or no longer scanned
+
+const history = new Map(); // address-coin -> [snapshot, ...] oldest first
+
+function historyKey(address, coin) {
+  return address.toLowerCase() + '-' + coin;
+}
+
+function changedMaterially(a, b) {
+  if (!a || !b) return true;
+  return Math.abs(a - b) / Math.max(Math.abs(a), Math.abs(b)) > MATERIAL_CHANGE;
+}
+
+// position is a raw clearinghouseState assetPositions[].position entry
+function recordSnapshot(address, position, markPrice) {
+  const szi = parseFloat(position.szi);
+  const liqPx = parseFloat(position.liquidationPx);
+  if (!szi || !markPrice) return null;
+
+  const key = historyKey(address, position.coin);
+  const series = history.get(key) || [];
+  const last = series[series.length - 1];
+  const marginUsed = parseFloat(position.marginUsed) || 0;
+
+  const now = Date.now();
+  if (last && now - last.timestamp < SNAPSHOT_INTERVAL &&
+      !changedMaterially(last.size, szi) && !changedMaterially(last.marginUsed, marginUsed)) {
+    return null;
+  }
+
+  const isLong = szi > 0;
+  const distanceToLiq = liqPx ? (isLong ? (markPrice - liqPx) / markPrice : (liqPx - markPrice) / markPrice) : null;
+
+  const snapshot = {
+    timestamp: now,
+    size: szi,
+    positionUSD: Math.abs(szi) * markPrice,
+    entryPrice: parseFloat(position.entryPx),
+    markPrice,
+    liqPrice: liqPx || null,
+    distanceToLiq,
+    marginUsed,
+    unrealizedPnl: parseFloat(position.unrealizedPnl) || 0,
+    leverage: position.leverage?.value || 1
+  };
+
+  series.push(snapshot);
+  if (series.length > MAX_POINTS_PER_POSITION) series.shift();
+  history.set(key, series);
+  return snapshot;
+}
+
+function getHistory(address, coin, since = 0) {
+  return (history.get(historyKey(address, coin)) || []).filter(s => s.timestamp >= since);
+}
+
+// Short distance series for dashboard sparklines (percent values)
+function getDistanceSeries(address, coin, points = 30) {
+  return (history.get(historyKey(address, coin)) || [])
+    .slice(-points)
+    .filter(s => s.distanceToLiq !== null)
+    .map(s => +(s.distanceToLiq * 100).toFixed(2));
+}
+
+// Least-squares slope of distanceToLiq over time, in percentage points per hour
+function distanceSlopePerHour(series) {
+  const points = series.filter(s => s.distanceToLiq !== null);
+  if (points.length < 2) return null;
+
+  const t0 = points[0].timestamp;
+  const xs = points.map(s => (s.timestamp - t0) / 3600000);
+  const ys = points.map(s => s.distanceToLiq * 100);
+  const n = points.length;
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+
+  let num = 0, den = 0;
+  for (let i = 0; i < n; i++) {
+    num += (xs[i] - meanX) * (ys[i] - meanY);
+    den += (xs[i] - meanX) ** 2;
+  }
+  return den === 0 ? null : num / den;
+}
+
+function summarizeTrend(series) {
+  if (series.length === 0) return null;
+
+  const first = series[0];
+  const last = series[series.length - 1];
+  const slope = distanceSlopePerHour(series);
+
+  // Margin events: margin went up while size stayed (roughly) the same
+  let marginAddedCount = 0, marginAddedUSD = 0;
+  for (let i = 1; i < series.length; i++) {
+    const prev = series[i - 1], cur = series[i];
+    if (!changedMaterially(prev.size, cur.size) && cur.marginUsed > prev.marginUsed * (1 + MATERIAL_CHANGE * 5)) {
+      marginAddedCount++;
+      marginAddedUSD += cur.marginUsed - prev.marginUsed;
+    }
+  }
+
+  const currentDistance = last.distanceToLiq !== null ? last.distanceToLiq * 100 : null;
+
+  return {
+    points: series.length,
+    spanHours: +((last.timestamp - first.timestamp) / 3600000).toFixed(2),
+    distanceChangePerHour: slope !== null ? +slope.toFixed(3) : null,
+    direction: slope === null ? 'UNKNOWN' : slope < -0.05 ? 'APPROACHING' : slope > 0.05 ? 'RECEDING' : 'STABLE',
+    hoursToLiquidation: slope !== null && slope < 0 && currentDistance !== null ? +(currentDistance / -slope).toFixed(1) : null,
+    sizeChange: last.size - first.size,
+    liqPriceChange: first.liqPrice && last.liqPrice ? last.liqPrice - first.liqPrice : null,
+    marginChange: last.marginUsed - first.marginUsed,
+    marginAddedCount,
+    marginAddedUSD
+  };
+}
+
+// Drops series of positions that stopped getting snapshots (the database keeps them)
+function prune() {
+  const cutoff = Date.now() - STALE_AFTER;
+  for (const [key, series] of history) if (series[series.length - 1].timestamp < cutoff) history.delete(key);
+}
+
+module.exports = { recordSnapshot, getHistory, getDistanceSeries, summarizeTrend, prune, SNAPSHOT_INTERVAL };
@@ -0,0 +1,148 @@
+// ============================================
+// POSITION LIFECYCLE - diff consecutive account snapshots
+// ============================================
+// Compares each clearinghouseState against the previous one seen for the same
+// address and emits typed events:
+//   OPENED, INCREASED, REDUCED, FLIPPED, CLOSED, LIQUIDATED, MARGIN_ADDED
+// Closed positions are forgotten, so a whale who closes and reopens is reported again.
+// Addresses not diffed for STALE_AFTER are forgotten by prune(); when one returns its positions
+// are baselined again, not reported as OPENED, whichever scan picks it up.
+
+const SIZE_CHANGE_THRESHOLD = 0.01;    // ignore size changes under 1%
+const MARGIN_CHANGE_THRESHOLD = 0.01;  // isolated: marginUsed up 1%+
+const LIQ_MOVE_THRESHOLD = 0.005;      // cross: liq price moved 0.5%+ away from mark
+const LIQUIDATION_TOLERANCE = 0.005;   // mark within 0.5% of (or past) the old liq price
+const STALE_AFTER = 24 * 60 * 60 * 1000;
+
+const accounts = new Map(); // address -> { positions: Map(coin -> compact position), seenAt }
+const pruned = new Set();   // addresses forgotten by prune() and not seen since
+
+function compactPosition(position, markPrice) {
+  const size = parseFloat(position.szi);
+  return {
+    coin: position.coin,
+    size,
+    direction: size > 0 ? 'LONG' : 'SHORT',
+    entryPrice: parseFloat(position.entryPx) || null,
+    liqPrice: parseFloat(position.liquidationPx) || null,
+    marginUsed: parseFloat(position.marginUsed) || 0,
+    leverageType: position.leverage?.type || 'cross',
+    leverage: position.leverage?.value || 1,
+    markPrice: markPrice || null
+  };
+}
+
+function crossedLiquidation(prev, markPrice) {
+  if (!prev.liqPrice || !markPrice) return false;
+  return prev.direction === 'LONG'
+    ? markPrice <= prev.liqPrice * (1 + LIQUIDATION_TOLERANCE)
+    : markPrice >= prev.liqPrice * (1 - LIQUIDATION_TOLERANCE);
+}
+
+function liqMovedAway(prev, cur) {
+  if (!prev.liqPrice || !cur.liqPrice) return false;
+  const move = (cur.liqPrice - prev.liqPrice) / prev.liqPrice;
+  return cur.direction === 'LONG' ? move < -LIQ_MOVE_THRESHOLD : move > LIQ_MOVE_THRESHOLD;
+}
+
+function buildEvent(type, address, prev, cur, markPrice) {
+  const price = markPrice || cur?.markPrice || prev?.markPrice || 0;
+  const size = cur ? cur.size : 0;
+  const previousSize = prev ? prev.size : 0;
+  return {
+    id: Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+    type,
+    address,
+    coin: (cur || prev).coin,
+    direction: (cur || prev).direction,
+    previousDirection: prev ? prev.direction : null,
+    size,
+    previousSize,
+    sizeDelta: size - previousSize,
+    notional: Math.abs(size) * price,
+    notionalDelta: (Math.abs(size) - Math.abs(previousSize)) * price,
+    entryPrice: cur ? cur.entryPrice : null,
+    previousEntryPrice: prev ? prev.entryPrice : null,
+    liqPrice: cur ? cur.liqPrice : null,
+    previousLiqPrice: prev ? prev.liqPrice : null,
+    marginUsed: cur ? cur.marginUsed : 0,
+    previousMarginUsed: prev ? prev.marginUsed : 0,
+    leverage: (cur || prev).leverage,
+    markPrice: price,
+    timestamp: Date.now()
+  };
+}
+
+function classifyChange(prev, cur) {
+  if (prev.direction !== cur.direction) return 'FLIPPED';
+
+  const absPrev = Math.abs(prev.size);
+  const absCur = Math.abs(cur.size);
+  const sizeChange = (absCur - absPrev) / absPrev;
+  if (sizeChange > SIZE_CHANGE_THRESHOLD) return 'INCREASED';
+  if (sizeChange < -SIZE_CHANGE_THRESHOLD) return 'REDUCED';
+
+  const marginAdded = cur.leverageType === 'isolated'
+    ? cur.marginUsed > prev.marginUsed * (1 + MARGIN_CHANGE_THRESHOLD)
+    : liqMovedAway(prev, cur);
+  return marginAdded ? 'MARGIN_ADDED' : null;
+}
+
+// assetPositions: clearinghouseState.assetPositions, mids: { coin: price }
+// baselineUnseen: record an address seen for the first time without emitting OPENED
+// (used by bulk scans so newly discovered addresses don't flood the feed). Pruned addresses
+// are always baselined: their previous positions are unknown, not empty.
+function diffAccount(address, assetPositions, mids, { baselineUnseen = false } = {}) {
+  const addr = address.toLowerCase();
+  const previous = accounts.get(addr)?.positions;
+  const current = new Map();
+
+  for (const ap of assetPositions || []) {
+    const pos = ap.position;
+    if (!parseFloat(pos.szi)) continue;
+    current.set(pos.coin, compactPosition(pos, parseFloat(mids[pos.coin]) || null));
+  }
+  accounts.set(addr, { positions: current, seenAt: Date.now() });
+
+  const returning = pruned.delete(addr);
+  if (!previous && (baselineUnseen || returning)) return [];
+
+  const events = [];
+  const prevPositions = previous || new Map();
+
+  for (const [coin, cur] of current) {
+    const prev = prevPositions.get(coin);
+    if (!prev) {
+      events.push(buildEvent('OPENED', addr, null, cur, cur.markPrice));
+      continue;
+    }
+    const type = classifyChange(prev, cur);
+    if (type) events.push(buildEvent(type, addr, prev, cur, cur.markPrice));
+  }
+
+  for (const [coin, prev] of prevPositions) {
+    if (current.has(coin)) continue;
+    const markPrice = parseFloat(mids[coin]) || prev.markPrice;
+    const type = crossedLiquidation(prev, markPrice) ? 'LIQUIDATED' : 'CLOSED';
+    events.push(buildEvent(type, addr, prev, null, markPrice));
+  }
+
+  return events;
+}
+
+function getTrackedPositionCount() {
+  let count = 0;
+  for (const { positions } of accounts.values()) count += positions.size;
+  return count;
+}
+
+function prune() {
+  const cutoff = Date.now() - STALE_AFTER;
+  for (const [address, account] of accounts) {
+    if (account.seenAt >= cutoff) continue;
+    accounts.delete(address);
+    pruned.add(address);
+  }
+}
+
+module.exports = { diffAccount, getTrackedPositionCount, prune };
@@ -0,0 +1,157 @@
+// ============================================
+// TELEGRAM BOT - interactive commands
+// ============================================
+// Receives messages by long-polling getUpdates, or through a webhook route when a public
+// URL is configured (handleUpdate), and answers "/command args" with the reply of the
+// matching handler. The handlers live in server.js; this module only parses, dispatches
+// and replies.
+//
+// commands: { name: { args?: '<address>', description, run(args, ctx) -> Markdown text } }
+// ctx: { chatId, chatType, userId }
+
+const crypto = require('crypto');
+const axios = require('axios');
+
+const POLL_TIMEOUT = 30;        // seconds a getUpdates call is held open
+const RETRY_DELAY = 5000;
+const SETUP_RETRY_DELAY = 60000;  // Telegram unreachable at boot
+const MAX_MESSAGE_LENGTH = 4096;
+
+function createTelegramBot({ botToken, commands, webhookUrl = null, webhookSecret = null, log = console }) {
+  if (!botToken) throw new Error('telegram bot needs a botToken');
+  // Without a secret anyone who finds the webhook URL could send commands as any chat
+  if (webhookUrl && !webhookSecret) throw new Error('TELEGRAM_WEBHOOK_SECRET is required when TELEGRAM_WEBHOOK_URL is set');
+  if (webhookSecret && !/^[A-Za-z0-9_-]{1,256}$/.test(webhookSecret)) throw new Error('TELEGRAM_WEBHOOK_SECRET must be 1-256 characters of A-Z, a-z, 0-9, _ and -');
+  const apiUrl = 'https://api.telegram.org/bot' + botToken + '/';
+  let running = false;
+  let offset = 0;
+  let username = null;
+  let handled = 0;
+
+  async function api(method, params = {}, timeout = 15000) {
+    const response = await axios.post(apiUrl + method, params, { timeout });
+    return response.data.result;
+  }
+
+  async function sendMessage(chatId, text, { replyTo = null } = {}) {
+    const params = {
+      chat_id: chatId,
+      text: text.length > MAX_MESSAGE_LENGTH ? text.slice(0, MAX_MESSAGE_LENGTH - 1) + '…' : text,
+      disable_web_page_preview: true,
+      ...(replyTo ? { reply_to_message_id: replyTo, allow_sending_without_reply: true } : {})
+    };
+    try {
+      return await api('sendMessage', { ...params, parse_mode: 'Markdown' });
+    } catch (err) {
+      // Coin names and user input can break legacy Markdown; plain text still gets the answer out
+      if (err.response?.status !== 400) throw err;
+      return api('sendMessage', params);
+    }
+  }
+
+  function helpText() {
+    const lines = ['🤖 *HL Liquidation Hunter*', ''];
+    for (const [name, command] of Object.entries(commands)) {
+      lines.push('/' + name + (command.args ? ' ' + command.args : '') + ' - ' + command.description);
+    }
+    return lines.join('\n');
+  }
+
+  // "/coin@SomeBot btc" -> { name: 'coin', args: ['btc'] }; null for other messages and other bots
+  function parseCommand(text) {
+    const match = /^\/([a-z0-9_]+)(?:@([a-z0-9_]+))?(?:\s+([\s\S]*))?$/i.exec((text || '').trim());
+    if (!match) return null;
+    if (match[2] && username && match[2].toLowerCase() !== username.toLowerCase()) return null;
+    return { name: match[1].toLowerCase(), args: (match[3] || '').split(/\s+/).filter(Boolean) };
+  }
+
+  async function handleUpdate(update) {
+    const message = update.message || update.channel_post;
+    const parsed = parseCommand(message?.text);
+    if (!parsed) return;
+
+    const ctx = { chatId: String(message.chat.id), chatType: message.chat.type, userId: message.from?.id || null };
+    let reply;
+    if (parsed.name === 'start' || parsed.name === 'help') {
+      reply = helpText();
+    } else if (commands[parsed.name]) {
+      try {
+        reply = await commands[parsed.name].run(parsed.args, ctx);
+      } catch (err) {
+        reply = '⚠️ ' + err.message;
+      }
+    } else {
+      reply = 'Unknown command /' + parsed.name + '. Send /help for the list.';
+    }
+    handled++;
+
+    try {
+      if (reply) await sendMessage(ctx.chatId, reply, { replyTo: ctx.chatType === 'private' ? null : message.message_id });
+    } catch (err) {
+      log.error('Telegram bot reply error:', err.response?.data?.description || err.message);
+    }
+  }
+
+  async function poll() {
+    while (running) {
+      try {
+        const updates = await api('getUpdates', { offset, timeout: POLL_TIMEOUT, allowed_updates: ['message', 'channel_post'] }, (POLL_TIMEOUT + 10) * 1000);
+        for (const update of updates) {
+          offset = update.update_id + 1;
+          await handleUpdate(update);
+        }
+      } catch (err) {
+        if (!running) return;
+        // 409: another process is polling with the same token, or a webhook is set
+        log.error('Telegram bot polling error:', err.response?.data?.description || err.message);
+        await new Promise(r => setTimeout(r, RETRY_DELAY));
+      }
+    }
+  }
+
+  async function start() {
+    try {
+      username = (await api('getMe')).username;
+      if (webhookUrl) {
+        await api('setWebhook', { url: webhookUrl, secret_token: webhookSecret, allowed_updates: ['message', 'channel_post'] });
+      } else {
+        await api('deleteWebhook'); // getUpdates is refused while a webhook is set
+      }
+      await api('setMyCommands', {
+        commands: Object.entries(commands).map(([command, c]) => ({ command, description: c.description.slice(0, 256) }))
+      });
+    } catch (err) {
+      log.error('⚠️ Telegram bot setup failed (retrying in ' + SETUP_RETRY_DELAY / 1000 + 's):', err.response?.data?.description || err.message);
+      // A bad token (401) will not fix itself
+      if (err.response?.status !== 401) setTimeout(start, SETUP_RETRY_DELAY).unref();
+      return false;
+    }
+    log.log('✅ Telegram bot @' + username + ' listening for commands (' + (webhookUrl ? 'webhook' : 'long polling') + ')');
+    running = true;
+    if (!webhookUrl) poll();
+    return true;
+  }
+
+  // Telegram echoes the secret in the X-Telegram-Bot-Api-Secret-Token header
+  function verifyWebhook(header) {
+    if (!webhookSecret) return false;
+    const expected = Buffer.from(webhookSecret);
+    const given = Buffer.from(String(header || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+
+  function stop() {
+    running = false;
+  }
+
+  return {
+    start,
+    stop,
+    handleUpdate,
+    sendMessage,
+    verifyWebhook,
+    getStats: () => ({ running, username, mode: webhookUrl ? 'webhook' : 'polling', handled })
+  };
+}
+
+module.exports = { createTelegramBot };
@@ -0,0 +1,210 @@
+// ============================================
+// TRADER PROFILE - portfolio windows, fill statistics and the smart money score
+// ============================================
+// Built from three info calls: `portfolio` (account value + pnl history per window),
+// `userFillsByTime` (every perp fill in the lookback) and `clearinghouseState`.
+// Round trips are rebuilt per coin from each fill's startPosition: a trip opens when the
+// position leaves zero and closes when it returns to zero or flips side. Trips already
+// open at the start of the lookback count for win rate but not for hold time.
+
+// userFillsByTime window the statistics are computed over
+const FILL_LOOKBACK = 90 * 24 * 60 * 60 * 1000;
+const EPSILON = 1e-9;
+const TOP_COINS = 5;
+
+// Score tiers, best first
+const TIERS = [
+  { tier: 'SMART_MONEY', min: 75 },
+  { tier: 'SOLID', min: 55 },
+  { tier: 'AVERAGE', min: 40 },
+  { tier: 'DEGEN', min: 0 }
+];
+
+const WEIGHTS = { profitability: 0.35, consistency: 0.2, winRate: 0.2, risk: 0.15, experience: 0.1 };
+
+function num(value) {
+  const n = parseFloat(value);
+  return Number.isFinite(n) ? n : 0;
+}
+
+function clamp(value, min = 0, max = 100) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Spot fills (`@107`, `PURR/USDC`) have no leverage or liquidation; only perps are profiled
+function isPerpCoin(coin) {
+  return typeof coin === 'string' && !coin.startsWith('@') && !coin.includes('/');
+}
+
+// portfolio: [[window, { accountValueHistory, pnlHistory, vlm }], ...] -> { window: summary }
+// Return is pnl over the average account value of the window, so deposits don't count as profit.
+function summarizePortfolio(portfolio) {
+  const windows = {};
+  for (const [name, data] of Array.isArray(portfolio) ? portfolio : []) {
+    const values = (data?.accountValueHistory || []).map(([, v]) => num(v));
+    const pnls = (data?.pnlHistory || []).map(([, v]) => num(v));
+    if (values.length === 0 && pnls.length === 0) continue;
+
+    const positive = values.filter(v => v > 0);
+    const avgValue = positive.length > 0 ? positive.reduce((s, v) => s + v, 0) / positive.length : 0;
+    const pnl = pnls.length > 0 ? pnls[pnls.length - 1] - pnls[0] : 0;
+    // Largest fall of cumulative pnl from an earlier peak
+    let peak = -Infinity, drawdown = 0;
+    for (const p of pnls) {
+      peak = Math.max(peak, p);
+      drawdown = Math.max(drawdown, peak - p);
+    }
+
+    windows[name] = {
+      pnl,
+      accountValue: values.length > 0 ? values[values.length - 1] : null,
+      volume: num(data?.vlm),
+      returnPercent: avgValue > 0 ? +((pnl / avgValue) * 100).toFixed(2) : null,
+      maxDrawdownUSD: drawdown,
+      maxDrawdownPercent: avgValue > 0 ? +((drawdown / avgValue) * 100).toFixed(2) : null,
+      points: (data?.pnlHistory || []).map(([time, v], i) => ({ time, pnl: num(v), accountValue: values[i] ?? null }))
+    };
+  }
+  return windows;
+}
+
+// fills: userFillsByTime response. Returns trade statistics, favourite coins and liquidations.
+function analyzeFills(address, fills) {
+  const user = String(address || '').toLowerCase();
+  const perpFills = (Array.isArray(fills) ? fills : []).filter(f => isPerpCoin(f.coin)).sort((a, b) => a.time - b.time);
+  const coins = new Map();   // coin -> { volumeUSD, realizedPnl, trades }
+  const open = new Map();    // coin -> { openedAt, pnl }
+  const trips = [];
+  const liquidations = [];
+  let volumeUSD = 0, feesUSD = 0, realizedPnl = 0;
+
+  for (const fill of perpFills) {
+    const size = num(fill.sz);
+    const notional = size * num(fill.px);
+    const pnl = num(fill.closedPnl) - num(fill.fee);
+    volumeUSD += notional;
+    feesUSD += num(fill.fee);
+    realizedPnl += num(fill.closedPnl);
+
+    const coin = coins.get(fill.coin) || { coin: fill.coin, volumeUSD: 0, realizedPnl: 0, trades: 0 };
+    coin.volumeUSD += notional;
+    coin.realizedPnl += num(fill.closedPnl);
+    coins.set(fill.coin, coin);
+
+    if (fill.liquidation && String(fill.liquidation.liquidatedUser || '').toLowerCase() === user) {
+      liquidations.push({ coin: fill.coin, time: fill.time, side: num(fill.startPosition) > 0 ? 'LONG' : 'SHORT', value: notional, markPrice: num(fill.liquidation.markPx) });
+    }
+
+    const before = num(fill.startPosition);
+    const after = before + (fill.side === 'B' ? size : -size);
+    // Position already open when the lookback starts: opening time unknown
+    const trip = open.get(fill.coin) || (Math.abs(before) > EPSILON ? { openedAt: null, pnl: 0 } : null);
+    const closes = Math.abs(before) > EPSILON && (Math.abs(after) < EPSILON || before * after < 0);
+    if (trip) trip.pnl += pnl;
+
+    if (closes && trip) {
+      trips.push({ coin: fill.coin, pnl: trip.pnl, holdMs: trip.openedAt === null ? null : fill.time - trip.openedAt });
+      coin.trades++;
+      open.delete(fill.coin);
+    } else if (trip) {
+      open.set(fill.coin, trip);
+    }
+    // Opened from flat, or flipped through zero
+    if (Math.abs(after) > EPSILON && (Math.abs(before) < EPSILON || before * after < 0)) {
+      open.set(fill.coin, { openedAt: fill.time, pnl: 0 });
+    }
+  }
+
+  const wins = trips.filter(t => t.pnl > 0).length;
+  const holds = trips.map(t => t.holdMs).filter(h => h !== null);
+  return {
+    fills: perpFills.length,
+    since: perpFills.length > 0 ? perpFills[0].time : null,
+    volumeUSD,
+    feesUSD,
+    realizedPnl,
+    trades: trips.length,
+    wins,
+    winRate: trips.length > 0 ? +(wins / trips.length).toFixed(3) : null,
+    avgHoldHours: holds.length > 0 ? +(holds.reduce((s, h) => s + h, 0) / holds.length / 3600000).toFixed(1) : null,
+    medianHoldHours: holds.length > 0 ? +(median(holds) / 3600000).toFixed(1) : null,
+    openTrades: open.size,
+    coins: [...coins.values()]
+      .sort((a, b) => b.volumeUSD - a.volumeUSD)
+      .slice(0, TOP_COINS)
+      .map(c => ({ ...c, share: volumeUSD > 0 ? +(c.volumeUSD / volumeUSD).toFixed(3) : 0 })),
+    liquidations: liquidations.reverse()
+  };
+}
+
+// samples: [{ leverage, notional }] from current and recently seen positions
+function summarizeLeverage(samples) {
+  const valid = samples.filter(s => num(s.leverage) > 0);
+  if (valid.length === 0) return { typical: null, max: null, weighted: null, samples: 0 };
+  const weight = valid.reduce((s, x) => s + Math.max(num(x.notional), 1), 0);
+  return {
+    typical: median(valid.map(s => num(s.leverage))),
+    max: Math.max(...valid.map(s => num(s.leverage))),
+    weighted: +(valid.reduce((s, x) => s + num(x.leverage) * Math.max(num(x.notional), 1), 0) / weight).toFixed(1),
+    samples: valid.length
+  };
+}
+
+function tierFor(score) {
+  return TIERS.find(t => score >= t.min).tier;
+}
+
+// 0-100 composite of profitability, consistency, win rate, risk and experience.
+// Components without data are left out and the remaining weights rescaled. Without
+// profitability or win rate there is nothing to judge skill on, so the score stays null.
+function scoreTrader({ portfolio = {}, trading = null, leverage = null, liquidationCount = 0, walletAgeDays = null }) {
+  const allTime = portfolio.perpAllTime || portfolio.allTime;
+  const components = {};
+
+  // ROI mapped through tanh: +100% ≈ 88, 0% = 50, -100% ≈ 12
+  components.profitability = allTime?.returnPercent !== null && allTime?.returnPercent !== undefined
+    ? clamp(50 + 50 * Math.tanh(allTime.returnPercent / 100))
+    : null;
+
+  // Share of windows in profit
+  const windows = ['week', 'month', 'allTime'].map(name => portfolio['perp' + name[0].toUpperCase() + name.slice(1)] || portfolio[name]).filter(w => w && w.points.length > 1);
+  components.consistency = windows.length > 0 ? (windows.filter(w => w.pnl > 0).length / windows.length) * 100 : null;
+
+  // Pulled toward 50 until there are enough trades to trust it
+  components.winRate = trading && trading.trades >= 5
+    ? clamp(50 + (trading.winRate * 100 - 50) * Math.min(1, trading.trades / 30))
+    : null;
+
+  // No leverage samples, fills or liquidations: an untouched wallet is unknown, not safe
+  const typicalLeverage = leverage?.typical || 0;
+  components.risk = typicalLeverage > 0 || trading?.fills > 0 || liquidationCount > 0
+    ? clamp(100 - Math.min(liquidationCount, 4) * 25 - Math.max(0, typicalLeverage - 10) * 3)
+    : null;
+
+  // 70% wallet age (a year or more = full), 30% closed trades (100 or more = full)
+  components.experience = walletAgeDays !== null && walletAgeDays !== undefined
+    ? clamp((walletAgeDays / 365) * 100 * 0.7 + Math.min(trading?.trades || 0, 100) * 0.3)
+    : null;
+
+  let total = 0, weight = 0;
+  for (const [name, value] of Object.entries(components)) {
+    if (value === null) continue;
+    total += value * WEIGHTS[name];
+    weight += WEIGHTS[name];
+  }
+  const judged = components.profitability !== null || components.winRate !== null;
+  const score = judged && weight > 0 ? Math.round(total / weight) : null;
+  for (const name of Object.keys(components)) {
+    if (components[name] !== null) components[name] = Math.round(components[name]);
+  }
+  return { score, tier: score === null ? 'UNKNOWN' : tierFor(score), components };
+}
+
+module.exports = { summarizePortfolio, analyzeFills, summarizeLeverage, scoreTrader, tierFor, TIERS, FILL_LOOKBACK };
@@ -0,0 +1,186 @@
+// ============================================
+// WATCHLISTS - named wallet lists with labels and notes
+// ============================================
+// Addresses on a watchlist are scanned first and more often than discovered whales, and
+// every change on them is sent to the list's channels no matter how small (see the
+// WATCHLISTS section of server.js). Kept in memory and written through to the
+// watchlists / watchlist_addresses tables when a database is attached.
+//
+// Watchlist: { id, name, channels: [names], createdAt, entries: [{ address, label, notes, addedAt }] }
+// Every entry costs a request per WATCHLIST_REFRESH_INTERVAL, so a list holds at most maxEntries
+// addresses and an import can't be longer than that either.
+
+const csv = require('./csv');
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const MAX_LABEL_LENGTH = 64;
+const MAX_NOTES_LENGTH = 1000;
+
+function normalizeAddress(address) {
+  const value = String(address || '').trim();
+  if (!ADDRESS_PATTERN.test(value)) throw new Error('invalid address: ' + (value || '(empty)'));
+  return value.toLowerCase();
+}
+
+function normalizeText(value, max) {
+  return value === null || value === undefined ? null : String(value).trim().slice(0, max) || null;
+}
+
+// "address,label,notes" per line (lib/csv.js)
+const CSV_COLUMNS = ['address', 'label', 'notes'];
+const parseCsv = text => csv.parseCsv(text, CSV_COLUMNS);
+const toCsv = entries => csv.toCsv(CSV_COLUMNS, entries);
+
+function createWatchlists({ maxEntries = 200, log = console } = {}) {
+  let db = null;
+  const lists = new Map(); // id -> watchlist
+
+  async function persist(query, params) {
+    if (!db) return;
+    try {
+      await db.query(query, params);
+    } catch (err) {
+      log.error('Watchlist persistence error:', err.message);
+    }
+  }
+
+  function saveList(list) {
+    return persist(`
+      INSERT INTO watchlists (id, name, channels, created_at) VALUES ($1, $2, $3, $4)
+      ON CONFLICT (id) DO UPDATE SET name = $2, channels = $3
+    `, [list.id, list.name, list.channels, list.createdAt]);
+  }
+
+  function saveEntry(listId, entry) {
+    return persist(`
+      INSERT INTO watchlist_addresses (watchlist_id, address, label, notes, added_at) VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (watchlist_id, address) DO UPDATE SET label = $3, notes = $4
+    `, [listId, entry.address, entry.label, entry.notes, entry.addedAt]);
+  }
+
+  async function attachDb(client) {
+    db = client;
+    try {
+      const [listRows, entryRows] = await Promise.all([
+        db.query('SELECT * FROM watchlists ORDER BY created_at ASC'),
+        db.query('SELECT * FROM watchlist_addresses ORDER BY added_at ASC')
+      ]);
+      for (const row of listRows.rows) {
+        lists.set(row.id, { id: row.id, name: row.name, channels: row.channels || [], createdAt: parseInt(row.created_at), entries: [] });
+      }
+      for (const row of entryRows.rows) {
+        lists.get(row.watchlist_id)?.entries.push({ address: row.address, label: row.label, notes: row.notes, addedAt: parseInt(row.added_at) });
+      }
+      if (lists.size > 0) log.log('✅ Loaded ' + lists.size + ' watchlists (' + addresses().size + ' addresses)');
+    } catch (err) {
+      log.error('Watchlist load error:', err.message);
+    }
+  }
+
+  function get(id) {
+    const list = lists.get(id);
+    if (!list) throw Object.assign(new Error('Watchlist not found'), { status: 404 });
+    return list;
+  }
+
+  function create({ name, channels = [] }) {
+    if (!name || !String(name).trim()) throw new Error('name is required');
+    const list = {
+      id: 'wl-' + Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+      name: String(name).trim(),
+      channels,
+      createdAt: Date.now(),
+      entries: []
+    };
+    lists.set(list.id, list);
+    saveList(list);
+    return list;
+  }
+
+  function update(id, { name, channels }) {
+    const list = get(id);
+    if (name !== undefined) {
+      if (!name || !String(name).trim()) throw new Error('name is required');
+      list.name = String(name).trim();
+    }
+    if (channels !== undefined) list.channels = channels;
+    saveList(list);
+    return list;
+  }
+
+  function remove(id) {
+    get(id);
+    lists.delete(id);
+    persist('DELETE FROM watchlists WHERE id = $1', [id]); // addresses cascade
+  }
+
+  // Adds or updates; label / notes left undefined keep their current value
+  function upsertEntry(id, { address, label, notes }) {
+    const list = get(id);
+    const addr = normalizeAddress(address);
+    let entry = list.entries.find(e => e.address === addr);
+    if (!entry) {
+      if (list.entries.length >= maxEntries) throw new Error('watchlist is full (' + maxEntries + ' addresses)');
+      entry = { address: addr, label: null, notes: null, addedAt: Date.now() };
+      list.entries.push(entry);
+    }
+    if (label !== undefined) entry.label = normalizeText(label, MAX_LABEL_LENGTH);
+    if (notes !== undefined) entry.notes = normalizeText(notes, MAX_NOTES_LENGTH);
+    saveEntry(list.id, entry);
+    return entry;
+  }
+
+  function removeEntry(id, address) {
+    const list = get(id);
+    const addr = String(address || '').toLowerCase();
+    const before = list.entries.length;
+    list.entries = list.entries.filter(e => e.address !== addr);
+    if (list.entries.length === before) throw Object.assign(new Error('Address not on this watchlist'), { status: 404 });
+    persist('DELETE FROM watchlist_addresses WHERE watchlist_id = $1 AND address = $2', [list.id, addr]);
+  }
+
+  // entries: [{ address, label?, notes? }]; invalid rows are reported, the rest imported
+  function importEntries(id, entries) {
+    get(id);
+    if (entries.length > maxEntries) throw new Error('at most ' + maxEntries + ' rows per import');
+    const errors = [];
+    let imported = 0;
+    entries.forEach((entry, i) => {
+      try {
+        upsertEntry(id, { address: entry.address, label: entry.label || undefined, notes: entry.notes || undefined });
+        imported++;
+      } catch (err) {
+        errors.push('row ' + (i + 1) + ': ' + err.message);
+      }
+    });
+    return { imported, errors };
+  }
+
+  function addresses() {
+    return new Set([...lists.values()].flatMap(list => list.entries.map(e => e.address)));
+  }
+
+  // Lists (with that entry's label) an address is on
+  function listsFor(address) {
+    const addr = (address || '').toLowerCase();
+    return [...lists.values()]
+      .map(list => ({ list, entry: list.entries.find(e => e.address === addr) }))
+      .filter(({ entry }) => entry);
+  }
+
+  return {
+    attachDb,
+    list: () => [...lists.values()],
+    get,
+    create,
+    update,
+    remove,
+    upsertEntry,
+    removeEntry,
+    importEntries,
+    addresses,
+    listsFor
+  };
+}
+
+module.exports = { createWatchlists, normalizeAddress, parseCsv, toCsv };
@@ -0,0 +1,361 @@
+// ============================================
+// WS SUBSCRIPTIONS - sharded Hyperliquid WebSocket feeds
+// ============================================
+// A socket pool keeps one set of subscriptions per key (a wallet, a coin) spread over as
+// many connections as needed, `perSocket` keys each. setKeys() is called whenever the
+// wanted set changes: dropped keys are unsubscribed, new ones are placed on a socket with
+// room, opening another socket when all are full. Each socket reconnects on its own and
+// resubscribes its keys; stalled sockets (no pong, no messages) are cut and reconnected, and
+// subscriptions the server never acknowledged are re-sent. Two feeds are built on it:
+//   user feeds   `webData2` + `userFills` for a ranked list of wallets. Hyperliquid caps
+//                user-specific subscriptions per IP (10 unique users), so `maxUsers` is a
+//                hard ceiling. The latest webData2 state is kept so REST polling can skip it.
+//   trade feed   `trades` for every listed perp (listedCoins(meta)), shared with live-bot.
+//                After a reconnect onGap(coins, since) lets the caller backfill the outage
+//                (recentTrades) through backfill(); trade ids dedupe stream and backfill.
+
+const WebSocket = require('ws');
+
+const USER_TYPES = ['webData2', 'userFills'];
+const PING_INTERVAL = 30000;
+const PONG_TIMEOUT = 10000;
+const MESSAGE_TIMEOUT = 2 * PING_INTERVAL; // application pings get a `pong` message, so no socket is quiet this long
+const ACK_TIMEOUT = 10000;
+const ACK_RETRIES = 3;
+const SUPERVISE_INTERVAL = 5000;
+const RECONNECT_MAX_MS = 30000;
+
+// Matches a subscription with its `subscriptionResponse`
+function subscriptionId(subscription) {
+  return subscription.type + ':' + (subscription.coin ?? subscription.user?.toLowerCase() ?? '');
+}
+
+// keyOf(msg) -> key the message belongs to, or null; onDisconnect(keys) when a socket drops;
+// onReconnect(keys, since) once a dropped socket is back, since = its last message before the drop.
+// A supervisor terminates sockets that stop answering pings or go quiet (the close handler then
+// reconnects) and re-sends subscriptions that were never acknowledged.
+function createSocketPool({ url, perSocket, subscriptionsFor, keyOf, onMessage, onDisconnect = () => {}, onReconnect = () => {}, log = console, name }) {
+  const sockets = [];           // { id, ws, keys: Set, open, closing, attempts, messages, lastMessageAt, pending, acked, ... }
+  const keySocket = new Map();  // key -> socket
+  const keyLastMessageAt = new Map();
+  const totals = { reconnects: 0, stalls: 0, ackRetries: 0, ackFailures: 0 };
+  let nextId = 1;
+  let supervisor = null;
+
+  function send(socket, method, key) {
+    if (!socket.open) return; // subscribed on (re)connect
+    for (const subscription of subscriptionsFor(key)) {
+      const id = subscriptionId(subscription);
+      if (method === 'subscribe') {
+        socket.pending.set(id, { subscription, sentAt: Date.now(), attempts: 1, failed: false });
+      } else {
+        socket.pending.delete(id);
+        socket.acked.delete(id);
+      }
+      socket.ws.send(JSON.stringify({ method, subscription }));
+    }
+  }
+
+  function handleMessage(socket, raw) {
+    let msg;
+    try {
+      msg = JSON.parse(raw);
+    } catch (err) {
+      return;
+    }
+    socket.messages++;
+    socket.lastMessageAt = Date.now();
+    if (msg.channel === 'error') return log.error('❌ ' + name + ' error:', msg.data);
+    if (msg.channel === 'subscriptionResponse') {
+      const id = msg.data?.method === 'subscribe' && msg.data.subscription ? subscriptionId(msg.data.subscription) : null;
+      if (id && socket.pending.delete(id)) socket.acked.add(id);
+      return;
+    }
+    const key = keyOf(msg);
+    if (key === null || key === undefined || !keySocket.has(key)) return; // late message after unsubscribe
+    keyLastMessageAt.set(key, socket.lastMessageAt);
+    onMessage(msg, key);
+  }
+
+  function ping(socket) {
+    if (socket.ws.readyState !== 1) return;
+    socket.pingSentAt = Date.now();
+    socket.ws.ping();
+    socket.ws.send(JSON.stringify({ method: 'ping' }));
+  }
+
+  function connect(socket) {
+    socket.ws = new WebSocket(url);
+    socket.ws.on('open', () => {
+      const since = socket.disconnectedAt;
+      Object.assign(socket, { open: true, attempts: 0, connectedAt: Date.now(), pingSentAt: 0, lastPongAt: Date.now(), disconnectedAt: null });
+      socket.pending.clear();
+      socket.acked.clear();
+      socket.keys.forEach(key => send(socket, 'subscribe', key));
+      socket.pingTimer = setInterval(() => ping(socket), PING_INTERVAL);
+      if (since) {
+        totals.reconnects++;
+        socket.reconnects++;
+        onReconnect([...socket.keys], since);
+      }
+    });
+    socket.ws.on('message', raw => handleMessage(socket, raw));
+    socket.ws.on('pong', () => { socket.lastPongAt = Date.now(); });
+    socket.ws.on('close', () => {
+      // Several failed attempts in a row keep the start of the outage
+      if (socket.open) socket.disconnectedAt = socket.lastMessageAt || socket.connectedAt;
+      socket.open = false;
+      clearInterval(socket.pingTimer);
+      onDisconnect([...socket.keys]);
+      if (socket.closing) return;
+      socket.attempts++;
+      setTimeout(() => {
+        if (!socket.closing) connect(socket);
+      }, Math.min(5000 * socket.attempts, RECONNECT_MAX_MS));
+    });
+    socket.ws.on('error', err => log.error(name + ' socket ' + socket.id + ' error:', err.message));
+  }
+
+  // The close handler reconnects a terminated socket
+  function stall(socket, reason) {
+    log.warn('⚠️ ' + name + ' socket ' + socket.id + ' stalled (' + reason + '), reconnecting');
+    totals.stalls++;
+    socket.stalls++;
+    socket.ws.terminate();
+  }
+
+  function supervise() {
+    const now = Date.now();
+    for (const socket of sockets) {
+      if (!socket.open) continue;
+      if (socket.pingSentAt > socket.lastPongAt && now - socket.pingSentAt > PONG_TIMEOUT) {
+        stall(socket, 'no pong for ' + Math.round((now - socket.pingSentAt) / 1000) + 's');
+        continue;
+      }
+      const lastSeen = Math.max(socket.lastMessageAt || 0, socket.connectedAt);
+      if (now - lastSeen > MESSAGE_TIMEOUT) {
+        stall(socket, 'no message for ' + Math.round((now - lastSeen) / 1000) + 's');
+        continue;
+      }
+      for (const [id, sub] of socket.pending) {
+        if (sub.failed || now - sub.sentAt < ACK_TIMEOUT) continue;
+        if (sub.attempts >= ACK_RETRIES) {
+          sub.failed = true;
+          totals.ackFailures++;
+          log.warn('⚠️ ' + name + ': ' + id + ' not acknowledged after ' + sub.attempts + ' attempts');
+          continue;
+        }
+        sub.attempts++;
+        sub.sentAt = now;
+        totals.ackRetries++;
+        socket.ws.send(JSON.stringify({ method: 'subscribe', subscription: sub.subscription }));
+      }
+    }
+  }
+
+  function openSocket() {
+    const socket = {
+      id: nextId++, ws: null, keys: new Set(), open: false, closing: false, attempts: 0, reconnects: 0, stalls: 0,
+      messages: 0, connectedAt: null, lastMessageAt: null, pingSentAt: 0, lastPongAt: 0, disconnectedAt: null,
+      pending: new Map(), acked: new Set(), pingTimer: null
+    };
+    sockets.push(socket);
+    if (!supervisor) supervisor = setInterval(supervise, SUPERVISE_INTERVAL);
+    connect(socket);
+    return socket;
+  }
+
+  function closeSocket(socket) {
+    socket.closing = true;
+    sockets.splice(sockets.indexOf(socket), 1);
+    socket.ws.close();
+    if (sockets.length === 0) {
+      clearInterval(supervisor);
+      supervisor = null;
+    }
+  }
+
+  function add(key) {
+    const socket = sockets.find(s => s.keys.size < perSocket) || openSocket();
+    socket.keys.add(key);
+    keySocket.set(key, socket);
+    send(socket, 'subscribe', key);
+  }
+
+  function remove(key) {
+    const socket = keySocket.get(key);
+    keySocket.delete(key);
+    keyLastMessageAt.delete(key);
+    socket.keys.delete(key);
+    if (socket.keys.size === 0) closeSocket(socket);
+    else send(socket, 'unsubscribe', key);
+  }
+
+  function setKeys(keys) {
+    const wanted = new Set(keys);
+    const dropped = [...keySocket.keys()].filter(key => !wanted.has(key));
+    const added = [...wanted].filter(key => !keySocket.has(key));
+    dropped.forEach(remove);
+    added.forEach(add);
+    return { added, dropped };
+  }
+
+  function isAcked(socket, key) {
+    return socket.open && subscriptionsFor(key).every(subscription => socket.acked.has(subscriptionId(subscription)));
+  }
+
+  function getStats() {
+    return sockets.map(s => ({ id: s.id, open: s.open, keys: s.keys.size, messages: s.messages, lastMessageAt: s.lastMessageAt, reconnectAttempts: s.attempts }));
+  }
+
+  // Connection state per socket and subscription state per key, for /api/health
+  function getHealth() {
+    return {
+      connected: sockets.some(s => s.open),
+      ...totals,
+      sockets: sockets.map(s => ({
+        id: s.id, state: s.open ? 'open' : 'connecting', keys: s.keys.size, messages: s.messages,
+        connectedAt: s.connectedAt, lastMessageAt: s.lastMessageAt, lastPongAt: s.lastPongAt || null,
+        pendingAcks: [...s.pending.values()].filter(sub => !sub.failed).length,
+        failedAcks: [...s.pending.values()].filter(sub => sub.failed).length,
+        reconnects: s.reconnects, stalls: s.stalls, reconnectAttempts: s.attempts
+      })),
+      keys: Object.fromEntries([...keySocket].map(([key, socket]) => [key, {
+        socket: socket.id, acked: isAcked(socket, key), lastMessageAt: keyLastMessageAt.get(key) || null
+      }]))
+    };
+  }
+
+  function close() {
+    [...sockets].forEach(closeSocket);
+    keySocket.clear();
+    keyLastMessageAt.clear();
+  }
+
+  return {
+    setKeys,
+    has: key => keySocket.has(key),
+    size: () => keySocket.size,
+    socketCount: () => sockets.length,
+    isConnected: () => sockets.some(s => s.open),
+    getStats,
+    getHealth,
+    close
+  };
+}
+
+function createSubscriptionManager({ url, maxUsers = 10, usersPerSocket = 5, types = USER_TYPES, onMessage = () => {}, log = console }) {
+  const states = new Map(); // address -> { state, receivedAt } from webData2
+  let targets = [];
+
+  const pool = createSocketPool({
+    url, log, name: 'User feed', perSocket: usersPerSocket,
+    subscriptionsFor: user => types.map(type => ({ type, user })),
+    keyOf: msg => (types.includes(msg.channel) && msg.data?.user ? msg.data.user.toLowerCase() : null),
+    onMessage: (msg, user) => {
+      if (msg.channel === 'webData2' && msg.data.clearinghouseState) {
+        states.set(user, { state: msg.data.clearinghouseState, receivedAt: Date.now() });
+      }
+      onMessage(msg.channel, user, msg.data);
+    },
+    // Cached states stop being fresh, so polling picks these wallets up again
+    onDisconnect: users => users.forEach(user => states.delete(user))
+  });
+
+  // addresses: best first; only the first maxUsers get a live feed
+  function setTargets(addresses) {
+    targets = [...new Set(addresses.map(a => a.toLowerCase()))].slice(0, maxUsers);
+    const { added, dropped } = pool.setKeys(targets);
+    dropped.forEach(user => states.delete(user));
+    if (dropped.length > 0 || added.length > 0) {
+      log.log('📡 User feeds: +' + added.length + ' / -' + dropped.length + ' → ' + pool.size() + ' wallets on ' + pool.socketCount() + ' socket(s)');
+    }
+  }
+
+  // Latest streamed account state, or null when there is none newer than maxAge
+  function getState(address, maxAge) {
+    const entry = states.get(address.toLowerCase());
+    return entry && Date.now() - entry.receivedAt <= maxAge ? entry.state : null;
+  }
+
+  function getStats() {
+    return { maxUsers, usersPerSocket, types, users: pool.size(), streaming: states.size, sockets: pool.getStats(), wallets: targets };
+  }
+
+  function getHealth() {
+    const { keys, ...health } = pool.getHealth();
+    return { ...health, wallets: keys };
+  }
+
+  function close() {
+    pool.close();
+    states.clear();
+  }
+
+  return { setTargets, getState, isLive: address => pool.has(address.toLowerCase()), getStats, getHealth, close };
+}
+
+// Perps that currently trade: the `meta` universe without delisted names
+function listedCoins(meta) {
+  return (meta?.universe || []).filter(asset => !asset.isDelisted).map(asset => asset.name);
+}
+
+const SEEN_TRADES_MAX = 20000;
+
+// onTrades(trades) with trades not seen before; onGap(coins, since) after a socket was down
+function createTradeFeed({ url, coinsPerSocket = 100, onTrades, onGap = () => {}, log = console }) {
+  const seen = new Set(); // coin:tid of recent trades, insertion ordered
+  let backfilled = 0;
+
+  function deliver(trades) {
+    const fresh = trades.filter(trade => {
+      const id = trade.coin + ':' + (trade.tid ?? trade.hash + trade.time + trade.px + trade.sz);
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    });
+    for (const id of seen) {
+      if (seen.size <= SEEN_TRADES_MAX) break;
+      seen.delete(id);
+    }
+    if (fresh.length > 0) onTrades(fresh);
+    return fresh.length;
+  }
+
+  const pool = createSocketPool({
+    url, log, name: 'Trade feed', perSocket: coinsPerSocket,
+    subscriptionsFor: coin => [{ type: 'trades', coin }],
+    keyOf: msg => (msg.channel === 'trades' && Array.isArray(msg.data) ? msg.data[0]?.coin : null),
+    onMessage: msg => deliver(msg.data),
+    onReconnect: onGap
+  });
+
+  // An empty list (meta unavailable) keeps the current subscriptions
+  function setCoins(coins) {
+    if (coins.length === 0) return;
+    const { added, dropped } = pool.setKeys(coins);
+    if (added.length > 0 || dropped.length > 0) {
+      log.log('📡 Trade feed: +' + added.length + ' / -' + dropped.length + ' coins → ' + pool.size() + ' coins on ' + pool.socketCount() + ' socket(s)' + (dropped.length > 0 ? ' (dropped ' + dropped.join(', ') + ')' : ''));
+    }
+  }
+
+  // Trades fetched over REST for an outage; returns how many were new
+  function backfill(trades) {
+    const count = deliver(trades);
+    backfilled += count;
+    return count;
+  }
+
+  function getStats() {
+    return { coins: pool.size(), coinsPerSocket, connected: pool.isConnected(), backfilled, sockets: pool.getStats() };
+  }
+
+  function getHealth() {
+    const { keys, ...health } = pool.getHealth();
+    return { ...health, backfilled, coins: keys };
+  }
+
+  return { setCoins, backfill, isConnected: pool.isConnected, getStats, getHealth, close: pool.close };
+}
+
+module.exports = { createSocketPool, createSubscriptionManager, createTradeFeed, listedCoins, USER_TYPES };
@@ -1,9 +1,11 @@
 require('dotenv').config();
-const WebSocket = require('ws');
-const axios = require('axios');
-const TelegramBot = require('node-telegram-bot-api');
-const crypto = require('crypto');
-const OAuth = require('oauth-1.0a');
+const { runMigrations } = require('../lib/migrate');
+const { createNotifier, channelsFromEnv, channelsFromDb } = require('../lib/notifier');
+const { formatters, getHypurrscanUrl, shortAddress } = require('../lib/alert-format');
+const alertRules = require('../lib/alert-rules');
+const traderProfile = require('../lib/trader-profile');
+const { createHlClient } = require('../lib/hl-client');
+const { createTradeFeed, listedCoins } = require('../lib/ws-subscriptions');
 
 // ============================================
 // CONFIG
@@ -11,40 +13,17 @@ const OAuth = require('oauth-1.0a');
 const CONFIG = {
   HYPERLIQUID_API: 'https://api.hyperliquid.xyz/info',
   HYPERLIQUID_WS: 'wss://api.hyperliquid.xyz/ws',
+  // Shared with server.js when both run from the same IP: split the 1200 between them
+  HL_WEIGHT_PER_MINUTE: parseInt(process.env.HL_WEIGHT_PER_MINUTE) || 1200,
+  HL_WS_COINS_PER_SOCKET: parseInt(process.env.HL_WS_COINS_PER_SOCKET) || 100,
+  COIN_LIST_REFRESH_INTERVAL: 15 * 60 * 1000, // new listings / delistings
+  TRADE_BACKFILL_MAX_COINS: parseInt(process.env.TRADE_BACKFILL_MAX_COINS || '30'),
   MIN_TRADE_USD: 200000, // $200K minimum trade to check
-  MIN_POSITION_USD: 2000000, // $2M minimum position for notification
-  MAX_DISTANCE_PERCENT: 10, // 10% max distance to liquidation
-  TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN,
-  TELEGRAM_CHAT_ID: process.env.TELEGRAM_CHAT_ID,
-  TWITTER_API_KEY: process.env.TWITTER_API_KEY,
-  TWITTER_API_SECRET: process.env.TWITTER_API_SECRET,
-  TWITTER_ACCESS_TOKEN: process.env.TWITTER_ACCESS_TOKEN,
-  TWITTER_ACCESS_SECRET: process.env.TWITTER_ACCESS_SECRET,
+  // Which positions are alerted on is decided by the `danger` alert rules (lib/alert-rules.js)
+  // Notification channels (TELEGRAM_*, TWITTER_*, DISCORD_WEBHOOK_URL, ...) are read from env by lib/notifier.js
   DATABASE_URL: process.env.DATABASE_URL
 };
 
-// Initialize Telegram Bot
-let telegramBot = null;
-if (CONFIG.TELEGRAM_BOT_TOKEN && CONFIG.TELEGRAM_CHAT_ID) {
-  telegramBot = new TelegramBot(CONFIG.TELEGRAM_BOT_TOKEN, { polling: false });
-  console.log('✅ Telegram bot initialized');
-}
-
-// Initialize Twitter OAuth
-let twitter = null;
-if (CONFIG.TWITTER_API_KEY && CONFIG.TWITTER_ACCESS_TOKEN) {
-  const oauth = OAuth({
-    consumer: { key: CONFIG.TWITTER_API_KEY, secret: CONFIG.TWITTER_API_SECRET },
-    signature_method: 'HMAC-SHA1',
-    hash_function(base_string, key) {
-      return crypto.createHmac('sha1', key).update(base_string).digest('base64');
-    }
-  });
-  const token = { key: CONFIG.TWITTER_ACCESS_TOKEN, secret: CONFIG.TWITTER_ACCESS_SECRET };
-  twitter = { oauth, token };
-  console.log('✅ Twitter OAuth initialized');
-}
-
 // ============================================
 // DATABASE (Optional - for tracking sent notifications)
 // ============================================
@@ -53,10 +32,24 @@ if (CONFIG.DATABASE_URL) {
   const { Client } = require('pg');
   dbClient = new Client({ connectionString: CONFIG.DATABASE_URL, ssl: { rejectUnauthorized: false } });
   dbClient.connect()
+    .then(() => runMigrations(dbClient))
     .then(() => console.log('✅ PostgreSQL connected'))
-    .catch(err => console.log('⚠️ PostgreSQL not available:', err.message));
+    .then(() => channelsFromDb(dbClient))
+    .then(configs => notifier.configure(configs))
+    .then(() => notifier.attachDb(dbClient))
+    .then(loadRules)
+    .catch(err => {
+      console.log('⚠️ PostgreSQL not available:', err.message);
+      dbClient = null;
+    });
 }
 
+// ============================================
+// HYPERLIQUID CLIENT
+// ============================================
+// Same weight budget and retries as server.js (lib/hl-client.js); trade checks use the high lane
+const hl = createHlClient({ url: CONFIG.HYPERLIQUID_API, weightPerMinute: CONFIG.HL_WEIGHT_PER_MINUTE });
+
 // ============================================
 // PRICE CACHE
 // ============================================
@@ -64,9 +57,9 @@ let allMids = {};
 
 async function updatePrices() {
   try {
-    const response = await axios.post(CONFIG.HYPERLIQUID_API, { type: 'allMids' });
-    if (response.data) {
-      allMids = response.data;
+    const mids = await hl.info({ type: 'allMids' });
+    if (mids) {
+      allMids = mids;
     }
   } catch (err) {
     console.error('Price update error:', err.message);
@@ -74,145 +67,56 @@ async function updatePrices() {
 }
 
 // ============================================
-// NOTIFICATION TRACKING
+// NOTIFICATIONS
 // ============================================
-const sentAlerts = new Map(); // address-coin -> timestamp
+// Same formatters and channel adapters as server.js (lib/alert-format.js, lib/notifier.js)
 const ALERT_COOLDOWN = 24 * 60 * 60 * 1000; // 24 hours
 
-function shouldSendAlert(address, coin) {
-  const key = `${address.toLowerCase()}-${coin}`;
-  const lastSent = sentAlerts.get(key);
-  if (!lastSent) return true;
-  return (Date.now() - lastSent) > ALERT_COOLDOWN;
-}
-
-function markAlertSent(address, coin) {
-  const key = `${address.toLowerCase()}-${coin}`;
-  sentAlerts.set(key, Date.now());
-}
-
-// ============================================
-// HYPERLIQUID API
-// ============================================
-async function getUserState(address) {
+async function recordNotification(notification) {
+  if (!dbClient) return;
   try {
-    const response = await axios.post(CONFIG.HYPERLIQUID_API, {
-      type: 'clearinghouseState',
-      user: address
-    });
-    return response.data;
+    await dbClient.query(
+      `INSERT INTO sent_notifications (notification_id, source, platform, channel, type, address, coin, direction, size_usd, distance_percent, data, timestamp)
+       VALUES ($1, 'live-bot', $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+       ON CONFLICT DO NOTHING`,
+      [notification.id, notification.platform, notification.channel, notification.type, notification.user, notification.coin,
+       notification.direction, notification.size, parseFloat(notification.distance) || null, notification]
+    );
   } catch (err) {
-    return null;
+    console.error('Notification save error:', err.message);
   }
 }
 
-// ============================================
-// TELEGRAM NOTIFICATION
-// ============================================
-async function sendTelegramAlert(position) {
-  if (!telegramBot) return;
-
-  try {
-    const direction = position.direction;
-    const emoji = direction === 'LONG' ? '🟢' : '🔴';
-    const distanceEmoji = position.distancePercent < 5 ? '🚨' : '⚠️';
-
-    let message = `${distanceEmoji} *LIQUIDATION ALERT* ${distanceEmoji}\n\n`;
-    message += `${emoji} *${position.coin}* ${direction}\n`;
-    message += `💰 Size: *$${(position.positionUSD / 1000000).toFixed(2)}M*\n`;
-    message += `📉 Distance to Liq: *${position.distancePercent}%*\n`;
-    message += `🎯 Entry: $${position.entryPrice.toFixed(4)} → Mark: $${position.markPrice.toFixed(4)}\n`;
-    message += `⚡ Liquidation: $${position.liqPrice.toFixed(4)}\n`;
-    message += `📊 Leverage: ${position.leverage}x\n`;
-    message += `💵 PnL: ${position.unrealizedPnl >= 0 ? '+' : ''}$${(position.unrealizedPnl / 1000).toFixed(1)}K\n\n`;
-
-    if (position.walletAgeDays !== null) {
-      message += `🕐 Wallet Age: ${formatWalletAge(position.walletAgeDays)}\n`;
-    }
+const notifier = createNotifier({ formatters, onRecord: recordNotification, source: 'live-bot' });
+notifier.configure(channelsFromEnv());
 
-    if (position.allTimePnl !== null) {
-      const pnlEmoji = position.allTimePnl > 0 ? '📈' : '📉';
-      message += `${pnlEmoji} All-time PnL: ${position.allTimePnl >= 0 ? '+' : ''}$${(position.allTimePnl / 1000).toFixed(0)}K\n`;
-    }
+// Same rules as the server; edits made from the dashboard are picked up on the next reload
+let rules = alertRules.defaultRules();
 
-    message += `\n🔗 [View on Hypurrscan](${getHypurrscanUrl(position.user)})`;
-
-    await telegramBot.sendMessage(CONFIG.TELEGRAM_CHAT_ID, message, {
-      parse_mode: 'Markdown',
-      disable_web_page_preview: true
-    });
-
-    console.log('✅ Telegram alert sent:', position.coin, position.direction);
+async function loadRules() {
+  if (!dbClient) return;
+  try {
+    rules = (await alertRules.loadRulesFromDb(dbClient)) || alertRules.defaultRules();
   } catch (err) {
-    console.error('Telegram error:', err.message);
+    console.error('Alert rule load error:', err.message);
   }
 }
 
+function alertKey(address, coin) {
+  return `${address.toLowerCase()}-${coin}`;
+}
+
 // ============================================
-// TWITTER NOTIFICATION
+// HYPERLIQUID API
 // ============================================
-async function sendTwitterAlert(position) {
-  if (!twitter) return;
-
+async function getUserState(address) {
   try {
-    const direction = position.direction;
-    const emoji = direction === 'LONG' ? '🟢' : '🔴';
-    const distanceEmoji = position.distancePercent < 5 ? '🚨' : '⚠️';
-
-    let tweet = `${distanceEmoji} LIQUIDATION ALERT\n\n`;
-    tweet += `${emoji} ${position.coin} ${direction}\n`;
-    tweet += `💰 Size: $${(position.positionUSD / 1000000).toFixed(2)}M\n`;
-    tweet += `📉 Distance: ${position.distancePercent}%\n`;
-    tweet += `⚡ Liq: $${position.liqPrice.toFixed(4)}\n`;
-    tweet += `📊 ${position.leverage}x leverage\n\n`;
-
-    if (position.walletAgeDays !== null) {
-      tweet += `🕐 Wallet Age: ${formatWalletAge(position.walletAgeDays)}\n`;
-    }
-
-    if (position.allTimePnl !== null) {
-      const pnlEmoji = position.allTimePnl > 0 ? '📈' : '📉';
-      tweet += `${pnlEmoji} All-time: ${position.allTimePnl >= 0 ? '+' : ''}$${(position.allTimePnl / 1000).toFixed(0)}K\n`;
-    }
-
-    tweet += `\n${getHypurrscanUrl(position.user)}`;
-
-    const requestData = {
-      url: 'https://api.twitter.com/2/tweets',
-      method: 'POST',
-      data: { text: tweet }
-    };
-
-    const authHeader = twitter.oauth.toHeader(twitter.oauth.authorize(requestData, twitter.token));
-
-    await axios.post(requestData.url, requestData.data, {
-      headers: {
-        ...authHeader,
-        'Content-Type': 'application/json'
-      }
-    });
-
-    console.log('✅ Twitter alert sent:', position.coin, position.direction);
+    return await hl.info({ type: 'clearinghouseState', user: address });
   } catch (err) {
-    console.error('Twitter error:', err.message);
+    return null;
   }
 }
 
-// ============================================
-// HELPERS
-// ============================================
-function getHypurrscanUrl(address) {
-  return `https://hypurrscan.io/address/${address}`;
-}
-
-function formatWalletAge(days) {
-  if (days === null) return 'Unknown';
-  if (days < 1) return '<1 day';
-  if (days < 30) return `${Math.floor(days)} days`;
-  if (days < 365) return `${Math.floor(days / 30)} months`;
-  return `${Math.floor(days / 365)} years`;
-}
-
 // ============================================
 // POSITION PROCESSING
 // ============================================
@@ -232,27 +136,16 @@ async function checkPosition(address, coin) {
       if (!markPrice) continue;
 
       const positionUSD = Math.abs(szi) * markPrice;
-
-      // Check if position meets notification criteria
-      if (positionUSD < CONFIG.MIN_POSITION_USD) continue;
-
       const liqPx = parseFloat(pos.liquidationPx);
       const isLong = szi > 0;
       const distanceToLiq = isLong ? (markPrice - liqPx) / markPrice : (liqPx - markPrice) / markPrice;
       const distancePercent = distanceToLiq * 100;
-
-      // Check if within danger zone
-      if (distancePercent > CONFIG.MAX_DISTANCE_PERCENT || distancePercent < 0) continue;
-
-      // Check if we already sent alert recently
-      if (!shouldSendAlert(address, coin)) {
-        console.log('⏭️  Skipping alert (cooldown):', address.slice(0, 10), coin);
-        continue;
-      }
+      if (!liqPx || distancePercent < 0) continue;
 
       // Build position object
       const position = {
         user: address,
+        userShort: shortAddress(address),
         coin: pos.coin,
         direction: isLong ? 'LONG' : 'SHORT',
         positionUSD,
@@ -260,45 +153,54 @@ async function checkPosition(address, coin) {
         markPrice,
         liqPrice: liqPx,
         distancePercent: distancePercent.toFixed(2),
+        dangerLevel: distancePercent < 5 ? 'CRITICAL' : 'WARNING',
         leverage: pos.leverage?.value || 1,
         unrealizedPnl: parseFloat(pos.unrealizedPnl),
         walletAgeDays: null,
-        allTimePnl: null
+        allTimePnl: null,
+        isProfitableWhale: false,
+        whaleType: 'UNKNOWN',
+        smartScore: null,
+        traderTier: 'UNKNOWN',
+        hypurrscanUrl: getHypurrscanUrl(address)
       };
 
+      // Wallet age / PnL cost extra API calls: only fetch them if some rule can still match
+      if (alertRules.matchingRules(rules, 'danger', position, { partial: true }).length === 0) continue;
+
+      // Check if we already sent alert recently
+      if (notifier.allCoolingDown('danger', alertKey(address, coin), ALERT_COOLDOWN)) {
+        console.log('⏭️  Skipping alert (cooldown):', address.slice(0, 10), coin);
+        continue;
+      }
+
       // Try to get additional info (non-blocking)
       try {
         const walletAge = await getWalletAge(address);
-        position.walletAgeDays = walletAge;
+        position.walletAgeDays = walletAge !== null ? Math.floor(walletAge) : null;
       } catch (err) {}
 
       try {
         const allTimePnl = await getAllTimePnl(address);
         position.allTimePnl = allTimePnl;
+        position.isProfitableWhale = allTimePnl > 0;
+        if (allTimePnl !== null) position.whaleType = allTimePnl > 0 ? 'PROFITABLE' : 'LOSING';
       } catch (err) {}
 
+      if (rulesUseSmartScore()) {
+        const score = await getSmartScore(address, position);
+        position.smartScore = score?.score ?? null;
+        position.traderTier = score?.tier || 'UNKNOWN';
+      }
+
+      const route = alertRules.routeFor(alertRules.matchingRules(rules, 'danger', position), ALERT_COOLDOWN);
+      if (!route) continue;
+
       console.log('🚨 ALERT:', address.slice(0, 10), coin, position.direction, `$${(positionUSD/1000000).toFixed(2)}M`, `${distancePercent.toFixed(2)}%`);
 
-      // Send notifications
-      await Promise.all([
-        sendTelegramAlert(position),
-        sendTwitterAlert(position)
-      ]);
-
-      // Mark as sent
-      markAlertSent(address, coin);
-
-      // Save to DB
-      if (dbClient) {
-        try {
-          await dbClient.query(
-            `INSERT INTO sent_notifications (address, coin, direction, size_usd, distance_percent, timestamp)
-             VALUES ($1, $2, $3, $4, $5, NOW())
-             ON CONFLICT DO NOTHING`,
-            [address, coin, position.direction, positionUSD, distancePercent]
-          );
-        } catch (err) {}
-      }
+      // Send notifications (each channel records its own sent_notifications row)
+      const sent = await notifier.notify('danger', position, { key: alertKey(address, coin), cooldown: route.cooldown, channels: route.channels });
+      sent.forEach(n => console.log('✅ ' + n.platform + ' alert queued:', position.coin, position.direction));
     }
   } catch (err) {
     console.error('Position check error:', err.message);
@@ -310,13 +212,9 @@ async function checkPosition(address, coin) {
 // ============================================
 async function getWalletAge(address) {
   try {
-    const response = await axios.post(CONFIG.HYPERLIQUID_API, {
-      type: 'userFunding',
-      user: address,
-      startTime: 0
-    });
-    if (response.data && response.data.length > 0) {
-      const firstFunding = response.data[response.data.length - 1];
+    const funding = await hl.info({ type: 'userFunding', user: address, startTime: 0 });
+    if (funding && funding.length > 0) {
+      const firstFunding = funding[funding.length - 1];
       const ageMs = Date.now() - firstFunding.time;
       return ageMs / (1000 * 60 * 60 * 24);
     }
@@ -328,13 +226,10 @@ async function getWalletAge(address) {
 
 async function getAllTimePnl(address) {
   try {
-    const response = await axios.post(CONFIG.HYPERLIQUID_API, {
-      type: 'userFills',
-      user: address
-    });
-    if (response.data && Array.isArray(response.data)) {
+    const fills = await hl.info({ type: 'userFills', user: address });
+    if (Array.isArray(fills)) {
       let totalPnl = 0;
-      response.data.forEach(fill => {
+      fills.forEach(fill => {
         if (fill.closedPnl) totalPnl += parseFloat(fill.closedPnl);
       });
       return totalPnl;
@@ -345,64 +240,57 @@ async function getAllTimePnl(address) {
   }
 }
 
-// ============================================
-// WEBSOCKET TRADE MONITORING
-// ============================================
-let ws = null;
-let wsPingInterval = null;
+// The score costs two more calls, so it is only fetched when an enabled danger rule filters on it
+function rulesUseSmartScore() {
+  return rules.some(r => r.enabled && r.event === 'danger' &&
+    (r.filters?.minSmartScore !== undefined || r.filters?.maxSmartScore !== undefined));
+}
 
-function connectWebSocket() {
+// Same score as the dashboard's trader profiles (lib/trader-profile.js), leverage from this position only
+async function getSmartScore(address, position) {
   try {
-    ws = new WebSocket(CONFIG.HYPERLIQUID_WS);
-
-    ws.on('open', () => {
-      console.log('✅ WebSocket connected');
-      ws.send(JSON.stringify({ method: 'subscribe', subscription: { type: 'trades' } }));
-
-      // Keep-alive ping every 30 seconds
-      if (wsPingInterval) clearInterval(wsPingInterval);
-      wsPingInterval = setInterval(() => {
-        if (ws && ws.readyState === 1) {
-          ws.ping();
-        }
-      }, 30000);
-    });
-
-    ws.on('message', (data) => {
-      try {
-        const msg = JSON.parse(data);
-
-        if (msg.channel === 'subscriptionResponse') {
-          console.log('✅ Subscribed to trades stream');
-        }
-
-        if (msg.channel === 'trades' && msg.data) {
-          processTrades(msg.data);
-        }
-      } catch (err) {
-        console.error('WebSocket message error:', err.message);
-      }
+    const [portfolio, fills] = await Promise.all([
+      hl.info({ type: 'portfolio', user: address }),
+      hl.info({ type: 'userFillsByTime', user: address, startTime: Date.now() - traderProfile.FILL_LOOKBACK })
+    ]);
+    const trading = traderProfile.analyzeFills(address, fills);
+    return traderProfile.scoreTrader({
+      portfolio: traderProfile.summarizePortfolio(portfolio),
+      trading,
+      leverage: traderProfile.summarizeLeverage([{ leverage: position.leverage, notional: position.positionUSD }]),
+      liquidationCount: trading.liquidations.length,
+      walletAgeDays: position.walletAgeDays
     });
+  } catch (err) {
+    return null;
+  }
+}
 
-    ws.on('pong', () => {
-      // Keep-alive pong received
-    });
+// ============================================
+// WEBSOCKET TRADE MONITORING
+// ============================================
+// Every listed perp, same sharding, supervision and coin list as server.js (lib/ws-subscriptions.js)
+const tradeFeed = createTradeFeed({
+  url: CONFIG.HYPERLIQUID_WS,
+  coinsPerSocket: CONFIG.HL_WS_COINS_PER_SOCKET,
+  onTrades: processTrades,
+  onGap: backfillTrades
+});
 
-    ws.on('close', () => {
-      console.log('⚠️ WebSocket closed, reconnecting in 5s...');
-      if (wsPingInterval) {
-        clearInterval(wsPingInterval);
-        wsPingInterval = null;
-      }
-      setTimeout(connectWebSocket, 5000);
-    });
+// Trades missed while a socket was down; `meta` lists the majors first
+async function backfillTrades(coins, since) {
+  if (CONFIG.TRADE_BACKFILL_MAX_COINS <= 0) return;
+  const results = await Promise.all(coins.slice(0, CONFIG.TRADE_BACKFILL_MAX_COINS).map(coin =>
+    hl.info({ type: 'recentTrades', coin }).catch(() => null)));
+  const count = tradeFeed.backfill(results.flatMap(trades => (Array.isArray(trades) ? trades.filter(t => t.time >= since) : [])));
+  console.log('🩹 Backfilled ' + count + ' trades after a ' + Math.round((Date.now() - since) / 1000) + 's gap');
+}
 
-    ws.on('error', (err) => {
-      console.error('WebSocket error:', err.message);
-    });
+async function refreshCoins() {
+  try {
+    tradeFeed.setCoins(listedCoins(await hl.info({ type: 'meta' })));
   } catch (err) {
-    console.error('WebSocket connection error:', err.message);
-    setTimeout(connectWebSocket, 5000);
+    console.error('Coin list update error:', err.message);
   }
 }
 
@@ -429,7 +317,7 @@ function processTrades(trades) {
       console.log('🐋 Large trade:', user.slice(0, 10), trade.coin, `$${(tradeValue/1000).toFixed(0)}K`);
 
       // Check position immediately
-      checkPosition(user, trade.coin);
+      hl.withPriority('high', () => checkPosition(user, trade.coin));
     }
   }
 }
@@ -440,10 +328,13 @@ function processTrades(trades) {
 async function start() {
   console.log('🚀 Hyperliquid Live Trade Bot starting...');
   console.log('📊 Min trade: $' + (CONFIG.MIN_TRADE_USD/1000) + 'K');
-  console.log('💰 Min position for alert: $' + (CONFIG.MIN_POSITION_USD/1000000) + 'M');
-  console.log('📉 Max distance: ' + CONFIG.MAX_DISTANCE_PERCENT + '%');
+  await loadRules();
+  rules.filter(r => r.event === 'danger' && r.enabled).forEach(r => console.log('📏 Rule: ' + r.name + ' ' + JSON.stringify(r.filters)));
   console.log('');
 
+  // Pick up rule edits made from the dashboard
+  setInterval(loadRules, 60000);
+
   // Update prices initially
   await updatePrices();
   console.log('✅ Initial prices loaded:', Object.keys(allMids).length, 'coins');
@@ -451,21 +342,27 @@ async function start() {
   // Update prices every 5 seconds
   setInterval(updatePrices, 5000);
 
-  // Connect WebSocket
-  connectWebSocket();
+  setInterval(() => {
+    const stats = hl.getStats();
+    console.log('📊 API budget: ' + stats.usedLastMinute + '/' + stats.weightPerMinute + ' weight last minute · ' + stats.requests + ' requests, ' + stats.retries + ' retries, ' + stats.rateLimited + ' rate limited, ' + stats.errors + ' failed');
+  }, 10 * 60 * 1000);
+
+  // Subscribe to trades for every listed perp
+  await refreshCoins();
+  setInterval(refreshCoins, CONFIG.COIN_LIST_REFRESH_INTERVAL);
 }
 
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, closing...');
-  if (ws) ws.close();
+  tradeFeed.close();
   if (dbClient) dbClient.end();
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, closing...');
-  if (ws) ws.close();
+  tradeFeed.close();
   if (dbClient) dbClient.end();
   process.exit(0);
 });
@@ -0,0 +1,77 @@
+// Baseline schema: whales (originally created inline by server.js) plus the
+// position / liquidation / notification history tables shared with live-bot.
+// Uses IF NOT EXISTS so databases created before migrations existed upgrade cleanly.
+
+module.exports = {
+  up: [
+    `CREATE TABLE IF NOT EXISTS whales (
+      address TEXT PRIMARY KEY,
+      first_seen BIGINT,
+      last_seen BIGINT,
+      total_volume NUMERIC DEFAULT 0,
+      trade_count INTEGER DEFAULT 0
+    )`,
+
+    // Current at-risk positions (mirror of trackedPositions)
+    `CREATE TABLE IF NOT EXISTS tracked_positions (
+      address TEXT NOT NULL,
+      coin TEXT NOT NULL,
+      direction TEXT NOT NULL,
+      position_usd NUMERIC NOT NULL,
+      distance_to_liq NUMERIC NOT NULL,
+      danger_level TEXT NOT NULL,
+      data JSONB NOT NULL,
+      updated_at BIGINT NOT NULL,
+      PRIMARY KEY (address, coin)
+    )`,
+
+    `CREATE TABLE IF NOT EXISTS liquidations (
+      id TEXT PRIMARY KEY,
+      coin TEXT NOT NULL,
+      side TEXT NOT NULL,
+      price NUMERIC NOT NULL,
+      size NUMERIC NOT NULL,
+      value NUMERIC NOT NULL,
+      hash TEXT,
+      is_whale BOOLEAN DEFAULT FALSE,
+      timestamp BIGINT NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS liquidations_timestamp_idx ON liquidations (timestamp DESC)`,
+
+    `CREATE TABLE IF NOT EXISTS new_positions (
+      id BIGSERIAL PRIMARY KEY,
+      address TEXT NOT NULL,
+      coin TEXT NOT NULL,
+      direction TEXT NOT NULL,
+      position_usd NUMERIC NOT NULL,
+      data JSONB NOT NULL,
+      timestamp BIGINT NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS new_positions_timestamp_idx ON new_positions (timestamp DESC)`,
+
+    // Written by both processes; live-bot rows have source = 'live-bot' and no data payload
+    `CREATE TABLE IF NOT EXISTS sent_notifications (
+      id BIGSERIAL PRIMARY KEY,
+      notification_id TEXT UNIQUE,
+      source TEXT NOT NULL DEFAULT 'live-bot',
+      platform TEXT,
+      type TEXT,
+      address TEXT NOT NULL,
+      coin TEXT NOT NULL,
+      direction TEXT,
+      size_usd NUMERIC,
+      distance_percent NUMERIC,
+      data JSONB,
+      timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+    `CREATE INDEX IF NOT EXISTS sent_notifications_timestamp_idx ON sent_notifications (timestamp DESC)`
+  ],
+
+  // whales predates migrations and holds production data, so rolling back leaves it in place
+  down: [
+    'DROP TABLE IF EXISTS sent_notifications',
+    'DROP TABLE IF EXISTS new_positions',
+    'DROP TABLE IF EXISTS liquidations',
+    'DROP TABLE IF EXISTS tracked_positions'
+  ]
+};
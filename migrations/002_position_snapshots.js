@@ -0,0 +1,27 @@
+// Per-scan position snapshots for GET /api/positions/:address/:coin/history
+
+module.exports = {
+  up: [
+    `CREATE TABLE position_snapshots (
+      id BIGSERIAL PRIMARY KEY,
+      address TEXT NOT NULL,
+      coin TEXT NOT NULL,
+      size NUMERIC NOT NULL,
+      position_usd NUMERIC NOT NULL,
+      entry_price NUMERIC,
+      mark_price NUMERIC NOT NULL,
+      liq_price NUMERIC,
+      distance_to_liq NUMERIC,
+      margin_used NUMERIC,
+      unrealized_pnl NUMERIC,
+      leverage NUMERIC,
+      timestamp BIGINT NOT NULL
+    )`,
+    `CREATE INDEX position_snapshots_lookup_idx ON position_snapshots (address, coin, timestamp)`,
+    `CREATE INDEX position_snapshots_timestamp_idx ON position_snapshots (timestamp)`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS position_snapshots'
+  ]
+};
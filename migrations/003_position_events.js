@@ -0,0 +1,21 @@
+// Position lifecycle events (OPENED, INCREASED, REDUCED, FLIPPED, CLOSED, LIQUIDATED, MARGIN_ADDED)
+
+module.exports = {
+  up: [
+    `CREATE TABLE position_events (
+      id TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      address TEXT NOT NULL,
+      coin TEXT NOT NULL,
+      notional_delta NUMERIC,
+      data JSONB NOT NULL,
+      timestamp BIGINT NOT NULL
+    )`,
+    `CREATE INDEX position_events_timestamp_idx ON position_events (timestamp DESC)`,
+    `CREATE INDEX position_events_address_idx ON position_events (address, coin)`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS position_events'
+  ]
+};
@@ -0,0 +1,19 @@
+// Liquidation attribution: how a liquidation was detected, how sure we are, and who was liquidated
+
+module.exports = {
+  up: [
+    `ALTER TABLE liquidations ADD COLUMN confidence TEXT NOT NULL DEFAULT 'UNCONFIRMED'`,
+    `ALTER TABLE liquidations ADD COLUMN source TEXT`,
+    `ALTER TABLE liquidations ADD COLUMN liquidated_user TEXT`,
+    `ALTER TABLE liquidations ADD COLUMN predicted JSONB`,
+    `CREATE INDEX liquidations_user_idx ON liquidations (liquidated_user)`
+  ],
+
+  down: [
+    'DROP INDEX IF EXISTS liquidations_user_idx',
+    'ALTER TABLE liquidations DROP COLUMN predicted',
+    'ALTER TABLE liquidations DROP COLUMN liquidated_user',
+    'ALTER TABLE liquidations DROP COLUMN source',
+    'ALTER TABLE liquidations DROP COLUMN confidence'
+  ]
+};
@@ -0,0 +1,21 @@
+// Notification channels configured in the database (in addition to the env-based ones).
+// config holds the adapter options, e.g. { "webhookUrl": "..." } or { "url": "...", "secret": "..." }
+
+module.exports = {
+  up: [
+    `CREATE TABLE notification_channels (
+      name TEXT PRIMARY KEY,
+      type TEXT NOT NULL,
+      config JSONB NOT NULL DEFAULT '{}',
+      alert_types TEXT[],
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`,
+    `ALTER TABLE sent_notifications ADD COLUMN channel TEXT`
+  ],
+
+  down: [
+    'ALTER TABLE sent_notifications DROP COLUMN channel',
+    'DROP TABLE IF EXISTS notification_channels'
+  ]
+};
@@ -0,0 +1,22 @@
+// User-defined alert rules (lib/alert-rules.js). filters holds the rule's filter object,
+// channels NULL means every configured notification channel.
+
+module.exports = {
+  up: [
+    `CREATE TABLE alert_rules (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      filters JSONB NOT NULL DEFAULT '{}',
+      channels TEXT[],
+      cooldown_minutes DOUBLE PRECISION,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS alert_rules'
+  ]
+};
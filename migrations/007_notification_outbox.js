@@ -0,0 +1,52 @@
+// Durable notification delivery (lib/outbox.js): queued jobs, jobs that ran out of
+// retries, and per-channel alert cooldowns so a restart does not resend everything.
+// `source` is the process that owns the row ('server' or 'live-bot').
+
+module.exports = {
+  up: [
+    `CREATE TABLE notification_outbox (
+      id TEXT PRIMARY KEY,
+      source TEXT NOT NULL,
+      channel TEXT NOT NULL,
+      type TEXT NOT NULL,
+      key TEXT,
+      message JSONB NOT NULL,
+      data JSONB,
+      thread JSONB,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL,
+      next_attempt_at BIGINT NOT NULL,
+      last_error TEXT,
+      created_at BIGINT NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS notification_outbox_source_idx ON notification_outbox (source, created_at)`,
+    `CREATE TABLE notification_dead_letters (
+      id TEXT PRIMARY KEY,
+      source TEXT NOT NULL,
+      channel TEXT NOT NULL,
+      type TEXT NOT NULL,
+      key TEXT,
+      message JSONB NOT NULL,
+      data JSONB,
+      thread JSONB,
+      attempts INTEGER NOT NULL,
+      last_error TEXT,
+      created_at BIGINT NOT NULL,
+      failed_at BIGINT NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS notification_dead_letters_failed_idx ON notification_dead_letters (failed_at DESC)`,
+    `CREATE TABLE notification_cooldowns (
+      source TEXT NOT NULL,
+      channel TEXT NOT NULL,
+      key TEXT NOT NULL,
+      sent_at BIGINT NOT NULL,
+      PRIMARY KEY (source, channel, key)
+    )`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS notification_cooldowns',
+    'DROP TABLE IF EXISTS notification_dead_letters',
+    'DROP TABLE IF EXISTS notification_outbox'
+  ]
+};
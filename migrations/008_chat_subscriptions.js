@@ -0,0 +1,19 @@
+// Telegram bot subscriptions (lib/chat-subscriptions.js): kind 'wallet' = watched address
+// (lowercase), 'mute' = muted coin for that chat.
+
+module.exports = {
+  up: [
+    `CREATE TABLE chat_subscriptions (
+      chat_id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      value TEXT NOT NULL,
+      created_at BIGINT NOT NULL,
+      PRIMARY KEY (chat_id, kind, value)
+    )`,
+    `CREATE INDEX IF NOT EXISTS chat_subscriptions_value_idx ON chat_subscriptions (kind, value)`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS chat_subscriptions'
+  ]
+};
@@ -0,0 +1,27 @@
+// Named watchlists (lib/watchlists.js). channels: notification channels that get every
+// change on the list's addresses; empty means dashboard only.
+
+module.exports = {
+  up: [
+    `CREATE TABLE watchlists (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      channels TEXT[] NOT NULL DEFAULT '{}',
+      created_at BIGINT NOT NULL
+    )`,
+    `CREATE TABLE watchlist_addresses (
+      watchlist_id TEXT NOT NULL REFERENCES watchlists (id) ON DELETE CASCADE,
+      address TEXT NOT NULL,
+      label TEXT,
+      notes TEXT,
+      added_at BIGINT NOT NULL,
+      PRIMARY KEY (watchlist_id, address)
+    )`,
+    `CREATE INDEX IF NOT EXISTS watchlist_addresses_address_idx ON watchlist_addresses (address)`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS watchlist_addresses',
+    'DROP TABLE IF EXISTS watchlists'
+  ]
+};
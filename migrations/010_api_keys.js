@@ -0,0 +1,22 @@
+// API keys (lib/auth.js). Only the SHA-256 of the key is stored; prefix is the start of
+// the plaintext so a key can be recognised in the list. Revoked keys stay for the record.
+
+module.exports = {
+  up: [
+    `CREATE TABLE api_keys (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      role TEXT NOT NULL,
+      prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL,
+      rate_per_minute INTEGER,
+      created_at BIGINT NOT NULL,
+      last_used_at BIGINT,
+      revoked_at BIGINT
+    )`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS api_keys'
+  ]
+};
@@ -0,0 +1,32 @@
+// Address labels and the links between wallets that cluster them (lib/address-labels.js).
+// Links are stored once per pair (address_a < address_b) and reason.
+
+module.exports = {
+  up: [
+    `CREATE TABLE address_labels (
+      address TEXT PRIMARY KEY,
+      label TEXT,
+      entity TEXT,
+      tags TEXT[] NOT NULL DEFAULT '{}',
+      source TEXT NOT NULL,
+      updated_at BIGINT NOT NULL
+    )`,
+    `CREATE INDEX IF NOT EXISTS address_labels_entity_idx ON address_labels (entity)`,
+    `CREATE TABLE address_links (
+      address_a TEXT NOT NULL,
+      address_b TEXT NOT NULL,
+      reason TEXT NOT NULL,
+      evidence INTEGER NOT NULL DEFAULT 1,
+      usd NUMERIC NOT NULL DEFAULT 0,
+      first_seen BIGINT NOT NULL,
+      last_seen BIGINT NOT NULL,
+      PRIMARY KEY (address_a, address_b, reason)
+    )`,
+    `CREATE INDEX IF NOT EXISTS address_links_b_idx ON address_links (address_b)`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS address_links',
+    'DROP TABLE IF EXISTS address_labels'
+  ]
+};
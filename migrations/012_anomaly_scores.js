@@ -0,0 +1,20 @@
+// Anomaly score of new positions (lib/anomaly-score.js), for the ranked /api/anomalies feed.
+// Installs whose alert rules were already seeded get the default anomaly rule here;
+// fresh installs seed it with the other defaults.
+
+module.exports = {
+  up: [
+    `ALTER TABLE new_positions ADD COLUMN anomaly_score DOUBLE PRECISION`,
+    `CREATE INDEX new_positions_anomaly_idx ON new_positions (anomaly_score DESC, timestamp DESC)`,
+    `INSERT INTO alert_rules (id, name, event_type, filters)
+      SELECT 'default-anomaly', 'Suspicious new position', 'anomaly', '{"minAnomalyScore": 60}'
+      WHERE EXISTS (SELECT 1 FROM alert_rules)
+      ON CONFLICT (id) DO NOTHING`
+  ],
+
+  down: [
+    `DELETE FROM alert_rules WHERE id = 'default-anomaly'`,
+    'DROP INDEX IF EXISTS new_positions_anomaly_idx',
+    'ALTER TABLE new_positions DROP COLUMN anomaly_score'
+  ]
+};
@@ -0,0 +1,13 @@
+// Liquidation alerts can go out before the liquidated wallet is known, so their
+// sent_notifications rows have no address.
+
+module.exports = {
+  up: [
+    'ALTER TABLE sent_notifications ALTER COLUMN address DROP NOT NULL'
+  ],
+
+  down: [
+    'DELETE FROM sent_notifications WHERE address IS NULL',
+    'ALTER TABLE sent_notifications ALTER COLUMN address SET NOT NULL'
+  ]
+};
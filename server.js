@@ -2,13 +2,31 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
-const WebSocket = require('ws');
 const path = require('path');
+const eventStream = require('./lib/event-stream');
+const { runMigrations } = require('./lib/migrate');
+const positionHistory = require('./lib/position-history');
+const positionLifecycle = require('./lib/position-lifecycle');
+const { buildLiqMap } = require('./lib/liq-map');
+const { simulateCascade, depthPerPercent } = require('./lib/cascade-sim');
+const accountRisk = require('./lib/account-risk');
+const { projectFunding } = require('./lib/funding-drift');
+const { createNotifier, channelsFromEnv, channelsFromDb } = require('./lib/notifier');
+const { formatters, formatWalletAge, formatUSDCompact, formatPriceCompact, formatHours, getHypurrscanUrl, shortAddress, labelName, escapeMarkdown } = require('./lib/alert-format');
+const alertRules = require('./lib/alert-rules');
+const { createEscalation } = require('./lib/alert-escalation');
+const { createChatSubscriptions } = require('./lib/chat-subscriptions');
+const { createTelegramBot } = require('./lib/telegram-bot');
+const { createWatchlists, parseCsv, toCsv } = require('./lib/watchlists');
+const { createAuth, corsOptions, trustProxySetting, ROLES } = require('./lib/auth');
+const { createAddressLabels, parseCsv: parseLabelCsv, toCsv: labelsToCsv } = require('./lib/address-labels');
+const traderProfile = require('./lib/trader-profile');
+const anomalyScore = require('./lib/anomaly-score');
+const { createHlClient } = require('./lib/hl-client');
+const { createSubscriptionManager, createTradeFeed, listedCoins } = require('./lib/ws-subscriptions');
+const { dexNames, dexOf, spotPairsByToken, hasExposure, mergeAccount, DEFAULT_DEX, USDC_TOKEN } = require('./lib/multi-dex');
 
 const app = express();
-app.use(cors());
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
 
 // ============================================
 // CONFIGURATION
@@ -17,22 +35,102 @@ const CONFIG = {
   PORT: process.env.PORT || 3000,
   HYPERLIQUID_API: 'https://api.hyperliquid.xyz/info',
   HYPERLIQUID_WS: 'wss://api.hyperliquid.xyz/ws',
+  // Hyperliquid's REST weight limit is per IP: lower it when live-bot runs from the same address
+  HL_WEIGHT_PER_MINUTE: parseInt(process.env.HL_WEIGHT_PER_MINUTE) || 1200,
+  // Wallets (watched first, then closest to liquidation) streamed over per-user WebSocket feeds
+  // instead of polled. Hyperliquid allows 10 unique users per IP; 0 turns the feeds off.
+  HL_WS_MAX_USERS: parseInt(process.env.HL_WS_MAX_USERS || '10'),
+  HL_WS_USERS_PER_SOCKET: parseInt(process.env.HL_WS_USERS_PER_SOCKET) || 5,
+  HL_WS_COINS_PER_SOCKET: parseInt(process.env.HL_WS_COINS_PER_SOCKET) || 100,
+  // After a trade socket reconnects, the busiest coins (by 24h volume) get their outage backfilled
+  // from recentTrades; each coin costs a 20-weight request
+  TRADE_BACKFILL_MAX_COINS: parseInt(process.env.TRADE_BACKFILL_MAX_COINS || '30'),
+  // Builder-deployed perp dexes scanned besides the default one: unset / "all" = every dex in
+  // `perpDexs`, a comma list = only those, "none" = default dex only
+  HL_PERP_DEXES: !process.env.HL_PERP_DEXES || process.env.HL_PERP_DEXES === 'all' ? null
+    : process.env.HL_PERP_DEXES.split(',').map(d => d.trim()).filter(d => d && d !== 'none'),
+  // How often each wallet's builder dex states and spot balances are re-fetched (ms)
+  HL_ACCOUNT_EXTRAS_MAX_AGE: parseInt(process.env.HL_ACCOUNT_EXTRAS_MAX_AGE) || 10 * 60 * 1000,
   MIN_POSITION_USD: parseInt(process.env.MIN_POSITION_USD) || 2000000,
   MIN_TRADE_USD: parseInt(process.env.MIN_TRADE_USD) || 100000,
   DANGER_THRESHOLD_5: 0.05,
   DANGER_THRESHOLD_10: 0.10,
   REFRESH_INTERVAL: parseInt(process.env.REFRESH_INTERVAL) || 60000,
   MAX_ADDRESSES_TO_SCAN: 500,
-  TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN,
-  TELEGRAM_CHANNEL_ID: process.env.TELEGRAM_CHANNEL_ID,
-  TWITTER_API_KEY: process.env.TWITTER_API_KEY,
-  TWITTER_API_SECRET: process.env.TWITTER_API_SECRET,
-  TWITTER_ACCESS_TOKEN: process.env.TWITTER_ACCESS_TOKEN,
-  TWITTER_ACCESS_SECRET: process.env.TWITTER_ACCESS_SECRET,
+  // Watchlist + Telegram-watched wallets get their own, faster scan
+  WATCHLIST_REFRESH_INTERVAL: parseInt(process.env.WATCHLIST_REFRESH_INTERVAL) || 15000,
+  WATCHLIST_MAX_ADDRESSES: parseInt(process.env.WATCHLIST_MAX_ADDRESSES) || 200, // per list, and per import
+  // Notification channels (Telegram, Twitter, Discord, Slack, webhooks) are read from env by lib/notifier.js
   ALERT_COOLDOWN: 5 * 60 * 1000,
   DATABASE_URL: process.env.DATABASE_URL,
+  DATA_RETENTION_DAYS: parseInt(process.env.DATA_RETENTION_DAYS) || 7,
+  MIN_SNAPSHOT_USD: parseInt(process.env.MIN_SNAPSHOT_USD) || 500000,
+  LIFECYCLE_ALERT_MIN_USD: parseInt(process.env.LIFECYCLE_ALERT_MIN_USD) || 1000000,
+  // Distance-to-liq tiers (%) that send a follow-up in the alert thread; hysteresis in percentage points
+  ESCALATION_TIERS: (process.env.ALERT_ESCALATION_TIERS || '10,5,2,1').split(',').map(parseFloat).filter(t => t > 0),
+  ESCALATION_HYSTERESIS: parseFloat(process.env.ALERT_ESCALATION_HYSTERESIS) || 1,
+  // Bot commands (/whale, /coin, /watch ...) on the alert bot. Only one process may long-poll a token;
+  // with TELEGRAM_WEBHOOK_URL set, Telegram pushes updates to /api/telegram/webhook instead.
+  TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN,
+  TELEGRAM_COMMANDS: process.env.TELEGRAM_COMMANDS !== 'false',
+  TELEGRAM_WEBHOOK_URL: process.env.TELEGRAM_WEBHOOK_URL || null,
+  TELEGRAM_WEBHOOK_SECRET: process.env.TELEGRAM_WEBHOOK_SECRET || null,
+  // Accounts that take the other side of backstop liquidations (HLP liquidator). Not the HLP
+  // vault: it market-makes, so it is the counterparty of ordinary trades too.
+  LIQUIDATOR_ADDRESSES: (process.env.LIQUIDATOR_ADDRESSES || '0x2e3f42c178ee5a23a3e1e853e8de02e0a6e5c6c1')
+    .split(',').map(a => a.trim().toLowerCase()).filter(Boolean),
+  // Wallet clustering (lib/address-labels.js): smallest transfer that links two wallets, how many
+  // separate minutes two wallets must trade the same side within seconds of each other, and how many
+  // funding links make a wallet a hub (exchange, bridge) whose transfers link nobody
+  CLUSTER_FUNDING_MIN_USD: parseFloat(process.env.CLUSTER_FUNDING_MIN_USD) || 10000,
+  CLUSTER_LOCKSTEP_MATCHES: parseInt(process.env.CLUSTER_LOCKSTEP_MATCHES) || 5,
+  CLUSTER_MAX_FUNDING_LINKS: parseInt(process.env.CLUSTER_MAX_FUNDING_LINKS) || 10,
+  // Dashboard login; ADMIN_PASSWORD_HASH from `node lib/auth.js hash <password>` keeps the password out of env
+  ADMIN_PASSWORD: process.env.ADMIN_PASSWORD || null,
+  ADMIN_PASSWORD_HASH: process.env.ADMIN_PASSWORD_HASH || null,
+  SESSION_SECRET: process.env.SESSION_SECRET || null,
+  // false: every GET needs a session or an API key too
+  AUTH_PUBLIC_READ: process.env.AUTH_PUBLIC_READ !== 'false',
+  AUTH_DISABLED: process.env.AUTH_DISABLED === 'true',
+  // Requests per minute: per API key (unless the key sets its own), per IP for anonymous callers
+  RATE_LIMIT_READ: parseInt(process.env.RATE_LIMIT_READ) || 300,
+  RATE_LIMIT_ADMIN: parseInt(process.env.RATE_LIMIT_ADMIN) || 600,
+  RATE_LIMIT_ANONYMOUS: parseInt(process.env.RATE_LIMIT_ANONYMOUS) || 120,
+  // Comma-separated origins allowed to call the API from a browser; empty = same origin only, * = any
+  CORS_ORIGINS: process.env.CORS_ORIGINS || '',
+  // Behind a reverse proxy: hop count or true/false, so rate limits see the client IP; unset = 1 on Railway
+  TRUST_PROXY: trustProxySetting(process.env.TRUST_PROXY),
 };
 
+// ============================================
+// AUTH - sessions, API keys, roles (lib/auth.js)
+// ============================================
+const auth = createAuth({
+  adminPassword: CONFIG.ADMIN_PASSWORD,
+  adminPasswordHash: CONFIG.ADMIN_PASSWORD_HASH,
+  sessionSecret: CONFIG.SESSION_SECRET,
+  publicRead: CONFIG.AUTH_PUBLIC_READ,
+  readRatePerMinute: CONFIG.RATE_LIMIT_READ,
+  adminRatePerMinute: CONFIG.RATE_LIMIT_ADMIN,
+  anonymousRatePerMinute: CONFIG.RATE_LIMIT_ANONYMOUS,
+  disabled: CONFIG.AUTH_DISABLED
+});
+// GET = read, everything else = admin, except these
+const OWN_AUTH_ROUTES = ['/telegram/webhook'];                      // checks its own secret, not rate limited
+const OPEN_ROUTES = ['/auth/login', '/auth/logout', '/auth/me', '/health'];
+const READ_ONLY_POSTS = ['/simulate'];                               // computes, changes nothing
+
+app.set('trust proxy', CONFIG.TRUST_PROXY);
+app.use(cors(corsOptions(CONFIG.CORS_ORIGINS)));
+app.use(express.json());
+app.use(express.static(path.join(__dirname, 'public')));
+app.use('/api', (req, res, next) => OWN_AUTH_ROUTES.includes(req.path) ? next() : auth.authenticate(req, res, next));
+app.use('/api', (req, res, next) => {
+  if (OWN_AUTH_ROUTES.includes(req.path) || OPEN_ROUTES.includes(req.path)) return next();
+  const readOnly = req.method === 'GET' || req.method === 'HEAD' || READ_ONLY_POSTS.includes(req.path);
+  auth.requireRole(readOnly ? 'read' : 'admin')(req, res, next);
+});
+
 // ============================================
 // DATABASE - PostgreSQL (Optional)
 // ============================================
@@ -54,18 +152,18 @@ async function initDatabase() {
     await pool.query('SELECT NOW()');
     console.log('✅ PostgreSQL connected');
     
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS whales (
-        address TEXT PRIMARY KEY,
-        first_seen BIGINT,
-        last_seen BIGINT,
-        total_volume NUMERIC DEFAULT 0,
-        trade_count INTEGER DEFAULT 0
-      )
-    `);
+    await runMigrations(pool);
     
     console.log('✅ Database tables ready');
     await loadWhalesFromDb();
+    await loadStateFromDb();
+    await loadNotificationChannels();
+    await loadChatSubscriptions();
+    await watchlists.attachDb(pool);
+    await addressLabels.attachDb(pool);
+    await notifier.attachDb(pool); // after the channels (and chat DM channels), so restored jobs find theirs
+    await loadAlertRules();
+    await auth.attachDb(pool);
   } catch (err) {
     console.error('⚠️ Database error (continuing without persistence):', err.message);
     pool = null;
@@ -101,33 +199,185 @@ async function saveWhaleToDb(address, volume) {
 }
 
 // ============================================
-// HELPERS
+// PERSISTENCE - positions, liquidations, notifications
 // ============================================
-const TOP_COINS = ['BTC', 'ETH', 'SOL', 'BNB', 'XRP', 'DOGE', 'ADA', 'AVAX', 'DOT', 'MATIC', 'LINK', 'NEAR'];
-function isShitcoin(coin) { return !TOP_COINS.includes(coin.toUpperCase()); }
+async function loadStateFromDb() {
+  if (!pool) return;
+  try {
+    const [tracked, liqs, whaleLiqs, newPos, notifs, posEvents] = await Promise.all([
+      pool.query('SELECT data FROM tracked_positions ORDER BY distance_to_liq ASC'),
+      // UNCONFIRMED rows predate liquidation attribution (plain taker trades) and are not reloaded
+      pool.query(`SELECT * FROM liquidations WHERE confidence <> 'UNCONFIRMED' ORDER BY timestamp DESC LIMIT $1`, [MAX_LIQUIDATIONS]),
+      pool.query(`SELECT * FROM liquidations WHERE is_whale AND confidence <> 'UNCONFIRMED' ORDER BY timestamp DESC LIMIT 50`),
+      pool.query('SELECT data FROM new_positions ORDER BY timestamp DESC LIMIT 100'),
+      pool.query(`SELECT data FROM sent_notifications WHERE source = 'server' AND data IS NOT NULL ORDER BY timestamp DESC LIMIT 50`),
+      pool.query('SELECT data FROM position_events ORDER BY timestamp DESC LIMIT 200')
+    ]);
+
+    trackedPositions = tracked.rows.map(r => r.data);
+    recentLiquidations = liqs.rows.map(rowToLiquidation);
+    recentWhaleLiquidations = whaleLiqs.rows.map(rowToLiquidation);
+    recentNewPositions = newPos.rows.map(r => r.data);
+    sentNotifications.push(...notifs.rows.map(r => r.data));
+    recentPositionEvents = posEvents.rows.map(r => r.data);
+
+    console.log(`✅ Restored ${trackedPositions.length} positions, ${recentLiquidations.length} liquidations, ${recentNewPositions.length} new positions, ${sentNotifications.length} notifications`);
+  } catch (err) {
+    console.error('Load state error:', err.message);
+  }
+}
+
+function rowToLiquidation(row) {
+  return {
+    id: row.id, coin: row.coin, side: row.side,
+    price: parseFloat(row.price), size: parseFloat(row.size), value: parseFloat(row.value),
+    timestamp: parseInt(row.timestamp), hash: row.hash,
+    confidence: row.confidence, source: row.source, liquidatedUser: row.liquidated_user, predicted: row.predicted
+  };
+}
+
+async function saveTrackedPosition(position) {
+  if (!pool) return;
+  try {
+    await pool.query(`
+      INSERT INTO tracked_positions (address, coin, direction, position_usd, distance_to_liq, danger_level, data, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (address, coin) DO UPDATE SET
+        direction = $3, position_usd = $4, distance_to_liq = $5, danger_level = $6, data = $7, updated_at = $8
+    `, [position.user.toLowerCase(), position.coin, position.direction, position.positionUSD, position.distanceToLiq, position.dangerLevel, position, Date.now()]);
+  } catch (err) {}
+}
+
+async function deleteTrackedPosition(address, coin) {
+  if (!pool) return;
+  try {
+    await pool.query('DELETE FROM tracked_positions WHERE address = $1 AND coin = $2', [address, coin]);
+  } catch (err) {}
+}
+
+// refreshPositions replaces trackedPositions wholesale, so drop rows the scan no longer returned
+async function replaceTrackedPositions(positions, scanStartedAt) {
+  if (!pool) return;
+  await Promise.all(positions.map(saveTrackedPosition));
+  try {
+    await pool.query('DELETE FROM tracked_positions WHERE updated_at < $1', [scanStartedAt]);
+  } catch (err) {}
+}
+
+// Upsert: a liquidation record grows as more fills arrive and can be upgraded to CONFIRMED later
+async function saveLiquidation(liq) {
+  if (!pool) return;
+  try {
+    await pool.query(`
+      INSERT INTO liquidations (id, coin, side, price, size, value, hash, is_whale, timestamp, confidence, source, liquidated_user, predicted)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      ON CONFLICT (id) DO UPDATE SET
+        price = $4, size = $5, value = $6, is_whale = $8, confidence = $10, source = $11, liquidated_user = $12, predicted = $13
+    `, [liq.id, liq.coin, liq.side, liq.price, liq.size, liq.value, liq.hash, liq.value >= 500000, liq.timestamp,
+        liq.confidence, liq.source, liq.liquidatedUser, liq.predicted]);
+  } catch (err) {}
+}
+
+async function saveNewPosition(position) {
+  if (!pool) return;
+  try {
+    const result = await pool.query(`
+      INSERT INTO new_positions (address, coin, direction, position_usd, data, timestamp, anomaly_score)
+      VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id
+    `, [position.user.toLowerCase(), position.coin, position.direction, position.positionUSD, position, Date.now(), position.anomaly?.score ?? null]);
+    newPositionRows.set(position, result.rows[0].id); // the anomaly score can still change
+  } catch (err) {}
+}
+
+async function saveNotification(notification) {
+  if (!pool) return;
+  try {
+    await pool.query(`
+      INSERT INTO sent_notifications (notification_id, source, platform, channel, type, address, coin, direction, size_usd, distance_percent, data, timestamp)
+      VALUES ($1, 'server', $2, $3, $4, $5, $6, $7, $8, $9, $10, to_timestamp($11 / 1000.0))
+      ON CONFLICT (notification_id) DO NOTHING
+    `, [notification.id, notification.platform, notification.channel || null, notification.type || 'danger', notification.user || notification.address, notification.coin,
+        notification.direction, notification.size, parseFloat(notification.distance) || null, notification, notification.timestamp]);
+  } catch (err) {
+    console.error('Notification save error:', err.message);
+  }
+}
+
+async function savePositionEvent(event) {
+  if (!pool) return;
+  try {
+    await pool.query(`
+      INSERT INTO position_events (id, type, address, coin, notional_delta, data, timestamp)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (id) DO NOTHING
+    `, [event.id, event.type, event.address, event.coin, event.notionalDelta, event, event.timestamp]);
+  } catch (err) {}
+}
+
+async function saveSnapshotToDb(address, coin, snapshot) {
+  if (!pool) return;
+  try {
+    await pool.query(`
+      INSERT INTO position_snapshots (address, coin, size, position_usd, entry_price, mark_price, liq_price, distance_to_liq, margin_used, unrealized_pnl, leverage, timestamp)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    `, [address.toLowerCase(), coin, snapshot.size, snapshot.positionUSD, snapshot.entryPrice, snapshot.markPrice, snapshot.liqPrice,
+        snapshot.distanceToLiq, snapshot.marginUsed, snapshot.unrealizedPnl, snapshot.leverage, snapshot.timestamp]);
+  } catch (err) {}
+}
+
+async function loadSnapshotsFromDb(address, coin, since) {
+  const result = await pool.query(
+    'SELECT * FROM position_snapshots WHERE address = $1 AND coin = $2 AND timestamp >= $3 ORDER BY timestamp ASC',
+    [address.toLowerCase(), coin, since]
+  );
+  const num = v => v === null ? null : parseFloat(v);
+  return result.rows.map(r => ({
+    timestamp: parseInt(r.timestamp), size: num(r.size), positionUSD: num(r.position_usd), entryPrice: num(r.entry_price),
+    markPrice: num(r.mark_price), liqPrice: num(r.liq_price), distanceToLiq: num(r.distance_to_liq),
+    marginUsed: num(r.margin_used), unrealizedPnl: num(r.unrealized_pnl), leverage: num(r.leverage)
+  }));
+}
 
-function formatPriceCompact(price) {
-  if (!price) return '?';
-  if (price >= 10000) return price.toFixed(0);
-  if (price >= 100) return price.toFixed(1);
-  if (price >= 1) return price.toFixed(2);
-  if (price >= 0.01) return price.toFixed(4);
-  return price.toFixed(6);
+async function saveAlertRule(rule) {
+  if (!pool) return;
+  await pool.query(`
+    INSERT INTO alert_rules (id, name, event_type, filters, channels, cooldown_minutes, enabled, updated_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+    ON CONFLICT (id) DO UPDATE SET
+      name = $2, event_type = $3, filters = $4, channels = $5, cooldown_minutes = $6, enabled = $7, updated_at = NOW()
+  `, [rule.id, rule.name, rule.event, rule.filters, rule.channels, rule.cooldownMinutes, rule.enabled]);
 }
 
-function formatWalletAge(days) {
-  if (days === null || days === undefined) return 'Unknown';
-  if (days === 0) return 'Brand New (<1 day)';
-  if (days < 7) return days + ' days old';
-  if (days < 30) return Math.floor(days / 7) + ' weeks old';
-  if (days < 365) return Math.floor(days / 30) + ' months old';
-  return (days / 365).toFixed(1) + ' years old';
+async function deleteAlertRule(id) {
+  if (!pool) return;
+  await pool.query('DELETE FROM alert_rules WHERE id = $1', [id]);
 }
 
-function getHypurrscanUrl(address) {
-  return 'https://hypurrscan.io/address/' + address;
+// Retention: keep DATA_RETENTION_DAYS of history, whales are kept forever
+async function pruneOldRecords() {
+  if (!pool) return;
+  const cutoff = Date.now() - CONFIG.DATA_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  try {
+    const results = await Promise.all([
+      pool.query('DELETE FROM liquidations WHERE timestamp < $1', [cutoff]),
+      pool.query('DELETE FROM new_positions WHERE timestamp < $1', [cutoff]),
+      pool.query('DELETE FROM sent_notifications WHERE timestamp < to_timestamp($1 / 1000.0)', [cutoff]),
+      pool.query('DELETE FROM tracked_positions WHERE updated_at < $1', [cutoff]),
+      pool.query('DELETE FROM position_snapshots WHERE timestamp < $1', [cutoff]),
+      pool.query('DELETE FROM position_events WHERE timestamp < $1', [cutoff]),
+      pool.query('DELETE FROM notification_dead_letters WHERE failed_at < $1', [cutoff]),
+      pool.query('DELETE FROM notification_cooldowns WHERE sent_at < $1', [Date.now() - 2 * 24 * 60 * 60 * 1000])
+    ]);
+    const removed = results.reduce((sum, r) => sum + r.rowCount, 0);
+    if (removed > 0) console.log(`🧹 Pruned ${removed} records older than ${CONFIG.DATA_RETENTION_DAYS} days`);
+  } catch (err) {
+    console.error('Prune error:', err.message);
+  }
 }
 
+// ============================================
+// HELPERS
+// ============================================
 function getHyperliquidUrl(address) {
   return 'https://app.hyperliquid.xyz/explorer/address/' + address;
 }
@@ -147,16 +397,11 @@ async function getWalletAge(address) {
   if (walletAgeDays.has(addrLower)) return walletAgeDays.get(addrLower);
 
   try {
-    const response = await axios.post(CONFIG.HYPERLIQUID_API, {
-      type: 'userFillsByTime',
-      user: address,
-      startTime: 0,
-      endTime: Date.now()
-    });
+    const fills = await hl.info({ type: 'userFillsByTime', user: address, startTime: 0, endTime: Date.now() });
 
-    if (response.data && Array.isArray(response.data) && response.data.length > 0) {
+    if (Array.isArray(fills) && fills.length > 0) {
       let earliestTime = Date.now();
-      for (const fill of response.data) {
+      for (const fill of fills) {
         if (fill.time && fill.time < earliestTime) earliestTime = fill.time;
       }
 
@@ -172,10 +417,6 @@ async function getWalletAge(address) {
   } catch (err) { return null; }
 }
 
-// Rate limiting for position open time API calls
-let lastPositionOpenTimeCall = 0;
-const POSITION_OPEN_TIME_RATE_LIMIT = 150; // ms between calls
-
 async function getPositionOpenTime(address, coin, entryPrice) {
   const cacheKey = address.toLowerCase() + '-' + coin;
 
@@ -183,472 +424,418 @@ async function getPositionOpenTime(address, coin, entryPrice) {
   const cached = positionOpenTimeCache.get(cacheKey);
   if (cached) return cached;
 
-  // Rate limiting
-  const now = Date.now();
-  const timeSinceLastCall = now - lastPositionOpenTimeCall;
-  if (timeSinceLastCall < POSITION_OPEN_TIME_RATE_LIMIT) {
-    await new Promise(resolve => setTimeout(resolve, POSITION_OPEN_TIME_RATE_LIMIT - timeSinceLastCall));
-  }
-  lastPositionOpenTimeCall = Date.now();
-
-  // Retry logic for 429 errors
-  for (let attempt = 0; attempt < 3; attempt++) {
-    try {
-      // Get recent fills for this user
-      const response = await axios.post(CONFIG.HYPERLIQUID_API, {
-        type: 'userFillsByTime',
-        user: address,
-        startTime: Date.now() - (30 * 24 * 60 * 60 * 1000), // Last 30 days
-        endTime: Date.now()
-      });
-
-      if (response.data && Array.isArray(response.data)) {
-        // Find fills for this coin near entry price (within 5%)
-        const relevantFills = response.data
-          .filter(fill => fill.coin === coin)
-          .filter(fill => {
-            const fillPx = parseFloat(fill.px);
-            const priceDiff = Math.abs(fillPx - entryPrice) / entryPrice;
-            return priceDiff < 0.05; // Within 5% of entry price
-          })
-          .sort((a, b) => a.time - b.time); // Oldest first
-
-        if (relevantFills.length > 0) {
-          const openTime = relevantFills[0].time;
-          positionOpenTimeCache.set(cacheKey, openTime);
-          return openTime;
-        }
-      }
+  let openTime = Date.now(); // fallback when there are no matching fills
+  try {
+    // Get recent fills for this user
+    const fills = await hl.info({
+      type: 'userFillsByTime',
+      user: address,
+      startTime: Date.now() - (30 * 24 * 60 * 60 * 1000), // Last 30 days
+      endTime: Date.now()
+    });
 
-      // No fills found, cache current time
-      const fallbackTime = Date.now();
-      positionOpenTimeCache.set(cacheKey, fallbackTime);
-      return fallbackTime;
-
-    } catch (err) {
-      if (err.response && err.response.status === 429 && attempt < 2) {
-        // Rate limited, wait and retry
-        const waitTime = Math.pow(2, attempt) * 1000; // 1s, 2s
-        console.log(`⏳ Rate limited, retrying in ${waitTime}ms (attempt ${attempt + 1}/3)`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-        continue;
-      }
-      console.error('Position open time fetch error:', err.message);
-      break;
+    if (Array.isArray(fills)) {
+      // Find fills for this coin near entry price (within 5%)
+      const relevantFills = fills
+        .filter(fill => fill.coin === coin)
+        .filter(fill => {
+          const fillPx = parseFloat(fill.px);
+          const priceDiff = Math.abs(fillPx - entryPrice) / entryPrice;
+          return priceDiff < 0.05; // Within 5% of entry price
+        })
+        .sort((a, b) => a.time - b.time); // Oldest first
+
+      if (relevantFills.length > 0) openTime = relevantFills[0].time;
     }
+  } catch (err) {
+    console.error('Position open time fetch error:', err.message);
   }
 
-  // Fallback: use current time
-  const fallbackTime = Date.now();
-  positionOpenTimeCache.set(cacheKey, fallbackTime);
-  return fallbackTime;
+  positionOpenTimeCache.set(cacheKey, openTime);
+  return openTime;
 }
 
 // ============================================
 // ALERTS
 // ============================================
-const sentAlerts = new Map();
+// Formatting lives in lib/alert-format.js, delivery in lib/notifier.js + lib/channels/*.
+// *When* to alert is decided by the user-defined rules in lib/alert-rules.js (/api/rules).
 const sentNotifications = []; // Track sent notifications history
-const crypto = require('crypto');
-let oauthLib = null;
-try { oauthLib = require('oauth-1.0a'); } catch (e) { console.log('⚠️ oauth-1.0a not installed - Twitter disabled'); }
-
-async function sendTelegramAlert(position) {
-  if (!CONFIG.TELEGRAM_BOT_TOKEN || !CONFIG.TELEGRAM_CHANNEL_ID) return;
-
-  const alertKey = position.user + '-' + position.coin;
-  const lastAlert = sentAlerts.get(alertKey);
-  if (lastAlert && (Date.now() - lastAlert) < CONFIG.ALERT_COOLDOWN) return;
-
-  const isLong = position.direction === 'LONG';
-  const isCritical = position.dangerLevel === 'CRITICAL';
-  const ageDays = position.walletAgeDays;
-  const isBrandNew = ageDays !== null && ageDays === 0;
-  const isNewWallet = ageDays !== null && ageDays < 7;
-  const isShitcoinBet = isShitcoin(position.coin) && position.positionUSD >= 2000000;
-  const isPotentialVaultAttack = isShitcoin(position.coin) && position.positionUSD >= 10000000;
-
-  // Build message parts
-  let lines = [];
-
-  // Header based on situation
-  if (isPotentialVaultAttack) {
-    lines.push('🚨🚨🚨 *HYPERVAULT ATTACK ALERT* 🚨🚨🚨');
-    lines.push('');
-  } else if (isShitcoinBet) {
-    lines.push('🎰 *DEGEN WHALE SPOTTED* 🎰');
-    lines.push('');
-  } else if (isBrandNew) {
-    lines.push('👶🔥 *FRESH WALLET ALERT* 🔥👶');
-    lines.push('⚠️ _Possible insider or exploit activity_');
-    lines.push('');
-  }
-
-  // Main position info with visual box
-  const dirIcon = isLong ? '🟢' : '🔴';
-  const dangerIcon = isCritical ? '💀' : '⚠️';
-
-  lines.push(dangerIcon + ' *' + position.coin + ' ' + position.direction + '* ' + dangerIcon);
-  lines.push('━━━━━━━━━━━━━━━━');
-
-  // Whale history status
-  if (position.allTimePnl !== null) {
-    const pnlValue = position.allTimePnl;
-    const pnlAbs = Math.abs(pnlValue);
-    let pnlStr = pnlAbs >= 1000000 ? '$' + (pnlAbs / 1000000).toFixed(2) + 'M' : '$' + (pnlAbs / 1000).toFixed(0) + 'K';
-
-    if (position.isProfitableWhale) {
-      lines.push('👑 *HISTORICALLY WINNER WHALE*');
-      lines.push('📈 All-Time: *+' + pnlStr + '*');
-    } else {
-      lines.push('🎲 *HISTORICALLY LOSER WHALE*');
-      lines.push('📉 All-Time: *-' + pnlStr + '*');
-    }
-    lines.push('');
-  }
-
-  // Position details
-  lines.push('💎 Size: *$' + (position.positionUSD / 1000000).toFixed(2) + 'M*');
-  lines.push('⚡ Leverage: *' + position.leverage + 'x*');
-  lines.push('🎯 Distance to Liq: *' + position.distancePercent + '%*');
-  lines.push('');
 
-  // Price info
-  lines.push('📊 Entry: `$' + formatPriceCompact(position.entryPrice) + '`');
-  lines.push('💀 Liquidation: `$' + formatPriceCompact(position.liqPrice) + '`');
-  lines.push('');
-
-  // Wallet age
-  if (isBrandNew) {
-    lines.push('🆕 Wallet Age: *BRAND NEW* (<1 day)');
-  } else if (isNewWallet) {
-    lines.push('👶 Wallet Age: *' + ageDays + ' days*');
-  } else if (ageDays !== null) {
-    lines.push('🕐 Wallet Age: ' + formatWalletAge(ageDays));
-  }
+function recordNotification(notification) {
+  sentNotifications.unshift(notification);
+  if (sentNotifications.length > 50) sentNotifications.pop();
+  eventStream.publish('notification', notification);
+  saveNotification(notification);
+}
 
-  lines.push('');
-  lines.push('🔗 [View Position on Hypurrscan](' + position.hypurrscanUrl + ')');
-  lines.push('');
-  lines.push('#Hyperliquid #' + position.coin + ' #WhaleAlert');
+// Per-chat watched wallets and muted coins of the Telegram bot (see TELEGRAM BOT),
+// and the dashboard's named watchlists (see WATCHLISTS)
+const subscriptions = createChatSubscriptions();
+const watchlists = createWatchlists({ maxEntries: CONFIG.WATCHLIST_MAX_ADDRESSES });
+// Who is behind an address (see ADDRESS LABELS); alerts and API responses carry it as `label`
+const addressLabels = createAddressLabels({
+  fundingMinUSD: CONFIG.CLUSTER_FUNDING_MIN_USD, lockstepMatches: CONFIG.CLUSTER_LOCKSTEP_MATCHES, maxFundingLinks: CONFIG.CLUSTER_MAX_FUNDING_LINKS
+});
 
-  const message = lines.join('\n');
+const notifier = createNotifier({
+  formatters,
+  onRecord: recordNotification,
+  // A Telegram chat that muted a coin gets no alerts about it, broadcast or DM
+  accepts: (channel, type, data) => !(channel.chatId && subscriptions.isMuted(channel.chatId, data?.coin))
+});
+notifier.configure(channelsFromEnv());
 
+async function loadNotificationChannels() {
+  if (!pool) return;
   try {
-    await axios.post('https://api.telegram.org/bot' + CONFIG.TELEGRAM_BOT_TOKEN + '/sendMessage', {
-      chat_id: CONFIG.TELEGRAM_CHANNEL_ID,
-      text: message,
-      parse_mode: 'Markdown',
-      disable_web_page_preview: true
-    });
-    sentAlerts.set(alertKey, Date.now());
-    sentNotifications.unshift({
-      id: Date.now() + '-' + Math.random().toString(36).substr(2, 9),
-      platform: 'Telegram',
-      coin: position.coin,
-      direction: position.direction,
-      size: position.positionUSD,
-      distance: position.distancePercent,
-      address: position.userShort,
-      timestamp: Date.now()
-    });
-    if (sentNotifications.length > 50) sentNotifications.pop();
-    console.log('📨 Telegram: ' + position.coin + ' | Age: ' + formatWalletAge(ageDays));
-  } catch (error) {
-    console.error('Telegram error:', error.response?.data?.description || error.message);
-  }
-}
-
-async function sendTwitterAlert(position) {
-  if (!CONFIG.TWITTER_API_KEY || !CONFIG.TWITTER_ACCESS_TOKEN || !oauthLib) return;
-
-  const alertKey = 'twitter-' + position.user + '-' + position.coin;
-  const lastAlert = sentAlerts.get(alertKey);
-  if (lastAlert && (Date.now() - lastAlert) < CONFIG.ALERT_COOLDOWN) return;
-
-  const isLong = position.direction === 'LONG';
-  const isCritical = position.dangerLevel === 'CRITICAL';
-  const ageDays = position.walletAgeDays;
-  const isBrandNew = ageDays !== null && ageDays === 0;
-  const isShitcoinBet = isShitcoin(position.coin) && position.positionUSD >= 2000000;
-  const isPotentialVaultAttack = isShitcoin(position.coin) && position.positionUSD >= 10000000;
-
-  let lines = [];
-
-  // Header
-  if (isPotentialVaultAttack) {
-    lines.push('🚨 VAULT ATTACK ALERT 🚨');
-  } else if (isShitcoinBet) {
-    lines.push('🎰 DEGEN WHALE 🎰');
-  } else if (isBrandNew) {
-    lines.push('👶🔥 FRESH WALLET');
-  }
-
-  // Main info
-  const dangerIcon = isCritical ? '💀' : '⚠️';
-  const dirIcon = isLong ? '🟢' : '🔴';
-  lines.push(dangerIcon + ' ' + position.coin + ' ' + position.direction);
-  lines.push('');
-
-  // Whale status
-  if (position.allTimePnl !== null) {
-    const pnlAbs = Math.abs(position.allTimePnl);
-    let pnlStr = pnlAbs >= 1000000 ? '$' + (pnlAbs / 1000000).toFixed(1) + 'M' : '$' + (pnlAbs / 1000).toFixed(0) + 'K';
-    if (position.isProfitableWhale) {
-      lines.push('👑 Winner Whale (+' + pnlStr + ')');
-    } else {
-      lines.push('🎲 Loser Whale (-' + pnlStr + ')');
-    }
+    notifier.configure(await channelsFromDb(pool));
+  } catch (err) {
+    console.error('Notification channel load error:', err.message);
   }
+}
 
-  // Position details
-  lines.push(dirIcon + ' $' + (position.positionUSD / 1000000).toFixed(1) + 'M @ ' + position.leverage + 'x');
-  lines.push('📊 Entry: $' + formatPriceCompact(position.entryPrice));
-  lines.push('💀 Liq: $' + formatPriceCompact(position.liqPrice));
-  lines.push('🎯 ' + position.distancePercent + '% away');
-  lines.push('');
-  lines.push(position.hypurrscanUrl);
-  lines.push('');
-  lines.push('#Hyperliquid #' + position.coin);
+// Chats that /watch a wallet get its alerts as DMs. Each chat is a direct channel on the
+// alert bot, so DMs share the outbox, rate limits and retries with everything else.
+const DM_CHANNEL_PREFIX = 'telegram-dm-';
 
-  const tweet = lines.join('\n').slice(0, 280);
+function dmChannel(chatId) {
+  const name = DM_CHANNEL_PREFIX + chatId;
+  if (!notifier.hasChannel(name)) notifier.configure([{ name, type: 'telegram', botToken: CONFIG.TELEGRAM_BOT_TOKEN, chatId, direct: true }]);
+  return name;
+}
 
-  try {
-    const oauth = oauthLib({
-      consumer: { key: CONFIG.TWITTER_API_KEY, secret: CONFIG.TWITTER_API_SECRET },
-      signature_method: 'HMAC-SHA1',
-      hash_function(baseString, key) { return crypto.createHmac('sha1', key).update(baseString).digest('base64'); }
-    });
-    const token = { key: CONFIG.TWITTER_ACCESS_TOKEN, secret: CONFIG.TWITTER_ACCESS_SECRET };
-    const url = 'https://api.twitter.com/2/tweets';
-    const authHeader = oauth.toHeader(oauth.authorize({ url, method: 'POST' }, token));
-
-    await axios.post(url, { text: tweet }, { headers: { 'Authorization': authHeader['Authorization'], 'Content-Type': 'application/json' } });
-    sentAlerts.set(alertKey, Date.now());
-    sentNotifications.unshift({
-      id: Date.now() + '-' + Math.random().toString(36).substr(2, 9),
-      platform: 'Twitter',
-      coin: position.coin,
-      direction: position.direction,
-      size: position.positionUSD,
-      distance: position.distancePercent,
-      address: position.userShort,
-      timestamp: Date.now()
-    });
-    if (sentNotifications.length > 50) sentNotifications.pop();
-    console.log('🐦 Twitter: ' + position.coin);
-  } catch (error) {
-    console.error('Twitter error:', error.response?.status, error.response?.data?.detail || error.message);
-  }
+async function loadChatSubscriptions() {
+  if (!pool) return;
+  await subscriptions.attachDb(pool);
+  if (CONFIG.TELEGRAM_BOT_TOKEN) subscriptions.chatIds().forEach(dmChannel);
 }
 
-async function sendAlerts(position) {
-  // Bildirim koşulları: Likidasyona %10'dan yakın VE pozisyon ≥ $2M
-  if (position.distanceToLiq >= CONFIG.DANGER_THRESHOLD_10) return;
-  if (position.positionUSD < 2000000) return;
-  await Promise.all([sendTelegramAlert(position), sendTwitterAlert(position)]);
+// Channels of the watchlists an address is on, plus DMs of chats watching it
+function watcherChannels(address) {
+  const names = new Set(watchlists.listsFor(address).flatMap(({ list }) => list.channels));
+  if (CONFIG.TELEGRAM_BOT_TOKEN) subscriptions.watchersOf(address).forEach(chatId => names.add(dmChannel(chatId)));
+  return [...names];
 }
 
-// New Position Alerts - sent when whale opens ANY new position
-async function sendNewPositionAlert(position) {
-  // Only send for positions >= $500K
-  if (position.positionUSD < 500000) return;
+// Watcher alerts bypass the alert rules: watching a wallet means wanting all of its alerts.
+// exclude: channels that already have it (an open danger thread, or the rules sent it there)
+async function notifyWatchers(type, data, address, { thread = null, exclude = [] } = {}) {
+  const names = watcherChannels(address).filter(name => !exclude.includes(name));
+  if (names.length === 0) return [];
+  return notifier.notify(type, data, { channels: names, ignoreTypes: true, thread });
+}
 
-  // Check cooldown for new position alerts (separate from danger alerts)
-  const alertKey = 'new-' + position.user + '-' + position.coin;
-  const lastAlert = sentAlerts.get(alertKey);
-  if (lastAlert && (Date.now() - lastAlert) < CONFIG.ALERT_COOLDOWN) return;
+// Defaults until the database is loaded; without a database, edits last until restart
+let rules = alertRules.defaultRules({ lifecycleMinUSD: CONFIG.LIFECYCLE_ALERT_MIN_USD });
 
-  await Promise.all([sendTelegramNewPosition(position), sendTwitterNewPosition(position)]);
-  sentAlerts.set(alertKey, Date.now());
+async function loadAlertRules() {
+  if (!pool) return;
+  try {
+    const stored = await alertRules.loadRulesFromDb(pool);
+    if (stored) rules = stored;
+    else await Promise.all(rules.map(saveAlertRule)); // first run: seed the defaults so they can be edited
+    console.log('✅ ' + rules.length + ' alert rules (' + rules.filter(r => r.enabled).length + ' enabled)');
+  } catch (err) {
+    console.error('Alert rule load error:', err.message);
+  }
 }
 
-async function sendTelegramNewPosition(position) {
-  if (!CONFIG.TELEGRAM_BOT_TOKEN || !CONFIG.TELEGRAM_CHANNEL_ID) return;
+// Wallet info for events that don't carry it (lifecycle, liquidations). Cache only, never calls the API.
+function cachedWalletInfo(address) {
+  const addrLower = (address || '').toLowerCase();
+  const allTimePnl = allTimePnlCache.get(addrLower)?.pnl ?? null;
+  return {
+    label: addressLabels.lookup(addrLower),
+    allTimePnl,
+    walletAgeDays: walletAgeDays.has(addrLower) ? walletAgeDays.get(addrLower) : null,
+    whaleType: allTimePnl === null ? 'UNKNOWN' : allTimePnl > 0 ? 'PROFITABLE' : 'LOSING',
+    ...cachedTraderScore(addrLower)
+  };
+}
 
-  const isLong = position.direction === 'LONG';
-  const ageDays = position.walletAgeDays;
-  const isBrandNew = ageDays !== null && ageDays === 0;
-  const isShitcoinBet = isShitcoin(position.coin) && position.positionUSD >= 1000000;
+// Channels the alert rules would send this event to
+function ruleChannels(type, data) {
+  const route = alertRules.routeFor(alertRules.matchingRules(rules, type, data), 0);
+  if (!route) return [];
+  return notifier.getChannels()
+    .filter(c => !c.direct && (route.channels ? route.channels.includes(c.name) : !c.types || c.types.includes(type)))
+    .map(c => c.name);
+}
 
-  let lines = [];
+// Evaluates every rule for `type` and sends to the channels of the rules that matched
+async function dispatchAlert(type, data, key, options = {}) {
+  const route = alertRules.routeFor(alertRules.matchingRules(rules, type, data), CONFIG.ALERT_COOLDOWN);
+  if (!route) return [];
+  return notifier.notify(type, data, { ...options, key, cooldown: route.cooldown, channels: route.channels });
+}
 
-  // Header
-  lines.push('🆕 *NEW WHALE POSITION OPENED* 🐋');
+async function sendAlerts(position, thread = null) {
+  const sent = await dispatchAlert('danger', position, position.user + '-' + position.coin, { thread });
+  if (sent.length > 0) console.log('📨 DANGER ' + position.coin + ' → ' + sent.map(n => n.channel).join(', ') + ' | Age: ' + formatWalletAge(position.walletAgeDays));
+  return sent;
+}
 
-  if (isBrandNew) {
-    lines.push('👶 _Brand New Wallet!_');
-  }
-  if (isShitcoinBet) {
-    lines.push('🎰 _Degen Shitcoin Bet!_');
-  }
+// Danger alerts escalate: the first tier crossing that matches a rule opens a thread,
+// deeper tiers reply to it, and the thread ends with LIQUIDATED or ESCAPED (lib/alert-escalation.js)
+const escalation = createEscalation({ tiers: CONFIG.ESCALATION_TIERS, hysteresis: CONFIG.ESCALATION_HYSTERESIS });
 
-  lines.push('');
+function escalationKey(user, coin) {
+  return user.toLowerCase() + '-' + coin;
+}
 
-  // Main position info
-  const dirIcon = isLong ? '🟢' : '🔴';
-  lines.push(dirIcon + ' *' + position.coin + ' ' + position.direction + '* ' + dirIcon);
-  lines.push('━━━━━━━━━━━━━━━━');
+function threadOf(state) {
+  return { id: state.id, replyTo: state.thread };
+}
 
-  // Whale history
-  if (position.allTimePnl !== null) {
-    const pnlValue = position.allTimePnl;
-    const pnlAbs = Math.abs(pnlValue);
-    let pnlStr = pnlAbs >= 1000000 ? '$' + (pnlAbs / 1000000).toFixed(2) + 'M' : '$' + (pnlAbs / 1000).toFixed(0) + 'K';
+// Every distance reading of a position goes through here (during startup only the baseline is recorded)
+async function trackDanger(position) {
+  const key = escalationKey(position.user, position.coin);
+  const change = escalation.observe(key, parseFloat(position.distancePercent), { silent: isInitialLoad });
+  if (!change) return;
+  const { state } = change;
 
-    if (position.isProfitableWhale) {
-      lines.push('👑 Winner Whale · +' + pnlStr);
-    } else {
-      lines.push('🎲 Loser Whale · -' + pnlStr);
-    }
-    lines.push('');
+  if (change.kind === 'escaped') {
+    return sendResolution(state, 'ESCAPED', state.escapeReason || 'price recovered', position);
   }
+  const inThread = state.thread ? Object.keys(state.thread) : [];
+  const broadcast = inThread.some(name => !name.startsWith(DM_CHANNEL_PREFIX));
+  const [opened, followUps, watchers] = await Promise.all([
+    // Not broadcast yet: the alert rules decide whether this crossing opens the thread
+    broadcast ? [] : sendAlerts(position, { id: state.id }),
+    inThread.length > 0 ? notifier.notify('escalation', { ...position, tier: change.tier, previousTier: change.previousTier, firstDistance: state.firstDistance },
+      { channels: inThread, ignoreTypes: true, thread: threadOf(state) }) : [],
+    // Watchers join the thread with a full danger alert
+    notifyWatchers('danger', position, position.user, { thread: { id: state.id }, exclude: broadcast ? inThread : [...inThread, ...ruleChannels('danger', position)] })
+  ]);
+  escalation.setThread(key, [...opened, ...followUps, ...watchers]);
+  if (followUps.length > 0) console.log('📨 ESCALATION ' + position.coin + ' ' + position.direction + ' → ' + change.tier + '% (' + position.distancePercent + '%)');
+}
 
-  // Position details
-  lines.push('💎 Size: *$' + (position.positionUSD / 1000000).toFixed(2) + 'M*');
-  lines.push('⚡ Leverage: *' + position.leverage + 'x*');
-  lines.push('📊 Entry: `$' + formatPriceCompact(position.entryPrice) + '`');
-  lines.push('🎯 Distance to Liq: *' + position.distancePercent + '%*');
-
-  if (position.dangerLevel === 'CRITICAL') {
-    lines.push('⚠️ _Already at CRITICAL distance!_');
-  } else if (position.dangerLevel === 'WARNING') {
-    lines.push('⚠️ _Already at WARNING distance!_');
-  }
+// Positions that processPosition no longer reports (left the danger zone or shrank) still
+// feed an open escalation, otherwise it could never escape
+function followEscalation(address, pos) {
+  if (!escalation.has(escalationKey(address, pos.coin))) return;
+  const size = parseFloat(pos.szi);
+  const markPrice = parseFloat(allMids[pos.coin]);
+  const liqPrice = parseFloat(pos.liquidationPx) || null;
+  if (!size || !markPrice) return;
+  const distance = liqPrice ? ((size > 0 ? markPrice - liqPrice : liqPrice - markPrice) / markPrice) * 100 : 100;
+  trackDanger({
+    user: address, coin: pos.coin, direction: size > 0 ? 'LONG' : 'SHORT', positionUSD: Math.abs(size) * markPrice,
+    markPrice, liqPrice, leverage: pos.leverage?.value || 1, distancePercent: distance.toFixed(2), label: addressLabels.lookup(address),
+    ...cachedTraderScore(address)
+  });
+}
 
-  lines.push('');
+async function sendResolution(state, outcome, reason, info) {
+  if (!state?.thread) return;
+  const data = {
+    outcome, reason,
+    user: info.user, label: addressLabels.lookup(info.user), coin: info.coin, direction: info.direction, positionUSD: info.positionUSD,
+    liqPrice: info.liqPrice, markPrice: info.markPrice,
+    closestDistance: state.closestDistance, openedAt: state.openedAt
+  };
+  const sent = await notifier.notify('resolution', data, { channels: Object.keys(state.thread), ignoreTypes: true, thread: threadOf(state) });
+  if (sent.length > 0) console.log('📨 ' + outcome + ' ' + info.coin + ' ' + info.direction + (outcome === 'ESCAPED' ? ' (' + reason + ')' : ''));
+}
 
-  // Wallet info
-  if (isBrandNew) {
-    lines.push('🆕 Wallet: *BRAND NEW* (<1 day)');
-  } else if (ageDays !== null) {
-    lines.push('🕐 Wallet: ' + formatWalletAge(ageDays));
-  }
+// Lifecycle events end (or explain) escalations. A CLOSED position may turn out to be a
+// liquidation once its fills are checked, which resolves the escalation as LIQUIDATED first.
+async function resolveEscalation(event, fillsChecked) {
+  const key = escalationKey(event.address, event.coin);
+  if (event.type === 'MARGIN_ADDED') return escalation.noteEscapeReason(key, 'added margin');
+  if (event.type === 'REDUCED') return escalation.noteEscapeReason(key, 'reduced position');
+  if (!['LIQUIDATED', 'CLOSED', 'FLIPPED'].includes(event.type) || !escalation.has(key)) return;
+
+  if (event.type === 'CLOSED') await fillsChecked.catch(() => {});
+  const state = escalation.resolve(key);
+  if (!state) return;
+  const info = {
+    user: event.address, coin: event.coin, direction: event.previousDirection || event.direction,
+    positionUSD: Math.abs(event.previousSize) * event.markPrice, liqPrice: event.previousLiqPrice, markPrice: event.markPrice
+  };
+  if (event.type === 'LIQUIDATED') sendResolution(state, 'LIQUIDATED', null, info);
+  else sendResolution(state, 'ESCAPED', event.type === 'FLIPPED' ? 'flipped to ' + event.direction : 'closed', info);
+}
 
-  lines.push('');
-  lines.push('🔗 [View on Hypurrscan](' + position.hypurrscanUrl + ')');
-  lines.push('');
-  lines.push('#NewPosition #Hyperliquid #' + position.coin);
+// New Position Alerts - sent when whale opens ANY new position
+async function sendNewPositionAlert(position) {
+  const sent = await dispatchAlert('new_position', position, 'new-' + position.user + '-' + position.coin);
+  if (sent.length > 0) console.log('📨 NEW POS ' + position.coin + ' ' + position.direction + ' | $' + (position.positionUSD / 1000000).toFixed(2) + 'M → ' + sent.map(n => n.channel).join(', '));
+}
 
-  const message = lines.join('\n');
+// Same key for the first score and a later raise, so the cooldown keeps it to one alert
+async function sendAnomalyAlert(position) {
+  const sent = await dispatchAlert('anomaly', position, 'anomaly-' + position.user + '-' + position.coin);
+  if (sent.length > 0) console.log('📨 ANOMALY ' + position.coin + ' ' + position.direction + ' ' + position.anomaly.score + '/100 → ' + sent.map(n => n.channel).join(', '));
+}
 
-  try {
-    await axios.post('https://api.telegram.org/bot' + CONFIG.TELEGRAM_BOT_TOKEN + '/sendMessage', {
-      chat_id: CONFIG.TELEGRAM_CHANNEL_ID,
-      text: message,
-      parse_mode: 'Markdown',
-      disable_web_page_preview: true
-    });
-    sentNotifications.unshift({
-      id: Date.now() + '-' + Math.random().toString(36).substr(2, 9),
-      platform: 'Telegram',
-      type: 'new_position',
-      coin: position.coin,
-      direction: position.direction,
-      size: position.positionUSD,
-      distance: position.distancePercent,
-      address: position.userShort,
-      timestamp: Date.now()
-    });
-    if (sentNotifications.length > 50) sentNotifications.pop();
-    console.log('📨 NEW POS Telegram: ' + position.coin + ' ' + position.direction + ' | $' + (position.positionUSD/1000000).toFixed(2) + 'M');
-  } catch (error) {
-    console.error('Telegram new position error:', error.response?.data?.description || error.message);
-  }
+async function sendLifecycleAlert(event) {
+  const key = 'lifecycle-' + event.address + '-' + event.coin + '-' + event.type;
+  const sent = await dispatchAlert('lifecycle', { ...event, ...cachedWalletInfo(event.address) }, key);
+  if (sent.length > 0) console.log('📨 LIFECYCLE ' + event.type + ' ' + event.coin + ' → ' + sent.map(n => n.channel).join(', '));
 }
 
-async function sendTwitterNewPosition(position) {
-  if (!CONFIG.TWITTER_API_KEY || !CONFIG.TWITTER_ACCESS_TOKEN || !oauthLib) return;
+// A liquidation record keeps growing as fills merge in, so it can start matching a rule
+// after its first detection; once sent it is not sent again.
+const alertedLiquidations = new WeakSet();
 
-  const isLong = position.direction === 'LONG';
-  const ageDays = position.walletAgeDays;
-  const isBrandNew = ageDays !== null && ageDays === 0;
-  const isShitcoinBet = isShitcoin(position.coin) && position.positionUSD >= 1000000;
+async function sendLiquidationAlert(liq) {
+  if (alertedLiquidations.has(liq)) return;
+  const sent = await dispatchAlert('liquidation', { ...liq, ...cachedWalletInfo(liq.liquidatedUser) }, 'liq-' + liq.id);
+  if (sent.length === 0) return;
+  alertedLiquidations.add(liq);
+  console.log('📨 LIQUIDATION ' + liq.coin + ' ' + liq.side + ' → ' + sent.map(n => n.channel).join(', '));
+}
 
-  let lines = [];
+// ============================================
+// HYPERLIQUID API
+// ============================================
+// Every /info call shares one weight budget (lib/hl-client.js). Priority lanes are set where
+// a job starts: trade checks and watched wallets 'high', background scans 'low'.
+const hl = createHlClient({ url: CONFIG.HYPERLIQUID_API, weightPerMinute: CONFIG.HL_WEIGHT_PER_MINUTE });
+
+// null once retries are exhausted; failures are counted in hl.getStats() (/api/stats).
+// Only for lookups that can be skipped: anything that decides a position is gone, resolved or
+// unchanged (getAllMids, getUserState, trade backfill) calls hl.info and lets the error through.
+async function hlPost(body, options) {
+  try { return await hl.info(body, options); }
+  catch (error) { return null; }
+}
 
-  // Header
-  lines.push('🆕 NEW WHALE POSITION');
+// Builder dex requests carry the dex name; the default dex is the one without it
+function withDex(body, dex) { return dex ? { ...body, dex } : body; }
 
-  if (isBrandNew) {
-    lines.push('👶 Brand New Wallet!');
-  }
-  if (isShitcoinBet) {
-    lines.push('🎰 Degen Shitcoin!');
-  }
+async function getAssetMeta(dex = DEFAULT_DEX) { return await hlPost(withDex({ type: 'meta' }, dex)); }
 
-  lines.push('');
+// Default dex first, then the builder-deployed ones allowed by HL_PERP_DEXES
+async function loadPerpDexes() {
+  const listed = await hlPost({ type: 'perpDexs' });
+  if (!Array.isArray(listed)) return;
+  perpDexes = dexNames(listed).filter(dex => dex === DEFAULT_DEX || !CONFIG.HL_PERP_DEXES || CONFIG.HL_PERP_DEXES.includes(dex));
+}
 
-  // Main info
-  const dirIcon = isLong ? '🟢' : '🔴';
-  lines.push(dirIcon + ' ' + position.coin + ' ' + position.direction);
+const ASSET_META_REFRESH_INTERVAL = 15 * 60 * 1000; // picks up listings and delistings for the trade feed
+
+// Asset names plus per-asset maintenance margin tiers for the account risk engine, on every
+// scanned dex; also the coin list of the trade feed and the spot pairs used to value balances
+async function loadAssetMeta() {
+  await loadPerpDexes();
+  const [spotMeta, ...metas] = await Promise.all([hlPost({ type: 'spotMeta' }), ...perpDexes.map(getAssetMeta)]);
+  if (!metas[0]?.universe) return;
+  const loaded = metas.filter(meta => meta?.universe);
+  assetMeta = loaded.flatMap(meta => meta.universe.map(a => a.name));
+  tradeFeed.setCoins(loaded.flatMap(listedCoins));
+  marginTable = new Map(loaded.flatMap(meta => [...accountRisk.buildMarginTable(meta)]));
+  maxLeverages = Object.fromEntries(loaded.flatMap(meta => meta.universe.map(a => [a.name, a.maxLeverage])));
+  if (spotMeta?.universe) spotPairs = spotPairsByToken(spotMeta);
+}
 
-  // Whale status
-  if (position.allTimePnl !== null) {
-    const pnlAbs = Math.abs(position.allTimePnl);
-    let pnlStr = pnlAbs >= 1000000 ? '$' + (pnlAbs / 1000000).toFixed(1) + 'M' : '$' + (pnlAbs / 1000).toFixed(0) + 'K';
-    if (position.isProfitableWhale) {
-      lines.push('👑 Winner (+' + pnlStr + ')');
-    } else {
-      lines.push('🎲 Loser (-' + pnlStr + ')');
-    }
+// Per-asset context: current hourly funding rate, open interest, mark price
+async function getAssetContexts(dex = DEFAULT_DEX) { return await hlPost(withDex({ type: 'metaAndAssetCtxs' }, dex)); }
+
+// Funding rates for the liq drift projection, open interest / 24h volume for the anomaly score
+async function refreshAssetContexts() {
+  const results = await Promise.all(perpDexes.map(getAssetContexts));
+  if (!Array.isArray(results[0]) || !results[0][0]?.universe) return;
+  const rates = {};
+  const contexts = {};
+  for (const data of results) {
+    if (!Array.isArray(data) || !data[0]?.universe) continue;
+    const [meta, ctxs] = data;
+    meta.universe.forEach((asset, i) => {
+      const ctx = ctxs[i] || {};
+      const rate = parseFloat(ctx.funding);
+      if (!isNaN(rate)) rates[asset.name] = rate;
+      const markPx = parseFloat(ctx.markPx);
+      if (markPx) {
+        contexts[asset.name] = {
+          markPx, prevDayPx: parseFloat(ctx.prevDayPx) || null,
+          openInterestUSD: (parseFloat(ctx.openInterest) || 0) * markPx, dayVolumeUSD: parseFloat(ctx.dayNtlVlm) || 0
+        };
+      }
+    });
   }
+  fundingRates = rates;
+  assetContexts = contexts;
+}
+
+async function getL2Book(coin) { return await hlPost({ type: 'l2Book', coin }); }
+// Builder dex mids are keyed "dex:COIN"; the default dex's also include the spot pairs.
+// Rejects when the default dex fails: an empty map would price every position as missing
+async function getAllMids() {
+  const [main, ...builders] = await Promise.all([
+    hl.info({ type: 'allMids' }),
+    ...perpDexes.filter(dex => dex !== DEFAULT_DEX).map(dex => hlPost(withDex({ type: 'allMids' }, dex)))
+  ]);
+  return Object.assign({}, main, ...builders.filter(Boolean));
+}
 
-  lines.push('');
-  lines.push(dirIcon + ' $' + (position.positionUSD / 1000000).toFixed(1) + 'M @ ' + position.leverage + 'x');
-  lines.push('📊 Entry: $' + formatPriceCompact(position.entryPrice));
-  lines.push('🎯 ' + position.distancePercent + '% to liq');
-  lines.push('');
-  lines.push(position.hypurrscanUrl);
-  lines.push('');
-  lines.push('#NewPosition #Hyperliquid #' + position.coin);
+// Wallets with a live feed are answered from the stream, only the long tail is polled.
+// Builder dexes and spot balances are merged in for the wallets that get them (wantsAccountExtras)
+// Rejects when the request fails, so a scan can't mistake an unanswered wallet for an empty one
+async function getUserState(address) {
+  const state = userFeeds.getState(address, LIVE_STATE_MAX_AGE) || await hl.info({ type: 'clearinghouseState', user: address });
+  if (!state) return null;
+  return wantsAccountExtras(address) ? await withAccountExtras(address, state) : mergeAccount(state);
+}
 
-  const tweet = lines.join('\n').slice(0, 280);
+// Builder dex states and spot balances move far less than the default dex positions we race
+// against, so they are re-fetched at most every HL_ACCOUNT_EXTRAS_MAX_AGE per wallet (jittered,
+// so a bulk discovery doesn't expire all at once). A failed request keeps the previous state.
+const accountExtras = new Map(); // address -> { dexStates, spot, fetchedAt, maxAge }
+const pendingAccountExtras = new Map();
+const builderDexTraders = new Map(); // address -> last trade seen on a builder dex coin
+const BUILDER_DEX_TRADER_TTL = 24 * 60 * 60 * 1000;
+
+// Extras cost a spot request plus one per builder dex, too much for every wallet of the 500 /
+// 1000-wallet scans. Only watched, streamed and at-risk wallets get them, plus wallets seen
+// trading a builder dex coin or already holding builder dex positions
+function wantsAccountExtras(address) {
+  const addrLower = address.toLowerCase();
+  return watchedAddresses().has(addrLower) || userFeeds.isLive(addrLower) || builderDexTraders.has(addrLower)
+    || Object.keys(accountExtras.get(addrLower)?.dexStates || {}).length > 0
+    || trackedPositions.some(p => p.user === addrLower);
+}
 
-  try {
-    const oauth = oauthLib({
-      consumer: { key: CONFIG.TWITTER_API_KEY, secret: CONFIG.TWITTER_API_SECRET },
-      signature_method: 'HMAC-SHA1',
-      hash_function(baseString, key) { return crypto.createHmac('sha1', key).update(baseString).digest('base64'); }
-    });
-    const token = { key: CONFIG.TWITTER_ACCESS_TOKEN, secret: CONFIG.TWITTER_ACCESS_SECRET };
-    const url = 'https://api.twitter.com/2/tweets';
-    const authHeader = oauth.toHeader(oauth.authorize({ url, method: 'POST' }, token));
-
-    await axios.post(url, { text: tweet }, { headers: { 'Authorization': authHeader['Authorization'], 'Content-Type': 'application/json' } });
-    sentNotifications.unshift({
-      id: Date.now() + '-' + Math.random().toString(36).substr(2, 9),
-      platform: 'Twitter',
-      type: 'new_position',
-      coin: position.coin,
-      direction: position.direction,
-      size: position.positionUSD,
-      distance: position.distancePercent,
-      address: position.userShort,
-      timestamp: Date.now()
-    });
-    if (sentNotifications.length > 50) sentNotifications.pop();
-    console.log('🐦 NEW POS Twitter: ' + position.coin + ' ' + position.direction);
-  } catch (error) {
-    console.error('Twitter new position error:', error.response?.status, error.response?.data?.detail || error.message);
-  }
+async function fetchAccountExtras(address, previous) {
+  const builderDexes = perpDexes.filter(dex => dex !== DEFAULT_DEX);
+  const [spot, ...states] = await Promise.all([
+    hlPost({ type: 'spotClearinghouseState', user: address }),
+    ...builderDexes.map(dex => hlPost({ type: 'clearinghouseState', user: address, dex }))
+  ]);
+  const dexStates = {};
+  builderDexes.forEach((dex, i) => {
+    const state = states[i] || previous?.dexStates[dex];
+    if (hasExposure(state)) dexStates[dex] = state;
+  });
+  const extras = {
+    dexStates, spot: spot || previous?.spot || null,
+    fetchedAt: Date.now(), maxAge: CONFIG.HL_ACCOUNT_EXTRAS_MAX_AGE * (0.8 + Math.random() * 0.4)
+  };
+  accountExtras.set(address, extras);
+  return extras;
 }
 
-// ============================================
-// HYPERLIQUID API
-// ============================================
-async function hlPost(body) {
-  try { return (await axios.post(CONFIG.HYPERLIQUID_API, body)).data; }
-  catch (error) { return null; }
+async function getAccountExtras(address) {
+  const addrLower = address.toLowerCase();
+  const cached = accountExtras.get(addrLower);
+  if (cached && Date.now() - cached.fetchedAt < cached.maxAge) return cached;
+  if (pendingAccountExtras.has(addrLower)) return pendingAccountExtras.get(addrLower);
+  const pending = fetchAccountExtras(addrLower, cached).finally(() => pendingAccountExtras.delete(addrLower));
+  pendingAccountExtras.set(addrLower, pending);
+  return pending;
 }
 
-async function getAssetMeta() {
-  const data = await hlPost({ type: 'meta' });
-  return data?.universe?.map(a => a.name) || [];
+async function withAccountExtras(address, state) {
+  return mergeAccount(state, await getAccountExtras(address), { mids: allMids, spotPairs });
 }
 
-async function getAllMids() { return (await hlPost({ type: 'allMids' })) || {}; }
-async function getUserState(address) { return await hlPost({ type: 'clearinghouseState', user: address }); }
+function pruneAccountExtras() {
+  for (const [address, extras] of accountExtras) if (Date.now() - extras.fetchedAt > 2 * extras.maxAge) accountExtras.delete(address);
+  for (const [address, seenAt] of builderDexTraders) if (Date.now() - seenAt > BUILDER_DEX_TRADER_TTL) builderDexTraders.delete(address);
+}
 
 const allTimePnlCache = new Map();
 async function getCachedAllTimePnl(address) {
@@ -657,9 +844,9 @@ async function getCachedAllTimePnl(address) {
   if (cached && (Date.now() - cached.timestamp) < 300000) return cached.pnl;
   
   try {
-    const response = await axios.post(CONFIG.HYPERLIQUID_API, { type: 'portfolio', user: address });
-    if (response.data && Array.isArray(response.data)) {
-      for (const [period, data] of response.data) {
+    const portfolio = await hl.info({ type: 'portfolio', user: address });
+    if (Array.isArray(portfolio)) {
+      for (const [period, data] of portfolio) {
         if ((period === 'allTime' || period === 'perpAllTime') && data.pnlHistory?.length > 0) {
           const pnl = parseFloat(data.pnlHistory[data.pnlHistory.length - 1][1] || 0);
           allTimePnlCache.set(addrLower, { pnl, timestamp: Date.now() });
@@ -676,12 +863,68 @@ async function getCachedAllTimePnl(address) {
 // ============================================
 let allMids = {};
 let assetMeta = [];
+let perpDexes = [DEFAULT_DEX]; // scanned perp dexes: the default one + builder-deployed (HL_PERP_DEXES)
+let spotPairs = new Map(); // spot token index -> allMids key of its USDC pair
+let marginTable = new Map(); // coin -> maintenance margin tiers from `meta`
+let fundingRates = {}; // coin -> hourly funding rate (positive: longs pay shorts)
+let assetContexts = {}; // coin -> { markPx, prevDayPx, openInterestUSD, dayVolumeUSD }
+let maxLeverages = {}; // coin -> max leverage from `meta`
 let trackedPositions = [];
 let recentNewPositions = []; // Track ALL new whale positions (not just dangerous ones)
 let knownWhaleAddresses = new Set();
 let addressLastSeen = new Map();
 let addressTradeVolume = new Map();
-let knownPositions = new Map(); // Track position keys to detect truly new positions
+const MIN_SPOT_HOLDING_USD = 10000; // smaller spot balances only count towards walletBalance
+let recentPositionEvents = []; // Lifecycle events: OPENED, INCREASED, REDUCED, FLIPPED, CLOSED, LIQUIDATED, MARGIN_ADDED
+
+// Record a history snapshot for any sizeable position, regardless of distance to liquidation
+function recordPositionSnapshot(address, position, markPrice) {
+  const price = parseFloat(markPrice || allMids[position.coin] || 0);
+  if (!price || Math.abs(parseFloat(position.szi)) * price < CONFIG.MIN_SNAPSHOT_USD) return;
+  const snapshot = positionHistory.recordSnapshot(address, position, price);
+  if (snapshot) saveSnapshotToDb(address, position.coin, snapshot);
+}
+
+// Account-level cross margin view: the position's own liqPx assumes the rest of the account stays put
+function getAccountRisk(accountData) {
+  const risk = accountRisk.assessAccount(accountData, allMids, marginTable);
+  if (!risk) return null;
+  return {
+    ...risk,
+    marginRatioPercent: risk.marginRatio !== null ? (risk.marginRatio * 100).toFixed(2) : null,
+    accountDistancePercent: risk.accountDistanceToLiq !== null ? (risk.accountDistanceToLiq * 100).toFixed(2) : null
+  };
+}
+
+// Wallet balance, the account's other positions (every dex, plus spot holdings) and risk.
+// Cross margin is per dex, so the risk engine only sees the position's own dex
+function accountContext(position, accountData) {
+  const context = { walletBalance: null, otherPositions: [], totalUnrealizedPnl: 0, accountRiskData: null };
+  if (!accountData) return context;
+  context.walletBalance = accountData.totalAccountValue ?? parseFloat(accountData.marginSummary?.accountValue || 0);
+  if (position.leverage?.type !== 'isolated') context.accountRiskData = getAccountRisk(accountData.dexStates?.[dexOf(position.coin)] || accountData);
+  (accountData.assetPositions || []).forEach(ap => {
+    const p = ap.position;
+    const pSzi = parseFloat(p.szi);
+    if (pSzi === 0) return;
+    const pPnl = parseFloat(p.unrealizedPnl) || 0;
+    context.totalUnrealizedPnl += pPnl;
+    if (p.coin === position.coin) return;
+    context.otherPositions.push({
+      coin: p.coin, dex: dexOf(p.coin) || null, direction: pSzi > 0 ? 'LONG' : 'SHORT',
+      positionUSD: Math.abs(pSzi) * (allMids[p.coin] || 0),
+      unrealizedPnl: pPnl, leverage: p.leverage?.value || 1
+    });
+  });
+  // USDC is cash, already in the balance; dust isn't worth a line
+  (accountData.spotBalances || []).filter(b => b.token !== USDC_TOKEN && b.usd >= MIN_SPOT_HOLDING_USD).forEach(b => {
+    context.otherPositions.push({
+      coin: b.coin, dex: 'spot', direction: 'SPOT', positionUSD: b.usd,
+      unrealizedPnl: b.entryUSD ? b.usd - b.entryUSD : 0, leverage: 1
+    });
+  });
+  return context;
+}
 
 // Process position for danger tracking (existing function - only tracks dangerous positions)
 function processPosition(userAddress, position, currentPrice, accountData = null) {
@@ -706,43 +949,24 @@ function processPosition(userAddress, position, currentPrice, accountData = null
 
   const dangerLevel = distanceToLiq <= CONFIG.DANGER_THRESHOLD_5 ? 'CRITICAL' : 'WARNING';
 
-  let walletBalance = null, otherPositions = [], totalUnrealizedPnl = 0;
-  if (accountData) {
-    walletBalance = parseFloat(accountData.marginSummary?.accountValue || 0);
-    if (accountData.assetPositions) {
-      accountData.assetPositions.forEach(ap => {
-        const p = ap.position;
-        const pSzi = parseFloat(p.szi);
-        if (pSzi !== 0) {
-          const pPnl = parseFloat(p.unrealizedPnl) || 0;
-          totalUnrealizedPnl += pPnl;
-          if (p.coin !== coin) {
-            otherPositions.push({
-              coin: p.coin, direction: pSzi > 0 ? 'LONG' : 'SHORT',
-              positionUSD: Math.abs(pSzi) * (allMids[p.coin] || 0),
-              unrealizedPnl: pPnl, leverage: p.leverage?.value || 1
-            });
-          }
-        }
-      });
-    }
-  }
+  const { walletBalance, otherPositions, totalUnrealizedPnl, accountRiskData } = accountContext(position, accountData);
 
   return {
-    user: userAddress, userShort: userAddress.slice(0, 6) + '...' + userAddress.slice(-4),
-    coin, direction: isLong ? 'LONG' : 'SHORT', positionSize: szi, positionUSD,
+    user: userAddress, userShort: userAddress.slice(0, 6) + '...' + userAddress.slice(-4), label: addressLabels.lookup(userAddress),
+    coin, dex: dexOf(coin) || null, direction: isLong ? 'LONG' : 'SHORT', positionSize: szi, positionUSD,
     entryPrice: entryPx, markPrice, liqPrice: liqPx, distanceToLiq,
-    distancePercent: (distanceToLiq * 100).toFixed(2), leverage, marginUsed,
-    unrealizedPnl, dangerLevel, timestamp: Date.now(), walletBalance, otherPositions,
+    distancePercent: (distanceToLiq * 100).toFixed(2), leverage, leverageType: position.leverage?.type || 'cross', marginUsed,
+    unrealizedPnl, dangerLevel, timestamp: Date.now(), walletBalance, otherPositions, accountRisk: accountRiskData,
+    funding: projectFunding(position, markPrice, fundingRates, { accountData, mids: allMids }),
     totalPositionCount: otherPositions.length + 1, totalUnrealizedPnl,
-    allTimePnl: null, isProfitableWhale: false, whaleType: 'UNKNOWN', walletAgeDays: null,
+    allTimePnl: null, isProfitableWhale: false, whaleType: 'UNKNOWN', walletAgeDays: null, ...cachedTraderScore(userAddress),
     hypurrscanUrl: getHypurrscanUrl(userAddress),
     hyperliquidUrl: getHyperliquidUrl(userAddress)
   };
 }
 
 // Process ALL positions for new position tracking (no distance filter)
-function processAllPosition(userAddress, position, currentPrice, accountData = null) {
+function processAllPosition(userAddress, position, currentPrice, accountData = null, { minPositionUSD = 500000 } = {}) {
   const coin = position.coin;
   const szi = parseFloat(position.szi);
   const leverage = position.leverage?.value || 1;
@@ -756,8 +980,8 @@ function processAllPosition(userAddress, position, currentPrice, accountData = n
 
   const positionUSD = Math.abs(szi) * markPrice;
 
-  // Lower threshold for new position tracking ($500K instead of $2M)
-  if (positionUSD < 500000) return null;
+  // Lower threshold for new position tracking ($500K instead of $2M); watched wallets use none
+  if (positionUSD < minPositionUSD) return null;
 
   const isLong = szi > 0;
   const distanceToLiq = isLong ? (markPrice - liqPx) / markPrice : (liqPx - markPrice) / markPrice;
@@ -768,36 +992,17 @@ function processAllPosition(userAddress, position, currentPrice, accountData = n
   const dangerLevel = distanceToLiq <= CONFIG.DANGER_THRESHOLD_5 ? 'CRITICAL' :
                        distanceToLiq <= CONFIG.DANGER_THRESHOLD_10 ? 'WARNING' : 'SAFE';
 
-  let walletBalance = null, otherPositions = [], totalUnrealizedPnl = 0;
-  if (accountData) {
-    walletBalance = parseFloat(accountData.marginSummary?.accountValue || 0);
-    if (accountData.assetPositions) {
-      accountData.assetPositions.forEach(ap => {
-        const p = ap.position;
-        const pSzi = parseFloat(p.szi);
-        if (pSzi !== 0) {
-          const pPnl = parseFloat(p.unrealizedPnl) || 0;
-          totalUnrealizedPnl += pPnl;
-          if (p.coin !== coin) {
-            otherPositions.push({
-              coin: p.coin, direction: pSzi > 0 ? 'LONG' : 'SHORT',
-              positionUSD: Math.abs(pSzi) * (allMids[p.coin] || 0),
-              unrealizedPnl: pPnl, leverage: p.leverage?.value || 1
-            });
-          }
-        }
-      });
-    }
-  }
+  const { walletBalance, otherPositions, totalUnrealizedPnl, accountRiskData } = accountContext(position, accountData);
 
   return {
-    user: userAddress, userShort: userAddress.slice(0, 6) + '...' + userAddress.slice(-4),
-    coin, direction: isLong ? 'LONG' : 'SHORT', positionSize: szi, positionUSD,
+    user: userAddress, userShort: userAddress.slice(0, 6) + '...' + userAddress.slice(-4), label: addressLabels.lookup(userAddress),
+    coin, dex: dexOf(coin) || null, direction: isLong ? 'LONG' : 'SHORT', positionSize: szi, positionUSD,
     entryPrice: entryPx, markPrice, liqPrice: liqPx, distanceToLiq,
-    distancePercent: (distanceToLiq * 100).toFixed(2), leverage, marginUsed,
-    unrealizedPnl, dangerLevel, timestamp: Date.now(), walletBalance, otherPositions,
+    distancePercent: (distanceToLiq * 100).toFixed(2), leverage, leverageType: position.leverage?.type || 'cross', marginUsed,
+    unrealizedPnl, dangerLevel, timestamp: Date.now(), walletBalance, otherPositions, accountRisk: accountRiskData,
+    funding: projectFunding(position, markPrice, fundingRates, { accountData, mids: allMids }),
     totalPositionCount: otherPositions.length + 1, totalUnrealizedPnl,
-    allTimePnl: null, isProfitableWhale: false, whaleType: 'UNKNOWN', walletAgeDays: null,
+    allTimePnl: null, isProfitableWhale: false, whaleType: 'UNKNOWN', walletAgeDays: null, ...cachedTraderScore(userAddress),
     hypurrscanUrl: getHypurrscanUrl(userAddress),
     hyperliquidUrl: getHyperliquidUrl(userAddress)
   };
@@ -806,91 +1011,34 @@ function processAllPosition(userAddress, position, currentPrice, accountData = n
 // ============================================
 // WEBSOCKET - TRADE MONITORING
 // ============================================
-let ws = null;
-let wsReconnectAttempts = 0;
-let wsPingInterval = null;
-
-// Top coins to monitor (expand as needed)
-const MONITORED_COINS = [
-  'BTC', 'ETH', 'SOL', 'BNB', 'XRP', 'DOGE', 'ADA', 'AVAX', 'DOT', 'MATIC',
-  'LINK', 'NEAR', 'UNI', 'ATOM', 'LTC', 'FTM', 'ALGO', 'AAVE', 'ARB', 'OP',
-  'SUI', 'APT', 'INJ', 'TIA', 'SEI', 'WLD', 'ORDI', 'RNDR', 'PEPE', 'WIF'
-];
-
-function connectWebSocket() {
-  try {
-    ws = new WebSocket(CONFIG.HYPERLIQUID_WS);
-
-    ws.on('open', () => {
-      console.log('✅ WebSocket connected');
-      wsReconnectAttempts = 0;
-
-      // Subscribe to trades for each monitored coin
-      console.log('📡 Subscribing to ' + MONITORED_COINS.length + ' coins...');
-      MONITORED_COINS.forEach(coin => {
-        ws.send(JSON.stringify({
-          method: 'subscribe',
-          subscription: { type: 'trades', coin: coin }
-        }));
-      });
-
-      // Keep-alive: ping every 30 seconds
-      if (wsPingInterval) clearInterval(wsPingInterval);
-      wsPingInterval = setInterval(() => {
-        if (ws && ws.readyState === 1) {
-          ws.ping();
-        }
-      }, 30000);
-    });
-    
-    ws.on('message', (data) => {
-      try {
-        const msg = JSON.parse(data);
-
-        // Handle different message types
-        if (msg.channel === 'subscriptionResponse') {
-          // Subscription confirmation
-          if (msg.data && msg.data.method === 'subscribe') {
-            console.log('✅ Subscribed:', msg.data.subscription?.coin || 'unknown');
-          }
-        } else if (msg.channel === 'error') {
-          // API errors
-          console.error('❌ WebSocket API Error:', msg.data);
-        } else if (msg.channel === 'trades' && msg.data) {
-          // Trade data received
-          console.log('📡 Trades: ' + msg.data.length + ' trades for ' + (msg.data[0]?.coin || 'unknown'));
-          processTradesForDiscovery(msg.data);
-          processLiquidations(msg.data);
-        } else {
-          // Unknown message type
-          console.log('🔍 Unknown message:', msg.channel || 'no-channel', JSON.stringify(msg).slice(0, 200));
-        }
-      } catch (e) {
-        console.error('WebSocket parse error:', e.message);
-      }
-    });
-    
-    ws.on('close', () => {
-      console.log('⚠️ WebSocket closed, reconnecting in 5s...');
-      if (wsPingInterval) {
-        clearInterval(wsPingInterval);
-        wsPingInterval = null;
-      }
-      wsReconnectAttempts++;
-      setTimeout(connectWebSocket, Math.min(5000 * wsReconnectAttempts, 30000));
-    });
-    
-    ws.on('pong', () => {
-      // Keep-alive pong received
-    });
+// `trades` for every listed perp, sharded over as many sockets as HL_WS_COINS_PER_SOCKET
+// needs (lib/ws-subscriptions.js). loadAssetMeta() keeps the coin list in step with the
+// `meta` universe, so new listings are picked up and delisted names dropped. Stalled sockets
+// are reconnected by the feed's supervisor; the trades they missed are backfilled here.
+const tradeFeed = createTradeFeed({
+  url: CONFIG.HYPERLIQUID_WS,
+  coinsPerSocket: CONFIG.HL_WS_COINS_PER_SOCKET,
+  onTrades: (trades) => {
+    processTradesForDiscovery(trades);
+    processLiquidations(trades);
+  },
+  onGap: (coins, since) => hl.withPriority('normal', () => backfillTrades(coins, since))
+    .catch(err => console.error('Trade backfill error:', err.message))
+});
 
-    ws.on('error', (err) => {
-      console.error('WebSocket error:', err.message);
-    });
-  } catch (error) {
-    console.error('WebSocket connection error:', error.message);
-    setTimeout(connectWebSocket, 5000);
-  }
+// recentTrades only holds the last few trades per coin, so a long outage on a busy coin
+// stays partly lost; the feed drops the ones the stream already delivered
+async function backfillTrades(coins, since) {
+  if (CONFIG.TRADE_BACKFILL_MAX_COINS <= 0) return;
+  const ranked = [...coins]
+    .sort((a, b) => (assetContexts[b]?.dayVolumeUSD || 0) - (assetContexts[a]?.dayVolumeUSD || 0))
+    .slice(0, CONFIG.TRADE_BACKFILL_MAX_COINS);
+  const results = await Promise.allSettled(ranked.map(coin => hl.info({ type: 'recentTrades', coin })));
+  const failed = ranked.filter((coin, i) => results[i].status === 'rejected');
+  const missed = results.flatMap(r => (r.status === 'fulfilled' && Array.isArray(r.value) ? r.value.filter(t => t.time >= since) : []));
+  const count = tradeFeed.backfill(missed);
+  console.log('🩹 Backfilled ' + count + ' trades on ' + (ranked.length - failed.length) + '/' + coins.length + ' coins after a ' + Math.round((Date.now() - since) / 1000) + 's gap');
+  if (failed.length > 0) console.error('⚠️ Trade backfill failed for ' + failed.join(', ') + ': ' + results.find(r => r.status === 'rejected').reason.message);
 }
 
 function processTradesForDiscovery(trades) {
@@ -913,6 +1061,10 @@ function processTradesForDiscovery(trades) {
     processedCount++;
 
     const users = trade.users || [];
+    // users = [buyer, seller]; side is the taker's
+    const taker = trade.side === 'B' ? users[0] : users[1];
+    if (taker) addressLabels.observeTrade({ coin: trade.coin, address: taker, direction: trade.side === 'B' ? 'LONG' : 'SHORT', time: trade.time || Date.now(), hash: trade.hash });
+
     for (const user of users) {
       if (!user || user.length < 10) continue;
 
@@ -921,6 +1073,7 @@ function processTradesForDiscovery(trades) {
 
       knownWhaleAddresses.add(addrLower);
       addressLastSeen.set(addrLower, Date.now());
+      if (dexOf(trade.coin)) builderDexTraders.set(addrLower, Date.now());
       addressTradeVolume.set(addrLower, (addressTradeVolume.get(addrLower) || 0) + tradeValue);
 
       saveWhaleToDb(addrLower, tradeValue);
@@ -929,7 +1082,7 @@ function processTradesForDiscovery(trades) {
       if (tradeValue >= 200000) {
         whaleTradeCount++;
         console.log('🐋 ' + (isNewWhale ? 'NEW ' : '') + 'Trade: ' + addrLower.slice(0,10) + '... | ' + trade.coin + ' | $' + (tradeValue/1000).toFixed(0) + 'K');
-        checkAddressImmediately(addrLower, trade.coin, tradeValue);
+        hl.withPriority('high', () => checkAddressImmediately(addrLower, trade.coin, tradeValue));
       }
     }
   }
@@ -942,11 +1095,19 @@ function processTradesForDiscovery(trades) {
 async function checkAddressImmediately(address, tradeCoin, tradeValue) {
   try {
     const state = await getUserState(address);
-    if (state && state.assetPositions && state.assetPositions.length > 0) {
+    if (!state || !state.assetPositions) return;
+
+    // Diff against the last snapshot of this account (during startup, only record a baseline)
+    const lifecycleEvents = positionLifecycle.diffAccount(address, state.assetPositions, allMids, { baselineUnseen: isInitialLoad });
+    handleLifecycleEvents(lifecycleEvents);
+    const openedCoins = new Set(lifecycleEvents.filter(e => e.type === 'OPENED').map(e => e.coin));
+
+    if (state.assetPositions.length > 0) {
       const [allTimePnl, walletAgeDays] = await Promise.all([getCachedAllTimePnl(address), getWalletAge(address)]);
 
       for (const assetPos of state.assetPositions) {
         const pos = assetPos.position;
+        recordPositionSnapshot(address, pos);
 
         // Process for danger tracking (existing logic)
         const processed = processPosition(address, pos, allMids[pos.coin], state);
@@ -960,44 +1121,21 @@ async function checkAddressImmediately(address, tradeCoin, tradeValue) {
             processed.isProfitableWhale = allTimePnl > 0;
             processed.whaleType = allTimePnl > 0 ? 'PROFITABLE' : 'LOSING';
           }
+          await applyTraderScore(processed, state);
           const existingIdx = trackedPositions.findIndex(p => p.user === address && p.coin === pos.coin);
           if (existingIdx >= 0) trackedPositions[existingIdx] = processed;
           else trackedPositions.unshift(processed);
+          saveTrackedPosition(processed);
+          queueLinkCheck(address);
           console.log('🚨 DANGER: ' + processed.userShort + ' | ' + processed.coin + ' ' + processed.direction + ' | Age: ' + formatWalletAge(walletAgeDays));
-          if (existingIdx < 0) sendAlerts(processed);
+          eventStream.publish('position', processed);
+          trackDanger(processed);
+        } else {
+          followEscalation(address, pos);
         }
 
-        // ALSO process for new position tracking (ALL positions, not just dangerous)
-        const allProcessed = processAllPosition(address, pos, allMids[pos.coin], state);
-        if (allProcessed) {
-          allProcessed.allTimePnl = allTimePnl;
-          allProcessed.walletAgeDays = walletAgeDays;
-          const openTime = await getPositionOpenTime(address, pos.coin, allProcessed.entryPrice);
-          allProcessed.timestamp = openTime;
-
-          if (allTimePnl !== null) {
-            allProcessed.isProfitableWhale = allTimePnl > 0;
-            allProcessed.whaleType = allTimePnl > 0 ? 'PROFITABLE' : 'LOSING';
-          }
-
-          // Check if this is a truly NEW position
-          const posKey = address.toLowerCase() + '-' + pos.coin;
-          const isNewPosition = !knownPositions.has(posKey);
-
-          if (isNewPosition) {
-            // Mark as known
-            knownPositions.set(posKey, Date.now());
-
-            // Add to recent new positions list
-            recentNewPositions.unshift(allProcessed);
-            if (recentNewPositions.length > 100) recentNewPositions.pop();
-
-            console.log('🆕 NEW POS: ' + allProcessed.userShort + ' | ' + allProcessed.coin + ' ' + allProcessed.direction + ' | $' + (allProcessed.positionUSD/1000000).toFixed(2) + 'M @ ' + allProcessed.leverage + 'x');
-
-            // Send new position alert
-            sendNewPositionAlert(allProcessed);
-          }
-        }
+        // ALSO track brand new positions (ALL sizes >= $500K, not just dangerous)
+        if (openedCoins.has(pos.coin)) await handleNewPosition(address, pos, state, allTimePnl, walletAgeDays);
       }
 
       trackedPositions.sort((a, b) => a.distanceToLiq - b.distanceToLiq);
@@ -1007,14 +1145,180 @@ async function checkAddressImmediately(address, tradeCoin, tradeValue) {
   }
 }
 
-// ============================================
-// LIQUIDATIONS
-// ============================================
-let recentLiquidations = [];
-let recentWhaleLiquidations = [];
-const MAX_LIQUIDATIONS = 200;
+async function handleNewPosition(address, pos, state, allTimePnl, walletAgeDays) {
+  const allProcessed = processAllPosition(address, pos, allMids[pos.coin], state);
+  if (!allProcessed) return;
 
-function processLiquidations(trades) {
+  allProcessed.allTimePnl = allTimePnl;
+  allProcessed.walletAgeDays = walletAgeDays;
+  const openTime = await getPositionOpenTime(address, pos.coin, allProcessed.entryPrice);
+  allProcessed.timestamp = openTime;
+
+  if (allTimePnl !== null) {
+    allProcessed.isProfitableWhale = allTimePnl > 0;
+    allProcessed.whaleType = allTimePnl > 0 ? 'PROFITABLE' : 'LOSING';
+  }
+  await applyTraderScore(allProcessed, state);
+  allProcessed.anomaly = await assessAnomaly(allProcessed);
+
+  queueLinkCheck(address);
+
+  // Add to recent new positions list
+  recentNewPositions.unshift(allProcessed);
+  if (recentNewPositions.length > 100) recentNewPositions.pop();
+  saveNewPosition(allProcessed);
+
+  console.log('🆕 NEW POS: ' + allProcessed.userShort + ' | ' + allProcessed.coin + ' ' + allProcessed.direction + ' | $' + (allProcessed.positionUSD/1000000).toFixed(2) + 'M @ ' + allProcessed.leverage + 'x');
+  eventStream.publish('new_position', allProcessed);
+
+  // Send new position alert
+  sendNewPositionAlert(allProcessed);
+
+  if (allProcessed.anomaly.level !== 'NORMAL') {
+    console.log('🕵️ ANOMALY: ' + allProcessed.userShort + ' | ' + allProcessed.coin + ' ' + allProcessed.direction + ' | ' + allProcessed.anomaly.score + '/100 ' + allProcessed.anomaly.level);
+    eventStream.publish('anomaly', allProcessed);
+  }
+  sendAnomalyAlert(allProcessed);
+  watchForMove(allProcessed);
+}
+
+// ============================================
+// POSITION LIFECYCLE EVENTS
+// ============================================
+function handleLifecycleEvents(events) {
+  for (const event of events) {
+    recentPositionEvents.unshift(event);
+    if (recentPositionEvents.length > 200) recentPositionEvents.pop();
+    savePositionEvent(event);
+    eventStream.publish('position_event', event);
+
+    let fillsChecked = Promise.resolve();
+    if (event.type === 'CLOSED' || event.type === 'LIQUIDATED') {
+      fillsChecked = handleDisappearedPosition(event);
+      trackedPositions = trackedPositions.filter(p => !(p.user.toLowerCase() === event.address && p.coin === event.coin));
+    }
+
+    resolveEscalation(event, fillsChecked);
+    const data = { ...event, ...cachedWalletInfo(event.address) };
+    notifyWatchers('lifecycle', data, event.address, { exclude: event.type === 'OPENED' ? [] : ruleChannels('lifecycle', data) });
+
+    if (event.type !== 'OPENED') {
+      console.log('🔄 ' + event.type + ': ' + event.address.slice(0, 10) + '... | ' + event.coin + ' ' + event.direction + ' | Δ$' + (event.notionalDelta / 1000).toFixed(0) + 'K');
+      sendLifecycleAlert(event);
+    }
+  }
+}
+
+// ============================================
+// LIQUIDATIONS
+// ============================================
+let recentLiquidations = [];
+let recentWhaleLiquidations = [];
+const MAX_LIQUIDATIONS = 200;
+
+const LIQ_MIN_VALUE = 50000;
+const LIQ_MERGE_WINDOW = 60000;      // trades sharing an order hash within 60s are one liquidation
+const LIQ_USER_MERGE_WINDOW = 10 * 60 * 1000; // detections for the same user/coin within 10 min are one liquidation
+const LIQ_PRICE_TOLERANCE = 0.005;   // trade within 0.5% of (or past) a tracked liquidation price
+
+// Confidence levels:
+//   CONFIRMED - liquidator/HLP was the counterparty, or the user's fills carry a `liquidation` field
+//   PROBABLE  - a tracked near-liq position traded at/through its liq price, or vanished right after crossing it
+function isLiquidator(address) {
+  return CONFIG.LIQUIDATOR_ADDRESSES.includes(address);
+}
+
+// The at-risk position we had on file for this user/coin, if any
+function findPredictedPosition(user, coin) {
+  const candidates = [...trackedPositions, ...(liquidatableCache.longs || []), ...(liquidatableCache.shorts || [])];
+  const match = candidates.find(p => p.user.toLowerCase() === user && p.coin === coin);
+  if (!match) return null;
+  return {
+    direction: match.direction, liqPrice: match.liqPrice, positionUSD: match.positionUSD,
+    distancePercent: match.distancePercent, dangerLevel: match.dangerLevel, leverage: match.leverage
+  };
+}
+
+function priceReachedLiquidation(predicted, price) {
+  return predicted.direction === 'LONG'
+    ? price <= predicted.liqPrice * (1 + LIQ_PRICE_TOLERANCE)
+    : price >= predicted.liqPrice * (1 - LIQ_PRICE_TOLERANCE);
+}
+
+function recordLiquidation({ coin, side, price, size, timestamp, hash, confidence, source, liquidatedUser, predicted }) {
+  const value = size * price;
+  timestamp = timestamp || Date.now();
+
+  // Merge with an open record for the same user (or same order hash) instead of duplicating
+  const existing = recentLiquidations.find(l => {
+    if (l.coin !== coin) return false;
+    const age = Math.abs(l.timestamp - timestamp);
+    return (liquidatedUser && l.liquidatedUser === liquidatedUser && age < LIQ_USER_MERGE_WINDOW) ||
+           (hash && l.hash === hash && age < LIQ_MERGE_WINDOW);
+  });
+
+  if (existing) {
+    if (source === existing.source || source === 'user_fills') {
+      const totalSize = source === 'user_fills' ? size : existing.size + size;
+      const totalValue = source === 'user_fills' ? value : existing.value + value;
+      existing.price = totalValue / totalSize;
+      existing.size = totalSize;
+      existing.value = totalValue;
+    }
+    if (confidence === 'CONFIRMED' && existing.confidence !== 'CONFIRMED') {
+      existing.confidence = 'CONFIRMED';
+      existing.source = source;
+    }
+    existing.liquidatedUser = existing.liquidatedUser || liquidatedUser;
+    existing.predicted = existing.predicted || predicted;
+    finalizeLiquidation(existing, false);
+    return existing;
+  }
+
+  const liq = {
+    id: Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+    coin, side, price, size, value,
+    timestamp,
+    hash: hash || null,
+    confidence, source,
+    liquidatedUser: liquidatedUser || null,
+    predicted: predicted || null
+  };
+
+  recentLiquidations.unshift(liq);
+  if (recentLiquidations.length > MAX_LIQUIDATIONS) {
+    recentLiquidations = recentLiquidations.slice(0, MAX_LIQUIDATIONS);
+  }
+  finalizeLiquidation(liq, true);
+  return liq;
+}
+
+function finalizeLiquidation(liq, isNew) {
+  const isWhale = liq.value >= 500000;
+  if (isWhale && !recentWhaleLiquidations.includes(liq)) {
+    recentWhaleLiquidations.unshift(liq);
+    if (recentWhaleLiquidations.length > 50) {
+      recentWhaleLiquidations = recentWhaleLiquidations.slice(0, 50);
+    }
+    console.log('🐋💀 WHALE LIQ: ' + liq.coin + ' ' + liq.side + ' | $' + (liq.value/1000000).toFixed(2) + 'M | ' + liq.confidence + ' (' + liq.source + ')');
+  } else if (isNew && liq.value >= 100000) {
+    console.log('💀 LIQ: ' + liq.coin + ' ' + liq.side + ' | $' + (liq.value/1000).toFixed(0) + 'k | ' + liq.confidence + ' (' + liq.source + ')');
+  }
+  eventStream.publish('liquidation', { ...liq, isWhale });
+  saveLiquidation(liq);
+  sendLiquidationAlert(liq);
+
+  // A confirmed liquidation ends the position's danger alert thread
+  const state = liq.confidence === 'CONFIRMED' && liq.liquidatedUser ? escalation.resolve(escalationKey(liq.liquidatedUser, liq.coin)) : null;
+  if (state) {
+    sendResolution(state, 'LIQUIDATED', null, {
+      user: liq.liquidatedUser, coin: liq.coin, direction: liq.side, positionUSD: liq.value,
+      liqPrice: liq.predicted?.liqPrice || null, markPrice: liq.price
+    });
+  }
+}
+
+function processLiquidations(trades) {
   if (!trades || !Array.isArray(trades)) return;
   
   for (const trade of trades) {
@@ -1023,46 +1327,101 @@ function processLiquidations(trades) {
     if (!sz || !px) continue;
     
     const tradeValue = Math.abs(sz) * px;
-    
-    // crossed=true means taker order (market order) - liquidations are always market orders
-    const isCrossed = trade.crossed === true;
-    
-    if (isCrossed && tradeValue >= 50000) {
-      const liq = {
-        id: Date.now() + '-' + Math.random().toString(36).substr(2, 9),
+    if (tradeValue < LIQ_MIN_VALUE) continue;
+
+    // trade.users is [buyer, seller]
+    const users = (trade.users || []).map(u => (u || '').toLowerCase());
+    const liquidatorIdx = users.findIndex(isLiquidator);
+
+    // 1) Backstop liquidation: the liquidator took over the position
+    if (liquidatorIdx >= 0) {
+      const liquidatedUser = users[1 - liquidatorIdx] || null;
+      recordLiquidation({
         coin: trade.coin,
-        side: trade.side === 'B' ? 'SHORT' : 'LONG',
-        price: px,
-        size: Math.abs(sz),
-        value: tradeValue,
-        timestamp: trade.time || Date.now(),
-        hash: trade.hash || null
-      };
-      
-      const isDuplicate = recentLiquidations.some(l => 
-        l.coin === liq.coin && 
-        Math.abs(l.value - liq.value) < 1000 && 
-        Math.abs(l.timestamp - liq.timestamp) < 3000
-      );
-      
-      if (!isDuplicate) {
-        recentLiquidations.unshift(liq);
-        if (recentLiquidations.length > MAX_LIQUIDATIONS) {
-          recentLiquidations = recentLiquidations.slice(0, MAX_LIQUIDATIONS);
-        }
-        
-        if (tradeValue >= 500000) {
-          recentWhaleLiquidations.unshift(liq);
-          if (recentWhaleLiquidations.length > 50) {
-            recentWhaleLiquidations = recentWhaleLiquidations.slice(0, 50);
-          }
-          console.log('🐋💀 WHALE LIQ: ' + liq.coin + ' ' + liq.side + ' | $' + (tradeValue/1000000).toFixed(2) + 'M');
-        } else if (tradeValue >= 100000) {
-          console.log('💀 LIQ: ' + liq.coin + ' ' + liq.side + ' | $' + (tradeValue/1000).toFixed(0) + 'k');
-        }
-      }
+        side: liquidatorIdx === 0 ? 'LONG' : 'SHORT', // liquidator buying = a long was closed
+        price: px, size: Math.abs(sz), timestamp: trade.time, hash: trade.hash,
+        confidence: 'CONFIRMED', source: 'liquidator_counterparty',
+        liquidatedUser, predicted: liquidatedUser ? findPredictedPosition(liquidatedUser, trade.coin) : null
+      });
+      continue;
     }
+
+    // 2) A tracked near-liq position traded at/through its liquidation price: probable, verify via fills
+    for (const user of users) {
+      const predicted = findPredictedPosition(user, trade.coin);
+      if (!predicted || !priceReachedLiquidation(predicted, px)) continue;
+      recordLiquidation({
+        coin: trade.coin, side: predicted.direction,
+        price: px, size: Math.abs(sz), timestamp: trade.time, hash: trade.hash,
+        confidence: 'PROBABLE', source: 'trade_at_liq_price',
+        liquidatedUser: user, predicted
+      });
+      confirmLiquidationFromFills(user, trade.coin);
+    }
+  }
+}
+
+// 3) Position vanished (or was closed) right after its liquidation price was crossed
+function handleDisappearedPosition(event) {
+  const predicted = findPredictedPosition(event.address, event.coin);
+  if (event.type === 'LIQUIDATED') {
+    const previousSize = Math.abs(event.previousSize);
+    recordLiquidation({
+      coin: event.coin, side: event.direction,
+      price: event.markPrice, size: previousSize, timestamp: event.timestamp, hash: null,
+      confidence: 'PROBABLE', source: 'position_disappeared',
+      liquidatedUser: event.address, predicted
+    });
   }
+  // Closed near liquidation: fills will tell us whether it was a liquidation
+  if (event.type === 'LIQUIDATED' || predicted) return confirmLiquidationFromFills(event.address, event.coin);
+  return Promise.resolve();
+}
+
+// userFills carry a `liquidation` field ({ liquidatedUser, markPx, method }) on liquidation fills
+// A liquidation fills against many trades in a burst and each of them would ask for the same
+// fills. One request per user:coin: calls while it runs or during LIQ_CONFIRM_COOLDOWN after it
+// fold into a single trailing request, so fills that landed later are still counted.
+const LIQ_CONFIRM_COOLDOWN = 10000;
+const pendingLiquidationConfirms = new Map(); // user:coin -> { promise, again }
+
+function confirmLiquidationFromFills(user, coin) {
+  const key = user + ':' + coin;
+  const pending = pendingLiquidationConfirms.get(key);
+  if (pending) {
+    pending.again = true;
+    return pending.promise;
+  }
+  const entry = { again: false };
+  entry.promise = fetchLiquidationFills(user, coin).finally(() => setTimeout(() => {
+    pendingLiquidationConfirms.delete(key);
+    if (entry.again) confirmLiquidationFromFills(user, coin);
+  }, LIQ_CONFIRM_COOLDOWN));
+  pendingLiquidationConfirms.set(key, entry);
+  return entry.promise;
+}
+
+async function fetchLiquidationFills(user, coin) {
+  const fills = await hlPost({ type: 'userFillsByTime', user, startTime: Date.now() - 15 * 60 * 1000, endTime: Date.now() });
+  if (!Array.isArray(fills)) return;
+  recordLiquidationFills(user, coin, fills);
+}
+
+function recordLiquidationFills(user, coin, fills) {
+  const liqFills = fills.filter(f => f.coin === coin && f.liquidation && (f.liquidation.liquidatedUser || '').toLowerCase() === user);
+  if (liqFills.length === 0) return;
+
+  const size = liqFills.reduce((sum, f) => sum + Math.abs(parseFloat(f.sz)), 0);
+  const value = liqFills.reduce((sum, f) => sum + Math.abs(parseFloat(f.sz)) * parseFloat(f.px), 0);
+  const first = liqFills.reduce((a, b) => (a.time < b.time ? a : b));
+
+  recordLiquidation({
+    coin,
+    side: first.side === 'A' ? 'LONG' : 'SHORT', // liquidated user sold = long closed
+    price: value / size, size, timestamp: first.time, hash: first.hash,
+    confidence: 'CONFIRMED', source: 'user_fills',
+    liquidatedUser: user, predicted: findPredictedPosition(user, coin)
+  });
 }
 
 // ============================================
@@ -1070,6 +1429,44 @@ function processLiquidations(trades) {
 // ============================================
 let isInitialLoad = true; // Flag to prevent notification spam on startup
 
+// Lifecycle events, new positions and danger tracking for one account; returns its at-risk positions
+async function scanAccount(address, state) {
+  const positions = [];
+  const [allTimePnl, walletAgeDays] = await Promise.all([getCachedAllTimePnl(address), getWalletAge(address)]);
+
+  // Addresses scanned for the first time only get a baseline, so bulk discovery doesn't look like new positions
+  const lifecycleEvents = positionLifecycle.diffAccount(address, state.assetPositions, allMids, { baselineUnseen: true });
+  handleLifecycleEvents(lifecycleEvents);
+  for (const event of lifecycleEvents) {
+    if (event.type !== 'OPENED') continue;
+    const opened = state.assetPositions.find(ap => ap.position.coin === event.coin);
+    await handleNewPosition(address, opened.position, state, allTimePnl, walletAgeDays);
+  }
+
+  for (const assetPos of state.assetPositions) {
+    recordPositionSnapshot(address, assetPos.position);
+    const processed = processPosition(address, assetPos.position, allMids[assetPos.position.coin], state);
+    if (processed) {
+      processed.allTimePnl = allTimePnl;
+      processed.walletAgeDays = walletAgeDays;
+      // Get position open time
+      const openTime = await getPositionOpenTime(address, assetPos.position.coin, processed.entryPrice);
+      processed.timestamp = openTime;
+
+      if (allTimePnl !== null) {
+        processed.isProfitableWhale = allTimePnl > 0;
+        processed.whaleType = allTimePnl > 0 ? 'PROFITABLE' : 'LOSING';
+      }
+      await applyTraderScore(processed, state);
+      positions.push(processed);
+      trackDanger(processed);
+    } else {
+      followEscalation(address, assetPos.position);
+    }
+  }
+  return positions;
+}
+
 async function scanPositions(addresses) {
   const results = [];
   for (let i = 0; i < addresses.length; i += 10) {
@@ -1077,34 +1474,11 @@ async function scanPositions(addresses) {
     const batchResults = await Promise.all(batch.map(async (address) => {
       try {
         const state = await getUserState(address);
-        if (state && state.assetPositions) {
-          const positions = [];
-          const [allTimePnl, walletAgeDays] = await Promise.all([getCachedAllTimePnl(address), getWalletAge(address)]);
-          for (const assetPos of state.assetPositions) {
-            const processed = processPosition(address, assetPos.position, allMids[assetPos.position.coin], state);
-            if (processed) {
-              processed.allTimePnl = allTimePnl;
-              processed.walletAgeDays = walletAgeDays;
-              // Get position open time
-              const openTime = await getPositionOpenTime(address, assetPos.position.coin, processed.entryPrice);
-              processed.timestamp = openTime;
-
-              if (allTimePnl !== null) {
-                processed.isProfitableWhale = allTimePnl > 0;
-                processed.whaleType = allTimePnl > 0 ? 'PROFITABLE' : 'LOSING';
-              }
-              positions.push(processed);
-            }
-
-            // Mark all existing positions as "known" during initial load
-            if (isInitialLoad && assetPos.position.szi !== 0) {
-              const posKey = address.toLowerCase() + '-' + assetPos.position.coin;
-              knownPositions.set(posKey, Date.now());
-            }
-          }
-          return positions;
-        }
-      } catch (err) {}
+        if (state && state.assetPositions) return await scanAccount(address, state);
+      } catch (err) {
+        // Unanswered is not empty: keep what the last scan found instead of dropping it
+        return trackedPositions.filter(p => p.user === address);
+      }
       return [];
     }));
     batchResults.forEach(posArray => results.push(...posArray));
@@ -1113,22 +1487,54 @@ async function scanPositions(addresses) {
   return results.sort((a, b) => a.distanceToLiq - b.distanceToLiq);
 }
 
+// A scan waits on the API weight budget and can outlast REFRESH_INTERVAL; overlapping ones
+// would only pile more requests into the queue
+let isRefreshing = false;
+
 async function refreshPositions() {
+  if (isRefreshing) {
+    console.log('⏳ Position scan still running, skipping this interval');
+    return;
+  }
+  isRefreshing = true;
+  try {
+    await scanTrackedPositions();
+  } catch (err) {
+    console.error('Position scan error (keeping the last results):', err.message);
+  } finally {
+    isRefreshing = false;
+  }
+}
+
+async function scanTrackedPositions() {
   if (knownWhaleAddresses.size === 0) {
     console.log('⚠️ No whales discovered yet. Waiting for trades...');
-    console.log('⚠️ WebSocket connected: ' + (ws && ws.readyState === 1 ? 'YES' : 'NO'));
+    console.log('⚠️ WebSocket connected: ' + (tradeFeed.isConnected() ? 'YES' : 'NO'));
     return;
   }
   console.log('🔍 Scanning ' + knownWhaleAddresses.size + ' addresses...');
+  const scanStartedAt = Date.now();
   allMids = await getAllMids();
-  trackedPositions = await scanPositions([...knownWhaleAddresses].slice(0, CONFIG.MAX_ADDRESSES_TO_SCAN));
+  await refreshAssetContexts();
+  checkAnomalyMoves();
+  // Watched wallets go first so the address cap never skips them
+  const addresses = [...new Set([...watchedAddresses(), ...knownWhaleAddresses])];
+  trackedPositions = await scanPositions(addresses.slice(0, CONFIG.MAX_ADDRESSES_TO_SCAN));
+  escalation.prune();
+  replaceTrackedPositions(trackedPositions, scanStartedAt);
+  refreshUserFeeds();
   console.log('✅ Found ' + trackedPositions.length + ' at-risk (' + trackedPositions.filter(p => p.dangerLevel === 'CRITICAL').length + ' critical)');
   console.log('📊 Total whales tracked: ' + knownWhaleAddresses.size);
+  eventStream.publish('positions_refreshed', {
+    count: trackedPositions.length,
+    criticalCount: trackedPositions.filter(p => p.dangerLevel === 'CRITICAL').length,
+    warningCount: trackedPositions.filter(p => p.dangerLevel === 'WARNING').length
+  });
 
   // After first scan, mark initial load as complete
   if (isInitialLoad) {
     isInitialLoad = false;
-    console.log('✅ Initial load complete. Marked ' + knownPositions.size + ' existing positions as known.');
+    console.log('✅ Initial load complete. Baseline recorded for ' + positionLifecycle.getTrackedPositionCount() + ' existing positions.');
     console.log('🎯 Now monitoring for NEW positions opened after this point...');
   }
 }
@@ -1136,25 +1542,43 @@ async function refreshPositions() {
 async function initialize() {
   console.log('🚀 Starting HL Liquidation Hunter...');
   await initDatabase();
-  assetMeta = await getAssetMeta();
+  if (telegramBot) telegramBot.start(); // after the database, so subscriptions are loaded
+  await loadAssetMeta();
   console.log('✅ Loaded ' + assetMeta.length + ' assets');
-  allMids = await getAllMids();
+  allMids = await getAllMids().catch(err => {
+    console.error('⚠️ Initial price fetch failed, retried by the first scan:', err.message);
+    return {};
+  });
+  await refreshAssetContexts();
   
   // Fetch top traders from leaderboard
   await fetchLeaderboardTraders();
   
-  connectWebSocket();
   console.log('⏳ Waiting 5s for whale discovery...');
   await new Promise(r => setTimeout(r, 5000));
   await refreshPositions();
   setInterval(refreshPositions, CONFIG.REFRESH_INTERVAL);
+  setInterval(() => hl.withPriority('high', refreshWatchedAddresses), CONFIG.WATCHLIST_REFRESH_INTERVAL);
+  setInterval(() => hl.withPriority('low', checkNextAddressLinks), LINK_CHECK_INTERVAL);
+  setInterval(() => addressLabels.prune(), 60 * 60 * 1000);
+  setInterval(pruneTraderProfiles, 60 * 60 * 1000);
+  setInterval(pruneAccountExtras, 60 * 60 * 1000);
+  setInterval(() => positionHistory.prune(), 60 * 60 * 1000);
+  setInterval(() => positionLifecycle.prune(), 60 * 60 * 1000);
   
   // Refresh leaderboard every 10 minutes
   setInterval(fetchLeaderboardTraders, 10 * 60 * 1000);
+
+  // New listings, delistings and margin table changes
+  setInterval(loadAssetMeta, ASSET_META_REFRESH_INTERVAL);
   
   // Background liquidatable scan every 3 minutes
-  backgroundLiquidatableScan();
-  setInterval(backgroundLiquidatableScan, 3 * 60 * 1000);
+  hl.withPriority('low', backgroundLiquidatableScan);
+  setInterval(() => hl.withPriority('low', backgroundLiquidatableScan), 3 * 60 * 1000);
+
+  // Apply retention policy hourly
+  pruneOldRecords();
+  setInterval(pruneOldRecords, 60 * 60 * 1000);
 }
 
 // Background scan for liquidatable positions
@@ -1168,7 +1592,8 @@ async function backgroundLiquidatableScan() {
   try {
     console.log(`🔍 Background scan: ${knownWhaleAddresses.size} addresses...`);
     const results = { longs: [], shorts: [] };
-    const addresses = [...knownWhaleAddresses].slice(0, 1000); // Scan up to 1000
+    const universe = []; // every $50K+ position with a liq price, regardless of distance
+    const addresses = [...new Set([...watchedAddresses(), ...knownWhaleAddresses])].slice(0, 1000); // Scan up to 1000
     const currentMids = await getAllMids();
     
     for (let i = 0; i < addresses.length; i += 20) {
@@ -1193,8 +1618,14 @@ async function backgroundLiquidatableScan() {
             
             const positionUSD = Math.abs(szi) * markPx;
             if (positionUSD < 50000) continue;
+            recordPositionSnapshot(addr, pos, markPx);
             
             const isLong = szi > 0;
+            universe.push({
+              user: addr, coin, direction: isLong ? 'LONG' : 'SHORT', size: szi, positionUSD,
+              entryPrice: entryPx, markPrice: markPx, liqPrice: liqPx,
+              leverage: pos.leverage?.value || 1, leverageType: pos.leverage?.type || 'cross'
+            });
             const distanceToLiq = isLong 
               ? (markPx - liqPx) / markPx 
               : (liqPx - markPx) / markPx;
@@ -1209,6 +1640,8 @@ async function backgroundLiquidatableScan() {
             const posData = {
               user: addr,
               userShort: addr.slice(0, 6) + '...' + addr.slice(-4),
+              label: addressLabels.lookup(addr),
+              ...cachedTraderScore(addr),
               coin,
               direction: isLong ? 'LONG' : 'SHORT',
               positionUSD,
@@ -1217,7 +1650,9 @@ async function backgroundLiquidatableScan() {
               liqPrice: liqPx,
               distancePercent: (distanceToLiq * 100).toFixed(2),
               leverage: pos.leverage?.value || 1,
+              leverageType: pos.leverage?.type || 'cross',
               unrealizedPnl: parseFloat(pos.unrealizedPnl) || 0,
+              accountRisk: pos.leverage?.type !== 'isolated' ? getAccountRisk(state.dexStates?.[dexOf(pos.coin)] || state) : null, // cross margin is per dex
               dangerLevel,
               hypurrscanUrl: getHypurrscanUrl(addr),
               timestamp: openTime
@@ -1235,10 +1670,18 @@ async function backgroundLiquidatableScan() {
     results.longs.sort((a, b) => parseFloat(a.distancePercent) - parseFloat(b.distancePercent));
     results.shorts.sort((a, b) => parseFloat(a.distancePercent) - parseFloat(b.distancePercent));
     
+    if (universe.length > 0) positionUniverse = { positions: universe, lastUpdate: Date.now() };
+
     // Only update cache if we got results
     if (results.longs.length > 0 || results.shorts.length > 0) {
       liquidatableCache = { longs: results.longs, shorts: results.shorts, lastUpdate: Date.now() };
+      refreshUserFeeds();
       console.log(`📊 Background scan: ${results.longs.length} longs, ${results.shorts.length} shorts at risk`);
+      eventStream.publish('liquidatable_updated', {
+        longsCount: results.longs.length,
+        shortsCount: results.shorts.length,
+        lastUpdate: liquidatableCache.lastUpdate
+      });
     } else {
       console.log(`⚠️ Background scan: No positions found (keeping old cache)`);
     }
@@ -1262,6 +1705,11 @@ async function fetchLeaderboardTraders() {
       for (const row of response.data.leaderboardRows) {
         if (row.ethAddress) {
           const addr = row.ethAddress.toLowerCase();
+          if (row.displayName) {
+            try {
+              addressLabels.setLabel(addr, { label: row.displayName }, 'leaderboard');
+            } catch (err) {} // malformed row
+          }
           if (!knownWhaleAddresses.has(addr)) {
             knownWhaleAddresses.add(addr);
             addedCount++;
@@ -1301,16 +1749,641 @@ async function fetchTopTradersAlternative() {
   console.log(`✅ Added ${addedCount} known whales as fallback`);
 }
 
+// ============================================
+// WATCHLISTS - priority scanning of watched wallets
+// ============================================
+// Wallets on a dashboard watchlist (lib/watchlists.js) or watched from Telegram are scanned
+// first by refreshPositions and, on top of that, every WATCHLIST_REFRESH_INTERVAL here.
+// This pass has no size floor: every position can escalate and every change is reported
+// to the watchers (notifyWatchers in ALERTS).
+const watchedAccounts = new Map(); // address -> { accountValue, spotUSD, positions, updatedAt } for the dashboard
+let isScanningWatched = false;
+
+function watchedAddresses() {
+  return new Set([...watchlists.addresses(), ...subscriptions.watchedAddresses()]);
+}
+
+async function scanWatchedAddress(address) {
+  const state = await getUserState(address);
+  if (!state?.assetPositions) return;
+  await applyWatchedState(address, state);
+}
+
+async function applyWatchedState(address, state) {
+  const [allTimePnl, walletAgeDays] = await Promise.all([getCachedAllTimePnl(address), getWalletAge(address)]);
+  queueLinkCheck(address);
+
+  // A wallet that was just added only gets a baseline: its existing positions are not news
+  const lifecycleEvents = positionLifecycle.diffAccount(address, state.assetPositions, allMids, { baselineUnseen: true });
+  handleLifecycleEvents(lifecycleEvents);
+  for (const event of lifecycleEvents) {
+    if (event.type !== 'OPENED') continue;
+    const opened = state.assetPositions.find(ap => ap.position.coin === event.coin);
+    await handleNewPosition(address, opened.position, state, allTimePnl, walletAgeDays);
+  }
+
+  const positions = [];
+  for (const { position: pos } of state.assetPositions) {
+    const size = parseFloat(pos.szi);
+    const markPrice = parseFloat(allMids[pos.coin]) || parseFloat(pos.entryPx);
+    if (!size || !markPrice) continue;
+    const liqPrice = parseFloat(pos.liquidationPx) || null;
+    positions.push({
+      coin: pos.coin, dex: dexOf(pos.coin) || null, direction: size > 0 ? 'LONG' : 'SHORT', positionUSD: Math.abs(size) * markPrice,
+      entryPrice: parseFloat(pos.entryPx), markPrice, liqPrice, leverage: pos.leverage?.value || 1,
+      unrealizedPnl: parseFloat(pos.unrealizedPnl) || 0,
+      distancePercent: liqPrice ? +(((size > 0 ? markPrice - liqPrice : liqPrice - markPrice) / markPrice) * 100).toFixed(2) : null
+    });
+
+    const full = processAllPosition(address, pos, allMids[pos.coin], state, { minPositionUSD: 0 });
+    if (!full) continue;
+    full.allTimePnl = allTimePnl;
+    full.walletAgeDays = walletAgeDays;
+    if (allTimePnl !== null) {
+      full.isProfitableWhale = allTimePnl > 0;
+      full.whaleType = allTimePnl > 0 ? 'PROFITABLE' : 'LOSING';
+    }
+    await applyTraderScore(full, state);
+    trackDanger(full);
+  }
+
+  watchedAccounts.set(address, {
+    accountValue: state.totalAccountValue ?? parseFloat(state.marginSummary?.accountValue || 0),
+    spotUSD: state.spotUSD || 0,
+    positions: positions.sort((a, b) => b.positionUSD - a.positionUSD),
+    updatedAt: Date.now()
+  });
+}
+
+async function refreshWatchedAddresses() {
+  const addresses = [...watchedAddresses()];
+  if (isScanningWatched || addresses.length === 0) return;
+  isScanningWatched = true;
+  try {
+    allMids = await getAllMids().catch(err => {
+      console.error('Watched address price refresh failed (keeping the last prices):', err.message);
+      return allMids;
+    });
+    // Streamed wallets are already handled as their state arrives
+    const polled = addresses.filter(address => !userFeeds.getState(address, LIVE_STATE_MAX_AGE));
+    for (let i = 0; i < polled.length; i += 10) {
+      await Promise.all(polled.slice(i, i + 10).map(address => scanWatchedAddress(address).catch(err => {
+        console.error('Watched address scan error (' + address.slice(0, 10) + '):', err.message);
+      })));
+    }
+    // Wallets no longer watched
+    for (const address of watchedAccounts.keys()) if (!addresses.includes(address)) watchedAccounts.delete(address);
+    refreshUserFeeds(); // picks up wallets added to / removed from watchlists
+  } finally {
+    isScanningWatched = false;
+  }
+}
+
+// ============================================
+// USER FEEDS - live WebSocket state for the hottest wallets
+// ============================================
+// Watched wallets and the ones closest to liquidation get `webData2` + `userFills` feeds
+// (lib/ws-subscriptions.js); the ranking is refreshed after every scan. Their streamed
+// state updates trackedPositions as it arrives and answers getUserState, so the polling
+// scans only hit the REST API for the long tail.
+const LIVE_STATE_MAX_AGE = 60 * 1000;
+const LIVE_UPDATE_INTERVAL = 5000; // webData2 pushes far more often than positions need re-processing
+const liveUpdates = new Map(); // address -> { processedAt, busy }
+
+const userFeeds = createSubscriptionManager({
+  url: CONFIG.HYPERLIQUID_WS,
+  maxUsers: CONFIG.HL_WS_MAX_USERS,
+  usersPerSocket: CONFIG.HL_WS_USERS_PER_SOCKET,
+  onMessage: handleUserFeed
+});
+
+// Watched wallets first, then the closest to liquidation
+function hotAddresses() {
+  const atRisk = [...trackedPositions, ...liquidatableCache.longs, ...liquidatableCache.shorts]
+    .sort((a, b) => parseFloat(a.distancePercent) - parseFloat(b.distancePercent))
+    .map(p => p.user);
+  return [...watchedAddresses(), ...atRisk];
+}
+
+function refreshUserFeeds() {
+  userFeeds.setTargets(hotAddresses());
+  for (const address of liveUpdates.keys()) if (!userFeeds.isLive(address)) liveUpdates.delete(address);
+}
+
+function handleUserFeed(type, address, data) {
+  if (type === 'webData2') return queueLiveState(address, data.clearinghouseState);
+  if (type === 'userFills' && !data.isSnapshot) handleLiveFills(address, data.fills || []);
+}
+
+function queueLiveState(address, state) {
+  const entry = liveUpdates.get(address) || { processedAt: 0, busy: false };
+  liveUpdates.set(address, entry);
+  if (!state?.assetPositions || entry.busy || Date.now() - entry.processedAt < LIVE_UPDATE_INTERVAL) return;
+  entry.busy = true;
+  hl.withPriority('high', () => applyLiveState(address, state))
+    .catch(err => console.error('Live state error (' + address.slice(0, 10) + '):', err.message))
+    .finally(() => {
+      entry.busy = false;
+      entry.processedAt = Date.now();
+    });
+}
+
+// Same processing as a scan, but only this account's entries in trackedPositions change
+async function applyLiveState(address, streamed) {
+  const state = await withAccountExtras(address, streamed); // the stream only covers the default dex
+  const previous = trackedPositions.filter(p => p.user === address);
+  const positions = await scanAccount(address, state);
+  trackedPositions = [...trackedPositions.filter(p => p.user !== address), ...positions].sort((a, b) => a.distanceToLiq - b.distanceToLiq);
+
+  positions.forEach(saveTrackedPosition);
+  previous.filter(p => !positions.some(n => n.coin === p.coin)).forEach(p => deleteTrackedPosition(address, p.coin));
+  for (const position of positions) {
+    const before = previous.find(p => p.coin === position.coin);
+    if (!before || before.dangerLevel !== position.dangerLevel) eventStream.publish('position', position);
+  }
+  if (watchedAddresses().has(address)) await applyWatchedState(address, state);
+}
+
+// Fills arrive before the next webData2: exact open times, and liquidations confirmed right away
+function handleLiveFills(address, fills) {
+  for (const fill of fills) {
+    const before = parseFloat(fill.startPosition) || 0;
+    const after = before + (fill.side === 'B' ? 1 : -1) * parseFloat(fill.sz);
+    if (Math.abs(after) > 1e-9 && (Math.abs(before) < 1e-9 || before * after < 0)) positionOpenTimeCache.set(address + '-' + fill.coin, fill.time);
+  }
+  const liquidatedCoins = new Set(fills.filter(f => f.liquidation).map(f => f.coin));
+  liquidatedCoins.forEach(coin => recordLiquidationFills(address, coin, fills));
+}
+
+// ============================================
+// ADDRESS LABELS - entity clustering
+// ============================================
+// Labels come from the dashboard / API, CSV imports, the leaderboard's display names and
+// a few built-in protocol accounts (lib/address-labels.js). Links between wallets come from
+// the trade stream (lockstep, see processTradesForDiscovery) and from the ledger checked here:
+// every wallet that shows up in an alert gets its sub-accounts and USDC transfers looked up,
+// one wallet every LINK_CHECK_INTERVAL, at most once a day.
+const LINK_CHECK_INTERVAL = 5000;
+const LINK_CHECK_TTL = 24 * 60 * 60 * 1000;
+const LINK_LOOKBACK = 90 * 24 * 60 * 60 * 1000;
+const TRANSFER_TYPES = ['internalTransfer', 'subAccountTransfer', 'send', 'spotTransfer'];
+const linkCheckQueue = new Set();
+const linksCheckedAt = new Map(); // address -> timestamp
+
+function queueLinkCheck(address) {
+  const addrLower = address.toLowerCase();
+  if (Date.now() - (linksCheckedAt.get(addrLower) || 0) < LINK_CHECK_TTL) return;
+  linkCheckQueue.add(addrLower);
+}
+
+async function checkAddressLinks(address) {
+  linksCheckedAt.set(address, Date.now());
+  const [subAccounts, ledger] = await Promise.all([
+    hlPost({ type: 'subAccounts', user: address }),
+    hlPost({ type: 'userNonFundingLedgerUpdates', user: address, startTime: Date.now() - LINK_LOOKBACK })
+  ]);
+  for (const sub of subAccounts || []) {
+    if (sub.subAccountUser) addressLabels.addLink(address, sub.subAccountUser, 'subaccount');
+  }
+  let linked = 0;
+  for (const update of ledger || []) {
+    const delta = update.delta || {};
+    if (!TRANSFER_TYPES.includes(delta.type) || !delta.user || !delta.destination) continue;
+    if (addressLabels.recordTransfer(delta.user, delta.destination, parseFloat(delta.usdc ?? delta.usdcValue), update.time)) linked++;
+  }
+  if (linked > 0) console.log('🔗 ' + shortAddress(address) + ': linked to ' + linked + ' wallet(s) by transfers');
+}
+
+async function checkNextAddressLinks() {
+  const [address] = linkCheckQueue;
+  if (!address) return;
+  linkCheckQueue.delete(address);
+  try {
+    await checkAddressLinks(address);
+  } catch (err) {
+    console.error('Address link check error (' + address.slice(0, 10) + '):', err.message);
+  }
+}
+
+// Fresh label (and score, when a profile is cached) for API responses; stored positions may predate a change
+function withLabel(item, address = item.user) {
+  const score = address && traderProfiles.has(address.toLowerCase()) ? cachedTraderScore(address) : {};
+  return { ...item, ...score, label: address ? addressLabels.lookup(address) : null };
+}
+
+// ============================================
+// TRADER PROFILES - smart money score
+// ============================================
+// A profile (lib/trader-profile.js) costs a `portfolio` and a 90-day `userFillsByTime` call,
+// so it is built for wallets whose positions qualify for tracking or alerts, and on request
+// (GET /api/traders/:address), then cached for TRADER_PROFILE_TTL. The score it carries is
+// copied onto positions (smartScore / traderTier) before any alert rule sees them.
+const TRADER_PROFILE_TTL = 60 * 60 * 1000;
+const traderProfiles = new Map();  // address -> profile
+const pendingProfiles = new Map(); // address -> promise, so concurrent scans share one fetch
+
+async function getTraderProfile(address, { state = null, walletAgeDays: ageDays, maxAge = TRADER_PROFILE_TTL } = {}) {
+  const addrLower = address.toLowerCase();
+  const cached = traderProfiles.get(addrLower);
+  if (cached && Date.now() - cached.updatedAt < maxAge) return cached;
+  if (pendingProfiles.has(addrLower)) return pendingProfiles.get(addrLower);
+  const pending = buildTraderProfile(addrLower, state, ageDays).finally(() => pendingProfiles.delete(addrLower));
+  pendingProfiles.set(addrLower, pending);
+  return pending;
+}
+
+async function buildTraderProfile(address, state, ageDays) {
+  const [portfolioData, fills, userState, walletAge] = await Promise.all([
+    hlPost({ type: 'portfolio', user: address }),
+    hlPost({ type: 'userFillsByTime', user: address, startTime: Date.now() - traderProfile.FILL_LOOKBACK, endTime: Date.now() }),
+    state || getUserState(address).catch(() => null),
+    ageDays !== undefined ? ageDays : getWalletAge(address)
+  ]);
+  // API unavailable: keep serving the last profile
+  if (!portfolioData && !fills) return traderProfiles.get(address) || null;
+
+  const portfolio = traderProfile.summarizePortfolio(portfolioData);
+  const allTime = portfolio.allTime || portfolio.perpAllTime;
+  if (allTime?.points.length > 0) allTimePnlCache.set(address, { pnl: allTime.points[allTime.points.length - 1].pnl, timestamp: Date.now() });
+
+  const { liquidations: fillLiquidations, ...trading } = traderProfile.analyzeFills(address, fills);
+  const leverage = traderProfile.summarizeLeverage(await leverageSamples(address, userState));
+  const liquidations = await pastLiquidations(address, fillLiquidations);
+  const accountValue = userState?.marginSummary ? userState.totalAccountValue ?? parseFloat(userState.marginSummary.accountValue) : allTime?.accountValue ?? null;
+
+  const profile = {
+    address,
+    label: addressLabels.lookup(address),
+    accountValue,
+    walletAgeDays: walletAge,
+    allTimePnl: allTimePnlCache.get(address)?.pnl ?? null,
+    portfolio,
+    trading,
+    leverage,
+    liquidations,
+    openPositions: (userState?.assetPositions || []).map(({ position: p }) => ({
+      coin: p.coin, direction: parseFloat(p.szi) > 0 ? 'LONG' : 'SHORT',
+      positionUSD: Math.abs(parseFloat(p.szi)) * (parseFloat(allMids[p.coin]) || parseFloat(p.entryPx)),
+      leverage: p.leverage?.value || 1, unrealizedPnl: parseFloat(p.unrealizedPnl) || 0
+    })),
+    score: traderProfile.scoreTrader({ portfolio, trading, leverage, liquidationCount: liquidations.length, walletAgeDays: walletAge }),
+    updatedAt: Date.now()
+  };
+  traderProfiles.set(address, profile);
+  return profile;
+}
+
+// Leverage of the current positions plus every position of this wallet seen in the retention window
+async function leverageSamples(address, state) {
+  const samples = (state?.assetPositions || []).map(({ position: p }) => ({
+    coin: p.coin, leverage: p.leverage?.value, notional: Math.abs(parseFloat(p.szi)) * (parseFloat(allMids[p.coin]) || parseFloat(p.entryPx))
+  }));
+  recentNewPositions.filter(p => p.user.toLowerCase() === address).forEach(p => samples.push({ coin: p.coin, leverage: p.leverage, notional: p.positionUSD }));
+  recentPositionEvents.filter(e => e.address === address).forEach(e => samples.push({ coin: e.coin, leverage: e.leverage, notional: Math.abs(e.notional) }));
+  if (pool) {
+    try {
+      const result = await pool.query('SELECT coin, leverage, MAX(position_usd) AS position_usd FROM position_snapshots WHERE address = $1 GROUP BY coin, leverage', [address]);
+      result.rows.forEach(r => samples.push({ coin: r.coin, leverage: parseFloat(r.leverage), notional: parseFloat(r.position_usd) }));
+    } catch (err) {}
+  }
+  // One sample per coin and leverage setting, so a position scanned a hundred times counts once
+  const unique = new Map();
+  for (const s of samples) {
+    const key = s.coin + ':' + s.leverage;
+    if (!unique.has(key) || unique.get(key).notional < s.notional) unique.set(key, s);
+  }
+  return [...unique.values()];
+}
+
+// Liquidations from the wallet's own fills, plus the ones this tracker recorded (fills older than the lookback are gone)
+async function pastLiquidations(address, fromFills) {
+  const tracked = recentLiquidations.filter(l => l.liquidatedUser === address);
+  if (pool) {
+    try {
+      const result = await pool.query('SELECT * FROM liquidations WHERE liquidated_user = $1 ORDER BY timestamp DESC LIMIT 50', [address]);
+      for (const row of result.rows.map(rowToLiquidation)) if (!tracked.some(l => l.id === row.id)) tracked.push(row);
+    } catch (err) {}
+  }
+  const all = [...fromFills];
+  for (const l of tracked) {
+    // The same liquidation as a fill: same coin within a minute
+    if (all.some(f => f.coin === l.coin && Math.abs(f.time - l.timestamp) < 60000)) continue;
+    all.push({ coin: l.coin, time: l.timestamp, side: l.side, value: l.value, markPrice: l.price });
+  }
+  return all.sort((a, b) => b.time - a.time);
+}
+
+// Score of a cached profile; never calls the API
+function cachedTraderScore(address) {
+  const profile = traderProfiles.get((address || '').toLowerCase());
+  return profile ? { smartScore: profile.score.score, traderTier: profile.score.tier } : { smartScore: null, traderTier: 'UNKNOWN' };
+}
+
+// Copies the wallet's score onto a processed position, building the profile if needed
+async function applyTraderScore(position, state = null) {
+  try {
+    await getTraderProfile(position.user, { state, walletAgeDays: position.walletAgeDays ?? undefined });
+  } catch (err) {
+    console.error('Trader profile error (' + position.user.slice(0, 10) + '):', err.message);
+  }
+  return Object.assign(position, cachedTraderScore(position.user));
+}
+
+function pruneTraderProfiles() {
+  const cutoff = Date.now() - 6 * TRADER_PROFILE_TTL;
+  for (const [address, profile] of traderProfiles) if (profile.updatedAt < cutoff) traderProfiles.delete(address);
+}
+
+// ============================================
+// ANOMALIES - insider-like new positions
+// ============================================
+// Every new position is scored (lib/anomaly-score.js) before its alerts go out; the score
+// travels on the position as `anomaly` and `anomaly` alerts go through the rules like any
+// other event. Positions stay on anomalyWatch for MOVE_WINDOW, so a sharp move in their
+// favour right after opening can still raise the score (and trigger the alert).
+const ANOMALY_LEDGER_LOOKBACK = 7 * 24 * 60 * 60 * 1000;
+const anomalyWatch = new Map(); // address-coin -> new position
+const newPositionRows = new WeakMap(); // new position -> new_positions.id
+
+// Latest USDC that arrived before `openedAt`, plus everything that arrived in the lookback
+async function recentFunding(address, openedAt) {
+  const ledger = await hlPost({ type: 'userNonFundingLedgerUpdates', user: address, startTime: openedAt - ANOMALY_LEDGER_LOOKBACK });
+  if (!Array.isArray(ledger)) return null;
+  let last = null, inflowUSD = 0;
+  for (const update of ledger) {
+    const delta = update.delta || {};
+    const incoming = delta.type === 'deposit' || (TRANSFER_TYPES.includes(delta.type) && delta.destination?.toLowerCase() === address);
+    const amount = parseFloat(delta.usdc ?? delta.usdcValue);
+    if (!incoming || !(amount > 0) || update.time > openedAt + 60000) continue;
+    inflowUSD += amount;
+    if (!last || update.time > last.time) last = { time: update.time, amount };
+  }
+  return last ? { amountUSD: last.amount, minutesBeforeOpen: Math.max(0, (openedAt - last.time) / 60000), inflowUSD } : null;
+}
+
+async function assessAnomaly(position) {
+  const ctx = assetContexts[position.coin] || {};
+  const funding = await recentFunding(position.user.toLowerCase(), position.timestamp || Date.now()).catch(() => null);
+  return anomalyScore.scoreAnomaly(position, {
+    walletAgeDays: position.walletAgeDays,
+    openInterestUSD: ctx.openInterestUSD,
+    dayVolumeUSD: ctx.dayVolumeUSD,
+    maxLeverage: maxLeverages[position.coin],
+    priceChange24h: ctx.prevDayPx ? ctx.markPx / ctx.prevDayPx - 1 : null,
+    funding,
+    accountValue: position.walletBalance,
+    accountNotionalUSD: position.positionUSD + position.otherPositions.reduce((sum, p) => sum + p.positionUSD, 0)
+  });
+}
+
+function watchForMove(position) {
+  anomalyWatch.set(position.user.toLowerCase() + '-' + position.coin, position);
+}
+
+// Runs on every price refresh: move since entry, signed so that positive = in the position's favour
+function checkAnomalyMoves() {
+  const now = Date.now();
+  for (const [key, position] of anomalyWatch) {
+    if (now - position.timestamp > anomalyScore.MOVE_WINDOW) {
+      anomalyWatch.delete(key);
+      continue;
+    }
+    const mark = parseFloat(allMids[position.coin]);
+    if (!mark || !position.entryPrice) continue;
+    const move = ((mark - position.entryPrice) / position.entryPrice) * (position.direction === 'LONG' ? 1 : -1);
+    const updated = anomalyScore.addPriceMove(position.anomaly, move, position.timestamp, now);
+    if (!updated) continue;
+
+    position.anomaly = updated;
+    updateNewPositionAnomaly(position);
+    console.log('🕵️ ANOMALY RAISED: ' + position.userShort + ' | ' + position.coin + ' ' + position.direction + ' → ' + updated.score + '/100 (' + (move * 100).toFixed(1) + '% move)');
+    eventStream.publish('anomaly', position);
+    sendAnomalyAlert(position);
+  }
+}
+
+async function updateNewPositionAnomaly(position) {
+  const id = newPositionRows.get(position);
+  if (!pool || !id) return;
+  try {
+    await pool.query('UPDATE new_positions SET data = $2, anomaly_score = $3 WHERE id = $1', [id, position, position.anomaly.score]);
+  } catch (err) {}
+}
+
+// ============================================
+// TELEGRAM BOT - on-demand lookups and per-chat subscriptions
+// ============================================
+// Transport and command parsing live in lib/telegram-bot.js; answers come from the
+// in-memory state above. Watched wallets are DMed through notifyWatchers (ALERTS).
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+function parseAddressArg(arg) {
+  if (!arg || !ADDRESS_PATTERN.test(arg)) throw new Error('Expected a wallet address (0x followed by 40 hex characters)');
+  return arg.toLowerCase();
+}
+
+// Case-insensitive match against the asset list ("kpepe" -> "kPEPE")
+function parseCoinArg(arg, usage) {
+  if (!arg) throw new Error('Usage: ' + usage);
+  return assetMeta.find(name => name.toLowerCase() === arg.toLowerCase()) || arg.toUpperCase();
+}
+
+function timeAgo(timestamp) {
+  const minutes = (Date.now() - timestamp) / 60000;
+  return minutes < 60 ? Math.max(1, Math.round(minutes)) + 'm ago' : formatHours(minutes / 60) + ' ago';
+}
+
+function botPositionLine(p) {
+  const distance = p.distancePercent !== null && p.distancePercent !== undefined ? ' (' + parseFloat(p.distancePercent).toFixed(2) + '%)' : '';
+  return (p.direction === 'LONG' ? '🟢 ' : '🔴 ') + '*' + p.coin + '* ' + p.direction + ' ' + formatUSDCompact(p.positionUSD) + ' · ' + p.leverage + 'x' +
+    (p.liqPrice ? ' · liq `$' + formatPriceCompact(p.liqPrice) + '`' + distance : '');
+}
+
+const botCommands = {
+  whale: {
+    args: '<address>',
+    description: 'Open positions, account value and PnL of a wallet',
+    async run([arg], { chatId }) {
+      const address = parseAddressArg(arg);
+      const [state, allTimePnl, ageDays] = await Promise.all([getUserState(address).catch(() => null), getCachedAllTimePnl(address), getWalletAge(address)]);
+      if (!state?.assetPositions) throw new Error('Hyperliquid did not answer, try again in a moment');
+
+      const positions = state.assetPositions.map(ap => ap.position).filter(p => parseFloat(p.szi) !== 0).map(p => {
+        const size = parseFloat(p.szi);
+        const markPrice = parseFloat(allMids[p.coin]) || parseFloat(p.entryPx);
+        const liqPrice = parseFloat(p.liquidationPx) || null;
+        return {
+          coin: p.coin, direction: size > 0 ? 'LONG' : 'SHORT', positionUSD: Math.abs(size) * markPrice,
+          leverage: p.leverage?.value || 1, liqPrice,
+          distancePercent: liqPrice ? ((size > 0 ? markPrice - liqPrice : liqPrice - markPrice) / markPrice) * 100 : null
+        };
+      }).sort((a, b) => b.positionUSD - a.positionUSD);
+
+      const lines = ['🐋 *Wallet* `' + shortAddress(address) + '`', '━━━━━━━━━━━━━━━━'];
+      const name = labelName(addressLabels.lookup(address));
+      if (name) lines.push('🏷️ ' + escapeMarkdown(name));
+      lines.push('💰 Account value: *' + formatUSDCompact(state.totalAccountValue) + '*' + (state.spotUSD >= 1 ? ' (spot ' + formatUSDCompact(state.spotUSD) + ')' : ''));
+      if (allTimePnl !== null) lines.push((allTimePnl >= 0 ? '📈' : '📉') + ' All-time PnL: ' + (allTimePnl >= 0 ? '+' : '-') + formatUSDCompact(allTimePnl));
+      lines.push('🕐 Wallet age: ' + formatWalletAge(ageDays));
+      const { smartScore, traderTier } = cachedTraderScore(address);
+      if (smartScore !== null) lines.push('🧠 Smart money score: *' + smartScore + '/100* (' + traderTier.replace('_', ' ') + ')');
+      lines.push('');
+      if (positions.length === 0) lines.push('No open positions');
+      positions.slice(0, 10).forEach(p => lines.push(botPositionLine(p)));
+      if (positions.length > 10) lines.push('… and ' + (positions.length - 10) + ' more');
+      lines.push('');
+      lines.push('🔗 [View on Hypurrscan](' + getHypurrscanUrl(address) + ')');
+      if (!subscriptions.watchedBy(chatId).includes(address)) lines.push('/watch ' + address + ' for alerts on this wallet');
+      return lines.join('\n');
+    }
+  },
+
+  coin: {
+    args: '<coin>',
+    description: 'Positions closest to liquidation and the biggest liquidation clusters',
+    run([arg]) {
+      const coin = parseCoinArg(arg, '/coin BTC');
+      const mid = parseFloat(allMids[coin]);
+      if (!mid) throw new Error('Unknown coin or no price: ' + coin);
+
+      // trackedPositions are fresher than the background scan, so they win per wallet
+      const byUser = new Map();
+      for (const p of [...trackedPositions, ...(liquidatableCache.longs || []), ...(liquidatableCache.shorts || [])]) {
+        if (p.coin === coin && !byUser.has(p.user.toLowerCase())) byUser.set(p.user.toLowerCase(), p);
+      }
+      const atRisk = [...byUser.values()]
+        .sort((a, b) => parseFloat(a.distancePercent) - parseFloat(b.distancePercent))
+        .slice(0, 5);
+
+      const map = buildLiqMap(getCoinPositions(coin), mid);
+      const topBands = (side, field) => map.bands
+        .filter(b => b[field] > 0 && (side === 'LONG' ? b.priceTo <= mid : b.priceFrom >= mid))
+        .sort((a, b) => b[field] - a[field])
+        .slice(0, 3);
+
+      const lines = ['📊 *' + coin + '* · `$' + formatPriceCompact(mid) + '`', '━━━━━━━━━━━━━━━━'];
+      lines.push('*Closest to liquidation*');
+      if (atRisk.length === 0) lines.push('No tracked position within 15%');
+      atRisk.forEach(p => lines.push(botPositionLine(p) + ' · [' + shortAddress(p.user) + '](' + getHypurrscanUrl(p.user) + ')'));
+      lines.push('');
+      lines.push('*Liquidation clusters* (±' + map.rangePercent + '%)');
+      for (const [side, field, icon] of [['LONG', 'longUSD', '🟢'], ['SHORT', 'shortUSD', '🔴']]) {
+        const bands = topBands(side, field);
+        if (bands.length === 0) continue;
+        lines.push(icon + ' ' + side + 's: ' + bands.map(b => formatUSDCompact(b[field]) + ' @ $' + formatPriceCompact(b.priceFrom) + '-' + formatPriceCompact(b.priceTo) + ' (' + b.distancePercent + '%)').join(', '));
+      }
+      if (map.bands.length === 0) lines.push('No known liquidation levels yet');
+      return lines.join('\n');
+    }
+  },
+
+  liqs: {
+    description: 'Latest whale liquidations',
+    run() {
+      if (recentWhaleLiquidations.length === 0) return 'No whale liquidations recorded yet';
+      const lines = ['💀 *Recent whale liquidations*', '━━━━━━━━━━━━━━━━'];
+      for (const liq of recentWhaleLiquidations.slice(0, 10)) {
+        lines.push('*' + liq.coin + '* ' + liq.side + ' ' + formatUSDCompact(liq.value) + ' @ `$' + formatPriceCompact(liq.price) + '` · ' + timeAgo(liq.timestamp) +
+          (liq.confidence === 'CONFIRMED' ? '' : ' _(probable)_') +
+          (liq.liquidatedUser ? ' · [' + shortAddress(liq.liquidatedUser) + '](' + getHypurrscanUrl(liq.liquidatedUser) + ')' : ''));
+      }
+      return lines.join('\n');
+    }
+  },
+
+  watch: {
+    args: '[address]',
+    description: 'Get alerts here for a wallet (no address: list watched wallets)',
+    run([arg], { chatId }) {
+      if (!arg) {
+        const watched = subscriptions.watchedBy(chatId);
+        if (watched.length === 0) return 'Not watching any wallet. /watch 0x… to start';
+        return ['👁 *Watched wallets*', ...watched.map(a => '`' + a + '`')].join('\n');
+      }
+      const address = parseAddressArg(arg);
+      if (!subscriptions.watch(chatId, address)) return 'Already watching `' + shortAddress(address) + '`';
+      dmChannel(chatId);
+      hl.withPriority('high', () => scanWatchedAddress(address)).catch(() => {}); // baseline now, the watchlist scan takes it from here
+      return '👁 Watching `' + shortAddress(address) + '`: position changes and danger alerts will be sent here';
+    }
+  },
+
+  unwatch: {
+    args: '<address>',
+    description: 'Stop alerts for a wallet',
+    run([arg], { chatId }) {
+      const address = parseAddressArg(arg);
+      return subscriptions.unwatch(chatId, address) ? 'Stopped watching `' + shortAddress(address) + '`' : 'Not watching `' + shortAddress(address) + '`';
+    }
+  },
+
+  mute: {
+    args: '[coin]',
+    description: 'No more alerts about a coin in this chat (no coin: list muted coins)',
+    run([arg], { chatId }) {
+      if (!arg) {
+        const muted = subscriptions.mutedBy(chatId);
+        return muted.length === 0 ? 'No muted coins' : '🔇 Muted: ' + muted.join(', ') + '\n/unmute <coin> to undo';
+      }
+      const coin = parseCoinArg(arg, '/mute BTC');
+      return subscriptions.mute(chatId, coin) ? '🔇 ' + coin + ' muted in this chat. /unmute ' + coin + ' to undo' : coin + ' is already muted';
+    }
+  },
+
+  unmute: {
+    args: '<coin>',
+    description: 'Alerts about a coin again',
+    run([arg], { chatId }) {
+      const coin = parseCoinArg(arg, '/unmute BTC');
+      return subscriptions.unmute(chatId, coin) ? '🔔 ' + coin + ' unmuted' : coin + ' was not muted';
+    }
+  },
+
+  stats: {
+    description: 'Tracker overview',
+    run() {
+      const dayAgo = Date.now() - 24 * 60 * 60 * 1000;
+      const liqs24h = recentWhaleLiquidations.filter(l => l.timestamp >= dayAgo);
+      return [
+        '📈 *Tracker stats*',
+        '━━━━━━━━━━━━━━━━',
+        '🐋 Whales tracked: ' + knownWhaleAddresses.size,
+        '⚠️ At-risk positions: ' + trackedPositions.length + ' (' + trackedPositions.filter(p => p.dangerLevel === 'CRITICAL').length + ' critical)',
+        '💎 Value at risk: ' + formatUSDCompact(trackedPositions.reduce((sum, p) => sum + p.positionUSD, 0)),
+        '🎯 Within 15%: ' + (liquidatableCache.longs || []).length + ' longs, ' + (liquidatableCache.shorts || []).length + ' shorts' +
+          (liquidatableCache.lastUpdate ? ' (' + timeAgo(liquidatableCache.lastUpdate) + ')' : ''),
+        '💀 Whale liquidations 24h: ' + liqs24h.length + ' (' + formatUSDCompact(liqs24h.reduce((sum, l) => sum + l.value, 0)) + ')',
+        '🚨 Open danger threads: ' + escalation.list().filter(s => s.thread).length
+      ].join('\n');
+    }
+  }
+};
+
+const telegramBot = CONFIG.TELEGRAM_BOT_TOKEN && CONFIG.TELEGRAM_COMMANDS
+  ? createTelegramBot({ botToken: CONFIG.TELEGRAM_BOT_TOKEN, commands: botCommands, webhookUrl: CONFIG.TELEGRAM_WEBHOOK_URL, webhookSecret: CONFIG.TELEGRAM_WEBHOOK_SECRET })
+  : null;
+
 // ============================================
 // API ENDPOINTS
 // ============================================
+// Live event feed - see lib/event-stream.js for filters and resume semantics
+app.get('/api/stream', eventStream.handleStream);
+
+// ?sort=score ranks by smart money score instead of distance to liquidation
 app.get('/api/positions', (req, res) => {
-  const { minSize, maxDistance, dangerLevel, coin } = req.query;
+  const { minSize, maxDistance, dangerLevel, coin, minScore, sort } = req.query;
   let filtered = [...trackedPositions];
   if (minSize) filtered = filtered.filter(p => p.positionUSD >= parseFloat(minSize));
   if (maxDistance) filtered = filtered.filter(p => parseFloat(p.distancePercent) <= parseFloat(maxDistance));
   if (dangerLevel) filtered = filtered.filter(p => p.dangerLevel === dangerLevel);
   if (coin) filtered = filtered.filter(p => p.coin === coin.toUpperCase());
+  filtered = filtered.map(p => ({
+    ...withLabel(p),
+    distanceHistory: positionHistory.getDistanceSeries(p.user, p.coin),
+    trend: positionHistory.summarizeTrend(positionHistory.getHistory(p.user, p.coin, Date.now() - 24 * 60 * 60 * 1000))
+  }));
+  if (minScore) filtered = filtered.filter(p => p.smartScore !== null && p.smartScore !== undefined && p.smartScore >= parseFloat(minScore));
+  if (sort === 'score') filtered.sort((a, b) => (b.smartScore ?? -1) - (a.smartScore ?? -1));
   
   const longs = filtered.filter(p => p.direction === 'LONG');
   const shorts = filtered.filter(p => p.direction === 'SHORT');
@@ -1375,28 +2448,72 @@ app.get('/api/positions', (req, res) => {
   });
 });
 
+// Snapshot series + trend for one position. Uses the database when available (full retention window).
+app.get('/api/positions/:address/:coin/history', async (req, res) => {
+  const { address, coin } = req.params;
+  if (!ADDRESS_PATTERN.test(address)) return res.status(400).json({ error: 'Invalid address' });
+  const hours = Math.min(parseFloat(req.query.hours) || 24, CONFIG.DATA_RETENTION_DAYS * 24);
+  const since = Date.now() - hours * 60 * 60 * 1000;
+
+  try {
+    const points = pool ? await loadSnapshotsFromDb(address, coin, since) : positionHistory.getHistory(address, coin, since);
+    res.json({ address: address.toLowerCase(), coin, hours, count: points.length, trend: positionHistory.summarizeTrend(points), points });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 app.get('/api/liquidations', (req, res) => {
-  const { minValue, limit } = req.query;
+  const { minValue, limit, confidence, user } = req.query;
   let filtered = [...recentLiquidations];
   if (minValue) filtered = filtered.filter(l => l.value >= parseFloat(minValue));
+  if (confidence) filtered = filtered.filter(l => l.confidence === confidence.toUpperCase());
+  if (user) filtered = filtered.filter(l => l.liquidatedUser === user.toLowerCase());
+  filtered = filtered.slice(0, parseInt(limit) || 50).map(l => withLabel(l, l.liquidatedUser));
+  res.json({
+    count: filtered.length,
+    confirmedCount: filtered.filter(l => l.confidence === 'CONFIRMED').length,
+    longValue: filtered.filter(l => l.side === 'LONG').reduce((sum, l) => sum + l.value, 0),
+    shortValue: filtered.filter(l => l.side === 'SHORT').reduce((sum, l) => sum + l.value, 0),
+    liquidations: filtered
+  });
+});
+
+app.get('/api/position-events', (req, res) => {
+  const { type, coin, address, minNotional, limit } = req.query;
+  let filtered = [...recentPositionEvents];
+  if (type) {
+    const types = type.toUpperCase().split(',');
+    filtered = filtered.filter(e => types.includes(e.type));
+  }
+  if (coin) filtered = filtered.filter(e => e.coin === coin);
+  if (address) filtered = filtered.filter(e => e.address === address.toLowerCase());
+  if (minNotional) filtered = filtered.filter(e => Math.max(Math.abs(e.notional), Math.abs(e.notionalDelta)) >= parseFloat(minNotional));
   filtered = filtered.slice(0, parseInt(limit) || 50);
-  res.json({ count: filtered.length, longValue: filtered.filter(l => l.side === 'LONG').reduce((sum, l) => sum + l.value, 0), shortValue: filtered.filter(l => l.side === 'SHORT').reduce((sum, l) => sum + l.value, 0), liquidations: filtered });
+
+  const byType = {};
+  filtered.forEach(e => { byType[e.type] = (byType[e.type] || 0) + 1; });
+  res.json({ count: filtered.length, byType, events: filtered });
 });
 
 app.get('/api/whale-liquidations', (req, res) => {
-  res.json({ count: recentWhaleLiquidations.length, liquidations: recentWhaleLiquidations.slice(0, parseInt(req.query.limit) || 20) });
+  const { confidence } = req.query;
+  let filtered = [...recentWhaleLiquidations];
+  if (confidence) filtered = filtered.filter(l => l.confidence === confidence.toUpperCase());
+  res.json({ count: filtered.length, liquidations: filtered.slice(0, parseInt(req.query.limit) || 20).map(l => withLabel(l, l.liquidatedUser)) });
 });
 
 // All positions near liquidation (uses background scan cache)
 let liquidatableCache = { longs: [], shorts: [], lastUpdate: 0 };
+let positionUniverse = { positions: [], lastUpdate: 0 }; // every position the background scan saw
 let isScanning = false;
 
 app.get('/api/liquidatable', async (req, res) => {
   const { minSize = 50000, maxDistance = 15 } = req.query;
   
   // Always return from cache - background scan keeps it fresh
-  let longs = (liquidatableCache.longs || []).filter(p => p.positionUSD >= parseFloat(minSize) && parseFloat(p.distancePercent) <= parseFloat(maxDistance));
-  let shorts = (liquidatableCache.shorts || []).filter(p => p.positionUSD >= parseFloat(minSize) && parseFloat(p.distancePercent) <= parseFloat(maxDistance));
+  let longs = (liquidatableCache.longs || []).filter(p => p.positionUSD >= parseFloat(minSize) && parseFloat(p.distancePercent) <= parseFloat(maxDistance)).map(p => withLabel(p));
+  let shorts = (liquidatableCache.shorts || []).filter(p => p.positionUSD >= parseFloat(minSize) && parseFloat(p.distancePercent) <= parseFloat(maxDistance)).map(p => withLabel(p));
   
   // Calculate coin stats for filtered results
   const longCoinStats = {};
@@ -1443,14 +2560,107 @@ app.get('/api/liquidatable', async (req, res) => {
   });
 });
 
+// Liquidation heatmap: known liq prices bucketed into price bands around the current mid
+function getCoinPositions(coin) {
+  // trackedPositions come from more frequent scans, so they win over the background snapshot
+  const fresh = trackedPositions.filter(p => p.coin === coin);
+  const freshKeys = new Set(fresh.map(p => p.user.toLowerCase()));
+  return [...fresh, ...positionUniverse.positions.filter(p => p.coin === coin && !freshKeys.has(p.user.toLowerCase()))];
+}
+
+app.get('/api/liq-map', (req, res) => {
+  const byCoin = {};
+  for (const p of positionUniverse.positions) {
+    if (!byCoin[p.coin]) byCoin[p.coin] = { coin: p.coin, longUSD: 0, shortUSD: 0, count: 0 };
+    byCoin[p.coin][p.direction === 'LONG' ? 'longUSD' : 'shortUSD'] += p.positionUSD;
+    byCoin[p.coin].count++;
+  }
+  const coins = Object.values(byCoin).sort((a, b) => (b.longUSD + b.shortUSD) - (a.longUSD + a.shortUSD));
+  res.json({ coins, lastUpdate: positionUniverse.lastUpdate });
+});
+
+app.get('/api/liq-map/:coin', (req, res) => {
+  const { coin } = req.params;
+  const { bucket, bucketPercent, range } = req.query;
+  const mid = parseFloat(allMids[coin] || 0);
+  if (!mid) return res.status(404).json({ error: 'Unknown coin or no price: ' + coin });
+
+  const map = buildLiqMap(getCoinPositions(coin), mid, {
+    bucketWidth: parseFloat(bucket) || undefined,
+    bucketPercent: parseFloat(bucketPercent) || undefined,
+    rangePercent: parseFloat(range) || undefined
+  });
+  res.json({ coin, ...map, lastUpdate: positionUniverse.lastUpdate });
+});
+
+// Cascade simulator: which known positions get liquidated if `coin` moves `movePercent`
+app.post('/api/simulate', async (req, res) => {
+  const { coin, impact = true } = req.body || {};
+  const movePercent = parseFloat(req.body?.movePercent);
+  if (!coin || !movePercent || Math.abs(movePercent) >= 100) {
+    return res.status(400).json({ error: 'Body must be { coin, movePercent } with 0 < |movePercent| < 100' });
+  }
+  const mid = parseFloat(allMids[coin] || 0);
+  if (!mid) return res.status(404).json({ error: 'Unknown coin or no price: ' + coin });
+
+  // Impact model: explicit depth, or measured from the side of the book the liquidations hit
+  let depthUSDPerPercent = parseFloat(req.body.depthUSDPerPercent) || null;
+  if (impact && !depthUSDPerPercent) {
+    const book = await getL2Book(coin);
+    const levels = book?.levels?.[movePercent < 0 ? 0 : 1];
+    depthUSDPerPercent = depthPerPercent(levels, mid);
+  }
+
+  // Other coins only matter for cross-margin accounts, the simulated coin uses the freshest data
+  const positions = [
+    ...positionUniverse.positions.filter(p => p.coin !== coin),
+    ...getCoinPositions(coin).map(p => ({ ...p, size: p.size ?? p.positionSize }))
+  ];
+
+  const result = simulateCascade(positions, { coin, mid, movePercent, depthUSDPerPercent: impact ? depthUSDPerPercent : null });
+  res.json({ ...result, positionsConsidered: positions.filter(p => p.coin === coin).length, dataTimestamp: positionUniverse.lastUpdate });
+});
+
 app.post('/api/liquidatable/refresh', async (req, res) => {
   // Trigger immediate background scan
   if (!isScanning) {
-    backgroundLiquidatableScan();
+    hl.withPriority('low', backgroundLiquidatableScan);
   }
   res.json({ success: true, message: 'Scan triggered' });
 });
 
+// Open for uptime monitors: 503 when no trade socket is up, `degraded` while a socket is
+// reconnecting, a subscription is unacknowledged or the API client is paused by a 429.
+// Anonymous callers get the status and counts; per-coin and per-wallet detail needs `read`.
+app.get('/api/health', (req, res) => {
+  const trades = tradeFeed.getHealth();
+  const users = userFeeds.getHealth();
+  const api = hl.getStats();
+  const unacked = Object.keys(trades.coins).filter(coin => !trades.coins[coin].acked);
+  const status = !trades.connected ? 'down'
+    : unacked.length > 0 || trades.sockets.some(s => s.state !== 'open') || api.pausedUntil ? 'degraded' : 'ok';
+  const health = {
+    status,
+    uptimeSeconds: Math.round(process.uptime()),
+    counts: {
+      tradeSockets: trades.sockets.length,
+      openTradeSockets: trades.sockets.filter(s => s.state === 'open').length,
+      coins: Object.keys(trades.coins).length,
+      unackedCoins: unacked.length,
+      userFeedSockets: users.sockets.length,
+      liveWallets: Object.keys(users.wallets).length
+    }
+  };
+  const detailed = req.auth?.role === 'admin' || req.auth?.role === 'read';
+  res.status(status === 'down' ? 503 : 200).json(detailed ? {
+    ...health,
+    unackedCoins: unacked,
+    tradeFeed: trades,
+    userFeeds: users,
+    hyperliquidApi: { utilization: api.utilization, queued: api.queued, pausedUntil: api.pausedUntil, lastError: api.lastError }
+  } : health);
+});
+
 app.get('/api/stats', (req, res) => {
   const byCoin = {};
   trackedPositions.forEach(p => { if (!byCoin[p.coin]) byCoin[p.coin] = { count: 0, value: 0 }; byCoin[p.coin].count++; byCoin[p.coin].value += p.positionUSD; });
@@ -1460,10 +2670,22 @@ app.get('/api/stats', (req, res) => {
     warningCount: trackedPositions.filter(p => p.dangerLevel === 'WARNING').length, 
     totalValueAtRisk: trackedPositions.reduce((sum, p) => sum + p.positionUSD, 0), 
     addressesTracked: knownWhaleAddresses.size, 
+    watchedAddresses: watchedAddresses().size, 
     byCoin, 
     databaseConnected: !!pool, 
-    telegramConfigured: !!(CONFIG.TELEGRAM_BOT_TOKEN && CONFIG.TELEGRAM_CHANNEL_ID), 
-    twitterConfigured: !!(CONFIG.TWITTER_API_KEY && CONFIG.TWITTER_ACCESS_TOKEN) 
+    stream: eventStream.getStreamStats(), 
+    telegramConfigured: notifier.getChannels().some(c => c.platform === 'Telegram'), 
+    twitterConfigured: notifier.getChannels().some(c => c.platform === 'Twitter'), 
+    notificationChannels: notifier.getChannels().filter(c => !c.direct).length, 
+    alertRules: rules.filter(r => r.enabled).length, 
+    telegramBot: telegramBot ? { ...telegramBot.getStats(), chats: subscriptions.chatIds().length, watchedWallets: subscriptions.watchedAddresses().size } : null, 
+    auth: auth.getStats(), 
+    addressLabels: addressLabels.getStats(), 
+    traderProfiles: traderProfiles.size, 
+    hyperliquidApi: hl.getStats(), 
+    userFeeds: userFeeds.getStats(), 
+    tradeFeed: tradeFeed.getStats(), 
+    perpDexes: { scanned: perpDexes.filter(dex => dex !== DEFAULT_DEX), accountsCached: accountExtras.size } 
   });
 });
 
@@ -1471,7 +2693,7 @@ app.post('/api/add-address', async (req, res) => {
   const { address } = req.body;
   if (!address || !address.startsWith('0x')) return res.status(400).json({ error: 'Invalid address' });
   knownWhaleAddresses.add(address.toLowerCase());
-  await checkAddressImmediately(address.toLowerCase(), null, 0);
+  await hl.withPriority('high', () => checkAddressImmediately(address.toLowerCase(), null, 0));
   res.json({ success: true });
 });
 
@@ -1490,7 +2712,7 @@ app.get('/api/new-positions', (req, res) => {
   const limitNum = parseInt(limit);
 
   // Return recent new positions
-  const positions = recentNewPositions.slice(0, limitNum);
+  const positions = recentNewPositions.slice(0, limitNum).map(p => withLabel(p));
 
   // Separate by direction
   const longs = positions.filter(p => p.direction === 'LONG');
@@ -1507,27 +2729,457 @@ app.get('/api/new-positions', (req, res) => {
   });
 });
 
+// Ranked anomaly feed. ?level=HIGH|ELEVATED is a score floor; the database covers the whole retention window.
+app.get('/api/anomalies', async (req, res) => {
+  const hours = Math.min(parseFloat(req.query.hours) || 24, CONFIG.DATA_RETENTION_DAYS * 24);
+  const since = Date.now() - hours * 60 * 60 * 1000;
+  const level = anomalyScore.LEVELS.find(l => l.level === String(req.query.level || '').toUpperCase());
+  const minScore = Math.max(parseFloat(req.query.minScore) || 0, level ? level.min : 0);
+  const limit = parseInt(req.query.limit) || 50;
+  const coin = req.query.coin;
+
+  try {
+    let positions;
+    if (pool) {
+      const result = await pool.query(`
+        SELECT data FROM new_positions
+        WHERE timestamp >= $1 AND anomaly_score >= $2 AND ($3::text IS NULL OR coin = $3)
+        ORDER BY anomaly_score DESC, timestamp DESC LIMIT $4
+      `, [since, minScore, coin || null, limit]);
+      positions = result.rows.map(r => r.data);
+    } else {
+      positions = recentNewPositions
+        .filter(p => p.anomaly && p.timestamp >= since && p.anomaly.score >= minScore && (!coin || p.coin === coin))
+        .sort((a, b) => b.anomaly.score - a.anomaly.score || b.timestamp - a.timestamp)
+        .slice(0, limit);
+    }
+    res.json({ hours, minScore, count: positions.length, levels: anomalyScore.LEVELS, anomalies: positions.map(p => withLabel(p)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const TEST_POSITION = { user: '0x0000000000000000000000000000000000000000', userShort: '0x0000...0000', coin: 'TEST', direction: 'LONG', positionUSD: 5000000, leverage: 25, distancePercent: '3.50', entryPrice: 100, liqPrice: 95, dangerLevel: 'CRITICAL', allTimePnl: 1500000, isProfitableWhale: true, walletAgeDays: 3, hypurrscanUrl: 'https://hypurrscan.io/address/0x0000000000000000000000000000000000000000' };
+
+// Sends a sample danger alert through the given channels, bypassing cooldown and per-channel type filters.
+// Single attempt: a failure shows up in the channel's lastError and the dead-letter queue.
+async function sendTestNotification(channelNames, res) {
+  if (channelNames.length === 0) return res.status(400).json({ error: 'Not configured' });
+  const queued = await notifier.notify('danger', TEST_POSITION, { channels: channelNames, ignoreTypes: true, maxAttempts: 1 });
+  const sent = (await Promise.all(queued.map(q => q.delivered))).filter(Boolean);
+  res.json({ success: sent.length > 0, sent: sent.map(n => n.channel), channels: notifier.getChannels().filter(c => channelNames.includes(c.name)) });
+}
+
+// Broadcast channels only; per-chat bot DMs are listed by /api/stats (telegramBot)
+app.get('/api/notification-channels', (req, res) => {
+  res.json({ channels: notifier.getChannels().filter(c => !c.direct) });
+});
+
+// Notification delivery queue: pending / retrying jobs and the dead-letter queue
+app.get('/api/outbox', async (req, res) => {
+  try {
+    res.json({
+      ...notifier.outbox.getStats(),
+      channels: notifier.getChannels().map(c => ({ name: c.name, pending: c.pending, ratePerMinute: c.ratePerMinute, lastError: c.lastError })),
+      // `data` is the full alert payload; the formatted message is enough to inspect a job
+      jobs: notifier.outbox.listPending().map(({ data, ...job }) => job),
+      dead: (await notifier.outbox.listDead(parseInt(req.query.deadLimit) || 50)).map(({ data, ...job }) => job)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/outbox/dead/:id/retry', async (req, res) => {
+  try {
+    const requeued = await notifier.outbox.retryDead(req.params.id);
+    if (!requeued) return res.status(404).json({ error: 'Dead letter not found' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/test-notification', async (req, res) => {
+  const { channel } = req.body || {};
+  const names = notifier.getChannels().filter(c => !c.direct).map(c => c.name).filter(name => !channel || name === channel);
+  await sendTestNotification(names, res);
+});
+
 app.post('/api/test-telegram', async (req, res) => {
-  if (!CONFIG.TELEGRAM_BOT_TOKEN) return res.status(400).json({ error: 'Not configured' });
-  const testPos = { user: '0x0000000000000000000000000000000000000000', userShort: '0x0000...0000', coin: 'TEST', direction: 'LONG', positionUSD: 5000000, leverage: 25, distancePercent: '3.50', entryPrice: 100, liqPrice: 95, dangerLevel: 'CRITICAL', allTimePnl: 1500000, isProfitableWhale: true, walletAgeDays: 3, hypurrscanUrl: 'https://hypurrscan.io/address/0x0000000000000000000000000000000000000000' };
-  sentAlerts.delete(testPos.user + '-' + testPos.coin);
-  await sendTelegramAlert(testPos);
-  res.json({ success: true });
+  await sendTestNotification(notifier.getChannels().filter(c => c.platform === 'Telegram' && !c.direct).map(c => c.name), res);
 });
 
 app.post('/api/test-twitter', async (req, res) => {
-  if (!CONFIG.TWITTER_API_KEY) return res.status(400).json({ error: 'Not configured' });
-  const testPos = { user: '0x0000000000000000000000000000000000000000', userShort: '0x0000...0000', coin: 'TEST', direction: 'LONG', positionUSD: 5000000, leverage: 25, distancePercent: '3.50', entryPrice: 100, liqPrice: 95, dangerLevel: 'CRITICAL', allTimePnl: 1500000, isProfitableWhale: true, walletAgeDays: 0, hypurrscanUrl: 'https://hypurrscan.io/address/0x0000000000000000000000000000000000000000' };
-  sentAlerts.delete('twitter-' + testPos.user + '-' + testPos.coin);
-  await sendTwitterAlert(testPos);
+  await sendTestNotification(notifier.getChannels().filter(c => c.platform === 'Twitter').map(c => c.name), res);
+});
+
+// Watchlists (lib/watchlists.js): named address lists, scanned first and more often, every
+// change alerted to the list's channels. Entries carry the latest scan of the wallet.
+function watchlistResponse(list) {
+  return { ...list, entries: list.entries.map(e => ({ ...e, account: watchedAccounts.get(e.address) || null })) };
+}
+
+// { name, channels } from the request body, or null after answering 400
+function parseWatchlistBody(req, res) {
+  const { name, channels } = req.body || {};
+  if (channels === undefined || channels === null) return { name };
+  const names = (Array.isArray(channels) ? channels : String(channels).split(',')).map(c => String(c).trim()).filter(Boolean);
+  const known = notifier.getChannels().filter(c => !c.direct).map(c => c.name);
+  const unknown = names.filter(n => !known.includes(n));
+  if (unknown.length > 0) {
+    res.status(400).json({ error: 'unknown channel(s): ' + unknown.join(', ') });
+    return null;
+  }
+  return { name, channels: names };
+}
+
+function watchlistError(res, err) {
+  res.status(err.status || 400).json({ error: err.message });
+}
+
+// Scan right away so the dashboard shows positions without waiting for the next pass. A single
+// added wallet jumps the queue; a whole import waits its turn behind trade checks
+function scanNewEntries(entries) {
+  const lane = entries.length > 1 ? 'normal' : 'high';
+  entries.forEach(e => hl.withPriority(lane, () => scanWatchedAddress(e.address)).catch(() => {}));
+}
+
+app.get('/api/watchlists', (req, res) => {
+  res.json({
+    watchlists: watchlists.list().map(watchlistResponse),
+    channels: notifier.getChannels().filter(c => !c.direct).map(c => c.name),
+    refreshInterval: CONFIG.WATCHLIST_REFRESH_INTERVAL,
+    persistent: !!pool
+  });
+});
+
+// Body: { name, channels?, entries? } - entries as produced by the JSON export
+app.post('/api/watchlists', (req, res) => {
+  const body = parseWatchlistBody(req, res);
+  if (!body) return;
+  if (Array.isArray(req.body.entries) && req.body.entries.length > CONFIG.WATCHLIST_MAX_ADDRESSES) {
+    return res.status(400).json({ error: 'at most ' + CONFIG.WATCHLIST_MAX_ADDRESSES + ' rows per import' });
+  }
+  try {
+    const list = watchlists.create(body);
+    const result = Array.isArray(req.body.entries) ? watchlists.importEntries(list.id, req.body.entries) : null;
+    scanNewEntries(list.entries);
+    res.status(201).json({ watchlist: watchlistResponse(list), import: result });
+  } catch (err) {
+    watchlistError(res, err);
+  }
+});
+
+app.put('/api/watchlists/:id', (req, res) => {
+  const body = parseWatchlistBody(req, res);
+  if (!body) return;
+  try {
+    res.json({ watchlist: watchlistResponse(watchlists.update(req.params.id, body)) });
+  } catch (err) {
+    watchlistError(res, err);
+  }
+});
+
+app.delete('/api/watchlists/:id', (req, res) => {
+  try {
+    watchlists.remove(req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    watchlistError(res, err);
+  }
+});
+
+app.post('/api/watchlists/:id/addresses', (req, res) => {
+  const { address, label, notes } = req.body || {};
+  try {
+    const entry = watchlists.upsertEntry(req.params.id, { address, label, notes });
+    scanNewEntries([entry]);
+    res.status(201).json({ entry });
+  } catch (err) {
+    watchlistError(res, err);
+  }
+});
+
+app.put('/api/watchlists/:id/addresses/:address', (req, res) => {
+  const { label, notes } = req.body || {};
+  try {
+    if (!watchlists.get(req.params.id).entries.some(e => e.address === req.params.address.toLowerCase())) {
+      return res.status(404).json({ error: 'Address not on this watchlist' });
+    }
+    res.json({ entry: watchlists.upsertEntry(req.params.id, { address: req.params.address, label, notes }) });
+  } catch (err) {
+    watchlistError(res, err);
+  }
+});
+
+app.delete('/api/watchlists/:id/addresses/:address', (req, res) => {
+  try {
+    watchlists.removeEntry(req.params.id, req.params.address);
+    res.json({ success: true });
+  } catch (err) {
+    watchlistError(res, err);
+  }
+});
+
+// ?format=csv for address,label,notes; JSON otherwise (can be POSTed back to /api/watchlists)
+app.get('/api/watchlists/:id/export', (req, res) => {
+  try {
+    const list = watchlists.get(req.params.id);
+    const entries = list.entries.map(({ address, label, notes }) => ({ address, label, notes }));
+    const filename = list.name.replace(/[^a-z0-9_-]+/gi, '-').toLowerCase() || 'watchlist';
+    if (req.query.format === 'csv') {
+      res.attachment(filename + '.csv').type('text/csv').send(toCsv(entries));
+    } else {
+      res.attachment(filename + '.json').json({ name: list.name, channels: list.channels, entries });
+    }
+  } catch (err) {
+    watchlistError(res, err);
+  }
+});
+
+// Body: { entries: [{ address, label?, notes? }] } or { csv: "address,label,notes\n..." }; merges into the list
+app.post('/api/watchlists/:id/import', (req, res) => {
+  const { entries, csv } = req.body || {};
+  try {
+    const rows = Array.isArray(entries) ? entries : typeof csv === 'string' ? parseCsv(csv) : null;
+    if (!rows) return res.status(400).json({ error: 'entries (array) or csv (string) is required' });
+    const result = watchlists.importEntries(req.params.id, rows);
+    scanNewEntries(watchlists.get(req.params.id).entries.filter(e => !watchedAccounts.has(e.address)));
+    res.json(result);
+  } catch (err) {
+    watchlistError(res, err);
+  }
+});
+
+// Address labels and clusters (lib/address-labels.js)
+function labelError(res, err) {
+  res.status(err.status || 400).json({ error: err.message });
+}
+
+app.get('/api/labels', (req, res) => {
+  const q = (req.query.q || '').toLowerCase();
+  let labels = addressLabels.list();
+  if (q) labels = labels.filter(l => [l.address, l.label, l.entity, ...l.tags].some(v => v && v.toLowerCase().includes(q)));
+  if (req.query.source) labels = labels.filter(l => l.source === req.query.source);
+  res.json({ count: labels.length, labels: labels.map(l => ({ ...l, cluster: addressLabels.lookup(l.address).cluster })), stats: addressLabels.getStats(), persistent: !!pool });
+});
+
+app.get('/api/labels/entities', (req, res) => {
+  res.json({ entities: addressLabels.entities() });
+});
+
+app.get('/api/labels/export', (req, res) => {
+  const labels = addressLabels.list().filter(l => l.source !== 'builtin');
+  if (req.query.format === 'csv') {
+    res.set('Content-Disposition', 'attachment; filename="address-labels.csv"');
+    return res.type('text/csv').send(labelsToCsv(labels));
+  }
+  res.set('Content-Disposition', 'attachment; filename="address-labels.json"');
+  res.json({ labels: labels.map(({ address, label, entity, tags }) => ({ address, label, entity, tags })) });
+});
+
+// { entries: [{ address, label, entity, tags }] } or { csv: "address,label,entity,tags\n..." } (tags separated by ;)
+app.post('/api/labels/import', (req, res) => {
+  const rows = typeof req.body?.csv === 'string' ? parseLabelCsv(req.body.csv) : req.body?.entries;
+  if (!Array.isArray(rows)) return res.status(400).json({ error: 'entries (array) or csv (string) is required' });
+  res.json(addressLabels.importLabels(rows));
+});
+
+// Link two wallets by hand, or dismiss a link the heuristics found
+app.post('/api/labels/links', (req, res) => {
+  const { a, b } = req.body || {};
+  if (!ADDRESS_PATTERN.test(a || '') || !ADDRESS_PATTERN.test(b || '') || a.toLowerCase() === b.toLowerCase()) {
+    return res.status(400).json({ error: 'a and b must be two different addresses' });
+  }
+  addressLabels.addLink(a, b, 'manual');
+  res.status(201).json(addressLabels.describe(a));
+});
+
+app.delete('/api/labels/links/:a/:b', (req, res) => {
+  try {
+    addressLabels.dismissLink(req.params.a, req.params.b);
+    res.json(addressLabels.describe(req.params.a));
+  } catch (err) {
+    labelError(res, err);
+  }
+});
+
+app.get('/api/labels/:address', (req, res) => {
+  try {
+    res.json(addressLabels.describe(req.params.address));
+  } catch (err) {
+    labelError(res, err);
+  }
+});
+
+app.put('/api/labels/:address', (req, res) => {
+  const { label, entity, tags } = req.body || {};
+  try {
+    addressLabels.setLabel(req.params.address, { label, entity, tags }, 'manual');
+    queueLinkCheck(req.params.address); // find the rest of the entity
+    res.json(addressLabels.describe(req.params.address));
+  } catch (err) {
+    labelError(res, err);
+  }
+});
+
+app.delete('/api/labels/:address', (req, res) => {
+  try {
+    addressLabels.removeLabel(req.params.address);
+    res.json({ success: true });
+  } catch (err) {
+    labelError(res, err);
+  }
+});
+
+// Trader profiles (lib/trader-profile.js). The list only has wallets profiled so far.
+app.get('/api/traders', (req, res) => {
+  const minScore = parseFloat(req.query.minScore);
+  let traders = [...traderProfiles.values()].map(p => ({
+    address: p.address, label: addressLabels.lookup(p.address), score: p.score.score, tier: p.score.tier,
+    accountValue: p.accountValue, allTimePnl: p.allTimePnl, winRate: p.trading.winRate, trades: p.trading.trades,
+    typicalLeverage: p.leverage.typical, liquidations: p.liquidations.length, updatedAt: p.updatedAt
+  }));
+  if (!isNaN(minScore)) traders = traders.filter(t => t.score !== null && t.score >= minScore);
+  if (req.query.tier) traders = traders.filter(t => t.tier === req.query.tier.toUpperCase());
+  traders.sort((a, b) => (b.score ?? -1) - (a.score ?? -1));
+  res.json({ count: traders.length, traders: traders.slice(0, parseInt(req.query.limit) || 100), tiers: traderProfile.TIERS });
+});
+
+// ?refresh=true rebuilds a cached profile
+app.get('/api/traders/:address', async (req, res) => {
+  const { address } = req.params;
+  if (!ADDRESS_PATTERN.test(address)) return res.status(400).json({ error: 'Invalid address' });
+  try {
+    const profile = await getTraderProfile(address, { maxAge: req.query.refresh === 'true' ? 0 : TRADER_PROFILE_TTL });
+    if (!profile) return res.status(502).json({ error: 'Hyperliquid API unavailable' });
+    const addrLower = address.toLowerCase();
+    res.json({
+      ...profile,
+      label: addressLabels.lookup(addrLower),
+      trackedPositions: trackedPositions.filter(p => p.user.toLowerCase() === addrLower).map(p => withLabel(p)),
+      recentEvents: recentPositionEvents.filter(e => e.address === addrLower).slice(0, 20)
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Telegram pushes bot updates here when TELEGRAM_WEBHOOK_URL is set (instead of long polling)
+app.post('/api/telegram/webhook', (req, res) => {
+  if (!telegramBot || !CONFIG.TELEGRAM_WEBHOOK_URL) return res.status(404).json({ error: 'Telegram webhook not enabled' });
+  if (!telegramBot.verifyWebhook(req.get('X-Telegram-Bot-Api-Secret-Token'))) return res.status(401).json({ error: 'Invalid secret token' });
+  res.sendStatus(200); // answer right away, Telegram retries slow webhooks
+  telegramBot.handleUpdate(req.body || {});
+});
+
+// Open danger alert threads and the tier each position has reached
+app.get('/api/escalations', (req, res) => {
+  const escalations = escalation.list()
+    .map(s => ({ ...s, tierPercent: s.tier >= 0 ? escalation.tiers[s.tier] : null, channels: s.thread ? Object.keys(s.thread) : [] }))
+    .sort((a, b) => a.lastDistance - b.lastDistance);
+  res.json({ tiers: escalation.tiers, hysteresis: CONFIG.ESCALATION_HYSTERESIS, count: escalations.length, escalations });
+});
+
+// Alert rules: each one is an event type + filters + destination channels (lib/alert-rules.js)
+app.get('/api/rules', (req, res) => {
+  res.json({
+    rules,
+    eventTypes: alertRules.EVENT_TYPES,
+    filters: Object.fromEntries(Object.entries(alertRules.FILTERS).map(([name, f]) => [name, { kind: f.kind, values: f.values || null }])),
+    channels: notifier.getChannels().filter(c => !c.direct).map(c => c.name),
+    persistent: !!pool
+  });
+});
+
+// Validated rule from the request body, or null after answering 400
+function parseRuleBody(req, res, existing = null) {
+  try {
+    const rule = alertRules.normalizeRule({ ...req.body, id: existing ? existing.id : undefined }, existing);
+    const known = notifier.getChannels().filter(c => !c.direct).map(c => c.name);
+    const unknown = (rule.channels || []).filter(name => !known.includes(name));
+    if (unknown.length > 0) throw new Error('unknown channel(s): ' + unknown.join(', '));
+    return rule;
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+    return null;
+  }
+}
+
+app.post('/api/rules', async (req, res) => {
+  const rule = parseRuleBody(req, res);
+  if (!rule) return;
+  try {
+    await saveAlertRule(rule);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  rules.push(rule);
+  res.status(201).json({ rule });
+});
+
+app.put('/api/rules/:id', async (req, res) => {
+  const idx = rules.findIndex(r => r.id === req.params.id);
+  if (idx < 0) return res.status(404).json({ error: 'Rule not found' });
+  // Filters are replaced, not merged, so a filter can be removed by leaving it out
+  const rule = parseRuleBody(req, res, { ...rules[idx], filters: req.body?.filters ? {} : rules[idx].filters });
+  if (!rule) return;
+  try {
+    await saveAlertRule(rule);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  rules[idx] = rule;
+  res.json({ rule });
+});
+
+app.delete('/api/rules/:id', async (req, res) => {
+  const rule = rules.find(r => r.id === req.params.id);
+  if (!rule) return res.status(404).json({ error: 'Rule not found' });
+  try {
+    await deleteAlertRule(rule.id);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  rules = rules.filter(r => r !== rule);
+  res.json({ success: true });
+});
+
+// Dashboard login (session cookie) and API keys for scripts and other services
+app.post('/api/auth/login', auth.login);
+app.post('/api/auth/logout', auth.logout);
+
+app.get('/api/auth/me', (req, res) => {
+  const { loginConfigured, publicRead } = auth.getStats();
+  res.json({ role: req.auth.role, via: req.auth.via, key: req.auth.key || null, loginConfigured, publicRead });
+});
+
+app.get('/api/auth/keys', auth.requireRole('admin'), (req, res) => {
+  res.json({ keys: auth.listKeys(), roles: ROLES, persistent: !!pool });
+});
+
+// The plaintext key is only in this response
+app.post('/api/auth/keys', (req, res) => {
+  try {
+    const { key, plaintext } = auth.createKey(req.body || {});
+    res.status(201).json({ key, apiKey: plaintext });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete('/api/auth/keys/:id', (req, res) => {
+  if (!auth.revokeKey(req.params.id)) return res.status(404).json({ error: 'API key not found' });
   res.json({ success: true });
 });
 
 app.get('/api/db-stats', async (req, res) => {
   if (!pool) return res.json({ connected: false, message: 'No database configured' });
   try {
-    const result = await pool.query('SELECT COUNT(*) FROM whales');
-    res.json({ connected: true, whales: parseInt(result.rows[0].count) });
+    const counts = await Promise.all(['whales', 'tracked_positions', 'liquidations', 'new_positions', 'sent_notifications']
+      .map(async table => [table, parseInt((await pool.query('SELECT COUNT(*) FROM ' + table)).rows[0].count)]));
+    res.json({ connected: true, ...Object.fromEntries(counts), retentionDays: CONFIG.DATA_RETENTION_DAYS });
   } catch (err) { res.json({ connected: false, error: err.message }); }
 });
 
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildMarginTable, maintenanceMargin, assessAccount } = require('../lib/account-risk');
+
+const meta = {
+  universe: [
+    { name: 'BTC', maxLeverage: 40, marginTableId: 56 },
+    { name: 'ETH', maxLeverage: 50 }
+  ],
+  marginTables: [[56, { marginTiers: [{ lowerBound: '150000000', maxLeverage: 20 }, { lowerBound: '0', maxLeverage: 40 }] }]]
+};
+const marginTable = buildMarginTable(meta);
+
+function position(coin, szi, type = 'cross') {
+  return { position: { coin, szi: String(szi), leverage: { type } } };
+}
+
+test('maintenance margin is half the initial margin at max leverage', () => {
+  assert.equal(maintenanceMargin(marginTable, 'ETH', 10000), 100);
+  assert.equal(maintenanceMargin(marginTable, 'NEW', 10000), 250); // unknown coin: 20x
+});
+
+test('tiered maintenance margin stays continuous at tier boundaries', () => {
+  assert.equal(maintenanceMargin(marginTable, 'BTC', 150e6), 150e6 * 0.0125);
+  assert.equal(maintenanceMargin(marginTable, 'BTC', 200e6), 200e6 * 0.025 - 150e6 * 0.0125);
+});
+
+test('account distance to liquidation solves for a uniform adverse move', () => {
+  const state = { marginSummary: { accountValue: '1000' }, assetPositions: [position('ETH', 1), position('BTC', 1, 'isolated')] };
+  const risk = assessAccount(state, { ETH: '10000', BTC: '50000' }, marginTable);
+  assert.equal(risk.maintenanceMargin, 100);
+  assert.equal(risk.marginRatio, 0.1);
+  assert.equal(risk.accountLeverage, 10);
+  assert.equal(risk.isolatedCount, 1);
+  // 900 of buffer; a long's maintenance shrinks with price: 900 / (10000 - 100)
+  assert.equal(risk.accountDistanceToLiq, 900 / 9900);
+});
+
+test('the exchange-reported maintenance figure wins over the computed one', () => {
+  const state = { crossMarginSummary: { accountValue: '1000' }, crossMaintenanceMarginUsed: '200', assetPositions: [position('ETH', -1)] };
+  const risk = assessAccount(state, { ETH: '10000' }, marginTable);
+  assert.equal(risk.maintenanceMargin, 200);
+  assert.equal(risk.accountDistanceToLiq, 800 / 10200); // a short's maintenance grows with price
+});
+
+test('accounts without cross positions have no distance', () => {
+  const risk = assessAccount({ marginSummary: { accountValue: '1000' }, assetPositions: [] }, {}, marginTable);
+  assert.equal(risk.accountDistanceToLiq, null);
+  assert.equal(risk.marginRatio, null);
+  assert.equal(assessAccount(null, {}, marginTable), null);
+});
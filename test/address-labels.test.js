@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAddressLabels } = require('../lib/address-labels');
+
+const quiet = { log() {}, error() {} };
+
+function address(n) {
+  return '0x' + String(n).padStart(40, '0');
+}
+
+test('linked wallets share the entity of their labelled member', () => {
+  const labels = createAddressLabels({ log: quiet });
+  labels.setLabel(address(1), { label: 'Fund X main', entity: 'Fund X' });
+  labels.recordTransfer(address(1), address(2), 50000, 1000);
+  labels.addLink(address(2), address(3), 'subaccount');
+
+  const linked = labels.lookup(address(3));
+  assert.equal(linked.entity, 'Fund X');
+  assert.equal(linked.source, 'cluster');
+  assert.equal(linked.cluster.size, 3);
+  assert.equal(labels.recordTransfer(address(1), address(4), 500, 1000), false); // below fundingMinUSD
+  assert.equal(labels.lookup(address(4)), null);
+});
+
+test('a funding hub does not pull its counterparties into one cluster', () => {
+  const labels = createAddressLabels({ maxFundingLinks: 3, log: quiet });
+  const hub = address(100);
+  labels.setLabel(address(1), { entity: 'Fund X' });
+  for (let n = 1; n <= 3; n++) labels.recordTransfer(hub, address(n), 50000, 1000);
+  assert.equal(labels.lookup(address(3)).entity, 'Fund X'); // three links: not a hub yet
+
+  labels.recordTransfer(hub, address(4), 50000, 1000);
+  assert.equal(labels.lookup(address(3)), null);
+  assert.equal(labels.lookup(address(1)).cluster, null);
+
+  // Stronger evidence still links through the hub
+  labels.addLink(hub, address(2), 'subaccount');
+  assert.equal(labels.lookup(address(2)).cluster.size, 2);
+});
+
+test('wallets tagged exchange never link by funding alone', () => {
+  const labels = createAddressLabels({ log: quiet });
+  const exchange = address(200);
+  labels.recordTransfer(exchange, address(1), 50000, 1000);
+  labels.recordTransfer(exchange, address(2), 50000, 1000);
+  assert.equal(labels.lookup(address(1)).cluster.size, 3);
+
+  labels.setLabel(exchange, { label: 'Bridge', tags: 'exchange' });
+  assert.equal(labels.lookup(address(1)), null);
+  assert.equal(labels.lookup(exchange).cluster, null);
+
+  labels.removeLabel(exchange);
+  assert.equal(labels.lookup(address(1)).cluster.size, 3);
+});
+
+test('dismissed links stay dismissed until linked by hand', () => {
+  const labels = createAddressLabels({ log: quiet });
+  labels.recordTransfer(address(1), address(2), 50000, 1000);
+  labels.dismissLink(address(1), address(2));
+  labels.recordTransfer(address(1), address(2), 50000, 2000);
+  assert.equal(labels.lookup(address(1)), null);
+
+  labels.addLink(address(1), address(2), 'manual');
+  assert.equal(labels.lookup(address(1)).cluster.size, 2);
+});
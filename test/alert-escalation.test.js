@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createEscalation } = require('../lib/alert-escalation');
+
+function queued(channel, notification) {
+  return { channel, delivered: Promise.resolve(notification) };
+}
+
+test('each newly crossed tier escalates once, from the outside in', () => {
+  const escalation = createEscalation({ tiers: [10, 5, 2], hysteresis: 1 });
+  assert.equal(escalation.observe('k', 12), null);
+  assert.deepEqual(pick(escalation.observe('k', 9)), { kind: 'escalated', tier: 10, previousTier: null });
+  assert.equal(escalation.observe('k', 8), null);
+  assert.deepEqual(pick(escalation.observe('k', 1.5)), { kind: 'escalated', tier: 2, previousTier: 10 }); // skips 5
+  assert.equal(escalation.get('k').closestDistance, 1.5);
+});
+
+test('a tier re-arms only after recovering past the hysteresis', () => {
+  const escalation = createEscalation({ tiers: [10, 5], hysteresis: 1 });
+  escalation.observe('k', 9);
+  escalation.observe('k', 4.5);
+  assert.equal(escalation.observe('k', 5.8), null); // within 1pp of the 5% tier
+  assert.equal(escalation.observe('k', 4.9), null);
+  assert.equal(escalation.observe('k', 6.5), null); // re-armed
+  assert.equal(escalation.observe('k', 4.9).tier, 5);
+});
+
+test('escapes only once a thread was opened', () => {
+  const escalation = createEscalation({ tiers: [10], hysteresis: 1 });
+  escalation.observe('quiet', 9);
+  assert.equal(escalation.observe('quiet', 12), null);
+  assert.equal(escalation.has('quiet'), false);
+
+  escalation.observe('k', 9);
+  escalation.setThread('k', [queued('telegram', { messageId: 1 })]);
+  assert.equal(escalation.observe('k', 12).kind, 'escaped');
+  assert.equal(escalation.has('k'), false);
+});
+
+test('silent observations record the baseline without reporting it', () => {
+  const escalation = createEscalation({ tiers: [10, 5] });
+  assert.equal(escalation.observe('k', 4, { silent: true }), null);
+  assert.equal(escalation.observe('k', 3), null); // already inside the deepest tier
+  assert.equal(escalation.resolve('k').tier, 1);
+  assert.equal(escalation.resolve('k'), null);
+});
+
+test('threads chain message ids and drop channels whose first message was dead-lettered', async () => {
+  const escalation = createEscalation({ tiers: [10, 5] });
+  escalation.observe('k', 9);
+  escalation.setThread('k', [queued('telegram', { messageId: 11 }), queued('discord', null)]);
+  const thread = escalation.get('k').thread;
+  assert.deepEqual(thread, { telegram: null, discord: null }); // joined as soon as queued
+  await new Promise(setImmediate);
+  assert.deepEqual(thread, { telegram: 11 });
+
+  escalation.setThread('k', [queued('telegram', { messageId: 12 })]);
+  escalation.setThread('k', [queued('telegram', null)]); // a failed follow-up keeps the thread
+  await new Promise(setImmediate);
+  assert.deepEqual(thread, { telegram: 12 });
+});
+
+test('a channel without message ids stays in the thread when a follow-up fails', async () => {
+  const escalation = createEscalation({ tiers: [10, 5] });
+  escalation.observe('k', 9);
+  escalation.setThread('k', [queued('webhook', { messageId: null })]);
+  await new Promise(setImmediate);
+  escalation.setThread('k', [queued('webhook', null)]);
+  await new Promise(setImmediate);
+  assert.deepEqual(escalation.get('k').thread, { webhook: null });
+});
+
+function pick(change) {
+  return change && { kind: change.kind, tier: change.tier, previousTier: change.previousTier };
+}
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatters, escapeMarkdown } = require('../lib/alert-format');
+
+const ADDRESS = '0x1111111111111111111111111111111111111111';
+const label = { label: 'degen_king*', entity: '[fund]', source: 'manual' };
+
+test('markdown markers in user text are escaped', () => {
+  assert.equal(escapeMarkdown('a_b*c`d[e]'), 'a\\_b\\*c\\`d\\[e]');
+});
+
+test('labels reach the message escaped and the plain short form untouched', () => {
+  const message = formatters.liquidation({ liquidatedUser: ADDRESS, coin: 'ETH', side: 'LONG', value: 2000000, price: 3000, confidence: 'CONFIRMED', label });
+  assert.ok(message.text.includes('🏷️ degen\\_king\\* (\\[fund])'));
+
+  const lifecycle = formatters.lifecycle({ type: 'OPENED', address: ADDRESS, coin: 'ETH', direction: 'LONG', notional: 3000000, liqPrice: 2500, label });
+  assert.ok(lifecycle.text.includes('Degen\\_king\\* (\\[fund]) OPENED a $3.00M ETH long'));
+  assert.ok(lifecycle.short.includes('Degen_king* ([fund]) OPENED'));
+});
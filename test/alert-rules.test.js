@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const alertRules = require('../lib/alert-rules');
+
+const danger = { coin: 'BTC', direction: 'LONG', positionUSD: 3000000, distancePercent: '4.2', leverage: { value: 20 }, walletAgeDays: 3, whaleType: 'LOSING' };
+
+function rule(filters, extra = {}) {
+  return { id: 'r', name: 'r', event: 'danger', enabled: true, channels: null, cooldownMinutes: null, filters, ...extra };
+}
+
+test('default rules reproduce the old danger thresholds', () => {
+  const rules = alertRules.defaultRules();
+  assert.deepEqual(alertRules.matchingRules(rules, 'danger', danger).map(r => r.id), ['default-danger']);
+  assert.deepEqual(alertRules.matchingRules(rules, 'danger', { ...danger, positionUSD: 1000000 }), []);
+  assert.deepEqual(alertRules.matchingRules(rules, 'liquidation', { coin: 'BTC', side: 'LONG', value: 5000000 }), []); // ships disabled
+});
+
+test('every filter must pass and unknown facts fail unless partial', () => {
+  const r = rule({ coins: ['BTC', 'ETH'], direction: 'LONG', minLeverage: 10, maxWalletAgeDays: 7, pnlSign: 'positive' });
+  assert.equal(alertRules.matchRule(r, 'danger', alertRules.eventFacts('danger', danger)), false); // all-time PnL not known yet
+  assert.equal(alertRules.matchRule(r, 'danger', alertRules.eventFacts('danger', danger), { partial: true }), true);
+  assert.equal(alertRules.matchRule(r, 'danger', alertRules.eventFacts('danger', { ...danger, allTimePnl: 5000 })), true);
+  assert.equal(alertRules.matchRule(r, 'danger', alertRules.eventFacts('danger', { ...danger, allTimePnl: 5000, coin: 'SOL' })), false);
+  assert.equal(alertRules.matchRule(r, 'new_position', alertRules.eventFacts('danger', { ...danger, allTimePnl: 5000 })), false);
+});
+
+test('lifecycle facts use the relevant notional and the event type', () => {
+  const event = { type: 'REDUCED', coin: 'ETH', direction: 'SHORT', notional: 4000000, notionalDelta: -1500000, markPrice: 100, liqPrice: 110 };
+  const facts = alertRules.eventFacts('lifecycle', event);
+  assert.equal(facts.lifecycleType, 'REDUCED');
+  assert.equal(facts.distancePercent, 10);
+  const r = rule({ lifecycleTypes: ['REDUCED'] }, { event: 'lifecycle' });
+  assert.equal(alertRules.matchRule(r, 'lifecycle', facts), true);
+});
+
+test('routes to the union of channels, or everywhere when a rule has none', () => {
+  const a = rule({}, { id: 'a', channels: ['telegram'], cooldownMinutes: 30 });
+  const b = rule({}, { id: 'b', channels: ['discord', 'telegram'], cooldownMinutes: 10 });
+  assert.deepEqual(alertRules.routeFor([a, b], 5000), { channels: ['telegram', 'discord'], cooldown: 10 * 60 * 1000, rules: ['a', 'b'] });
+  assert.deepEqual(alertRules.routeFor([a, rule({}, { id: 'c' })], 5000).channels, null);
+  assert.equal(alertRules.routeFor([rule({}, { channels: ['x'] })], 5000).cooldown, 5000);
+  assert.equal(alertRules.routeFor([], 5000), null);
+});
+
+test('normalizeRule coerces filter values and rejects bad input', () => {
+  const normalized = alertRules.normalizeRule({ name: ' Big longs ', event: 'danger', channels: 'telegram, slack', filters: { coins: 'btc,eth', minNotionalUSD: '1000000', whaleTypes: [] } });
+  assert.equal(normalized.name, 'Big longs');
+  assert.deepEqual(normalized.channels, ['telegram', 'slack']);
+  assert.deepEqual(normalized.filters, { coins: ['BTC', 'ETH'], minNotionalUSD: 1000000 });
+  assert.throws(() => alertRules.normalizeRule({ name: 'x', event: 'danger', filters: { direction: 'UP', minLeverage: 'lots' } }),
+    /direction must be one of LONG, SHORT; minLeverage must be a number/);
+  assert.throws(() => alertRules.normalizeRule({ name: 'x', event: 'danger', filters: { lifecycleTypes: ['CLOSED'] } }), /only applies to lifecycle/);
+  assert.throws(() => alertRules.normalizeRule({ event: 'nope' }), /event must be one of.*; name is required/);
+});
+
+test('partial updates merge onto the existing rule', () => {
+  const existing = alertRules.normalizeRule({ id: 'keep', name: 'x', event: 'danger', filters: { minLeverage: 5 } });
+  const updated = alertRules.normalizeRule({ enabled: false, filters: { maxDistancePercent: 3 } }, existing);
+  assert.equal(updated.id, 'keep');
+  assert.equal(updated.enabled, false);
+  assert.deepEqual(updated.filters, { minLeverage: 5, maxDistancePercent: 3 });
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreAnomaly, addPriceMove, levelFor } = require('../lib/anomaly-score');
+
+const position = { coin: 'XYZ', positionUSD: 1000000, leverage: { value: 10 } };
+
+test('an insider-like position collects points from every signal', () => {
+  const anomaly = scoreAnomaly(position, {
+    walletAgeDays: 0,                                   // 25
+    openInterestUSD: 8000000,                           // 12.5% of OI: 25
+    dayVolumeUSD: 4000000,                              // 25% of volume: 12, illiquid: 10
+    maxLeverage: 10,                                    // at the maximum: 10
+    funding: { amountUSD: 500000, minutesBeforeOpen: 20, inflowUSD: 500000 }, // 20 + 5
+    accountValue: 550000,
+    accountNotionalUSD: 1100000,                        // 91% of exposure: 8
+    priceChange24h: 0.005                               // 5
+  });
+  assert.equal(anomaly.score, 100); // capped
+  assert.equal(anomaly.level, 'HIGH');
+  assert.equal(anomaly.signals[0].id, 'wallet_age');
+  assert.deepEqual(new Set(anomaly.signals.map(s => s.id)),
+    new Set(['wallet_age', 'oi_share', 'volume_share', 'leverage', 'fresh_funding', 'illiquid', 'quiet_market']));
+  assert.equal(anomaly.signals.find(s => s.id === 'fresh_funding').detail, '$500K arrived 20m before opening');
+});
+
+test('missing context produces no signal', () => {
+  const anomaly = scoreAnomaly(position);
+  assert.deepEqual(anomaly.signals, []);
+  assert.equal(anomaly.level, 'NORMAL');
+});
+
+test('signals are tiered', () => {
+  assert.equal(scoreAnomaly(position, { walletAgeDays: 10 }).score, 5);
+  assert.equal(scoreAnomaly(position, { openInterestUSD: 30000000 }).score, 10); // 3.3%
+  assert.equal(scoreAnomaly({ ...position, leverage: 25 }, { maxLeverage: 50 }).score, 6);
+  assert.equal(scoreAnomaly(position, { funding: { amountUSD: 1, minutesBeforeOpen: 3 * 24 * 60 } }).score, 0);
+  // A flat market alone is not suspicious
+  assert.equal(scoreAnomaly(position, { priceChange24h: 0 }).score, 0);
+});
+
+test('a move in the position\'s favour soon after opening raises the score once per tier', () => {
+  const openedAt = 1000000;
+  const anomaly = scoreAnomaly(position, { walletAgeDays: 3 });
+  const raised = addPriceMove(anomaly, 0.06, openedAt, openedAt + 60 * 60 * 1000);
+  assert.equal(raised.score, 35);
+  assert.equal(raised.level, 'ELEVATED');
+  assert.equal(addPriceMove(raised, 0.07, openedAt, openedAt + 2 * 60 * 60 * 1000), null);
+  assert.equal(addPriceMove(raised, 0.12, openedAt, openedAt + 2 * 60 * 60 * 1000).score, 45);
+  assert.equal(addPriceMove(anomaly, 0.2, openedAt, openedAt + 5 * 60 * 60 * 1000), null); // too late
+  assert.equal(addPriceMove(anomaly, -0.2, openedAt, openedAt + 1000), null);
+});
+
+test('levels', () => {
+  assert.equal(levelFor(60), 'HIGH');
+  assert.equal(levelFor(59), 'ELEVATED');
+  assert.equal(levelFor(34), 'NORMAL');
+});
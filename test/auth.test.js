@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAuth, trustProxySetting, hashPassword, verifyPassword } = require('../lib/auth');
+
+const quiet = { log() {}, error() {} };
+
+// Minimal Express req/res pair; `sent` holds the status and body of a rejected request
+function request({ headers = {}, query = {}, ip = '10.0.0.1' } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  const req = { ip, query, body: {}, secure: false, get: name => lower[name.toLowerCase()] };
+  const res = {
+    sent: null, headers: {},
+    set(name, value) { this.headers[name] = value; return this; },
+    status(code) { this.sent = { code }; return this; },
+    json(body) { this.sent = { ...this.sent, body }; return this; }
+  };
+  return { req, res };
+}
+
+function run(middleware, options) {
+  const { req, res } = request(options);
+  let passed = false;
+  middleware(req, res, () => { passed = true; });
+  return { req, res, passed };
+}
+
+test('passwords are hashed with a salt and verified', () => {
+  const hash = hashPassword('hunter2');
+  assert.notEqual(hash, hashPassword('hunter2'));
+  assert.equal(verifyPassword('hunter2', hash), true);
+  assert.equal(verifyPassword('hunter3', hash), false);
+  assert.equal(verifyPassword('hunter2', 'plain'), false);
+});
+
+test('trust proxy takes a hop count or boolean and defaults to one hop on Railway only', () => {
+  assert.equal(trustProxySetting('2', {}), 2);
+  assert.equal(trustProxySetting('true', {}), true);
+  assert.equal(trustProxySetting('false', { RAILWAY_ENVIRONMENT: 'production' }), false);
+  assert.equal(trustProxySetting('', { RAILWAY_ENVIRONMENT: 'production' }), 1);
+  assert.equal(trustProxySetting(undefined, {}), false);
+});
+
+test('API keys authenticate with their role until revoked', () => {
+  const auth = createAuth({ log: quiet });
+  const { key, plaintext } = auth.createKey({ name: 'grafana', role: 'read' });
+  assert.equal(key.hash, undefined);
+  assert.ok(plaintext.startsWith(key.prefix));
+
+  const ok = run(auth.authenticate, { headers: { Authorization: 'Bearer ' + plaintext } });
+  assert.equal(ok.passed, true);
+  assert.equal(ok.req.auth.role, 'read');
+  assert.equal(run(auth.authenticate, { headers: { 'X-API-Key': plaintext.slice(0, -1) + 'x' } }).res.sent.code, 401);
+
+  auth.revokeKey(key.id);
+  assert.equal(run(auth.authenticate, { query: { apiKey: plaintext } }).res.sent.code, 401);
+  assert.throws(() => auth.createKey({ name: 'x', role: 'root' }), /role must be one of/);
+});
+
+test('roles gate routes and anonymous callers read only with public read', () => {
+  for (const publicRead of [true, false]) {
+    const auth = createAuth({ publicRead, log: quiet });
+    const { req } = run(auth.authenticate);
+    assert.equal(req.auth.role, publicRead ? 'read' : null);
+
+    const { res } = request();
+    let passed = false;
+    auth.requireRole('read')(req, res, () => { passed = true; });
+    assert.equal(passed, publicRead);
+    if (!publicRead) assert.equal(res.sent.code, 401);
+
+    const admin = request();
+    auth.requireRole('admin')(req, admin.res, () => assert.fail('anonymous is never admin'));
+    assert.equal(admin.res.sent.code, publicRead ? 403 : 401);
+  }
+});
+
+test('login sets a session cookie that authenticates as admin', () => {
+  const auth = createAuth({ adminPassword: 'hunter2', sessionSecret: 'secret', log: quiet });
+  const wrong = request();
+  wrong.req.body = { password: 'nope' };
+  auth.login(wrong.req, wrong.res);
+  assert.equal(wrong.res.sent.code, 401);
+
+  const { req, res } = request();
+  req.body = { password: 'hunter2' };
+  auth.login(req, res);
+  const cookie = res.headers['Set-Cookie'].split(';')[0];
+  assert.match(cookie, /^hl_session=/);
+
+  const session = run(auth.authenticate, { headers: { Cookie: cookie } });
+  assert.equal(session.req.auth.role, 'admin');
+  assert.equal(session.req.auth.via, 'session');
+
+  const forged = run(createAuth({ sessionSecret: 'other', log: quiet }).authenticate, { headers: { Cookie: cookie } });
+  assert.equal(forged.req.auth.via, 'anonymous');
+});
+
+test('anonymous callers are rate limited per IP', () => {
+  const auth = createAuth({ anonymousRatePerMinute: 2, log: quiet });
+  assert.equal(run(auth.authenticate).passed, true);
+  assert.equal(run(auth.authenticate).passed, true);
+  const limited = run(auth.authenticate);
+  assert.equal(limited.res.sent.code, 429);
+  assert.ok(Number(limited.res.headers['Retry-After']) > 0);
+  assert.equal(run(auth.authenticate, { ip: '10.0.0.2' }).passed, true);
+});
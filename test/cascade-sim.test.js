@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulateCascade, depthPerPercent } = require('../lib/cascade-sim');
+
+const positions = [
+  { user: '0xA', coin: 'BTC', direction: 'LONG', size: 1, positionUSD: 100, liqPrice: 97, markPrice: 100 },
+  { user: '0xA', coin: 'ETH', direction: 'LONG', size: 5, positionUSD: 50, liqPrice: 6, markPrice: 10 },
+  { user: '0xB', coin: 'BTC', direction: 'LONG', size: 2, positionUSD: 200, liqPrice: 94, markPrice: 100 },
+  { user: '0xC', coin: 'BTC', direction: 'LONG', size: 1, positionUSD: 100, liqPrice: 80, markPrice: 100, leverageType: 'isolated' },
+  { user: '0xD', coin: 'BTC', direction: 'LONG', size: 1, positionUSD: 100, liqPrice: 50, markPrice: 100 },
+  { user: '0xD', coin: 'ETH', direction: 'LONG', size: 10, positionUSD: 100, liqPrice: 8, markPrice: 10 },
+  { user: '0xE', coin: 'BTC', direction: 'SHORT', size: -1, positionUSD: 100, liqPrice: 96, markPrice: 100 }
+];
+
+test('liquidates levels the move reaches and takes the rest of a cross account with them', () => {
+  const result = simulateCascade(positions, { coin: 'BTC', mid: 100, movePercent: -5 });
+  assert.equal(result.targetPrice, 95);
+  assert.deepEqual(result.liquidations.map(l => [l.user, l.coin, l.cause]), [['0xA', 'BTC', 'price_move'], ['0xA', 'ETH', 'cross_account']]);
+  assert.equal(result.liquidatedUSD, 97); // size x liq price
+  assert.equal(result.crossAccountUSD, 50);
+  assert.equal(result.nextCluster.liqPrice, 94);
+  assert.equal(result.nextCluster.percentFromFinal, -1.05);
+});
+
+test('price impact of forced closes can reach the next cluster', () => {
+  const result = simulateCascade(positions, { coin: 'BTC', mid: 100, movePercent: -5, depthUSDPerPercent: 48.5 });
+  const b = result.liquidations.find(l => l.user === '0xB');
+  assert.equal(b.cause, 'cascade');
+  assert.ok(result.finalPrice < 94);
+  assert.ok(result.impactPercent > 2);
+});
+
+test('a pump liquidates shorts only', () => {
+  const result = simulateCascade(positions, { coin: 'BTC', mid: 100, movePercent: 5 });
+  assert.deepEqual(result.liquidations.map(l => l.user), ['0xE']);
+  assert.equal(result.nextCluster, null);
+});
+
+test('re-evaluates the other cross positions of surviving accounts', () => {
+  const result = simulateCascade(positions, { coin: 'BTC', mid: 100, movePercent: -5 });
+  const impact = result.crossImpacts.find(i => i.user === '0xD');
+  assert.equal(impact.coin, 'ETH');
+  assert.equal(impact.accountPnl, -5);
+  assert.equal(impact.newLiqPrice, 8.5); // -5 of equity over a size of 10
+  assert.equal(impact.newDistancePercent, 15);
+  assert.equal(impact.breached, false);
+  assert.ok(!result.crossImpacts.some(i => i.user === '0xA'));
+});
+
+test('depthPerPercent divides book notional by the percent it spans', () => {
+  assert.equal(depthPerPercent([{ px: '99', sz: '1' }, { px: '98', sz: '2' }], 100), 295 / 2);
+  assert.equal(depthPerPercent([], 100), null);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createChatSubscriptions, MAX_WATCHED_PER_CHAT } = require('../lib/chat-subscriptions');
+
+function address(n) {
+  return '0x' + String(n).padStart(40, '0');
+}
+
+test('a chat can watch at most MAX_WATCHED_PER_CHAT wallets', () => {
+  const subscriptions = createChatSubscriptions();
+  for (let n = 0; n < MAX_WATCHED_PER_CHAT; n++) assert.equal(subscriptions.watch(1, address(n)), true);
+  assert.throws(() => subscriptions.watch(1, address(MAX_WATCHED_PER_CHAT)), /at most 50 wallets/);
+  assert.equal(subscriptions.watch(1, address(0)), false); // already watched: not counted again
+  assert.equal(subscriptions.watch(2, address(MAX_WATCHED_PER_CHAT)), true); // the limit is per chat
+
+  subscriptions.unwatch(1, address(0));
+  assert.equal(subscriptions.watch(1, address(MAX_WATCHED_PER_CHAT)), true);
+  assert.equal(subscriptions.watchedBy(1).length, MAX_WATCHED_PER_CHAT);
+});
+
+test('wallets and coins are case-insensitive and tracked per chat', () => {
+  const subscriptions = createChatSubscriptions();
+  const wallet = '0x' + 'ab'.repeat(20);
+  subscriptions.watch('1', wallet.toUpperCase().replace('0X', '0x'));
+  subscriptions.watch(2, wallet);
+  subscriptions.mute(1, 'btc');
+  assert.deepEqual(subscriptions.watchersOf(wallet), ['1', '2']);
+  assert.equal(subscriptions.isMuted(1, 'BTC'), true);
+  assert.equal(subscriptions.isMuted(2, 'BTC'), false);
+  assert.equal(subscriptions.isMuted(1, null), false);
+
+  subscriptions.unwatch(2, wallet);
+  assert.equal(subscriptions.unmute(2, 'BTC'), false);
+  assert.deepEqual(subscriptions.chatIds(), ['1']);
+  assert.deepEqual([...subscriptions.watchedAddresses()], [wallet]);
+});
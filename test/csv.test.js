@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, toCsv } = require('../lib/csv');
+
+const columns = ['address', 'label', 'tags'];
+
+test('parses quoted fields, escaped quotes and skips the header line', () => {
+  const text = 'Address,Label,Tags\r\n0xabc, "Fund, Inc." ,"say ""hi"""\n\n0xdef,,\n';
+  assert.deepEqual(parseCsv(text, columns), [
+    { address: '0xabc', label: 'Fund, Inc.', tags: 'say "hi"' },
+    { address: '0xdef', label: '', tags: '' }
+  ]);
+});
+
+test('missing trailing fields are undefined', () => {
+  assert.deepEqual(parseCsv('0xabc', columns), [{ address: '0xabc', label: undefined, tags: undefined }]);
+  assert.deepEqual(parseCsv(null, columns), []);
+});
+
+test('writes a header, quotes only when needed and round-trips', () => {
+  const records = [{ address: '0xabc', label: 'Fund, "A"', tags: null }, { address: '0xdef', label: 5 }];
+  const csv = toCsv(columns, records);
+  assert.equal(csv, 'address,label,tags\n0xabc,"Fund, ""A""",\n0xdef,5,\n');
+  assert.deepEqual(parseCsv(csv, columns)[0], { address: '0xabc', label: 'Fund, "A"', tags: '' });
+});
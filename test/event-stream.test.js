@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const eventStream = require('../lib/event-stream');
+
+// Minimal Express req/res pair; `events` collects what the client received
+function connect(query = {}, lastEventId = null) {
+  const req = Object.assign(new EventEmitter(), { query, get: name => (name === 'Last-Event-ID' ? lastEventId : undefined) });
+  const chunks = [];
+  const res = { set() {}, flushHeaders() {}, write: chunk => chunks.push(chunk) };
+  eventStream.handleStream(req, res);
+  const events = () => chunks.join('').split('\n\n')
+    .filter(block => block.startsWith('id: '))
+    .map(block => JSON.parse(block.split('\n').find(line => line.startsWith('data: ')).slice(6)));
+  return { events, close: () => req.emit('close') };
+}
+
+test('delivers only events matching the client filters', () => {
+  const client = connect({ types: 'liquidation', coins: 'btc' });
+  eventStream.publish('liquidation', { coin: 'BTC', value: 1 });
+  eventStream.publish('liquidation', { coin: 'ETH', value: 2 });
+  eventStream.publish('position', { coin: 'BTC' });
+  eventStream.publish('liquidation', { value: 3 }); // no coin: the coin filter does not apply
+  assert.deepEqual(client.events().map(e => e.data.value), [1, 3]);
+  client.close();
+});
+
+test('level filter uses the dangerLevel of the data or the meta', () => {
+  const client = connect({ levels: 'CRITICAL' });
+  eventStream.publish('position', { coin: 'BTC', dangerLevel: 'WARNING' });
+  eventStream.publish('position', { coin: 'BTC', dangerLevel: 'CRITICAL' });
+  eventStream.publish('alert', { coin: 'SOL' }, { dangerLevel: 'CRITICAL' });
+  assert.deepEqual(client.events().map(e => e.coin), ['BTC', 'SOL']);
+  client.close();
+});
+
+test('replays missed events after Last-Event-ID', () => {
+  const first = eventStream.publish('position', { coin: 'BTC' });
+  eventStream.publish('position', { coin: 'ETH' });
+  eventStream.publish('liquidation', { coin: 'SOL' });
+  const client = connect({ types: 'position' }, String(first.id));
+  assert.deepEqual(client.events().map(e => e.coin), ['ETH']);
+  client.close();
+});
+
+test('asks for a resync when Last-Event-ID is older than the buffer', () => {
+  const first = eventStream.publish('position', { coin: 'BTC' });
+  for (let i = 0; i < 1001; i++) eventStream.publish('position', { coin: 'BTC' });
+  const client = connect({}, String(first.id));
+  const events = client.events();
+  assert.equal(events.length, 1);
+  assert.equal(events[0].type, 'resync');
+  assert.equal(events[0].data.reason, 'buffer_overflow');
+  client.close();
+});
+
+test('asks for a resync when Last-Event-ID comes from before a restart', () => {
+  const last = eventStream.publish('position', { coin: 'BTC' });
+  for (const id of ['1', String(last.id + 50)]) {
+    const client = connect({}, id);
+    assert.deepEqual(client.events().map(e => [e.type, e.data.reason]), [['resync', 'restart']]);
+    client.close();
+  }
+});
+
+test('stats count connected clients until they disconnect', () => {
+  const before = eventStream.getStreamStats().clients;
+  const client = connect();
+  assert.equal(eventStream.getStreamStats().clients, before + 1);
+  client.close();
+  assert.equal(eventStream.getStreamStats().clients, before);
+});
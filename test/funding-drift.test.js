@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { projectFunding, hourlyFunding } = require('../lib/funding-drift');
+
+function position(coin, szi, liquidationPx, type = 'cross') {
+  return { coin, szi: String(szi), liquidationPx: liquidationPx && String(liquidationPx), leverage: { type } };
+}
+
+test('a paying long has its liq price creep up toward mark', () => {
+  const result = projectFunding(position('BTC', 10, 90, 'isolated'), 100, { BTC: 0.001 });
+  assert.equal(result.hourlyCost, 1);
+  assert.equal(result.dailyCost, 24);
+  assert.equal(result.annualizedPercent, 876);
+  assert.equal(result.liqDriftPerHour, 0.1);
+  assert.equal(result.distance24hPercent, 7.6);
+  assert.equal(result.hoursToLiquidation, 100);
+  assert.equal(result.accountHourlyCost, null);
+});
+
+test('a short receiving funding drifts away from liquidation', () => {
+  const result = projectFunding(position('BTC', -10, 110, 'isolated'), 100, { BTC: 0.001 });
+  assert.equal(result.hourlyCost, -1);
+  assert.ok(result.liqPrice24h > 110);
+  assert.equal(result.hoursToLiquidation, null);
+});
+
+test('cross positions drift with the funding of the whole cross account', () => {
+  const accountData = { assetPositions: [
+    { position: position('BTC', 10, 90) },
+    { position: position('ETH', -1, 1500) },
+    { position: position('SOL', 100, 1, 'isolated') }
+  ] };
+  const rates = { BTC: 0.001, ETH: -0.001, SOL: 0.01 };
+  const result = projectFunding(position('BTC', 10, 90), 100, rates, { accountData, mids: { BTC: '100', ETH: '1000', SOL: '10' } });
+  assert.equal(result.accountHourlyCost, 2); // BTC pays 1, the ETH short pays 1, isolated SOL doesn't count
+  assert.equal(result.liqDriftPerHour, 0.2);
+});
+
+test('no projection without a funding rate; no drift without a liq price', () => {
+  assert.equal(projectFunding(position('BTC', 10, 90), 100, {}), null);
+  const result = projectFunding(position('BTC', 10, null), 100, { BTC: 0.001 });
+  assert.equal(result.hourlyCost, 1);
+  assert.equal(result.liqPrice24h, null);
+  assert.equal(hourlyFunding(-2, 50, 0.01), -1);
+});
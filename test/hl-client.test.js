@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { createHlClient, weightFor } = require('../lib/hl-client');
+
+// Stand-in /info endpoint: answers by body.type, records the order requests arrive in
+const received = [];
+const failures = new Map(); // tag -> [status, ...] to answer before succeeding
+let server, url;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      received.push(body.tag);
+      const status = failures.get(body.tag)?.shift();
+      const reply = (code, data, headers = {}) => {
+        res.writeHead(code, { 'Content-Type': 'application/json', ...headers });
+        res.end(JSON.stringify(data));
+      };
+      const delay = body.delayMs || 0;
+      setTimeout(() => {
+        if (status === 429) return reply(429, {}, { 'Retry-After': '0.2' });
+        if (status) return reply(status, { error: 'nope' });
+        reply(200, body.type === 'recentTrades' ? new Array(40).fill({}) : { tag: body.tag });
+      }, delay);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  url = 'http://127.0.0.1:' + server.address().port + '/info';
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const quiet = { warn() {}, log() {}, error() {} };
+
+test('request weights follow the Hyperliquid budget table', () => {
+  assert.equal(weightFor({ type: 'clearinghouseState' }), 2);
+  assert.equal(weightFor({ type: 'meta' }), 20);
+  assert.equal(weightFor({ type: 'userRole' }), 60);
+});
+
+test('higher lanes are served first', async () => {
+  const hl = createHlClient({ url, maxInFlight: 1, log: quiet });
+  received.length = 0;
+  const first = hl.info({ type: 'allMids', tag: 'first', delayMs: 100 }, { priority: 'low' });
+  const rest = [
+    hl.info({ type: 'allMids', tag: 'low' }, { priority: 'low' }),
+    hl.info({ type: 'allMids', tag: 'normal' }),
+    hl.withPriority('high', () => hl.info({ type: 'allMids', tag: 'high' }))
+  ];
+  assert.deepEqual(hl.getStats().queued, { high: 1, normal: 1, low: 1 });
+  await Promise.all([first, ...rest]);
+  assert.deepEqual(received, ['first', 'high', 'normal', 'low']);
+});
+
+test('lower lanes leave part of the bucket to higher ones', async () => {
+  const hl = createHlClient({ url, weightPerMinute: 100, log: quiet });
+  const low = [1, 2, 3, 4].map(i => hl.info({ type: 'meta', tag: 'low' + i }, { priority: 'low' }));
+  // Three low jobs fit above the 30% reserve; the fourth has to wait for a refill
+  assert.equal(hl.getStats().queued.low, 1);
+  assert.deepEqual(await hl.info({ type: 'clearinghouseState', tag: 'high' }, { priority: 'high' }), { tag: 'high' });
+  await Promise.all(low.slice(0, 3));
+  assert.equal(hl.getStats().queued.low, 1);
+  await low[3]; // 12 missing tokens at 100 per minute: ~7s
+});
+
+test('a job heavier than the whole budget is still admitted', async () => {
+  const hl = createHlClient({ url, weightPerMinute: 20, log: quiet });
+  assert.deepEqual(await hl.info({ type: 'userRole', tag: 'heavy' }, { priority: 'low' }), { tag: 'heavy' });
+});
+
+test('server errors are retried, client errors fail at once', async () => {
+  const hl = createHlClient({ url, log: quiet });
+  failures.set('flaky', [500]);
+  failures.set('bad', [400]);
+  assert.deepEqual(await hl.info({ type: 'meta', tag: 'flaky' }), { tag: 'flaky' });
+  await assert.rejects(hl.info({ type: 'meta', tag: 'bad' }), err => err.status === 400 && err.type === 'meta');
+  const stats = hl.getStats();
+  assert.equal(stats.retries, 1);
+  assert.equal(stats.errors, 1);
+  assert.equal(stats.lastError.status, 400);
+});
+
+test('a 429 pauses the client for Retry-After', async () => {
+  const hl = createHlClient({ url, log: quiet });
+  failures.set('limited', [429]);
+  const started = Date.now();
+  // The bucket is emptied too; a light high-lane request only needs a moment of refill
+  assert.deepEqual(await hl.info({ type: 'allMids', tag: 'limited' }, { priority: 'high' }), { tag: 'limited' });
+  assert.ok(Date.now() - started >= 200);
+  assert.equal(hl.getStats().rateLimited, 1);
+});
+
+test('responses with many items cost extra weight', async () => {
+  const hl = createHlClient({ url, log: quiet });
+  await hl.info({ type: 'recentTrades', tag: 'trades' });
+  assert.equal(hl.getStats().byType.recentTrades.weight, 22); // 20 + 1 per 20 items
+});
+
+test('unknown lanes are rejected', async () => {
+  const hl = createHlClient({ url, log: quiet });
+  await assert.rejects(hl.info({ type: 'meta' }, { priority: 'urgent' }), /Unknown priority lane/);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildLiqMap } = require('../lib/liq-map');
+
+const positions = [
+  { direction: 'LONG', positionUSD: 100, liqPrice: 95.2 },
+  { direction: 'LONG', positionUSD: 50, liqPrice: 95.9 },
+  { direction: 'LONG', positionUSD: 30, liqPrice: 90.1 },
+  { direction: 'SHORT', positionUSD: 70, liqPrice: 104.5 },
+  { direction: 'SHORT', positionUSD: 40, liqPrice: 150 }, // beyond ±20%
+  { direction: 'LONG', positionUSD: 10, liqPrice: null }
+];
+
+test('buckets liq prices into bands of the given width, highest first', () => {
+  const map = buildLiqMap(positions, 100, { bucketWidth: 1 });
+  assert.deepEqual(map.bands.map(b => [b.priceFrom, b.priceTo]), [[104, 105], [95, 96], [90, 91]]);
+  const band = map.bands.find(b => b.priceFrom === 95);
+  assert.equal(band.longUSD, 150);
+  assert.equal(band.longCount, 2);
+  assert.equal(band.distancePercent, -4.5);
+  assert.equal(map.maxBandUSD, 150);
+});
+
+test('totals in-range notional and reports the rest as out of range', () => {
+  const map = buildLiqMap(positions, 100, { bucketWidth: 1 });
+  assert.equal(map.totalLongUSD, 180);
+  assert.equal(map.totalShortUSD, 70);
+  assert.equal(map.outOfRangeShortUSD, 40);
+  assert.equal(map.outOfRangeLongUSD, 0);
+});
+
+test('accumulates longs downward and shorts upward from mid', () => {
+  const map = buildLiqMap(positions, 100, { bucketWidth: 1 });
+  const at = from => map.bands.find(b => b.priceFrom === from);
+  assert.equal(at(95).cumulativeLongUSD, 150);
+  assert.equal(at(90).cumulativeLongUSD, 180);
+  assert.equal(at(104).cumulativeShortUSD, 70);
+  assert.equal(at(104).cumulativeLongUSD, undefined);
+});
+
+test('rounds the default band width to a readable step', () => {
+  assert.equal(buildLiqMap([], 93000).bucketWidth, 500);   // 0.5% of 93k = 465
+  assert.equal(buildLiqMap([], 3.1).bucketWidth, 0.02);    // 0.0155
+  assert.equal(buildLiqMap([], 100, { bucketPercent: 2 }).bucketWidth, 2);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const multiDex = require('../lib/multi-dex');
+
+const spotMeta = {
+  universe: [
+    { name: 'PURR/USDC', tokens: [1, 0] },
+    { name: '@107', tokens: [150, 0] },
+    { name: '@200', tokens: [150, 1] } // not a USDC pair
+  ]
+};
+
+function clearinghouse(accountValue, coins) {
+  return { marginSummary: { accountValue: String(accountValue) }, assetPositions: coins.map(coin => ({ position: { coin, szi: '1' } })) };
+}
+
+test('dex names and coin prefixes', () => {
+  assert.deepEqual(multiDex.dexNames([null, { name: 'xyz' }, { name: 'abc' }]), ['', 'xyz', 'abc']);
+  assert.deepEqual(multiDex.dexNames(null), ['']);
+  assert.equal(multiDex.dexOf('xyz:TSLA'), 'xyz');
+  assert.equal(multiDex.dexOf('BTC'), '');
+});
+
+test('spot balances are valued at the mid of their USDC pair', () => {
+  const pairs = multiDex.spotPairsByToken(spotMeta);
+  assert.deepEqual([...pairs], [[1, 'PURR/USDC'], [150, '@107']]);
+  const holdings = multiDex.spotHoldings({ balances: [
+    { coin: 'USDC', token: 0, total: '500', entryNtl: '0' },
+    { coin: 'PURR', token: 1, total: '1000', entryNtl: '150' },
+    { coin: 'HYPE', token: 150, total: '0', entryNtl: '0' },
+    { coin: 'ODD', token: 999, total: '5' }
+  ] }, { 'PURR/USDC': '0.2', '@107': '30' }, pairs);
+  assert.deepEqual(holdings.map(h => [h.coin, h.usd]), [['USDC', 500], ['PURR', 200], ['ODD', 0]]);
+  assert.equal(holdings[1].entryUSD, 150);
+});
+
+test('mergeAccount folds every dex and spot into one account', () => {
+  const merged = multiDex.mergeAccount(
+    clearinghouse(1000, ['BTC']),
+    { dexStates: { xyz: clearinghouse(250, ['xyz:TSLA']) }, spot: { balances: [{ coin: 'PURR', token: 1, total: '1000' }] } },
+    { mids: { 'PURR/USDC': '0.5' }, spotPairs: multiDex.spotPairsByToken(spotMeta) }
+  );
+  assert.deepEqual(merged.assetPositions.map(ap => [ap.position.coin, ap.position.dex]), [['BTC', ''], ['xyz:TSLA', 'xyz']]);
+  assert.equal(merged.marginSummary.accountValue, '1000'); // margin stays per dex
+  assert.deepEqual(Object.keys(merged.dexStates), ['', 'xyz']);
+  assert.equal(merged.spotUSD, 500);
+  assert.equal(merged.totalAccountValue, 1750);
+});
+
+test('mergeAccount without extras only tags the default dex', () => {
+  const merged = multiDex.mergeAccount(clearinghouse(1000, ['ETH']));
+  assert.equal(merged.assetPositions[0].position.dex, '');
+  assert.deepEqual(merged.spotBalances, []);
+  assert.equal(merged.totalAccountValue, 1000);
+});
+
+test('hasExposure: positions or account value', () => {
+  assert.equal(multiDex.hasExposure(clearinghouse(0, ['BTC'])), true);
+  assert.equal(multiDex.hasExposure(clearinghouse(10, [])), true);
+  assert.equal(multiDex.hasExposure(clearinghouse(0, [])), false);
+  assert.equal(multiDex.hasExposure(null), false);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createOutbox, retryAfterMs } = require('../lib/outbox');
+
+const quiet = { log() {}, error() {} };
+
+// The worker's timer is unref'd, so keep the process alive while a test awaits a delivery
+const keepAlive = setInterval(() => {}, 1000);
+test.after(() => clearInterval(keepAlive));
+
+// deliver(job) decides per call; the worker ticks every second
+function outbox(deliver, { rateLimit = () => 600, dead = [] } = {}) {
+  return createOutbox({
+    source: 'test', log: quiet, rateLimit, deliver,
+    onDelivered: (job, result) => ({ id: job.id, channel: job.channel, messageId: result.messageId }),
+    onDead: job => dead.push(job)
+  });
+}
+
+function httpError(status, data = {}, headers = {}) {
+  return Object.assign(new Error('HTTP ' + status), { response: { status, data, headers } });
+}
+
+async function waitFor(check, timeout = 5000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeout) throw new Error('timed out');
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+}
+
+test('enqueue resolves once stored; delivered resolves after sending', async () => {
+  let sends = 0;
+  const box = outbox(async () => { sends++; return { messageId: 42 }; });
+  const queued = await box.enqueue({ channel: 'telegram', type: 'danger', message: {} });
+  assert.equal(queued.channel, 'telegram');
+  assert.equal(sends, 0);
+  assert.deepEqual(await queued.delivered, { id: queued.id, channel: 'telegram', messageId: 42 });
+  assert.equal(box.getStats().delivered, 1);
+  assert.equal(box.getStats().pending, 0);
+});
+
+test('a rate limit pauses the channel without using up attempts', async () => {
+  let calls = 0;
+  const box = outbox(async () => { calls++; throw httpError(429, { parameters: { retry_after: 30 } }); });
+  await box.enqueue({ channel: 'telegram', type: 'danger', message: {} });
+  await waitFor(() => calls === 1);
+  await waitFor(() => box.getStats().pausedChannels.telegram);
+  const [job] = box.listPending();
+  assert.equal(job.attempts, 0);
+  assert.ok(job.nextAttemptAt - Date.now() > 25000);
+});
+
+test('a job still rate limited 30 minutes after it was queued is dead-lettered', async t => {
+  const dead = [];
+  const box = outbox(async () => { throw httpError(429, { retry_after: 60 }); }, { dead });
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now - 29.5 * 60 * 1000);
+  const queued = await box.enqueue({ channel: 'discord', type: 'danger', message: {} });
+  t.mock.restoreAll();
+  assert.equal(await queued.delivered, null);
+  assert.equal(dead.length, 1);
+  assert.equal((await box.listDead())[0].lastError, '429');
+});
+
+test('failures back off, permanent ones dead-letter at once and can be retried', async () => {
+  let fail = true;
+  const box = outbox(async job => {
+    if (job.type === 'flaky') throw httpError(503);
+    if (fail) throw httpError(400, { description: 'chat not found' });
+    return { messageId: 7 };
+  });
+  await box.enqueue({ channel: 'a', type: 'flaky', message: {} });
+  const permanent = await box.enqueue({ channel: 'b', type: 'danger', message: {} });
+  assert.equal(await permanent.delivered, null);
+  await waitFor(() => box.getStats().retrying === 1);
+  const [flaky] = box.listPending();
+  assert.equal(flaky.lastError, '503');
+  assert.ok(flaky.nextAttemptAt - Date.now() > 4000); // first backoff step is 5s
+
+  const [deadJob] = await box.listDead();
+  assert.equal(deadJob.lastError, 'chat not found');
+  fail = false;
+  assert.equal(await box.retryDead(deadJob.id), true);
+  await waitFor(() => box.getStats().delivered === 1);
+  assert.equal((await box.listDead()).length, 0);
+});
+
+test('maxAttempts 1 dead-letters after the first failure', async () => {
+  const box = outbox(async () => { throw httpError(500); });
+  const queued = await box.enqueue({ channel: 'slack', type: 'danger', message: {}, maxAttempts: 1 });
+  assert.equal(await queued.delivered, null);
+});
+
+test('the token bucket spaces out deliveries per channel', async () => {
+  const sent = [];
+  const box = outbox(async job => { sent.push(job.channel); return {}; }, { rateLimit: name => (name === 'twitter' ? 5 : 600) });
+  for (let i = 0; i < 2; i++) await box.enqueue({ channel: 'twitter', type: 'danger', message: {} });
+  await box.enqueue({ channel: 'webhook', type: 'danger', message: {} });
+  await waitFor(() => sent.length === 2);
+  await new Promise(resolve => setTimeout(resolve, 1200));
+  assert.deepEqual(sent.sort(), ['twitter', 'webhook']); // a burst of one, the next tweet in 12s
+  assert.equal(box.pendingFor('twitter'), 1);
+});
+
+test('retryAfterMs reads each platform\'s rate limit hint', () => {
+  assert.equal(retryAfterMs(httpError(429, { parameters: { retry_after: 3 } })), 3000);
+  assert.equal(retryAfterMs(httpError(429, {}, { 'retry-after': '2' })), 2000);
+  assert.equal(retryAfterMs(httpError(429)), 60000);
+  assert.equal(retryAfterMs(httpError(500)), null);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diffAccount, prune } = require('../lib/position-lifecycle');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function positions(...list) {
+  return list.map(([coin, szi, liquidationPx = '1000']) => ({
+    position: { coin, szi: String(szi), entryPx: '2000', liquidationPx, marginUsed: '1000', leverage: { type: 'cross', value: 10 } }
+  }));
+}
+
+function later(ms, fn) {
+  const realNow = Date.now;
+  const offset = realNow() + ms;
+  Date.now = () => offset;
+  try { return fn(); } finally { Date.now = realNow; }
+}
+
+test('changes between snapshots become typed events', () => {
+  const address = '0x1000000000000000000000000000000000000001';
+  const mids = { ETH: '2000', BTC: '60000' };
+  assert.deepEqual(diffAccount(address, positions(['ETH', 1]), mids, { baselineUnseen: true }), []);
+
+  const events = diffAccount(address, positions(['ETH', 2], ['BTC', -1, '70000']), mids);
+  assert.deepEqual(events.map(e => [e.type, e.coin]), [['INCREASED', 'ETH'], ['OPENED', 'BTC']]);
+
+  const closed = diffAccount(address, positions(['BTC', 1, '50000']), { ETH: '1001', BTC: '60000' });
+  assert.deepEqual(closed.map(e => [e.type, e.coin]), [['FLIPPED', 'BTC'], ['LIQUIDATED', 'ETH']]);
+});
+
+test('an address seen for the first time outside a bulk scan reports its positions', () => {
+  const address = '0x1000000000000000000000000000000000000002';
+  assert.deepEqual(diffAccount(address, positions(['ETH', 1]), { ETH: '2000' }).map(e => e.type), ['OPENED']);
+});
+
+test('a pruned address that returns is baselined instead of reporting every position as opened', () => {
+  const address = '0x1000000000000000000000000000000000000003';
+  const mids = { ETH: '2000', BTC: '60000' };
+  diffAccount(address, positions(['ETH', 1]), mids, { baselineUnseen: true });
+  later(DAY + 1, prune);
+
+  assert.deepEqual(diffAccount(address, positions(['ETH', 1], ['BTC', 1, '50000']), mids), []);
+  // Tracked again from here on
+  assert.deepEqual(diffAccount(address, positions(['ETH', 1]), mids).map(e => [e.type, e.coin]), [['CLOSED', 'BTC']]);
+});
+
+test('prune keeps addresses diffed within a day', () => {
+  const address = '0x1000000000000000000000000000000000000004';
+  diffAccount(address, positions(['ETH', 1]), { ETH: '2000' }, { baselineUnseen: true });
+  later(DAY - 60000, prune);
+  assert.deepEqual(diffAccount(address, positions(['ETH', 1], ['SOL', 5, '100']), { ETH: '2000', SOL: '150' }).map(e => e.type), ['OPENED']);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { createTelegramBot } = require('../lib/telegram-bot');
+
+const quiet = { log() {}, error() {} };
+
+// Bot API calls are answered here instead of api.telegram.org; `sent` collects sendMessage params
+const sent = [];
+const realPost = axios.post;
+axios.post = async (url, params) => {
+  const method = url.split('/').pop();
+  if (method === 'getMe') return { data: { result: { username: 'HuntBot' } } };
+  if (method === 'sendMessage') {
+    if (params.parse_mode && params.text.includes('BROKEN')) throw Object.assign(new Error('Bad Request'), { response: { status: 400 } });
+    sent.push(params);
+  }
+  return { data: { result: true } };
+};
+test.after(() => { axios.post = realPost; });
+
+function createBot() {
+  const calls = [];
+  const bot = createTelegramBot({
+    botToken: 'token',
+    webhookUrl: 'https://example.com/api/telegram/webhook',
+    webhookSecret: 'secret',
+    log: quiet,
+    commands: {
+      coin: { args: '<coin>', description: 'Coin overview', run: (args, ctx) => { calls.push({ args, ctx }); return 'coin ' + args.join(' '); } },
+      fail: { description: 'Always fails', run: () => { throw new Error('Expected a wallet address'); } },
+      raw: { description: 'Unbalanced Markdown', run: () => 'BROKEN *reply' }
+    }
+  });
+  return { bot, calls };
+}
+
+function message(text, chat = { id: 42, type: 'private' }) {
+  return { update_id: 1, message: { message_id: 7, text, chat, from: { id: 9 } } };
+}
+
+test('commands are parsed with their arguments and run with the chat context', async () => {
+  const { bot, calls } = createBot();
+  sent.length = 0;
+  await bot.handleUpdate(message('  /COIN   btc  eth '));
+  assert.deepEqual(calls, [{ args: ['btc', 'eth'], ctx: { chatId: '42', chatType: 'private', userId: 9 } }]);
+  assert.deepEqual(sent.map(m => [m.chat_id, m.text, m.reply_to_message_id]), [['42', 'coin btc eth', undefined]]);
+});
+
+test('commands addressed to another bot and plain messages are ignored', async () => {
+  const { bot, calls } = createBot();
+  await bot.start();
+  sent.length = 0;
+  await bot.handleUpdate(message('/coin@OtherBot btc', { id: -100, type: 'group' }));
+  await bot.handleUpdate(message('hello there'));
+  assert.equal(calls.length, 0);
+
+  await bot.handleUpdate(message('/coin@huntbot sol', { id: -100, type: 'group' }));
+  assert.deepEqual(calls.map(c => c.args), [['sol']]);
+  assert.equal(sent[0].reply_to_message_id, 7); // groups get a reply to the command
+  assert.equal(bot.getStats().handled, 1);
+});
+
+test('help, unknown commands and handler errors are answered', async () => {
+  const { bot } = createBot();
+  sent.length = 0;
+  await bot.handleUpdate(message('/help'));
+  await bot.handleUpdate(message('/nope'));
+  await bot.handleUpdate(message('/fail'));
+  assert.match(sent[0].text, /\/coin <coin> - Coin overview/);
+  assert.equal(sent[1].text, 'Unknown command /nope. Send /help for the list.');
+  assert.equal(sent[2].text, '⚠️ Expected a wallet address');
+});
+
+test('a reply Telegram rejects as Markdown is sent again as plain text', async () => {
+  const { bot } = createBot();
+  sent.length = 0;
+  await bot.handleUpdate(message('/raw'));
+  assert.deepEqual(sent.map(m => [m.text, m.parse_mode]), [['BROKEN *reply', undefined]]);
+});
+
+test('the webhook secret is required and compared exactly', () => {
+  assert.throws(() => createTelegramBot({ botToken: 'token', commands: {}, webhookUrl: 'https://example.com' }), /TELEGRAM_WEBHOOK_SECRET is required/);
+  const { bot } = createBot();
+  assert.equal(bot.verifyWebhook('secret'), true);
+  assert.equal(bot.verifyWebhook('secreT'), false);
+  assert.equal(bot.verifyWebhook(undefined), false);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizePortfolio, analyzeFills, summarizeLeverage, scoreTrader } = require('../lib/trader-profile');
+
+const USER = '0x1111111111111111111111111111111111111111';
+
+function fill(time, side, sz, startPosition, closedPnl = 0) {
+  return { coin: 'BTC', time, side, sz: String(sz), px: '100', startPosition: String(startPosition), closedPnl: String(closedPnl), fee: '0' };
+}
+
+test('an empty wallet has no score', () => {
+  const result = scoreTrader({ portfolio: {}, trading: analyzeFills(USER, []), leverage: summarizeLeverage([]), walletAgeDays: 0 });
+  assert.equal(result.score, null);
+  assert.equal(result.tier, 'UNKNOWN');
+  assert.equal(result.components.risk, null);
+});
+
+test('a young wallet without profitability or win rate stays unknown', () => {
+  const result = scoreTrader({ portfolio: {}, trading: null, leverage: summarizeLeverage([{ leverage: 5, notional: 1000 }]), walletAgeDays: 2 });
+  assert.equal(result.components.risk, 100);
+  assert.equal(result.score, null);
+  assert.equal(result.tier, 'UNKNOWN');
+});
+
+test('profitability alone is enough to score', () => {
+  const portfolio = summarizePortfolio([['allTime', {
+    accountValueHistory: [[1, '1000'], [2, '1000']],
+    pnlHistory: [[1, '0'], [2, '1000']],
+    vlm: '5000'
+  }]]);
+  assert.equal(portfolio.allTime.returnPercent, 100);
+  const result = scoreTrader({ portfolio, trading: null, leverage: null, walletAgeDays: 400 });
+  assert.equal(result.components.profitability, 88);
+  assert.equal(result.components.risk, null);
+  assert.ok(result.score >= 75);
+  assert.equal(result.tier, 'SMART_MONEY');
+});
+
+test('round trips give a win rate and liquidations cut the risk component', () => {
+  const fills = [];
+  for (let i = 0; i < 6; i++) {
+    fills.push(fill(i * 10 + 1, 'B', 1, 0), fill(i * 10 + 2, 'A', 1, 1, i < 3 ? 10 : -10));
+  }
+  const trading = analyzeFills(USER, fills);
+  assert.equal(trading.trades, 6);
+  assert.equal(trading.winRate, 0.5);
+
+  const result = scoreTrader({ portfolio: {}, trading, leverage: null, liquidationCount: 2, walletAgeDays: null });
+  assert.equal(result.components.winRate, 50);
+  assert.equal(result.components.risk, 50);
+  assert.equal(result.score, 50);
+  assert.equal(result.tier, 'AVERAGE');
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createWatchlists, parseCsv, toCsv } = require('../lib/watchlists');
+
+const quiet = { log() {}, error() {} };
+
+function address(n) {
+  return '0x' + String(n).padStart(40, 'a');
+}
+
+test('entries are normalized and updated in place', () => {
+  const watchlists = createWatchlists({ log: quiet });
+  const list = watchlists.create({ name: ' Funds ' });
+  assert.equal(list.name, 'Funds');
+
+  watchlists.upsertEntry(list.id, { address: address(1).toUpperCase().replace('0X', '0x'), label: 'Fund X' });
+  watchlists.upsertEntry(list.id, { address: address(1), notes: 'hedges ETH' });
+  assert.equal(list.entries.length, 1);
+  assert.deepEqual({ ...list.entries[0], addedAt: 0 }, { address: address(1), label: 'Fund X', notes: 'hedges ETH', addedAt: 0 });
+  assert.deepEqual(watchlists.listsFor(address(1)).map(({ list: l }) => l.id), [list.id]);
+
+  assert.throws(() => watchlists.upsertEntry(list.id, { address: '0x123' }), /invalid address/);
+  watchlists.removeEntry(list.id, address(1));
+  assert.throws(() => watchlists.removeEntry(list.id, address(1)), err => err.status === 404);
+});
+
+test('CSV export imports back into an identical list', () => {
+  const watchlists = createWatchlists({ log: quiet });
+  const source = watchlists.create({ name: 'Source' });
+  watchlists.upsertEntry(source.id, { address: address(1), label: 'Fund, Inc.', notes: 'said "never" twice' });
+  watchlists.upsertEntry(source.id, { address: address(2) });
+
+  const copy = watchlists.create({ name: 'Copy' });
+  const result = watchlists.importEntries(copy.id, parseCsv(toCsv(source.entries)));
+  assert.deepEqual(result, { imported: 2, errors: [] });
+  const strip = entries => entries.map(({ addedAt, ...e }) => e);
+  assert.deepEqual(strip(copy.entries), strip(source.entries));
+});
+
+test('invalid rows are reported and the rest imported', () => {
+  const watchlists = createWatchlists({ log: quiet });
+  const list = watchlists.create({ name: 'Mixed' });
+  const result = watchlists.importEntries(list.id, parseCsv(address(1) + ',one\nnot-an-address,two\n' + address(3) + ',three'));
+  assert.equal(result.imported, 2);
+  assert.deepEqual(result.errors, ['row 2: invalid address: not-an-address']);
+});
+
+test('lists and imports are capped', () => {
+  const watchlists = createWatchlists({ maxEntries: 2, log: quiet });
+  const list = watchlists.create({ name: 'Small' });
+  assert.throws(() => watchlists.importEntries(list.id, [1, 2, 3].map(n => ({ address: address(n) }))), /at most 2 rows per import/);
+  assert.equal(list.entries.length, 0);
+
+  const result = watchlists.importEntries(list.id, [{ address: address(1) }, { address: address(2) }]);
+  assert.equal(result.imported, 2);
+  assert.throws(() => watchlists.upsertEntry(list.id, { address: address(3) }), /watchlist is full/);
+  // Updating an existing entry of a full list still works
+  assert.equal(watchlists.upsertEntry(list.id, { address: address(2), label: 'two' }).label, 'two');
+});
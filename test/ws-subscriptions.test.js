@@ -0,0 +1,213 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { WebSocketServer } = require('ws');
+const { createSocketPool, createSubscriptionManager, createTradeFeed, listedCoins } = require('../lib/ws-subscriptions');
+
+// Stand-in Hyperliquid WebSocket: records what each connection sent and acknowledges subscriptions,
+// except those for coins in `withheld`
+const connections = []; // { ws, received: [msg] }
+const withheld = new Set();
+let server, url;
+
+test.before(async () => {
+  server = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  await new Promise(resolve => server.on('listening', resolve));
+  url = 'ws://127.0.0.1:' + server.address().port;
+  server.on('connection', ws => {
+    const connection = { ws, received: [] };
+    connections.push(connection);
+    ws.on('message', raw => {
+      const msg = JSON.parse(raw);
+      connection.received.push(msg);
+      if (msg.method === 'subscribe' && !withheld.has(msg.subscription.coin)) ws.send(JSON.stringify({ channel: 'subscriptionResponse', data: msg }));
+    });
+  });
+});
+
+test.after(() => {
+  for (const ws of server.clients) ws.terminate();
+  server.close();
+});
+
+const quiet = { warn() {}, log() {}, error() {} };
+
+// Lets socket I/O through until condition() holds
+async function until(condition) {
+  for (let i = 0; i < 5000 && !condition(); i++) await new Promise(resolve => setImmediate(resolve));
+  assert.ok(condition(), 'condition not met');
+}
+
+// The server side of the connection a coin was subscribed on
+function connectionOf(coin) {
+  return connections.find(c => c.received.some(m => m.method === 'subscribe' && m.subscription.coin === coin));
+}
+
+function subscribesFor(coin) {
+  return connections.flatMap(c => c.received).filter(m => m.method === 'subscribe' && m.subscription.coin === coin).length;
+}
+
+// Waits until every socket has closed. Tests with mocked timers call it on both ends: a close
+// handler running under another test's timers would clear the wrong timer
+async function socketsClosed() {
+  await until(() => !process.getActiveResourcesInfo().includes('TCPSocketWrap'));
+  for (let i = 0; i < 10; i++) await new Promise(resolve => setImmediate(resolve));
+}
+
+// Moves mocked time forward one supervisor round at a time, letting socket I/O through in between
+async function advance(t, ms) {
+  for (let elapsed = 0; elapsed < ms; elapsed += 5000) {
+    t.mock.timers.tick(5000);
+    for (let i = 0; i < 50; i++) await new Promise(resolve => setImmediate(resolve));
+  }
+}
+
+function tradePool(options = {}) {
+  const messages = [];
+  const pool = createSocketPool({
+    url, log: quiet, name: 'Test', perSocket: 2,
+    subscriptionsFor: coin => [{ type: 'trades', coin }],
+    keyOf: msg => (msg.channel === 'trades' ? msg.data[0]?.coin : null),
+    onMessage: (msg, coin) => messages.push(coin),
+    ...options
+  });
+  return { pool, messages };
+}
+
+function placement(pool) {
+  return Object.fromEntries(Object.entries(pool.getHealth().keys).map(([key, state]) => [key, state.socket]));
+}
+
+function allAcked(pool) {
+  const keys = Object.values(pool.getHealth().keys);
+  return keys.length > 0 && keys.every(state => state.acked);
+}
+
+test('keys fill each socket up to perSocket, freed room is reused and empty sockets close', async () => {
+  const { pool, messages } = tradePool();
+  assert.deepEqual(pool.setKeys(['BTC', 'ETH', 'SOL']), { added: ['BTC', 'ETH', 'SOL'], dropped: [] });
+  assert.equal(pool.socketCount(), 2);
+  assert.deepEqual(placement(pool), { BTC: 1, ETH: 1, SOL: 2 });
+  await until(() => allAcked(pool));
+
+  assert.deepEqual(pool.setKeys(['ETH', 'SOL', 'DOGE']), { added: ['DOGE'], dropped: ['BTC'] });
+  assert.deepEqual(placement(pool), { ETH: 1, SOL: 2, DOGE: 1 });
+  const first = connectionOf('ETH');
+  await until(() => first.received.some(m => m.method === 'unsubscribe' && m.subscription.coin === 'BTC'));
+
+  // A late message for an unsubscribed key is dropped
+  first.ws.send(JSON.stringify({ channel: 'trades', data: [{ coin: 'BTC' }] }));
+  first.ws.send(JSON.stringify({ channel: 'trades', data: [{ coin: 'ETH' }] }));
+  await until(() => messages.length > 0);
+  assert.deepEqual(messages, ['ETH']);
+
+  pool.setKeys(['DOGE']);
+  assert.equal(pool.socketCount(), 1);
+  assert.equal(pool.has('SOL'), false);
+  pool.close();
+});
+
+test('user feeds stream at most maxUsers wallets and keep their latest state', async () => {
+  const wallets = [1, 2, 3, 4].map(n => '0x' + String(n).repeat(40));
+  const feeds = createSubscriptionManager({ url, maxUsers: 3, usersPerSocket: 2, log: quiet });
+  feeds.setTargets(wallets.map(w => w.toUpperCase().replace('0X', '0x')));
+  assert.deepEqual(feeds.getStats().wallets, wallets.slice(0, 3));
+  assert.equal(feeds.getHealth().sockets.length, 2);
+  assert.equal(feeds.isLive(wallets[3]), false);
+  await until(() => Object.values(feeds.getHealth().wallets).every(w => w.acked));
+
+  const user = wallets[0];
+  const connection = connections.find(c => c.received.some(m => m.subscription?.user === user));
+  assert.deepEqual(connection.received.filter(m => m.subscription.user === user).map(m => m.subscription.type), ['webData2', 'userFills']);
+  connection.ws.send(JSON.stringify({ channel: 'webData2', data: { user, clearinghouseState: { assetPositions: [] } } }));
+  await until(() => feeds.getState(user, 60000) !== null);
+  assert.deepEqual(feeds.getState(user, 60000), { assetPositions: [] });
+
+  feeds.setTargets([wallets[1]]);
+  assert.equal(feeds.getState(user, 60000), null);
+  feeds.close();
+});
+
+test('listed coins skip delisted perps', () => {
+  assert.deepEqual(listedCoins({ universe: [{ name: 'BTC' }, { name: 'FTT', isDelisted: true }, { name: 'ETH' }] }), ['BTC', 'ETH']);
+  assert.deepEqual(listedCoins(null), []);
+});
+
+test('trades are delivered once across the stream and a backfill', async t => {
+  const delivered = [];
+  const feed = createTradeFeed({ url, coinsPerSocket: 10, log: quiet, onTrades: trades => delivered.push(...trades.map(trade => trade.coin + trade.tid)) });
+  t.after(feed.close);
+  feed.setCoins(['PURR', 'HYPE']);
+  feed.setCoins([]); // meta unavailable: keeps the subscriptions
+  assert.equal(feed.getStats().coins, 2);
+  await until(() => feed.isConnected() && connectionOf('PURR'));
+
+  const trade = (coin, tid) => ({ coin, tid, px: '1', sz: '1', time: tid, hash: '0x' + tid });
+  connectionOf('PURR').ws.send(JSON.stringify({ channel: 'trades', data: [trade('PURR', 1), trade('PURR', 2)] }));
+  await until(() => delivered.length === 2);
+
+  assert.equal(feed.backfill([trade('PURR', 2), trade('PURR', 3), trade('HYPE', 2)]), 2);
+  assert.equal(feed.backfill([trade('PURR', 3)]), 0);
+  assert.deepEqual(delivered, ['PURR1', 'PURR2', 'PURR3', 'HYPE2']);
+  assert.equal(feed.getHealth().backfilled, 2);
+});
+
+test('unacknowledged subscriptions are re-sent, then marked failed', async t => {
+  await socketsClosed();
+  t.mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: 1000 });
+  withheld.add('WIF');
+  t.after(() => withheld.delete('WIF'));
+  const { pool } = tradePool();
+  t.after(pool.close);
+  pool.setKeys(['WIF', 'TIA']);
+  await until(() => pool.getHealth().keys.TIA.acked);
+  assert.equal(subscribesFor('WIF'), 1);
+
+  await advance(t, 10000);
+  await until(() => subscribesFor('WIF') === 2);
+  await advance(t, 10000);
+  await until(() => subscribesFor('WIF') === 3);
+  await advance(t, 10000);
+
+  const health = pool.getHealth();
+  assert.equal(subscribesFor('WIF'), 3);
+  assert.equal(subscribesFor('TIA'), 1);
+  assert.deepEqual({ ackRetries: health.ackRetries, ackFailures: health.ackFailures, stalls: health.stalls }, { ackRetries: 2, ackFailures: 1, stalls: 0 });
+  assert.deepEqual({ pendingAcks: health.sockets[0].pendingAcks, failedAcks: health.sockets[0].failedAcks }, { pendingAcks: 0, failedAcks: 1 });
+  assert.equal(health.keys.WIF.acked, false);
+  pool.close();
+  await socketsClosed();
+});
+
+test('a quiet socket is cut, reconnected and resubscribed', async t => {
+  await socketsClosed();
+  t.mock.timers.enable({ apis: ['setInterval', 'setTimeout', 'Date'], now: 1000 });
+  const warnings = [];
+  const reconnects = [];
+  const disconnects = [];
+  const { pool } = tradePool({
+    log: { ...quiet, warn: msg => warnings.push(msg) },
+    onDisconnect: keys => disconnects.push(keys),
+    onReconnect: (keys, since) => reconnects.push({ keys, since })
+  });
+  t.after(pool.close);
+  pool.setKeys(['SUI']);
+  await until(() => pool.getHealth().keys.SUI.acked);
+
+  // Pings are answered, but nothing else arrives after the acknowledgement
+  await advance(t, 30000);
+  await until(() => pool.getHealth().sockets[0].lastPongAt > 1000);
+  await advance(t, 30000);
+  assert.equal(pool.getHealth().stalls, 0);
+  await advance(t, 5000);
+  assert.equal(pool.getHealth().stalls, 1);
+  assert.match(warnings[0], /no message for 65s/);
+  await until(() => disconnects.length === 1);
+
+  await advance(t, 5000);
+  await until(() => pool.getHealth().keys.SUI.acked);
+  assert.equal(subscribesFor('SUI'), 2);
+  assert.deepEqual(reconnects, [{ keys: ['SUI'], since: 1000 }]);
+  assert.equal(pool.getHealth().reconnects, 1);
+  pool.close();
+  await socketsClosed();
+});